@@ -0,0 +1,212 @@
+/**
+ * Weather Alerts Module
+ * Watch areas with threshold rules (wind, temperature, wildfire and hurricane distance).
+ * The server checks them on a schedule; this module saves and removes watches, draws them
+ * on the map and polls for the alerts they raise.
+ */
+let watchAreas=[];
+
+class AlertInterface extends I {
+    static pollInterval = 60 * 1000;
+    static timer = null;
+    static rules = [
+        { type: 'wind', key: 'above', text: 'Wind above', unit: 'm/s' },
+        { type: 'temperature', key: 'below', text: 'Temperature below', unit: 'temperature' },
+        { type: 'temperature', key: 'above', text: 'Temperature above', unit: 'temperature' },
+        { type: 'wildfire', key: 'within_km', text: 'Wildfire within', unit: 'km' },
+        { type: 'hurricane', key: 'within_km', text: 'Hurricane within', unit: 'km' }
+    ];
+
+    /**
+     * Load this browser's watch areas and start polling for their alerts
+     */
+    static start() {
+        this.poll();
+        if (!this.timer) this.timer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    /**
+     * Time of the newest alert this browser has shown
+     * @returns {number}
+     */
+    static seen() {
+        const cookie = document.cookie.split(';').find(x => x.indexOf('gv2_alr=') > -1);
+        return cookie ? parseInt(cookie.split('=')[1]) || 0 : 0;
+    }
+
+    /**
+     * Fetch the watch areas and show the alerts raised since the last poll
+     */
+    static poll() {
+        A.r('POST', '/alerts', { clientId: MapInterface.clientId(), since: this.seen() }, (error, data) => {
+            if (error || !data) return;
+            watchAreas = data.watches;
+            this.render();
+            if (E.get('watch')) this.button(E.get('watch'));
+            if (data.alerts.length === 0) return;
+            this.show(data.alerts);
+        });
+    }
+
+    /**
+     * Show alerts, warnings as errors and cleared rules as info, and remember them as seen
+     * @param {Array} alerts - Alerts, oldest first
+     */
+    static show(alerts) {
+        document.cookie = 'gv2_alr=' + alerts[alerts.length - 1].createdAt + '; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
+        const warnings = alerts.filter(alert => alert.level === 'warning');
+        const cleared = alerts.filter(alert => alert.level !== 'warning');
+        // one notification each, as notifications share their place on the screen
+        if (warnings.length > 0) I.error(warnings.map(alert => T.html(alert.message)).join('<br>'));
+        else if (cleared.length > 0) I.info(cleared.map(alert => T.html(alert.message)).join('<br>'));
+    }
+
+    /**
+     * Show the number of watch areas on the prompt option
+     * @param {HTMLElement} button - Watch prompt option
+     */
+    static button(button) {
+        button.innerHTML = `<span class="promptOptIcon"><i class="fa-solid fa-bell"></i></span> <span class="promptOptText">${watchAreas.length > 0 ? 'Watch: ' + watchAreas.length : 'Watch'}</span>`;
+        button.className = watchAreas.length > 0 ? 'promptOptions promptOptionsActive' : 'promptOptions';
+    }
+
+    /**
+     * Geometry of a new watch: the drawn search area, else the reference point, else the map centre
+     * @returns {Object} - {text, geometry}
+     */
+    static watchGeometry() {
+        if (searchArea) {
+            const ring = AreaInterface.ring(searchArea).map(position => [parseFloat(position[0].toFixed(5)), parseFloat(position[1].toFixed(5))]);
+            return { text: 'Search area (' + AreaInterface.shapes[searchArea.type].text.toLowerCase() + ')', geometry: { type: 'Polygon', coordinates: [ring] } };
+        }
+        if (searchReference) {
+            return { text: T.html(searchReference.label || 'Reference point'), geometry: { type: 'Point', coordinates: [searchReference.longitude, searchReference.latitude] } };
+        }
+        const center = map.getCenter().wrap();
+        return { text: 'Map centre', geometry: { type: 'Point', coordinates: [parseFloat(center.lng.toFixed(5)), parseFloat(center.lat.toFixed(5))] } };
+    }
+
+    /**
+     * List the watch areas and add a new one
+     * @param {HTMLElement} button - Watch prompt option
+     */
+    static floater(button) {
+        const m = E.div(body, 'floaterMenu watchFloater', '');
+        const table = E.table(m, 'floaterMenuTable', '', 'center', '100%');
+
+        watchAreas.forEach(watch => {
+            const tr = E.tableR(table);
+            const item = E.div(E.tableC(tr, '85%'), 'floaterMenuItem', '');
+            const active = (watch.triggered || []).some(Boolean);
+            item.innerHTML = `<i class="fa-solid ${active ? 'fa-bell-on watchActive' : 'fa-bell'}"></i> ${T.html(watch.name)}<div class="floaterMenuItemStaticSmall">${watch.rules.map(rule => T.html(this.ruleText(rule))).join(', ')}</div>`;
+            item.onclick = () => this.fly(watch);
+            const remove = E.div(E.tableC(tr, '15%'), 'floaterMenuItem floaterMenuItemRed', '');
+            remove.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+            remove.title = 'Stop watching';
+            remove.onclick = () => {
+                A.r('POST', '/alerts/delete', { clientId: MapInterface.clientId(), id: watch.id }, error => {
+                    if (error) return I.error(error);
+                    watchAreas = watchAreas.filter(x => x.id !== watch.id);
+                    this.render();
+                    this.button(button);
+                    I.hideFloaters();
+                });
+            };
+        });
+
+        // new watch
+        const target = this.watchGeometry();
+        const formCell = E.tableC(E.tableR(table), '100%');
+        formCell.colSpan = 2;
+        const form = E.div(formCell, 'floaterMenuItem watchForm', '');
+        E.div(form, 'floaterMenuItemStaticSmall', '').innerHTML = 'New watch: ' + target.text;
+        const name = E.input(form, 'text', 'floaterInputField watchName', '', 'Name');
+        const temperatureUnit = WeatherInterface.temperatureUnit === 'F' ? '°F' : '°C';
+        const fields = this.rules.map(rule => {
+            const row = E.div(form, 'watchRule', '');
+            row.innerHTML = rule.text + ' ';
+            const field = E.input(row, 'number', 'floaterInputField watchRuleField', '', '');
+            E.span(row, 'watchRuleUnit', '').innerHTML = rule.unit === 'temperature' ? temperatureUnit : rule.unit;
+            return { rule, field };
+        });
+        const save = E.button(form, 'floaterInputButton watchSave', '', '<i class="fa-solid fa-bell"></i> Watch');
+        save.onclick = () => {
+            const rules = fields
+                .filter(({ field }) => field.value.trim() !== '' && !isNaN(parseFloat(field.value)))
+                .map(({ rule, field }) => {
+                    let value = parseFloat(field.value);
+                    // rules are stored in °C
+                    if (rule.unit === 'temperature' && temperatureUnit === '°F') value = parseFloat(((value - 32) * 5 / 9).toFixed(1));
+                    return { type: rule.type, [rule.key]: value };
+                });
+            if (rules.length === 0) return I.error('Set at least one threshold.');
+            A.r('POST', '/alerts/watch', { clientId: MapInterface.clientId(), name: name.value, geometry: target.geometry, rules }, (error, data) => {
+                if (error) return I.error(error);
+                I.hideFloaters();
+                watchAreas.unshift(data);
+                this.render();
+                this.button(button);
+                if (data.alerts && data.alerts.length > 0) this.show(data.alerts);
+                else I.info('Watching ' + T.html(data.name) + '.');
+            });
+        };
+
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        const p = button.getBoundingClientRect();
+        m.style.left = p.left + window.scrollX + 'px';
+        m.style.top = p.top + window.scrollY - m.offsetHeight - 10 + 'px';
+    }
+
+    /**
+     * Describe a rule in the user's temperature unit
+     * @param {Object} rule - Rule
+     * @returns {string}
+     */
+    static ruleText(rule) {
+        if (rule.type === 'wind') return `wind > ${rule.above} m/s`;
+        if (rule.type === 'temperature') {
+            const celsius = rule.below !== undefined ? rule.below : rule.above;
+            return `temperature ${rule.below !== undefined ? '<' : '>'} ${WeatherInterface.formatTemperature(celsius)}`;
+        }
+        return `${rule.type} < ${rule.within_km} km`;
+    }
+
+    /**
+     * Move the map to a watch area
+     * @param {Object} watch - Watch
+     */
+    static fly(watch) {
+        const bounds = new mapboxgl.LngLatBounds();
+        (watch.geometry.type === 'Point' ? [watch.geometry.coordinates] : watch.geometry.coordinates[0]).forEach(position => bounds.extend(position));
+        map.fitBounds(bounds, { padding: 100, maxZoom: 9 });
+    }
+
+    /**
+     * Draw the watch areas; areas with a matching rule are drawn in red
+     */
+    static render() {
+        // the style has to be loaded before sources can be added
+        if (!WeatherInterface.isInitialized) {
+            setTimeout(() => this.render(), 500);
+            return;
+        }
+        const data = {
+            type: 'FeatureCollection',
+            features: watchAreas.map(watch => ({
+                type: 'Feature',
+                properties: { name: watch.name, active: (watch.triggered || []).some(Boolean) },
+                geometry: watch.geometry
+            }))
+        };
+
+        if (map.getSource('watchAreas')) {
+            map.getSource('watchAreas').setData(data);
+            return;
+        }
+        const color = ['case', ['get', 'active'], '#E83A3A', '#FFE119'];
+        map.addSource('watchAreas', { type: 'geojson', data });
+        map.addLayer({ id: 'watchAreas-fill', type: 'fill', source: 'watchAreas', filter: ['==', '$type', 'Polygon'], paint: { 'fill-color': color, 'fill-opacity': 0.1 } });
+        map.addLayer({ id: 'watchAreas-line', type: 'line', source: 'watchAreas', filter: ['==', '$type', 'Polygon'], paint: { 'line-color': color, 'line-width': 1.5 } });
+        map.addLayer({ id: 'watchAreas-point', type: 'circle', source: 'watchAreas', filter: ['==', '$type', 'Point'], paint: { 'circle-color': color, 'circle-radius': 7, 'circle-opacity': 0.6, 'circle-stroke-color': color, 'circle-stroke-width': 2 } });
+    }
+}
@@ -0,0 +1,444 @@
+/**
+ * Search Area Module
+ * Draws a rectangle, circle or polygon on the map to scope Search prompts.
+ * The area is sent with each prompt until it is cleared; the server removes results outside it.
+ * The reference point (map centre, a pin, my location or a typed place) sets where "near me" is;
+ * the server sorts results by their distance from it.
+ */
+let searchArea=false;
+let searchReference=false;
+
+class AreaInterface extends I {
+    static drawing = null; // shape being drawn: {type, points}
+    static handlers = null;
+    static shapes = {
+        rectangle: { text: 'Rectangle', icon: 'fa-vector-square', hint: 'Click two opposite corners.' },
+        circle: { text: 'Circle', icon: 'fa-circle-dot', hint: 'Click the centre, then the edge.' },
+        polygon: { text: 'Polygon', icon: 'fa-draw-polygon', hint: 'Click each corner, double-click to finish.' }
+    };
+
+    /**
+     * Show the current area on the prompt option
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static button(button) {
+        button.innerHTML = `<span class="promptOptIcon"><i class="fa-solid fa-draw-polygon"></i></span> <span class="promptOptText">${searchArea ? 'Area: ' + this.shapes[searchArea.type].text : 'Area'}</span>`;
+        button.className = searchArea ? 'promptOptions promptOptionsActive' : 'promptOptions';
+    }
+
+    /**
+     * Pick a shape to draw, or clear the area
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static floater(button) {
+        const m = E.div(body, 'floaterMenu areaFloater', '');
+        const table = E.table(m, 'floaterMenuTable', '', 'center', '100%');
+        const options = Object.keys(this.shapes).map(type => ({ type, ...this.shapes[type] }));
+        if (searchArea) options.push({ type: false, text: 'Clear area', icon: 'fa-xmark' });
+
+        options.forEach(option => {
+            const tr = E.tableR(table);
+            E.div(E.tableC(tr, '100%'), 'floaterMenuItem', '').innerHTML = `<i class="fa-solid ${option.icon}"></i> ${option.text}`;
+            tr.onclick = () => {
+                I.hideFloaters();
+                if (option.type) this.start(option.type, button);
+                else this.clear(button);
+            };
+        });
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        const p = button.getBoundingClientRect();
+        m.style.left = p.left + window.scrollX + 'px';
+        m.style.top = p.top + window.scrollY - m.offsetHeight - 10 + 'px';
+    }
+
+    /**
+     * Start drawing a shape; the map's clicks place its points
+     * @param {string} type - rectangle, circle or polygon
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static start(type, button) {
+        this.stop();
+        this.drawing = { type, points: [] };
+        I.info(this.shapes[type].hint + ' Press Esc to cancel.');
+        map.getCanvas().style.cursor = 'crosshair';
+        map.doubleClickZoom.disable();
+
+        this.handlers = {
+            // points keep the longitude of the world copy they were clicked on, so a shape
+            // drawn across the antimeridian stays in one piece until it is finished
+            click: e => {
+                const point = e.lngLat;
+                const points = this.drawing.points;
+                // the clicks of a double-click land on the last point
+                if (points.length > 0 && map.project(points[points.length - 1]).dist(e.point) < 4) return;
+                points.push(point);
+                if ((type === 'rectangle' || type === 'circle') && points.length === 2) this.finish(button);
+                else this.render(this.drawing, point);
+            },
+            mousemove: e => {
+                if (this.drawing.points.length > 0) this.render(this.drawing, e.lngLat);
+            },
+            dblclick: e => {
+                e.preventDefault();
+                if (type === 'polygon' && this.drawing.points.length >= 3) this.finish(button);
+            },
+            keydown: e => {
+                if (e.key === 'Escape') {
+                    this.stop();
+                    this.render(searchArea);
+                }
+            }
+        };
+        map.on('click', this.handlers.click);
+        map.on('mousemove', this.handlers.mousemove);
+        map.on('dblclick', this.handlers.dblclick);
+        document.addEventListener('keydown', this.handlers.keydown);
+    }
+
+    /**
+     * Stop drawing and restore the map's own interactions
+     */
+    static stop() {
+        if (!this.handlers) return;
+        map.off('click', this.handlers.click);
+        map.off('mousemove', this.handlers.mousemove);
+        map.off('dblclick', this.handlers.dblclick);
+        document.removeEventListener('keydown', this.handlers.keydown);
+        map.getCanvas().style.cursor = '';
+        // wait for the double-click that finished a polygon before zooming on double-clicks again
+        setTimeout(() => map.doubleClickZoom.enable(), 300);
+        this.handlers = null;
+        this.drawing = null;
+    }
+
+    /**
+     * Turn the drawn points into the area sent with prompts
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static finish(button) {
+        const { type, points } = this.drawing;
+        const round = value => parseFloat(value.toFixed(5));
+        if (type === 'rectangle') {
+            // the box spans the clicked longitudes; once wrapped, west > east when it crosses the antimeridian
+            const width = Math.abs(points[0].lng - points[1].lng);
+            const west = ((Math.min(points[0].lng, points[1].lng) + 180) % 360 + 360) % 360 - 180;
+            const east = west + width > 180 ? west + width - 360 : west + width;
+            searchArea = {
+                type,
+                north: round(Math.max(points[0].lat, points[1].lat)),
+                south: round(Math.min(points[0].lat, points[1].lat)),
+                east: width >= 360 ? 180 : round(east),
+                west: width >= 360 ? -180 : round(west)
+            };
+        } else if (type === 'circle') {
+            searchArea = {
+                type,
+                latitude: round(points[0].lat),
+                longitude: round(points[0].wrap().lng),
+                radius_km: parseFloat((points[0].distanceTo(points[1]) / 1000).toFixed(2))
+            };
+        } else {
+            searchArea = { type, coordinates: points.map(point => [round(point.wrap().lng), round(point.lat)]) };
+        }
+        this.stop();
+        this.render(searchArea);
+        this.button(button);
+    }
+
+    /**
+     * Remove the area
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static clear(button) {
+        this.stop();
+        searchArea = false;
+        this.render(false);
+        this.button(button);
+    }
+
+    /**
+     * Outline of an area, or of a shape being drawn up to the cursor
+     * @param {Object} shape - Area, or the drawing ({type, points})
+     * @param {Object} cursor - Cursor position while drawing
+     * @returns {Array} - Polygon ring ([lon, lat])
+     */
+    static ring(shape, cursor) {
+        if (shape.points) {
+            const points = cursor ? [...shape.points, cursor] : shape.points;
+            if (shape.type === 'polygon') return [...points, points[0]].map(point => [point.lng, point.lat]);
+            if (points.length < 2) return [];
+            if (shape.type === 'rectangle') {
+                return this.ring({
+                    type: 'rectangle',
+                    north: Math.max(points[0].lat, points[1].lat),
+                    south: Math.min(points[0].lat, points[1].lat),
+                    east: Math.max(points[0].lng, points[1].lng),
+                    west: Math.min(points[0].lng, points[1].lng)
+                });
+            }
+            return this.ring({ type: 'circle', latitude: points[0].lat, longitude: points[0].lng, radius_km: points[0].distanceTo(points[1]) / 1000 });
+        }
+
+        if (shape.type === 'rectangle') {
+            // drawn past 180° when it crosses the antimeridian
+            const east = shape.east < shape.west ? shape.east + 360 : shape.east;
+            return [[shape.west, shape.south], [east, shape.south], [east, shape.north], [shape.west, shape.north], [shape.west, shape.south]];
+        }
+        if (shape.type === 'circle') {
+            const ring = [];
+            for (let bearing = 0; bearing <= 360; bearing += 6) {
+                ring.push(WeatherInterface.destinationPoint(shape.latitude, shape.longitude, bearing, shape.radius_km));
+            }
+            return ring;
+        }
+        return [...shape.coordinates, shape.coordinates[0]];
+    }
+
+    /**
+     * Draw an area (or the shape being drawn) on the map; false clears it
+     * @param {Object} shape - Area, drawing or false
+     * @param {Object} cursor - Cursor position while drawing
+     */
+    static render(shape, cursor) {
+        const ring = shape ? this.ring(shape, cursor) : [];
+        const data = {
+            type: 'FeatureCollection',
+            features: ring.length > 1 ? [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [ring] } }] : []
+        };
+
+        if (map.getSource('searchArea')) {
+            map.getSource('searchArea').setData(data);
+            return;
+        }
+        map.addSource('searchArea', { type: 'geojson', data });
+        map.addLayer({ id: 'searchArea-fill', type: 'fill', source: 'searchArea', paint: { 'fill-color': '#4363D8', 'fill-opacity': 0.12 } });
+        map.addLayer({ id: 'searchArea-line', type: 'line', source: 'searchArea', paint: { 'line-color': '#4363D8', 'line-width': 2, 'line-dasharray': [2, 1] } });
+    }
+}
+
+class ReferenceInterface extends I {
+    static marker = null;
+    static radius = null; // radius chosen in the menu: {value, unit}
+    static sources = {
+        centre: { text: 'Map centre', icon: 'fa-crosshairs' },
+        pin: { text: 'Drop a pin', icon: 'fa-location-pin' },
+        location: { text: 'My location', icon: 'fa-location-arrow' },
+        place: { text: 'Place', icon: 'fa-magnifying-glass-location' }
+    };
+
+    /**
+     * Unit of new reference radii, following the temperature unit
+     * @returns {string} - mi or km
+     */
+    static defaultUnit() {
+        return WeatherInterface.temperatureUnit === 'F' ? 'mi' : 'km';
+    }
+
+    /**
+     * Show the current reference point on the prompt option
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static button(button) {
+        const text = searchReference ? 'Near: ' + T.s(searchReference.label, 15) + ', ' + searchReference.radius + ' ' + searchReference.unit : 'Near';
+        button.innerHTML = `<span class="promptOptIcon"><i class="fa-solid fa-bullseye"></i></span> <span class="promptOptText">${T.html(text)}</span>`;
+        button.className = searchReference ? 'promptOptions promptOptionsActive' : 'promptOptions';
+    }
+
+    /**
+     * Pick the reference point and its radius, or clear it
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static floater(button) {
+        const m = E.div(body, 'floaterMenu referenceFloater', '');
+        const table = E.table(m, 'floaterMenuTable', '', 'center', '100%');
+
+        Object.keys(this.sources).forEach(source => {
+            const tr = E.tableR(table);
+            const item = E.div(E.tableC(tr, '100%'), 'floaterMenuItem', '');
+            item.innerHTML = `<i class="fa-solid ${this.sources[source].icon}"></i> ${this.sources[source].text}`;
+            if (source === 'place') {
+                // the place is typed into the menu itself
+                const field = E.input(item, 'text', 'floaterInputField referencePlaceField', '', 'City, address or landmark');
+                field.onclick = e => e.stopPropagation();
+                field.onkeydown = e => {
+                    if (e.keyCode === 13 && field.value.trim()) this.place(field.value.trim(), button);
+                };
+                return;
+            }
+            tr.onclick = () => {
+                I.hideFloaters();
+                if (source === 'centre') {
+                    const center = map.getCenter().wrap();
+                    this.set({ source, latitude: center.lat, longitude: center.lng, label: 'Map centre' }, button);
+                } else if (source === 'pin') this.pin(button);
+                else this.locate(button);
+            };
+        });
+
+        // radius of "nearby", in the reference's unit
+        const radiusRow = E.div(E.tableC(E.tableR(table), '100%'), 'floaterMenuItem referenceRadius', '');
+        radiusRow.innerHTML = '<i class="fa-solid fa-circle-dot"></i> Radius ';
+        if (!this.radius) this.radius = { value: 50, unit: this.defaultUnit() };
+        const radius = E.input(radiusRow, 'number', 'floaterInputField referenceRadiusField', '', '50');
+        radius.min = '1';
+        radius.value = this.radius.value;
+        const unitToggle = E.span(radiusRow, 'floaterInputButton referenceUnit', '');
+        unitToggle.innerHTML = this.radius.unit;
+        unitToggle.onclick = () => {
+            unitToggle.innerHTML = this.radius.unit === 'mi' ? 'km' : 'mi';
+            this.setRadius(radius.value, unitToggle.innerHTML, button);
+        };
+        radius.onchange = () => this.setRadius(radius.value, this.radius.unit, button);
+
+        if (searchReference) {
+            const tr = E.tableR(table);
+            E.div(E.tableC(tr, '100%'), 'floaterMenuItem floaterMenuItemRed', '').innerHTML = '<i class="fa-solid fa-xmark"></i> Clear reference';
+            tr.onclick = () => {
+                I.hideFloaters();
+                this.clear(button);
+            };
+        }
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        const p = button.getBoundingClientRect();
+        m.style.left = p.left + window.scrollX + 'px';
+        m.style.top = p.top + window.scrollY - m.offsetHeight - 10 + 'px';
+    }
+
+    /**
+     * Set the reference point, keeping the radius chosen in the menu
+     * @param {Object} reference - {source, latitude, longitude, label}
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static set(reference, button) {
+        if (!this.radius) this.radius = { value: 50, unit: this.defaultUnit() };
+        const round = value => parseFloat(value.toFixed(5));
+        searchReference = { ...reference, latitude: round(reference.latitude), longitude: round(reference.longitude), radius: this.radius.value, unit: this.radius.unit };
+        if (reference.source !== 'pin' && this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        this.render();
+        this.button(button);
+    }
+
+    /**
+     * Change the radius of the current reference point
+     * @param {string} value - Radius
+     * @param {string} unit - mi or km
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static setRadius(value, unit, button) {
+        this.radius = { value: parseFloat(value) > 0 ? parseFloat(value) : this.radius.value, unit };
+        if (!searchReference) return;
+        searchReference.radius = this.radius.value;
+        searchReference.unit = unit;
+        this.render();
+        this.button(button);
+    }
+
+    /**
+     * Let the next map click drop a draggable pin
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static pin(button) {
+        I.info('Click the map to drop the pin. Drag it to move it.');
+        map.getCanvas().style.cursor = 'crosshair';
+        map.once('click', e => {
+            map.getCanvas().style.cursor = '';
+            const point = e.lngLat.wrap();
+            if (!this.marker) {
+                this.marker = new mapboxgl.Marker({ color: '#4363D8', draggable: true }).setLngLat(point).addTo(map);
+                this.marker.on('dragend', () => {
+                    const moved = this.marker.getLngLat().wrap();
+                    this.set({ source: 'pin', latitude: moved.lat, longitude: moved.lng, label: 'Pin' }, button);
+                });
+            } else this.marker.setLngLat(point);
+            this.set({ source: 'pin', latitude: point.lat, longitude: point.lng, label: 'Pin' }, button);
+        });
+    }
+
+    /**
+     * Use the browser's position
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static locate(button) {
+        if (!('geolocation' in navigator)) {
+            I.error('Location is not available in this browser.');
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(position => {
+            myLocation = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+            this.set({ source: 'location', ...myLocation, label: 'My location' }, button);
+            map.panTo([myLocation.longitude, myLocation.latitude]);
+        }, () => I.error('Could not get your location.'));
+    }
+
+    /**
+     * Find a typed place and use the best match
+     * @param {string} query - Place name or address
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static place(query, button) {
+        A.r('POST', '/geocode', { query }, (error, data) => {
+            if (error) {
+                I.error(error);
+                return;
+            }
+            if (!data || data.length === 0) {
+                I.error('No place found for ' + T.html(query) + '.');
+                return;
+            }
+            I.hideFloaters();
+            const match = data[0];
+            this.set({ source: 'place', latitude: match.lat, longitude: match.lon, label: query }, button);
+            map.panTo([match.lon, match.lat]);
+        });
+    }
+
+    /**
+     * Remove the reference point
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static clear(button) {
+        searchReference = false;
+        if (this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        this.render();
+        this.button(button);
+    }
+
+    /**
+     * Distance of a result from the reference point, in the reference's unit
+     * @param {number} km - Distance in km
+     * @returns {string}
+     */
+    static distanceText(km) {
+        const unit = searchReference ? searchReference.unit : this.defaultUnit();
+        const value = unit === 'mi' ? km / 1.609344 : km;
+        return (value < 10 ? value.toFixed(1) : Math.round(value)) + ' ' + unit;
+    }
+
+    /**
+     * Draw the radius around the reference point
+     */
+    static render() {
+        const data = { type: 'FeatureCollection', features: [] };
+        if (searchReference) {
+            const radiusKm = searchReference.unit === 'mi' ? searchReference.radius * 1.609344 : searchReference.radius;
+            data.features.push({
+                type: 'Feature',
+                properties: {},
+                geometry: { type: 'LineString', coordinates: AreaInterface.ring({ type: 'circle', latitude: searchReference.latitude, longitude: searchReference.longitude, radius_km: radiusKm }) }
+            });
+        }
+
+        if (map.getSource('searchReference')) {
+            map.getSource('searchReference').setData(data);
+            return;
+        }
+        map.addSource('searchReference', { type: 'geojson', data });
+        map.addLayer({ id: 'searchReference-line', type: 'line', source: 'searchReference', paint: { 'line-color': '#F58231', 'line-width': 1.5, 'line-dasharray': [1, 2] } });
+    }
+}
@@ -6,7 +6,15 @@ class A  {
         request.onreadystatechange=()=>{
             if(request.readyState===4 && request.status===200) {
                 let responseData=JSON.parse(request.responseText);
-                callback(responseData.error,responseData.data);
+                callback(responseData.error,responseData.data,responseData);
+            }
+            else if(request.readyState===4 && request.status>=400) {
+                // validation and server errors come back as {error}
+                let responseData={};
+                try {
+                    responseData=JSON.parse(request.responseText);
+                } catch(e) {}
+                callback(responseData.error || 'Request failed',null,responseData);
             }
         };
         //
@@ -16,6 +24,64 @@ class A  {
         //request.setRequestHeader('Authorization','Bearer '+c);
         request.send(JSON.stringify(payload));
     }
+    // server-sent events over POST: callback(event,data) per event
+    static stream(path,payload,callback) {
+        fetch(a+path,{
+            method:'POST',
+            headers:{'Content-Type':'application/json'},
+            body:JSON.stringify(payload)
+        }).then(async (response)=>{
+            if(!response.ok || !response.body) {
+                callback('error',{error:'Error calling LLM API'});
+                return;
+            }
+            let reader=response.body.getReader();
+            let decoder=new TextDecoder();
+            let buffer='';
+            while(true) {
+                let {done,value}=await reader.read();
+                if(done) break;
+                buffer+=decoder.decode(value,{stream:true});
+                let events=buffer.split('\n\n');
+                buffer=events.pop();
+                events.forEach((raw)=>{
+                    let event='message',data='';
+                    raw.split('\n').forEach((line)=>{
+                        if(line.indexOf('event:')===0) event=line.substr(6).trim();
+                        else if(line.indexOf('data:')===0) data+=line.substr(5).trim();
+                    });
+                    callback(event,data?JSON.parse(data):null);
+                });
+            }
+        }).catch(()=>{
+            callback('error',{error:'Connection lost'});
+        });
+    }
+    // POST that answers with a file: saves it under the server's file name, callback(error)
+    static download(path,payload,callback) {
+        fetch(a+path,{
+            method:'POST',
+            headers:{'Content-Type':'application/json'},
+            body:JSON.stringify(payload)
+        }).then(async (response)=>{
+            if(!response.ok) {
+                let data=await response.json().catch(()=>({}));
+                callback(data.error || 'Download failed');
+                return;
+            }
+            let name=(response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            let link=document.createElement('a');
+            link.href=URL.createObjectURL(await response.blob());
+            link.download=name?name[1]:'download';
+            body.appendChild(link);
+            link.click();
+            body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+            callback(null);
+        }).catch(()=>{
+            callback('Connection lost');
+        });
+    }
 }
 
 // E: Elements
@@ -279,6 +345,11 @@ class T {
         else return text;
     };
 
+    // escape text for innerHTML
+    static html(text) {
+        return String(text===null || text===undefined?'':text).replace(/[&<>"']/g,(c)=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);
+    };
+
     // check empty
     static e(text) {
         if(text===null || text==='' || !text) return true;
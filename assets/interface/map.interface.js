@@ -1,4 +1,6 @@
 let historyData=[];
+let activeHistory=false;
+let compareModels=[];
 let navShowing=false;
 let myLocation=false;
 let defaultModel="anthropic";
@@ -9,9 +11,11 @@ let modelOptions=[
     {value:'local',provider:'Local',model:'Local',text:'Local'},
 ];
 let selectedModel=modelOptions[0];
+let modelButtons=[];
 //
 
 var discoverHistoryData=[];
+var sharedSnapshot=false;
 var lat,long,map;
 var cursorEnabled=true;
 var popups=[];
@@ -69,6 +73,8 @@ class MapInterface extends I {
                 // Initialize weather controls once the map is fully loaded
                 WeatherInterface.initWeatherControls();
                 
+                // Shared links restore their own view (MapInterface.openSnapshot)
+                if(window.location.pathname.split('/')[2]) return;
                 // Center the map on a global view initially
                 map.flyTo({
                     center: [0, 20],
@@ -81,14 +87,20 @@ class MapInterface extends I {
         //
         MapInterface.search(); //initialize search tab
         MapInterface.discover(); //initialize discover tab
+        MapInterface.models(); //load providers registered on the server
+        MapInterface.history(); //restore this browser's history from the server
+        MapInterface.permalink(); //load the snapshot of a shared link
+        MapInterface.imports(); //accept GeoJSON, KML and CSV files dropped on the map
+        AlertInterface.start(); //load watch areas and poll for their alerts
 
         //
         let currentPath=window.location.pathname.split('/');
-        if(!currentPath[1] || currentPath[1]==='search') enableSearch();
-        else if(currentPath[1]==='discover') enableDiscover();
+        if(!currentPath[1] || currentPath[1]==='search') enableSearch(currentPath[2]);
+        else if(currentPath[1]==='discover') enableDiscover(currentPath[2]);
         //
-        function enableSearch() {
-            let title='Search | Godview',url='search';
+        // snapshotId keeps a shared link's address on first load
+        function enableSearch(snapshotId) {
+            let title='Search | Godview',url='search'+(snapshotId?'/'+snapshotId:'');
             document.getElementsByTagName('title')[0].innerHTML=title;
             history.pushState({title:title,url:url},title,rootURL+'/'+url);
             search.className='menuItem menuItemActive';
@@ -110,8 +122,8 @@ class MapInterface extends I {
             };
             cursorEnabled=false;
         }
-        function enableDiscover() {
-            let title='Discover | Godview',url='discover';
+        function enableDiscover(snapshotId) {
+            let title='Discover | Godview',url='discover'+(snapshotId?'/'+snapshotId:'');
             document.getElementsByTagName('title')[0].innerHTML=title;
             history.pushState({title:title,url:url},title,rootURL+'/'+url);
             search.className='menuItem';
@@ -149,6 +161,7 @@ class MapInterface extends I {
         let model=E.div(optBox,'promptOptions','model');
         model.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
         model.title='Select model.';
+        modelButtons.push(model);
         model.onclick=()=>{
             if(modelOptions.findIndex(x=>x.value===selectedModel.value)<modelOptions.length-1) selectedModel=modelOptions[modelOptions.findIndex(x=>x.value===selectedModel.value)+1];
             else selectedModel=modelOptions[0];
@@ -156,12 +169,43 @@ class MapInterface extends I {
             document.cookie="gv2_mdl=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;";
             document.cookie='gv2_mdl='+selectedModel.value+'; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
         };
-        let cookies=document.cookie.split(";");
-        let foundMdl=false;
-        for(let i=0;i<cookies.length;i++) {
-            if(cookies[i].indexOf("gv2_mdl")>-1) foundMdl=cookies[i].split("=")[1];
-        }
-        if(foundMdl) {
+        let compare=E.div(optBox,'promptOptions','compare');
+        compare.title='Compare models: send the prompt to several models at once.';
+        SearchInterface.compareButton(compare,model);
+        compare.onclick=()=>{
+            if(E.fetch2(body,'className','compareFloater').length>0) I.hideFloaters();
+            else SearchInterface.compareFloater(compare,model);
+        };
+        let area=E.div(optBox,'promptOptions','area');
+        area.title='Draw an area on the map to search in.';
+        AreaInterface.button(area);
+        area.onclick=()=>{
+            if(E.fetch2(body,'className','areaFloater').length>0) I.hideFloaters();
+            else AreaInterface.floater(area);
+        };
+        let reference=E.div(optBox,'promptOptions','reference');
+        reference.title='Choose where "near me" is, and the radius of nearby.';
+        ReferenceInterface.button(reference);
+        reference.onclick=()=>{
+            if(E.fetch2(body,'className','referenceFloater').length>0) I.hideFloaters();
+            else ReferenceInterface.floater(reference);
+        };
+        let watch=E.div(optBox,'promptOptions','watch');
+        watch.title='Watch an area for wind, temperature, wildfires and hurricanes.';
+        AlertInterface.button(watch);
+        watch.onclick=()=>{
+            if(E.fetch2(body,'className','watchFloater').length>0) I.hideFloaters();
+            else AlertInterface.floater(watch);
+        };
+        let newThread=E.div(optBox,'promptOptions','newThread');
+        newThread.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-plus"></i></span> <span class="promptOptText">New Search</span>';
+        newThread.title='Start a new search instead of following up.';
+        newThread.style.display='none';
+        newThread.onclick=()=>{
+            SearchInterface.activate(false);
+        };
+        let foundMdl=MapInterface.modelCookie();
+        if(foundMdl && modelOptions.findIndex(x=>x.value===foundMdl)>-1) {
             selectedModel=modelOptions[modelOptions.findIndex(x=>x.value===foundMdl)];
             model.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
         }
@@ -176,6 +220,14 @@ class MapInterface extends I {
         // history
         let history=E.div(body,'','searchHistory');
         E.div(history,'','historyTitle').innerHTML='History';
+        let historySearch=E.input(history,'text','','historySearch','Search history');
+        let historySearchTimer;
+        historySearch.oninput=()=>{
+            clearTimeout(historySearchTimer);
+            historySearchTimer=setTimeout(()=>{
+                SearchInterface.filterHistory(historySearch.value.trim());
+            },300);
+        };
         E.table(history,'','historyTable','center','90%');
 
         //
@@ -192,6 +244,7 @@ class MapInterface extends I {
                             .addTo(map);
                         map.panTo([position.coords.longitude,position.coords.latitude]);
                         myLocation={latitude:position.coords.latitude,longitude:position.coords.longitude};
+                        ReferenceInterface.set({source:'location',...myLocation,label:'My location'},reference);
                     });
                 }
                 else map.panTo([myLocation.longitude,myLocation.latitude]);
@@ -207,15 +260,20 @@ class MapInterface extends I {
         function prompt() {
             button.style.display='none';
             loading.style.display='block';
-            A.r('POST','/query',{prompt:field.value,myLocation:myLocation,model:selectedModel.value},(error,data)=>{
+            let query=field.value;
+            // compare mode sends the prompt to every selected model
+            let comparing=compareModels.length>1;
+            // follow-ups thread onto the active history entry
+            let active=comparing?false:historyData.find(x=>x.hex===activeHistory);
+            let path=comparing?'/compare':'/query';
+            // imported files are described to the model so the prompt can refer to them (newest first)
+            let imports=historyData.filter(x=>x.imported && x.id).map(x=>x.id).reverse();
+            let payload=comparing?{prompt:query,reference:searchReference,models:compareModels,clientId:MapInterface.clientId(),imports:imports,area:searchArea}:{prompt:query,reference:searchReference,model:selectedModel.value,clientId:MapInterface.clientId(),sessionId:active?active.sessionId:null,imports:imports,area:searchArea};
+            A.r('POST',path,payload,(error,data,response)=>{
                 loading.style.display='none';
                 button.style.display='block';
                 history.style.visibility='visible';
                 if(!error) {
-                    //
-                    let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
-                    SearchInterface.history(map,field.value,hex);
-                    historyData.push({hex:hex,markers:[],data:[]});
                     //
                     if(!navShowing && window.innerWidth>500) {
                         let nav=new mapboxgl.NavigationControl({
@@ -227,6 +285,25 @@ class MapInterface extends I {
                         navShowing=true;
                     }
                     //
+                    if(comparing) {
+                        field.value='';
+                        SearchInterface.compareResults(map,query,data,response.historyId);
+                        SearchInterface.filteredInfo(data.reduce((sum,result)=>sum+(result.filtered || 0),0));
+                        return;
+                    }
+                    let hex;
+                    if(active && historyData.indexOf(active)>-1 && active.sessionId===response.sessionId) {
+                        hex=active.hex;
+                        SearchInterface.thread(hex,query);
+                    }
+                    else {
+                        // new search, or the server no longer had the session
+                        hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+                        let row=SearchInterface.history(map,query,hex);
+                        historyData.push({hex:hex,markers:[],data:[],sessionId:response.sessionId,prompts:[query],row:row,id:response.historyId});
+                    }
+                    SearchInterface.activate(hex);
+                    //
                     field.value='';
                     if(data && data.length>0) {
                         E.get('searchCards').innerHTML='';
@@ -239,6 +316,8 @@ class MapInterface extends I {
                             }
                         });
                     }
+                    if(response.discarded>0) I.info(response.discarded+(response.discarded===1?' result was':' results were')+' discarded for missing or invalid coordinates.');
+                    SearchInterface.filteredInfo(response.filtered);
                 }
                 else I.error(error);
             });
@@ -255,6 +334,7 @@ class MapInterface extends I {
         let model=E.div(optBox2,'promptOptions','model');
         model.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
         model.title='Select model.';
+        modelButtons.push(model);
         model.onclick=()=>{
             if(modelOptions.findIndex(x=>x.value===selectedModel.value)<modelOptions.length-1) selectedModel=modelOptions[modelOptions.findIndex(x=>x.value===selectedModel.value)+1];
             else selectedModel=modelOptions[0];
@@ -281,36 +361,205 @@ class MapInterface extends I {
                 let coordinates=e.lngLat;
                 lat=parseFloat(e.lngLat.wrap().lat).toFixed(4);
                 long=parseFloat(e.lngLat.wrap().lng).toFixed(4);
+                let html='<div class="discoverButtonInfo">Coordinates:<br/>['+lat+', '+long+']</div><button class="discoverButton" onclick="DiscoverInterface.prompt();"><i class="fa-solid fa-comment"></i> Disover Location</button>';
                 let popup=new mapboxgl.Popup()
                     .setLngLat(coordinates)
-                    .setHTML('<div class="discoverButtonInfo">Coordinates:<br/>['+lat+', '+long+']</div><button class="discoverButton" onclick="DiscoverInterface.prompt();"><i class="fa-solid fa-comment"></i> Disover Location</button>')
+                    .setHTML(html)
                     .addTo(map);
                 popups.push(popup);
+                DiscoverInterface.airQuality(popup,html,lat,long);
             }
         });
 
         //
     };
+    static models() {
+        A.r('GET','/models',{},(error,data)=>{
+            if(!error && data && data.length>0) {
+                let current=MapInterface.modelCookie() || selectedModel.value;
+                modelOptions=data;
+                selectedModel=modelOptions.find(x=>x.value===current) || modelOptions[0];
+                modelButtons.forEach((button)=>{
+                    button.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
+                });
+            }
+        });
+    };
+    static history() {
+        A.r('POST','/history',{clientId:MapInterface.clientId()},(error,data)=>{
+            if(error || !data || data.length===0) return;
+            // oldest first, like entries added during a visit
+            data.slice().reverse().forEach((item)=>{
+                if(item.type==='discover') DiscoverInterface.restore(item);
+                else SearchInterface.restore(map,item);
+            });
+            if(historyData.length>0) E.get('searchHistory').style.visibility='visible';
+        });
+    };
+    // snapshot of a shared link (/search/<id>, /discover/<id>)
+    static permalink() {
+        let snapshotId=window.location.pathname.split('/')[2];
+        if(!snapshotId) return;
+        A.r('GET','/snapshot/'+snapshotId,{},(error,data)=>{
+            if(error) return I.error(error);
+            sharedSnapshot=data;
+            MapInterface.openSnapshot();
+        });
+    };
+    // show a shared snapshot, waiting for the weather controls so its layers can be turned on
+    static openSnapshot() {
+        if(!sharedSnapshot || sharedSnapshot.opened) return;
+        if(!WeatherInterface.isInitialized) {
+            setTimeout(()=>MapInterface.openSnapshot(),500);
+            return;
+        }
+        sharedSnapshot.opened=true;
+        let entry=sharedSnapshot.entry;
+        if(entry && entry.type==='discover') DiscoverInterface.restore(entry);
+        else if(entry) {
+            SearchInterface.show(map,SearchInterface.restore(map,entry).hex);
+            E.get('searchHistory').style.visibility='visible';
+        }
+        if(sharedSnapshot.view) map.jumpTo(sharedSnapshot.view);
+        WeatherInterface.applyShareState(sharedSnapshot);
+    };
+    // store the map, a history entry and the weather layers, and copy the link to them
+    static share(historyId) {
+        if(!historyId) return I.error('This result is still being saved, try again in a moment.');
+        let center=map.getCenter();
+        let weather=WeatherInterface.getShareState();
+        A.r('POST','/snapshot',{
+            clientId:MapInterface.clientId(),
+            historyId:historyId,
+            view:{center:[center.lng,center.lat],zoom:map.getZoom(),bearing:map.getBearing(),pitch:map.getPitch()},
+            layers:weather.layers,
+            timeline:weather.timeline
+        },(error,data)=>{
+            if(error) return I.error(error);
+            let url=rootURL+data.url;
+            if(navigator.clipboard) {
+                navigator.clipboard.writeText(url)
+                    .then(()=>I.success('Link copied: '+url))
+                    .catch(()=>I.info(url));
+            }
+            else I.info(url);
+        });
+    };
+    // files dropped on the map are imported as a history entry of their own
+    static imports() {
+        let mapBox=E.get('mapBox');
+        mapBox.ondragover=(e)=>{
+            e.preventDefault();
+            mapBox.classList.add('mapDropTarget');
+        };
+        mapBox.ondragleave=()=>{
+            mapBox.classList.remove('mapDropTarget');
+        };
+        mapBox.ondrop=(e)=>{
+            e.preventDefault();
+            mapBox.classList.remove('mapDropTarget');
+            Array.from(e.dataTransfer.files).forEach((file)=>{
+                if(file.size>5*1024*1024) return I.error(T.html(file.name)+' is larger than 5 MB.');
+                file.text().then((content)=>{
+                    A.r('POST','/import',{clientId:MapInterface.clientId(),filename:file.name,content:content},(error,data)=>{
+                        if(error) return I.error(T.html(error));
+                        SearchInterface.importResults(map,data);
+                        I.success('Imported '+data.features.length+' features from '+T.html(file.name)+'.');
+                    });
+                });
+            });
+        };
+    };
+    // pick a file format and download a history entry
+    static exportFloater(e,historyId) {
+        if(!historyId) return I.error('This result is still being saved, try again in a moment.');
+        I.hideFloaters();
+        let p=e.target.getBoundingClientRect();
+        let m=E.div(body,'floaterMenu','');
+        let table=E.table(m,'floaterMenuTable','','center','100%');
+        [
+            {format:'geojson',text:'GeoJSON'},
+            {format:'kml',text:'KML (Google Earth)'},
+            {format:'gpx',text:'GPX (GPS)'},
+            {format:'csv',text:'CSV'}
+        ].forEach((option)=>{
+            let tr=E.tableR(table);
+            E.div(E.tableC(tr,'100%'),'floaterMenuItem','').innerHTML='<i class="fa-solid fa-file-arrow-down"></i> '+option.text;
+            tr.onclick=()=>{
+                I.hideFloaters();
+                A.download('/export',{clientId:MapInterface.clientId(),id:historyId,format:option.format},(error)=>{
+                    if(error) I.error(error);
+                });
+            };
+        });
+        m.style.top=p.top+window.scrollY+15+'px';
+        m.style.left=p.left+window.scrollX-160+'px';
+    };
+    static modelCookie() {
+        let cookies=document.cookie.split(";");
+        let foundMdl=false;
+        for(let i=0;i<cookies.length;i++) {
+            if(cookies[i].indexOf("gv2_mdl")>-1) foundMdl=cookies[i].split("=")[1];
+        }
+        return foundMdl;
+    };
+    // ID that ties this browser's search sessions together on the server
+    static clientId() {
+        let cookies=document.cookie.split(";");
+        for(let i=0;i<cookies.length;i++) {
+            if(cookies[i].indexOf("gv2_cid")>-1) return cookies[i].split("=")[1];
+        }
+        let id=Date.now().toString(36)+Math.random().toString(36).substr(2,10);
+        document.cookie='gv2_cid='+id+'; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
+        return id;
+    };
 }
 
 class SearchInterface extends I {
+    static popupHTML(pointData) {
+        return '<div class="pointName">'+T.html(pointData.name)+'</div>'+SearchInterface.verificationBadge(pointData.verification)+'<div class="pointAddress">'+T.html(pointData.address)+'</div><div class="pointLatLong">Lat,Long: '+T.html(pointData.latitude)+', '+T.html(pointData.longitude)+'</div>'+WeatherInterface.getWeatherSummaryHTML(pointData.weather);
+    };
     static point(map,pointData,hex) {
         let m=new mapboxgl.Marker({color: hex})
             .setLngLat([pointData.longitude,pointData.latitude])
-            .setPopup(new mapboxgl.Popup().setHTML('<div class="pointName">'+pointData.name+'</div><div class="pointAddress">'+pointData.address+'</div><div class="pointLatLong">Lat,Long: '+pointData.latitude+', '+pointData.longitude+'</div>'))
+            .setPopup(new mapboxgl.Popup().setHTML(SearchInterface.popupHTML(pointData)))
             .addTo(map);
         historyData[historyData.findIndex(x=>x.hex===hex)].markers.push(m);
         historyData[historyData.findIndex(x=>x.hex===hex)].data.push(pointData);
     };
+    // badge for the geocoding check of a result's coordinates
+    static verificationBadge(verification) {
+        if(!verification) return '';
+        let badges={
+            verified:{icon:'fa-circle-check',text:'Verified',title:'Coordinates confirmed by '+verification.source+'.'},
+            corrected:{icon:'fa-location-crosshairs',text:'Corrected',title:'Moved '+verification.distance_km+' km to the position found by '+verification.source+'.'},
+            unverified:{icon:'fa-circle-question',text:'Unverified',title:verification.source?verification.source+' could not confirm this location.':'Geocoding verification is turned off.'}
+        };
+        let badge=badges[verification.status];
+        if(!badge) return '';
+        return '<span class="verificationBadge verification_'+verification.status+'" title="'+T.html(badge.title)+'"><i class="fa-solid '+badge.icon+'"></i> '+badge.text+'</span>';
+    };
     static card(map,pointData,hex,i) {
         let box=E.div(E.get('searchCards'),'cardItem','');
-        E.div(box,'cardName cardText','').innerHTML=pointData.name;
-        E.div(box,'cardAddress cardText','').innerHTML=pointData.address;
-        if(pointData.url) {
+        E.div(box,'cardName cardText','').innerHTML=T.html(pointData.name);
+        if(pointData.verification) E.div(box,'cardVerification cardText','').innerHTML=SearchInterface.verificationBadge(pointData.verification);
+        if(pointData.agreement) {
+            // several models in a comparison found this place
+            box.className+=' cardItemAgreed';
+            let agreed=E.div(box,'cardAgreement cardText','');
+            agreed.innerHTML='<i class="fa-solid fa-handshake"></i> '+pointData.agreement.models.length+' models agree';
+            agreed.title=pointData.agreement.models.map(x=>(modelOptions.find(y=>y.value===x) || {text:x}).text).join(', ');
+        }
+        E.div(box,'cardAddress cardText','').innerHTML=T.html(pointData.address);
+        if(pointData.distance_km!==undefined) E.div(box,'cardDistance cardText','').innerHTML='<i class="fa-solid fa-bullseye"></i> '+ReferenceInterface.distanceText(pointData.distance_km)+' away';
+        if(pointData.weather) E.div(box,'cardWeather cardText','').innerHTML=WeatherInterface.getWeatherSummaryHTML(pointData.weather);
+        if(pointData.hazards) E.div(box,'cardHazards cardText','').innerHTML=SearchInterface.hazardHTML(pointData.hazards);
+        if(pointData.url && /^https?:\/\//i.test(pointData.url)) {
             let url=E.div(E.a(box,'','',pointData.url,'_blank'),'cardIcon','');
             let parseUrl=new URL(pointData.url);
-            url.innerHTML='<i class="fa-light fa-link"></i> '+parseUrl.host;
+            url.innerHTML='<i class="fa-light fa-link"></i> '+T.html(parseUrl.host);
         }
+        WeatherInterface.createForecastStrip(box,pointData.latitude,pointData.longitude);
         //
         box.style.borderLeft='10px solid '+hex;
         box.onclick=()=>{
@@ -327,21 +576,25 @@ class SearchInterface extends I {
         dot.innerHTML='<i class="fa-solid fa-location-dot"></i>';
         dot.style.color=hex;
         dot.onclick=()=>{
-            map.panTo(historyData[historyData.findIndex(x=>x.hex===hex)].markers[0].getLngLat());
-            E.get('searchCards').innerHTML='';
-            historyData[historyData.findIndex(x=>x.hex===hex)].data.forEach((dataPoint,i)=>{
-                MapInterface.card(map,dataPoint,hex,i);
-            });
+            SearchInterface.show(map,hex);
         };
-        let text=E.div(E.tableC(tr,'80%'),'historyItemText','');
-        text.innerHTML=T.s(prompt,15);
+        let text=E.div(E.tableC(tr,'60%'),'historyItemText','');
+        text.innerHTML=T.html(T.s(prompt,15));
         text.title=prompt;
         text.onclick=()=>{
-            map.panTo(historyData[historyData.findIndex(x=>x.hex===hex)].markers[0].getLngLat());
-            E.get('searchCards').innerHTML='';
-            historyData[historyData.findIndex(x=>x.hex===hex)].data.forEach((dataPoint,i)=>{
-                MapInterface.card(map,dataPoint,hex,i);
-            });
+            SearchInterface.show(map,hex);
+        };
+        let download=E.div(E.tableC(tr,'10%'),'historyItemAction','');
+        download.innerHTML='<i class="fa-solid fa-file-export"></i>';
+        download.title='Export these results.';
+        download.onclick=(e)=>{
+            MapInterface.exportFloater(e,historyData[historyData.findIndex(x=>x.hex===hex)].id);
+        };
+        let share=E.div(E.tableC(tr,'10%'),'historyItemAction','');
+        share.innerHTML='<i class="fa-solid fa-share-nodes"></i>';
+        share.title='Copy a link to these results.';
+        share.onclick=()=>{
+            MapInterface.share(historyData[historyData.findIndex(x=>x.hex===hex)].id);
         };
         let rm=E.div(E.tableC(tr,'10%'),'historyItemRm','');
         rm.innerHTML='<i class="fa-solid fa-xmark"></i>';
@@ -352,10 +605,256 @@ class SearchInterface extends I {
                     for(let i=0;i<historyData[historyData.findIndex(x=>x.hex===hex)].markers.length;i++) {
                         historyData[historyData.findIndex(x=>x.hex===hex)].markers[i].remove();
                     }
+                    SearchInterface.removeImportLayers(map,historyData[historyData.findIndex(x=>x.hex===hex)]);
+                    A.r('POST','/session/end',{clientId:MapInterface.clientId(),sessionId:historyData[historyData.findIndex(x=>x.hex===hex)].sessionId},()=>{});
+                    A.r('POST','/history/delete',{clientId:MapInterface.clientId(),id:historyData[historyData.findIndex(x=>x.hex===hex)].id},()=>{});
                     historyData.splice(historyData.findIndex(x=>x.hex===hex),1);
+                    if(activeHistory===hex) SearchInterface.activate(false);
                 }
             });
         };
+        return tr;
+    };
+    // show a history entry's results again
+    static show(map,hex) {
+        let entry=historyData[historyData.findIndex(x=>x.hex===hex)];
+        if(entry.restored) SearchInterface.plot(map,entry);
+        // comparisons have no session to follow up on
+        SearchInterface.activate(entry.sessionId?hex:false);
+        if(entry.markers.length>0) map.panTo(entry.markers[0].getLngLat());
+        else if(entry.bounds) map.fitBounds(entry.bounds,{padding:100,maxZoom:14,duration:1500});
+        E.get('searchCards').innerHTML='';
+        if(entry.compare) SearchInterface.compareCards(map,entry);
+        else {
+            entry.data.forEach((dataPoint,i)=>{
+                SearchInterface.card(map,dataPoint,hex,i);
+            });
+        }
+    };
+    // add a follow-up to a history entry; its answer replaces the entry's results
+    static thread(hex,prompt) {
+        let entry=historyData[historyData.findIndex(x=>x.hex===hex)];
+        entry.prompts.push(prompt);
+        entry.markers.forEach((m)=>{
+            m.remove();
+        });
+        entry.markers=[];
+        entry.data=[];
+        entry.restored=null;
+        SearchInterface.historyText(entry);
+    };
+    static historyText(entry) {
+        let text=E.fetch2(entry.row,'className','historyItemText')[0];
+        text.innerHTML=T.html(T.s(entry.prompts[0],15))+(entry.prompts.length>1?' <span class="historyItemTurns">'+entry.prompts.length+'</span>':'');
+        text.title=entry.prompts.join('\n');
+    };
+    // history entry loaded from the server; its markers are added when it is first shown
+    static restore(map,item) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        let row=SearchInterface.history(map,item.prompts[0],hex);
+        if(item.type==='compare') E.fetch2(row,'className','historyItemDot')[0].innerHTML='<i class="fa-solid fa-code-compare"></i>';
+        if(item.type==='import') E.fetch2(row,'className','historyItemDot')[0].innerHTML='<i class="fa-solid fa-file-import"></i>';
+        let entry={hex:hex,markers:[],data:[],sessionId:item.sessionId,prompts:item.prompts,row:row,id:item.id,restored:item,imported:item.type==='import'};
+        historyData.push(entry);
+        SearchInterface.historyText(entry);
+        return entry;
+    };
+    static plot(map,entry) {
+        let item=entry.restored;
+        entry.restored=null;
+        if(item.type==='compare') {
+            entry.compare=item.results;
+            item.results.forEach((result,i)=>{
+                result.style=SearchInterface.compareStyle(i);
+                result.data.forEach((dataPoint)=>{
+                    SearchInterface.comparePoint(map,dataPoint,entry,result);
+                });
+            });
+        }
+        else if(item.type==='import') SearchInterface.importLayers(map,entry,item);
+        else {
+            item.results.forEach((dataPoint)=>{
+                SearchInterface.point(map,dataPoint,entry.hex);
+            });
+        }
+    };
+    static importResults(map,item) {
+        let entry=SearchInterface.restore(map,item);
+        E.get('searchHistory').style.visibility='visible';
+        SearchInterface.show(map,entry.hex);
+    };
+    // positions of a GeoJSON geometry's coordinates, at any depth
+    static importPositions(coordinates) {
+        if(typeof coordinates[0]==='number') return [coordinates];
+        return coordinates.flatMap(x=>SearchInterface.importPositions(x));
+    };
+    // draw an imported file's shapes in the entry's colour; a card for each feature
+    static importLayers(map,entry,item) {
+        let source='import-'+entry.hex.substr(1);
+        map.addSource(source,{type:'geojson',data:{type:'FeatureCollection',features:item.features}});
+        map.addLayer({id:source+'-fill',type:'fill',source:source,filter:['==','$type','Polygon'],paint:{'fill-color':entry.hex,'fill-opacity':0.25}});
+        map.addLayer({id:source+'-line',type:'line',source:source,filter:['!=','$type','Point'],paint:{'line-color':entry.hex,'line-width':2}});
+        map.addLayer({id:source+'-point',type:'circle',source:source,filter:['==','$type','Point'],paint:{'circle-color':entry.hex,'circle-radius':6,'circle-stroke-color':'#FFFFFF','circle-stroke-width':1.5}});
+        entry.source=source;
+        entry.layers=[source+'-fill',source+'-line',source+'-point'];
+        //
+        entry.bounds=new mapboxgl.LngLatBounds();
+        item.features.forEach((feature,i)=>{
+            let positions=SearchInterface.importPositions(feature.geometry.coordinates);
+            positions.forEach((position)=>{
+                entry.bounds.extend(position);
+            });
+            entry.data.push({
+                name:feature.properties.name,
+                address:feature.geometry.type+' · '+item.name,
+                latitude:parseFloat((positions.reduce((sum,x)=>sum+x[1],0)/positions.length).toFixed(4)),
+                longitude:parseFloat((positions.reduce((sum,x)=>sum+x[0],0)/positions.length).toFixed(4)),
+                hazards:item.hazards?item.hazards[i]:null
+            });
+        });
+        // kept so removeImportLayers can take them off again
+        entry.handlers=entry.layers.map((layer)=>{
+            let handler=(e)=>{
+                let feature=e.features[0];
+                let i=item.features.findIndex(x=>x.properties.name===feature.properties.name);
+                new mapboxgl.Popup()
+                    .setLngLat(e.lngLat)
+                    .setHTML('<div class="pointName">'+T.html(feature.properties.name)+'</div><div class="pointAddress">'+T.html(item.name)+'</div>'+(i>-1 && item.hazards?'<div class="pointHazards">'+SearchInterface.hazardHTML(item.hazards[i])+'</div>':''))
+                    .addTo(map);
+            };
+            map.on('click',layer,handler);
+            return {type:'click',layer:layer,handler:handler};
+        });
+    };
+    static removeImportLayers(map,entry) {
+        if(!entry.source) return;
+        (entry.handlers || []).forEach((x)=>{
+            map.off(x.type,x.layer,x.handler);
+        });
+        entry.handlers=[];
+        entry.layers.forEach((layer)=>{
+            if(map.getLayer(layer)) map.removeLayer(layer);
+        });
+        if(map.getSource(entry.source)) map.removeSource(entry.source);
+    };
+    // wildfire hotspots and natural events found near an imported feature
+    static hazardHTML(hazards) {
+        let lines=[];
+        if(hazards.fires>0) lines.push('<i class="fa-solid fa-fire"></i> '+hazards.fires+' fire hotspots within 50 km, nearest '+hazards.nearest_fire_km+' km');
+        (hazards.events || []).forEach((event)=>{
+            lines.push('<i class="fa-solid fa-triangle-exclamation"></i> '+T.html(event.title)+' ('+event.distance_km+' km)');
+        });
+        if(lines.length===0 && hazards.fires!==undefined) lines.push('<i class="fa-solid fa-shield-check"></i> No fires or natural events nearby');
+        return '<span class="hazardInfo">'+lines.join('<br/>')+'</span>';
+    };
+    // results the server removed for falling outside the drawn area
+    static filteredInfo(filtered) {
+        if(filtered>0) I.info(filtered+(filtered===1?' result was':' results were')+' outside the drawn area and left out.');
+    };
+    // hide the history entries that do not match a search of the stored history
+    static filterHistory(query) {
+        if(!query) {
+            historyData.forEach((entry)=>{
+                entry.row.style.display='';
+            });
+            return;
+        }
+        A.r('POST','/history',{clientId:MapInterface.clientId(),query:query,types:['search','compare','import'],limit:1000},(error,data)=>{
+            if(error) return I.error(error);
+            let ids=data.map(x=>x.id);
+            historyData.forEach((entry)=>{
+                entry.row.style.display=ids.indexOf(entry.id)>-1?'':'none';
+            });
+        });
+    };
+    // set the history entry follow-ups go to (false for a new search)
+    static activate(hex) {
+        activeHistory=hex;
+        historyData.forEach((entry)=>{
+            entry.row.className=entry.hex===hex?'historyItemActive':'';
+        });
+        E.get('newThread').style.display=hex && compareModels.length<2?'':'none';
+        E.get('promptField').placeholder=hex?'Ask a follow-up, eg: "only the ones open late"':'Eg: "show me 5 soccer fields in NYC"';
+    };
+    // marker colour and shape of the i-th model in a comparison
+    static compareStyle(i) {
+        let colors=['#E6194B','#3CB44B','#4363D8','#F58231','#911EB4','#42D4F4','#F032E6','#BFEF45'];
+        let shapes=['circle','square','triangle','diamond','hexagon','star'];
+        return {color:colors[i%colors.length],shape:shapes[i%shapes.length]};
+    };
+    static compareButton(button,modelButton) {
+        let on=compareModels.length>1;
+        button.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-code-compare"></i></span> <span class="promptOptText">'+(on?'Comparing '+compareModels.length:'Compare')+'</span>';
+        button.className=on?'promptOptions promptOptionsActive':'promptOptions';
+        // the single model picker does not apply while comparing
+        modelButton.style.display=on?'none':'';
+        if(on) SearchInterface.activate(false);
+    };
+    // pick the models to compare
+    static compareFloater(button,modelButton) {
+        let m=E.div(body,'floaterMenu compareFloater','');
+        let table=E.table(m,'floaterMenuTable','','center','100%');
+        modelOptions.forEach((option)=>{
+            let tr=E.tableR(table);
+            let item=E.div(E.tableC(tr,'100%'),'floaterMenuItem','');
+            let render=()=>{
+                let on=compareModels.indexOf(option.value)>-1;
+                item.innerHTML='<i class="'+(on?'fa-solid fa-square-check':'fa-regular fa-square')+'"></i> '+option.text;
+            };
+            render();
+            tr.onclick=()=>{
+                if(compareModels.indexOf(option.value)>-1) compareModels.splice(compareModels.indexOf(option.value),1);
+                else compareModels.push(option.value);
+                render();
+                SearchInterface.compareButton(button,modelButton);
+            };
+        });
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        let p=button.getBoundingClientRect();
+        m.style.left=p.left+window.scrollX+'px';
+        m.style.top=p.top+window.scrollY-m.offsetHeight-10+'px';
+    };
+    static compareResults(map,prompt,results,id) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        let row=SearchInterface.history(map,prompt,hex);
+        E.fetch2(row,'className','historyItemDot')[0].innerHTML='<i class="fa-solid fa-code-compare"></i>';
+        let entry={hex:hex,markers:[],data:[],compare:results,prompts:[prompt],row:row,id:id};
+        historyData.push(entry);
+        SearchInterface.activate(false);
+        //
+        let bounds=new mapboxgl.LngLatBounds();
+        results.forEach((result,i)=>{
+            result.style=SearchInterface.compareStyle(i);
+            result.data.forEach((dataPoint)=>{
+                SearchInterface.comparePoint(map,dataPoint,entry,result);
+                bounds.extend([dataPoint.longitude,dataPoint.latitude]);
+            });
+            if(result.error) I.error(T.html(result.label+': '+result.error));
+        });
+        E.get('searchCards').innerHTML='';
+        SearchInterface.compareCards(map,entry);
+        if(entry.markers.length>0) map.fitBounds(bounds,{padding:100,maxZoom:14,duration:1500});
+    };
+    static comparePoint(map,pointData,entry,result) {
+        let el=document.createElement('div');
+        el.className='compareMarker'+(pointData.agreement?' compareMarkerAgreed':'');
+        E.div(el,'compareShape compareShape_'+result.style.shape,'').style.background=result.style.color;
+        let m=new mapboxgl.Marker({element:el})
+            .setLngLat([pointData.longitude,pointData.latitude])
+            .setPopup(new mapboxgl.Popup().setHTML('<div class="pointModel">'+T.html(result.label)+'</div>'+SearchInterface.popupHTML(pointData)))
+            .addTo(map);
+        entry.markers.push(m);
+        entry.data.push(pointData);
+    };
+    // cards grouped by model
+    static compareCards(map,entry) {
+        entry.compare.forEach((result)=>{
+            let title=E.div(E.get('searchCards'),'compareGroupTitle','');
+            title.innerHTML='<span class="compareShape compareShape_'+result.style.shape+'" style="background:'+result.style.color+'"></span> '+T.html(result.label)+' <span class="compareGroupCount">'+T.html(result.error?result.error:result.data.length+' results')+'</span>';
+            result.data.forEach((dataPoint,i)=>{
+                SearchInterface.card(map,dataPoint,result.style.color,i);
+            });
+        });
     };
 }
 class DiscoverInterface extends I {
@@ -363,30 +862,102 @@ class DiscoverInterface extends I {
         popups.forEach((p)=>{
             p.remove();
         });
+        let pointLat=lat,pointLong=long;
         let load=E.img(E.get('discoverResultsBox'),'','discoverLoad',rootURL+'/src/loading2.gif');
-        A.r('POST','/discover',{latitude:lat,longitude:long,model:selectedModel.value},(error,data)=>{
-            if(!error) {
-                if(data) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        let item,text,status;
+        A.stream('/discover',{latitude:pointLat,longitude:pointLong,model:selectedModel.value,clientId:MapInterface.clientId(),stream:true},(event,data)=>{
+            if(event==='tool' && data) {
+                // the model is looking something up before it answers
+                if(!status) status=E.div(E.get('discoverResultsBox'),'discoverToolStatus','');
+                status.innerHTML='<i class="fa-solid fa-cloud-sun"></i> '+DiscoverInterface.toolStatus(data.name);
+            }
+            else if(event==='message' && data) {
+                if(status && status.parentNode) status.parentNode.removeChild(status);
+                if(!item) {
+                    // first tokens: swap the loader for the result item
                     E.get('discoverResultsBox').removeChild(load);
-                    let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
-                    DiscoverInterface.point(lat,long,hex);
-                    let item=E.div(E.get('discoverResultsBox'),'discoverItem','');
-                    E.div(item,'discoverItemTitle','').innerHTML='<i class="fa-solid fa-location-dot" style="color:'+hex+'"></i> ['+lat+', '+long+']';
-                    E.div(item,'discoverItemText','').innerHTML='<pre>'+data+'</pre>';
-                    item.scrollIntoView();
-                    item.onclick=()=>{
-                        map.panTo(discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].marker.getLngLat());
-                    };
+                    DiscoverInterface.point(pointLat,pointLong,hex);
+                    item=DiscoverInterface.item(pointLat,pointLong,hex);
+                    text=E.fetch2(item,'tagName','pre')[0];
+                    WeatherInterface.createClimateChart(item,pointLat,pointLong,true);
                 }
+                text.textContent+=data.text;
+                item.scrollIntoView();
+            }
+            else if(event==='done' || event==='error') {
+                if(load.parentNode) load.parentNode.removeChild(load);
+                if(status && status.parentNode) status.parentNode.removeChild(status);
+                if(event==='done' && item && data) discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].id=data.historyId;
+                if(event==='error') I.error(data.error);
             }
-            else I.error(error);
         });
     };
     
+    // status line for a weather tool call
+    static toolStatus(name) {
+        let labels={
+            get_current_weather:'Checking current weather',
+            get_forecast:'Checking the forecast',
+            get_climate_normals:'Checking the climate',
+            get_active_hurricanes:'Checking active storms',
+            get_wildfires:'Checking wildfires',
+            get_disasters:'Checking natural events'
+        };
+        return (labels[name] || 'Looking up '+name)+'...';
+    }
+    
+    static item(pointLat,pointLong,hex) {
+        let item=E.div(E.get('discoverResultsBox'),'discoverItem','');
+        let title=E.div(item,'discoverItemTitle','');
+        title.innerHTML='<i class="fa-solid fa-location-dot" style="color:'+hex+'"></i> ['+T.html(pointLat)+', '+T.html(pointLong)+']';
+        let share=E.span(title,'discoverItemAction','');
+        share.innerHTML='<i class="fa-solid fa-share-nodes"></i>';
+        share.title='Copy a link to this answer.';
+        share.onclick=(e)=>{
+            e.stopPropagation();
+            MapInterface.share(discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].id);
+        };
+        let download=E.span(title,'discoverItemAction','');
+        download.innerHTML='<i class="fa-solid fa-file-export"></i>';
+        download.title='Export this pin.';
+        download.onclick=(e)=>{
+            e.stopPropagation();
+            MapInterface.exportFloater(e,discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].id);
+        };
+        E.div(item,'discoverItemText','').appendChild(document.createElement('pre'));
+        item.onclick=()=>{
+            map.panTo(discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].marker.getLngLat());
+        };
+        return item;
+    }
+    // Discover answer loaded from the server, with the weather when it was asked
+    static restore(data) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        DiscoverInterface.point(data.latitude,data.longitude,hex);
+        let item=DiscoverInterface.item(data.latitude,data.longitude,hex);
+        E.fetch2(item,'tagName','pre')[0].textContent=data.text;
+        if(data.weather) E.div(item,'discoverItemWeather','').innerHTML=WeatherInterface.getWeatherSummaryHTML(data.weather);
+        // behind its toggle, as restored history adds many answers at once
+        WeatherInterface.createClimateChart(item,data.latitude,data.longitude,false);
+        discoverHistoryData[discoverHistoryData.length-1].id=data.id;
+    }
+    
+    // add the AQI at the point to a popup once it is loaded
+    static airQuality(popup,html,lat,long) {
+        WeatherInterface.loadAirQuality(lat,long,(airQuality)=>{
+            if(airQuality) popup.setHTML(html+WeatherInterface.getAirQualityHTML(airQuality));
+        });
+    }
+    
     static point(lat,long,hex) {
+        let html='<div class="pointLatLong">Lat,Long: '+lat+', '+long+'</div>';
+        let popup=new mapboxgl.Popup().setHTML(html);
+        // loaded when first opened, as restored history adds many pins at once
+        popup.once('open',()=>DiscoverInterface.airQuality(popup,html,lat,long));
         let m=new mapboxgl.Marker({color: hex})
             .setLngLat([long,lat])
-            .setPopup(new mapboxgl.Popup().setHTML('<div class="pointLatLong">Lat,Long: '+lat+', '+long+'</div>'))
+            .setPopup(popup)
             .addTo(map);
         discoverHistoryData.push({hex:hex,marker:m});
     }
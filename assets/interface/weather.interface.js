@@ -16,8 +16,20 @@ class WeatherInterface extends I {
     static timeSliderValue = 0;
     static isPlaying = false;
     static playInterval = null;
+    static forecastLayerIds = ['forecastTemp', 'forecastPrecip', 'forecastWind'];
+    static forecastGrid = null;
+    static forecastGridRequest = null;
+    static forecastFrames = {};
+    static cityWeather = [];
+    static cityWeatherRequestId = 0;
+    static cityRefreshInterval = null;
+    static cityRefreshMs = 10 * 60 * 1000;
+    static cityAirQualityRequestId = 0;
+    static wildfireRequestId = 0;
+    static wildfireSensors = ['VIIRS_SNPP', 'VIIRS_NOAA20', 'MODIS'];
     static isInitialized = false;
     static tileErrorHandlingSetup = false;
+    static temperatureUnit = this.detectTemperatureUnit();
     
     // Zoom level tracking for multi-scale visualization
     static currentZoomLevel = 0;
@@ -30,9 +42,9 @@ class WeatherInterface extends I {
     
     // Tile resolution configuration based on zoom level
     static tileResolutions = {
-        GLOBAL: { resolution: 'low', tileSuffix: '/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577' },
-        REGIONAL: { resolution: 'medium', tileSuffix: '/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577' },
-        LOCAL: { resolution: 'high', tileSuffix: '/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577' }
+        GLOBAL: { resolution: 'low' },
+        REGIONAL: { resolution: 'medium' },
+        LOCAL: { resolution: 'high' }
     };
 
     // Add a new tile manager system:
@@ -110,6 +122,17 @@ class WeatherInterface extends I {
         const panelTitle = E.div(weatherPanel, 'weatherPanelTitle', '');
         panelTitle.innerHTML = 'Weather Layers';
         
+        // Temperature unit switch, shared with search cards and popups
+        const unitToggle = E.div(weatherPanel, 'weatherUnitToggle', 'weatherUnitToggle');
+        ['F', 'C'].forEach(unit => {
+            const option = E.span(unitToggle, unit === this.temperatureUnit ? 'weatherUnitOption active' : 'weatherUnitOption', `weatherUnit_${unit}`);
+            option.innerHTML = `°${unit}`;
+            option.onclick = () => {
+                this.setTemperatureUnit(unit);
+                Array.from(unitToggle.children).forEach(child => child.classList.toggle('active', child === option));
+            };
+        });
+        
         // Create layer categories
         const categories = [
             { id: 'currentWeather', title: 'Current Weather', icon: 'fa-cloud-sun' },
@@ -140,6 +163,7 @@ class WeatherInterface extends I {
                 this.addLayerToggle(categoryContent, 'precipitation', 'Precipitation', 'fa-cloud-rain');
                 this.addLayerToggle(categoryContent, 'wind', 'Wind', 'fa-wind');
                 this.addLayerToggle(categoryContent, 'cloud', 'Cloud Coverage', 'fa-cloud');
+                this.addLayerToggle(categoryContent, 'airQuality', 'Air Quality', 'fa-smog');
                 // City labels toggle removed - they're now always part of the temperature layer
             } else if (category.id === 'severeWeather') {
                 this.addLayerToggle(categoryContent, 'hurricane', 'Hurricanes', 'fa-hurricane');
@@ -442,7 +466,7 @@ class WeatherInterface extends I {
         if (!layerId) return;
         
         // Check if we've already created this layer
-        if (this.weatherLayers[layerId]?.layers?.length > 0) {
+        if (this.weatherLayers[layerId]?.layers?.length > 0 || this.weatherLayers[layerId]?.markers?.length > 0) {
             console.log(`Showing existing ${layerId} layer`);
             
             // Show all sublayers
@@ -451,6 +475,9 @@ class WeatherInterface extends I {
                     map.setLayoutProperty(id, 'visibility', 'visible');
                 }
             });
+            this.weatherLayers[layerId].markers?.forEach(marker => {
+                marker.getElement().style.display = '';
+            });
             
             // Update visibility state
             this.weatherLayers[layerId].visibility = 'visible';
@@ -496,6 +523,14 @@ class WeatherInterface extends I {
         if (this.timelineVisible && ['forecastTemp', 'forecastPrecip', 'forecastWind'].includes(layerId)) {
             this.updateTimelinePosition(this.timeSliderValue);
         }
+        
+        // The view may have moved while air quality or wildfires were hidden
+        if (layerId === 'airQuality') {
+            this.loadCityAirQuality();
+        }
+        if (layerId === 'wildfire' && map.getSource('wildfire-heat-source')) {
+            this.loadWildfires(this.getZoomCategory(map.getZoom()));
+        }
 
         // Check if we should prefetch adjacent tiles
         if (this.currentViewport.bounds && ['temperature', 'precipitation', 'wind', 'cloud'].includes(layerId)) {
@@ -520,6 +555,9 @@ class WeatherInterface extends I {
                     map.setLayoutProperty(id, 'visibility', 'none');
                 }
             });
+            this.weatherLayers[layerId].markers?.forEach(marker => {
+                marker.getElement().style.display = 'none';
+            });
             
             // Update visibility state
             this.weatherLayers[layerId].visibility = 'none';
@@ -603,6 +641,10 @@ class WeatherInterface extends I {
                 this.createCloudLayer(zoomCategory);
                 break;
                 
+            case 'airQuality':
+                this.createAirQualityLayer(zoomCategory);
+                break;
+                
             case 'cities':
                 // City labels have already been initialized in initWeatherControls
                 // We just need to make them visible
@@ -640,37 +682,7 @@ class WeatherInterface extends I {
                 break;
                 
             case 'wildfire':
-                try {
-                    // Determine resolution based on zoom category
-                    const resolution = zoomCategory === 'LOCAL' ? 'high' : 
-                                      zoomCategory === 'REGIONAL' ? 'medium' : 'low';
-                    
-                    // Fetch wildfire data with appropriate resolution
-                    fetch('/api/weather/wildfire', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({ 
-                            days: 1,
-                            resolution: resolution
-                        })
-                    })
-                        .then(response => response.json())
-                        .then(data => {
-                            this.weatherData.wildfires = data;
-                            this.createWildfireLayer(data, zoomCategory);
-                            console.log('Wildfire layer created with real-time data');
-                        })
-                        .catch(error => {
-                            console.error('Failed to fetch wildfire data:', error);
-                            // Create layer with sample data if API fails
-                            this.createWildfireLayer([], zoomCategory);
-                        });
-                } catch (e) {
-                    console.error('Error creating wildfire layer:', e);
-                    I.error('Error loading wildfire data');
-                }
+                this.loadWildfires(zoomCategory);
                 break;
                 
             case 'disaster':
@@ -805,7 +817,7 @@ class WeatherInterface extends I {
             map.addSource(sourceId, {
                 type: 'raster',
                 tiles: [
-                    'https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                    this.tileUrl('temperature', 'GLOBAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -845,7 +857,7 @@ class WeatherInterface extends I {
                 type: 'raster',
                 tiles: [
                     // Use a different endpoint for regional view with higher detail
-                    'https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                    this.tileUrl('temperature', 'REGIONAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -887,7 +899,7 @@ class WeatherInterface extends I {
                     type: 'raster',
                     tiles: [
                         // Use the best available resolution for local view
-                        'https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true&opacity=0.9'
+                        this.tileUrl('temperature', 'LOCAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -898,7 +910,7 @@ class WeatherInterface extends I {
                 map.addSource(sourceId, {
                     type: 'raster',
                     tiles: [
-                        'https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                        this.tileUrl('temperature', 'GLOBAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -1385,6 +1397,51 @@ class WeatherInterface extends I {
         
         // Update time display
         this.updateTimeDisplay(this.timeSliderValue);
+        
+        // Redraw active forecast layers at the new step
+        this.forecastLayerIds.forEach(layerId => {
+            if (this.activeWeatherLayers[layerId] && this.weatherLayers[layerId]) {
+                this.renderForecastLayer(layerId, this.timeSliderValue);
+            }
+        });
+        
+        if (this.isPlaying) {
+            this.preloadForecastFrames(this.timeSliderValue);
+        }
+    }
+
+    /**
+     * Active layers and timeline position, stored with shared links
+     * @returns {Object} - {layers, timeline: {step, time}}
+     */
+    static getShareState() {
+        return {
+            // city labels follow the temperature layer
+            layers: Object.keys(this.activeWeatherLayers).filter(layerId => this.activeWeatherLayers[layerId] && layerId !== 'cities'),
+            timeline: {
+                step: this.timeSliderValue,
+                time: this.forecastGrid?.steps[this.timeSliderValue] || null
+            }
+        };
+    }
+
+    /**
+     * Turn on the layers of a shared link and move the timeline to its forecast time
+     * @param {Object} state - {layers, timeline: {step, time}}
+     */
+    static applyShareState(state) {
+        const timeline = state.timeline || {};
+        // Steps are 3 hours apart from now, so a link opened later keeps the forecast time it was shared at
+        let step = parseInt(timeline.step) || 0;
+        if (timeline.time) step = Math.max(Math.round((timeline.time - Date.now()) / (3 * 3600000)), 0);
+        this.timeSliderValue = step;
+        const timeSlider = document.getElementById('timeSlider');
+        if (timeSlider) timeSlider.value = step;
+        this.updateTimeDisplay(step);
+
+        (state.layers || []).forEach(layerId => {
+            if (!this.activeWeatherLayers[layerId] && document.getElementById(`toggle_${layerId}`)) this.toggleLayer(layerId);
+        });
     }
 
     /**
@@ -1395,11 +1452,16 @@ class WeatherInterface extends I {
         const timeDisplay = document.getElementById('timeDisplay');
         if (!timeDisplay) return;
         
-        if (timeIndex === 0) {
-            timeDisplay.innerHTML = 'Now';
-        } else {
-            timeDisplay.innerHTML = `+${timeIndex * 3}h`;
+        const timestamp = this.forecastGrid?.steps[timeIndex];
+        if (!timestamp) {
+            timeDisplay.innerHTML = timeIndex === 0 ? 'Now' : `+${timeIndex * 3}h`;
+            timeDisplay.title = '';
+            return;
         }
+        
+        const hours = Math.max(Math.round((timestamp - Date.now()) / 3600000), 0);
+        timeDisplay.innerHTML = timeIndex === 0 ? 'Now' : `+${hours}h`;
+        timeDisplay.title = H.casDateTime(timestamp / 1000);
     }
 
     /**
@@ -1418,17 +1480,323 @@ class WeatherInterface extends I {
             // Start playback
             this.isPlaying = true;
             playBtn.innerHTML = '<i class="fa-solid fa-pause"></i>';
+            this.preloadForecastFrames(this.timeSliderValue);
             
             this.playInterval = setInterval(() => {
-                let nextValue = (this.timeSliderValue + 1) % 5;
+                const stepCount = this.forecastGrid?.steps.length || 5;
+                let nextValue = (this.timeSliderValue + 1) % stepCount;
                 const timeSlider = document.getElementById('timeSlider');
                 if (timeSlider) {
                     timeSlider.value = nextValue;
                     this.updateTimelinePosition(nextValue);
                 }
-            }, 2000);
+            }, 1000);
+        }
+    }
+
+    /**
+     * Load the forecast grid for the visible area, reusing the current one while it still covers the view
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     * @returns {Promise<Object>} - Forecast grid (steps and per-point forecasts)
+     */
+    static loadForecastGrid(zoomCategory) {
+        const bounds = this.getViewportBounds();
+        
+        if (this.forecastGrid && this.forecastGrid.zoomCategory === zoomCategory && this.forecastGridCovers(bounds)) {
+            return Promise.resolve(this.forecastGrid);
+        }
+        
+        const requestKey = `${zoomCategory}_${Object.values(bounds).map(value => value.toFixed(2)).join('_')}`;
+        if (this.forecastGridRequest?.key === requestKey) {
+            return this.forecastGridRequest.promise;
+        }
+        
+        const promise = fetch('/api/weather/forecast/grid', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ bounds, zoomCategory })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.steps) throw new Error(data.error || 'No forecast grid data');
+                
+                this.forecastGrid = { ...data, zoomCategory };
+                this.forecastFrames = {};
+                this.weatherData.forecast = this.forecastGrid;
+                this.updateTimelineRange();
+                return this.forecastGrid;
+            })
+            .finally(() => {
+                if (this.forecastGridRequest?.key === requestKey) this.forecastGridRequest = null;
+            });
+        
+        this.forecastGridRequest = { key: requestKey, promise };
+        return promise;
+    }
+    
+    /**
+     * Check whether the loaded forecast grid still covers most of the given bounds
+     * @param {Object} bounds - Viewport bounds ({north, south, east, west})
+     * @returns {boolean}
+     */
+    static forecastGridCovers(bounds) {
+        const grid = this.forecastGrid.bounds;
+        const margin = {
+            lat: this.forecastGrid.cellSize.lat / 2,
+            lon: this.forecastGrid.cellSize.lon / 2
+        };
+        
+        // longitudes are measured eastwards from the grid's west edge, as either box may cross the antimeridian
+        const width = box => box.east > box.west ? box.east - box.west : box.east - box.west + 360;
+        const offset = ((bounds.west - grid.west + margin.lon) % 360 + 360) % 360;
+        
+        return Math.min(bounds.north, 85) <= grid.north + margin.lat &&
+            Math.max(bounds.south, -85) >= grid.south - margin.lat &&
+            offset + width(bounds) <= width(grid) + 2 * margin.lon;
+    }
+    
+    /**
+     * Size the timeline slider to the loaded forecast steps
+     */
+    static updateTimelineRange() {
+        const stepCount = this.forecastGrid?.steps.length || 0;
+        if (stepCount === 0) return;
+        
+        this.timelineVisible = true;
+        if (this.timeSliderValue >= stepCount) this.timeSliderValue = 0;
+        
+        const timeSlider = document.getElementById('timeSlider');
+        if (timeSlider) {
+            timeSlider.max = stepCount - 1;
+            timeSlider.value = this.timeSliderValue;
+        }
+        this.updateTimeDisplay(this.timeSliderValue);
+    }
+    
+    /**
+     * Create a forecast layer for the visible area at the current timeline step
+     * @param {string} layerId - Forecast layer ID (forecastTemp, forecastPrecip, forecastWind)
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createForecastLayer(layerId, zoomCategory) {
+        console.log(`Creating ${layerId} layer for ${zoomCategory} view`);
+        
+        this.loadForecastGrid(zoomCategory)
+            .then(grid => {
+                // The layer may have been switched off while the grid was loading
+                if (!this.activeWeatherLayers[layerId]) return;
+                
+                // Already drawn from this grid
+                if (this.weatherLayers[layerId]?.grid === grid) return;
+                
+                this.removeLayerGroup(layerId);
+                this.renderForecastLayer(layerId, this.timeSliderValue);
+                console.log(`${layerId} layer created with ${this.forecastGrid.points.length} grid points`);
+            })
+            .catch(error => {
+                console.error(`Error creating ${layerId} layer:`, error);
+                I.error('Error loading forecast data');
+            });
+    }
+    
+    /**
+     * Reload active forecast layers when the view moves outside the loaded grid
+     */
+    static refreshForecastLayers() {
+        const activeLayers = this.forecastLayerIds.filter(layerId => this.activeWeatherLayers[layerId]);
+        if (activeLayers.length === 0) return;
+        
+        const zoomCategory = this.getZoomCategory(map.getZoom());
+        activeLayers.forEach(layerId => this.createForecastLayer(layerId, zoomCategory));
+    }
+    
+    /**
+     * Draw a forecast layer at a timeline step, creating its source and layers on first use
+     * @param {string} layerId - Forecast layer ID
+     * @param {number} step - Timeline step index
+     */
+    static renderForecastLayer(layerId, step) {
+        if (!this.forecastGrid) return;
+        
+        const sourceId = `${layerId}-source`;
+        const frame = this.getForecastFrame(layerId, step);
+        
+        if (map.getSource(sourceId)) {
+            map.getSource(sourceId).setData(frame);
+            return;
+        }
+        
+        map.addSource(sourceId, { type: 'geojson', data: frame });
+        const visibility = this.weatherLayers[layerId]?.visibility || 'visible';
+        const layers = [];
+        
+        if (layerId === 'forecastTemp') {
+            map.addLayer({
+                id: 'forecastTemp-fill',
+                type: 'circle',
+                source: sourceId,
+                layout: { visibility },
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': ['interpolate', ['linear'], ['zoom'], 0, 30, 6, 60, 10, 90],
+                    'circle-blur': 1,
+                    'circle-opacity': 0.5
+                }
+            });
+            layers.push('forecastTemp-fill');
+        } else if (layerId === 'forecastPrecip') {
+            map.addLayer({
+                id: 'forecastPrecip-fill',
+                type: 'circle',
+                source: sourceId,
+                layout: { visibility },
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': ['interpolate', ['linear'], ['get', 'precipitation'], 0, 20, 2, 40, 10, 70],
+                    'circle-blur': 0.8,
+                    // Probability of precipitation drives the opacity
+                    'circle-opacity': ['interpolate', ['linear'], ['get', 'pop'], 0, 0, 1, 0.7]
+                }
+            });
+            layers.push('forecastPrecip-fill');
+        } else if (layerId === 'forecastWind') {
+            map.addLayer({
+                id: 'forecastWind-arrows',
+                type: 'line',
+                source: sourceId,
+                layout: { visibility, 'line-cap': 'round' },
+                paint: {
+                    'line-color': ['get', 'color'],
+                    'line-width': 2.5
+                }
+            });
+            layers.push('forecastWind-arrows');
+        }
+        
+        map.addLayer({
+            id: `${layerId}-labels`,
+            type: 'symbol',
+            source: sourceId,
+            filter: ['!=', ['get', 'label'], ''],
+            layout: {
+                visibility,
+                'text-field': ['get', 'label'],
+                'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                'text-size': 12,
+                'text-allow-overlap': true,
+                'text-offset': layerId === 'forecastWind' ? [0, 1.2] : [0, 0]
+            },
+            paint: {
+                'text-color': '#FFFFFF',
+                'text-halo-color': 'rgba(0, 0, 0, 0.7)',
+                'text-halo-width': 1.5
+            }
+        });
+        layers.push(`${layerId}-labels`);
+        
+        // Track in our weatherLayers object
+        this.weatherLayers[layerId] = {
+            visibility,
+            type: 'forecast',
+            zoomCategory: this.forecastGrid.zoomCategory,
+            grid: this.forecastGrid,
+            layers,
+            sources: [sourceId]
+        };
+    }
+    
+    /**
+     * Get the GeoJSON frame of a forecast layer at a timeline step, building it on first use
+     * @param {string} layerId - Forecast layer ID
+     * @param {number} step - Timeline step index
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    static getForecastFrame(layerId, step) {
+        const key = `${layerId}_${step}_${this.temperatureUnit}`;
+        if (!this.forecastFrames[key]) {
+            this.forecastFrames[key] = this.buildForecastFrame(layerId, step);
+        }
+        return this.forecastFrames[key];
+    }
+    
+    /**
+     * Build frames for the next few steps of every active forecast layer so playback does not stall
+     * @param {number} step - Current timeline step index
+     * @param {number} count - Number of upcoming steps to build
+     */
+    static preloadForecastFrames(step, count = 3) {
+        const stepCount = this.forecastGrid?.steps.length || 0;
+        if (stepCount === 0) return;
+        
+        const layerIds = this.forecastLayerIds.filter(layerId => this.activeWeatherLayers[layerId]);
+        for (let i = 1; i <= count; i++) {
+            layerIds.forEach(layerId => this.getForecastFrame(layerId, (step + i) % stepCount));
         }
     }
+    
+    /**
+     * Build the GeoJSON for a forecast layer at a timeline step
+     * @param {string} layerId - Forecast layer ID
+     * @param {number} step - Timeline step index
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    static buildForecastFrame(layerId, step) {
+        const { points, cellSize } = this.forecastGrid;
+        const features = [];
+        
+        points.forEach(point => {
+            const forecast = point.forecast[step];
+            if (!forecast) return;
+            
+            if (layerId === 'forecastTemp') {
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        temperature: forecast.temperature,
+                        color: this.getTemperatureColor(forecast.temperature),
+                        label: this.formatTemperature(forecast.temperature)
+                    },
+                    geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                });
+            } else if (layerId === 'forecastPrecip') {
+                const precipitation = forecast.precipitation || 0;
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        precipitation,
+                        pop: forecast.pop || 0,
+                        color: precipitation >= 5 ? '#1A3E9E' : precipitation >= 1 ? '#2E7BCF' : '#7FB8F0',
+                        label: precipitation > 0 ? `${precipitation.toFixed(1)} mm` : ''
+                    },
+                    geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                });
+            } else if (layerId === 'forecastWind') {
+                // Wind direction is where the wind blows from; the arrow points downwind
+                const bearing = ((forecast.wind_direction || 0) + 180) * Math.PI / 180;
+                const length = Math.min(0.2 + forecast.wind_speed / 20, 1) * Math.min(cellSize.lat, cellSize.lon) * 0.4;
+                const tip = [point.lon + Math.sin(bearing) * length, point.lat + Math.cos(bearing) * length];
+                const tail = [point.lon - Math.sin(bearing) * length, point.lat - Math.cos(bearing) * length];
+                const head = (offset) => [
+                    tip[0] - Math.sin(bearing + offset) * length * 0.4,
+                    tip[1] - Math.cos(bearing + offset) * length * 0.4
+                ];
+                
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        wind_speed: forecast.wind_speed,
+                        color: forecast.wind_speed >= 17 ? '#FF6060' : forecast.wind_speed >= 8 ? '#FFC140' : '#FFFFFF',
+                        label: this.formatWindSpeed(forecast.wind_speed)
+                    },
+                    geometry: { type: 'MultiLineString', coordinates: [[tail, tip], [head(0.5), tip, head(-0.5)]] }
+                });
+            }
+        });
+        
+        return { type: 'FeatureCollection', features };
+    }
 
     /**
      * Create precipitation layer with improved visualization
@@ -1499,7 +1867,7 @@ class WeatherInterface extends I {
             map.addSource(sourceId, {
                 type: 'raster',
                 tiles: [
-                    'https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                    this.tileUrl('precipitation', 'GLOBAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -1536,7 +1904,7 @@ class WeatherInterface extends I {
                 type: 'raster',
                 tiles: [
                     // Alternative endpoint for regional view
-                    'https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                    this.tileUrl('precipitation', 'REGIONAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -1574,7 +1942,7 @@ class WeatherInterface extends I {
                     type: 'raster',
                     tiles: [
                         // Use the best available resolution for local view
-                        'https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true&opacity=0.9'
+                        this.tileUrl('precipitation', 'LOCAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -1585,7 +1953,7 @@ class WeatherInterface extends I {
                 map.addSource(sourceId, {
                     type: 'raster',
                     tiles: [
-                        'https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                        this.tileUrl('precipitation', 'GLOBAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -1676,7 +2044,7 @@ class WeatherInterface extends I {
                 map.addSource('precipitation-tiles', {
                     type: 'raster',
                     tiles: [
-                        'https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                        this.tileUrl('precipitation', 'GLOBAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -1739,7 +2107,7 @@ class WeatherInterface extends I {
                     map.addSource('wind-tiles', {
                         type: 'raster',
                         tiles: [
-                            'https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                            this.tileUrl('wind', 'GLOBAL')
                         ],
                         tileSize: 256,
                         attribution: '© OpenWeatherMap'
@@ -1752,7 +2120,7 @@ class WeatherInterface extends I {
                         map.addSource('wind-tiles', {
                             type: 'raster',
                             tiles: [
-                                'https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                                this.tileUrl('wind', 'REGIONAL')
                             ],
                             tileSize: 256,
                             attribution: '© OpenWeatherMap'
@@ -1809,7 +2177,7 @@ class WeatherInterface extends I {
                     map.addSource('cloud-tiles', {
                         type: 'raster',
                         tiles: [
-                            'https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                            this.tileUrl('cloud', 'GLOBAL')
                         ],
                         tileSize: 256,
                         attribution: '© OpenWeatherMap'
@@ -1822,7 +2190,7 @@ class WeatherInterface extends I {
                         map.addSource('cloud-tiles', {
                             type: 'raster',
                             tiles: [
-                                'https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                                this.tileUrl('cloud', 'REGIONAL')
                             ],
                             tileSize: 256,
                             attribution: '© OpenWeatherMap'
@@ -1861,119 +2229,1187 @@ class WeatherInterface extends I {
     }
     
     /**
-     * Convert Celsius to Fahrenheit
-     * @param {number} celsius - Temperature in Celsius
-     * @returns {number} - Temperature in Fahrenheit
+     * Remove every map layer, source, marker and click handler of a layer group
+     * @param {string} layerId - Layer group ID (e.g. hurricane)
      */
-    static celsiusToFahrenheit(celsius) {
-        return Math.round((celsius * 9/5) + 32);
+    static removeLayerGroup(layerId) {
+        const group = this.weatherLayers[layerId];
+        if (!group) return;
+        
+        group.handlers?.forEach(handler => map.off(handler.type, handler.layer, handler.fn));
+        group.layers?.forEach(id => {
+            if (map.getLayer(id)) map.removeLayer(id);
+        });
+        group.sources?.forEach(id => {
+            if (map.getSource(id)) map.removeSource(id);
+        });
+        group.markers?.forEach(marker => marker.remove());
+        
+        delete this.weatherLayers[layerId];
     }
     
     /**
-     * Get formatted temperature string
-     * @param {number} celsius - Temperature in Celsius
-     * @returns {string} - Formatted temperature string in Fahrenheit
+     * Register a click handler on a map layer and remember it for cleanup
+     * @param {Array} handlers - Handler list of the layer group
+     * @param {string} layer - Map layer ID
+     * @param {Function} fn - Click handler
      */
-    static getFormattedTemperature(celsius) {
-        const fahrenheit = this.celsiusToFahrenheit(celsius);
-        return `${fahrenheit}`; // Removed °F to match zoom.earth style
+    static addLayerClickHandler(handlers, layer, fn) {
+        map.on('click', layer, fn);
+        map.on('mouseenter', layer, this.setPointerCursor);
+        map.on('mouseleave', layer, this.resetCursor);
+        handlers.push(
+            { type: 'click', layer, fn },
+            { type: 'mouseenter', layer, fn: this.setPointerCursor },
+            { type: 'mouseleave', layer, fn: this.resetCursor }
+        );
+    }
+    
+    static setPointerCursor() {
+        map.getCanvas().style.cursor = 'pointer';
+    }
+    
+    static resetCursor() {
+        map.getCanvas().style.cursor = '';
     }
     
     /**
-     * Initialize city labels on the map
+     * Get the Saffir-Simpson category for a storm
+     * @param {number} windKnots - Maximum sustained wind in knots (as reported by NHC)
+     * @param {string|number} category - Category or classification reported with the data, if any
+     * @returns {Object} - Category label and color
      */
-    static initCityLabels() {
-        // Major world cities with coordinates and population thresholds
-        // This is a simplified dataset of major world cities
-        const majorCities = [
-            { name: "New York", coordinates: [-74.0060, 40.7128], population: 8419000, country: "USA", temp: 77 },
-            { name: "Los Angeles", coordinates: [-118.2437, 34.0522], population: 3980000, country: "USA", temp: 85 },
-            { name: "Chicago", coordinates: [-87.6298, 41.8781], population: 2694000, country: "USA", temp: 68 },
-            { name: "Houston", coordinates: [-95.3698, 29.7604], population: 2320000, country: "USA", temp: 95 },
-            { name: "London", coordinates: [-0.1278, 51.5074], population: 8982000, country: "UK", temp: 59 },
-            { name: "Tokyo", coordinates: [139.6917, 35.6895], population: 13960000, country: "Japan", temp: 72 },
-            { name: "Delhi", coordinates: [77.1025, 28.7041], population: 16787000, country: "India", temp: 98 },
-            { name: "Shanghai", coordinates: [121.4737, 31.2304], population: 27058000, country: "China", temp: 77 },
-            { name: "São Paulo", coordinates: [-46.6333, -23.5505], population: 22043000, country: "Brazil", temp: 72 },
-            { name: "Mexico City", coordinates: [-99.1332, 19.4326], population: 9209944, country: "Mexico", temp: 75 },
-            { name: "Cairo", coordinates: [31.2357, 30.0444], population: 20484965, country: "Egypt", temp: 97 },
-            { name: "Beijing", coordinates: [116.4074, 39.9042], population: 21540000, country: "China", temp: 75 },
-            { name: "Mumbai", coordinates: [72.8777, 19.0760], population: 20411274, country: "India", temp: 87 },
-            { name: "Moscow", coordinates: [37.6173, 55.7558], population: 12537954, country: "Russia", temp: 51 },
-            { name: "Paris", coordinates: [2.3522, 48.8566], population: 11017000, country: "France", temp: 63 },
-            { name: "Sydney", coordinates: [151.2093, -33.8688], population: 5312000, country: "Australia", temp: 61 },
-            { name: "Berlin", coordinates: [13.4050, 52.5200], population: 3748000, country: "Germany", temp: 61 },
-            { name: "Madrid", coordinates: [-3.7038, 40.4168], population: 6642000, country: "Spain", temp: 78 },
-            { name: "Johannesburg", coordinates: [28.0473, -26.2041], population: 5782747, country: "South Africa", temp: 66 },
-            { name: "Toronto", coordinates: [-79.3832, 43.6532], population: 6255000, country: "Canada", temp: 63 },
-            { name: "Singapore", coordinates: [103.8198, 1.3521], population: 5850000, country: "Singapore", temp: 90 },
-            { name: "Bangkok", coordinates: [100.5018, 13.7563], population: 10539000, country: "Thailand", temp: 91 },
-            { name: "Jakarta", coordinates: [106.8456, -6.2088], population: 10562000, country: "Indonesia", temp: 87 },
-            { name: "Lima", coordinates: [-77.0428, -12.0464], population: 10750000, country: "Peru", temp: 68 },
-            { name: "Istanbul", coordinates: [28.9784, 41.0082], population: 15460000, country: "Turkey", temp: 79 },
-            { name: "Seoul", coordinates: [126.9780, 37.5665], population: 9776000, country: "South Korea", temp: 73 },
-            { name: "Ho Chi Minh City", coordinates: [106.6297, 10.8231], population: 8993000, country: "Vietnam", temp: 89 },
-            { name: "Lagos", coordinates: [3.3792, 6.5244], population: 21000000, country: "Nigeria", temp: 83 },
-            { name: "Dhaka", coordinates: [90.4125, 23.8103], population: 21006000, country: "Bangladesh", temp: 92 },
-            { name: "Karachi", coordinates: [67.0099, 24.8607], population: 16093000, country: "Pakistan", temp: 91 }
+    static getHurricaneCategory(windKnots, category) {
+        const categories = {
+            TD: { label: 'Tropical Depression', color: '#5EBAFF' },
+            TS: { label: 'Tropical Storm', color: '#00FAF4' },
+            1: { label: 'Category 1', color: '#FFFFCC' },
+            2: { label: 'Category 2', color: '#FFE775' },
+            3: { label: 'Category 3', color: '#FFC140' },
+            4: { label: 'Category 4', color: '#FF8F20' },
+            5: { label: 'Category 5', color: '#FF6060' }
+        };
+        
+        if (categories[category] && typeof windKnots !== 'number') return categories[category];
+        if (typeof windKnots !== 'number') return { label: category || 'Unknown', color: '#CCCCCC' };
+        
+        if (windKnots >= 137) return categories[5];
+        if (windKnots >= 113) return categories[4];
+        if (windKnots >= 96) return categories[3];
+        if (windKnots >= 83) return categories[2];
+        if (windKnots >= 64) return categories[1];
+        if (windKnots >= 34) return categories.TS;
+        return categories.TD;
+    }
+    
+    /**
+     * Get a point at a distance and bearing from a start point (spherical earth)
+     * @param {number} lat - Start latitude
+     * @param {number} lon - Start longitude
+     * @param {number} bearing - Bearing in degrees
+     * @param {number} distanceKm - Distance in km
+     * @returns {Array} - [lon, lat]
+     */
+    static destinationPoint(lat, lon, bearing, distanceKm) {
+        const radius = 6371;
+        const toRad = Math.PI / 180;
+        const angular = distanceKm / radius;
+        const lat1 = lat * toRad;
+        const lon1 = lon * toRad;
+        const brng = bearing * toRad;
+        
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(brng));
+        const lon2 = lon1 + Math.atan2(
+            Math.sin(brng) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        
+        return [lon2 / toRad, lat2 / toRad];
+    }
+    
+    /**
+     * Get the initial bearing between two points
+     * @returns {number} - Bearing in degrees
+     */
+    static getBearing(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const y = Math.sin((lon2 - lon1) * toRad) * Math.cos(lat2 * toRad);
+        const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+            Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+        return Math.atan2(y, x) / toRad;
+    }
+    
+    /**
+     * Build a forecast cone polygon around a storm's forecast track.
+     * Radii follow the NHC cone of uncertainty (2/3 probability circles) by forecast hour.
+     * @param {Array} trackPoints - Current position followed by forecast points ({lat, lon, timestamp})
+     * @returns {Object|null} - GeoJSON Polygon geometry
+     */
+    static buildForecastCone(trackPoints) {
+        if (trackPoints.length < 2) return null;
+        
+        // [forecast hour, radius in nautical miles]
+        const coneRadii = [[0, 10], [12, 26], [24, 39], [36, 53], [48, 67], [60, 81], [72, 99], [96, 145], [120, 205]];
+        const radiusAt = (hours) => {
+            for (let i = 1; i < coneRadii.length; i++) {
+                if (hours <= coneRadii[i][0]) {
+                    const [h0, r0] = coneRadii[i - 1];
+                    const [h1, r1] = coneRadii[i];
+                    return (r0 + (r1 - r0) * (hours - h0) / (h1 - h0)) * 1.852;
+                }
+            }
+            return coneRadii[coneRadii.length - 1][1] * 1.852;
+        };
+        
+        const start = trackPoints[0].timestamp || Date.now();
+        const left = [];
+        const right = [];
+        const bearings = [];
+        
+        trackPoints.forEach((point, i) => {
+            const prev = trackPoints[Math.max(i - 1, 0)];
+            const next = trackPoints[Math.min(i + 1, trackPoints.length - 1)];
+            const bearing = this.getBearing(prev.lat, prev.lon, next.lat, next.lon);
+            const hours = point.timestamp ? Math.max((point.timestamp - start) / 3600000, 0) : i * 12;
+            const radius = radiusAt(hours);
+            
+            bearings.push({ bearing, radius });
+            left.push(this.destinationPoint(point.lat, point.lon, bearing - 90, radius));
+            right.push(this.destinationPoint(point.lat, point.lon, bearing + 90, radius));
+        });
+        
+        // Round caps at both ends of the cone
+        const cap = (point, bearing, radius, from, to) => {
+            const points = [];
+            for (let angle = from; angle <= to; angle += 15) {
+                points.push(this.destinationPoint(point.lat, point.lon, bearing + angle, radius));
+            }
+            return points;
+        };
+        const first = trackPoints[0];
+        const last = trackPoints[trackPoints.length - 1];
+        const lastBearing = bearings[bearings.length - 1];
+        
+        const ring = [
+            ...left,
+            ...cap(last, lastBearing.bearing, lastBearing.radius, -90, 90),
+            ...right.reverse(),
+            ...cap(first, bearings[0].bearing, bearings[0].radius, 90, 270)
         ];
-
+        ring.push(ring[0]);
+        
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+    
+    /**
+     * Create hurricane layer with past tracks, forecast tracks and forecast cones
+     * @param {Array} data - Normalized hurricane data from weatherService
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createHurricaneLayer(data, zoomCategory) {
+        console.log(`Creating hurricane layer for ${zoomCategory} view`);
+        
         try {
-            console.log('Initializing city labels');
-            
-            // Remove any existing temperature disclaimer
-            const existingDisclaimer = document.getElementById('temperatureDisclaimer');
-            if (existingDisclaimer) {
-                existingDisclaimer.remove();
-            }
-            
-            // First, clean up all existing temperature and city layers to avoid duplicates
-            // Remove any existing temperature-location layers
-            if (this.weatherLayers['temperature-location'] && this.weatherLayers['temperature-location'].layers) {
-                this.weatherLayers['temperature-location'].layers.forEach(layerId => {
-                    if (map.getLayer(layerId)) {
-                        map.removeLayer(layerId);
-                    }
-                });
+            // Clean up any existing hurricane layers to avoid duplicates
+            this.removeLayerGroup('hurricane');
+            
+            const storms = Array.isArray(data) ? data : [];
+            const isValid = point => point && typeof point.lat === 'number' && typeof point.lon === 'number';
+            const coneFeatures = [];
+            const trackFeatures = [];
+            const pointFeatures = [];
+            
+            storms.forEach(storm => {
+                const past = (storm.path || []).filter(isValid);
+                const forecast = (storm.forecast || []).filter(isValid);
+                const current = isValid(storm.location) ? { ...storm.location, timestamp: storm.updated || Date.now() } : past[past.length - 1];
+                const stormCategory = this.getHurricaneCategory(storm.wind_speed, storm.category);
                 
-                if (map.getSource('temperature-location-source')) {
-                    map.removeSource('temperature-location-source');
+                if (past.length > 1) {
+                    trackFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'past' },
+                        geometry: { type: 'LineString', coordinates: past.map(point => [point.lon, point.lat]) }
+                    });
                 }
-            }
-            
-            // Remove any existing city label layers
-            const cityLayers = ['city-labels', 'city-points', 'city-temp-labels', 'city-name-labels'];
-            cityLayers.forEach(layer => {
-                if (map.getLayer(layer)) {
-                    map.removeLayer(layer);
+                
+                if (current && forecast.length > 0) {
+                    const forecastTrack = [current, ...forecast];
+                    trackFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'forecast' },
+                        geometry: { type: 'LineString', coordinates: forecastTrack.map(point => [point.lon, point.lat]) }
+                    });
+                    
+                    // NHC publishes the cone with each advisory; it is only approximated when missing
+                    const cone = storm.cone || this.buildForecastCone(forecastTrack);
+                    if (cone) {
+                        coneFeatures.push({ type: 'Feature', properties: { name: storm.name }, geometry: cone });
+                    }
                 }
-            });
+                
+                past.forEach(point => {
+                    const category = this.getHurricaneCategory(point.wind_speed, point.category);
+                    pointFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'past', color: category.color, category: category.label, wind_speed: point.wind_speed, timestamp: point.timestamp },
+                        geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                    });
+                });
+                
+                forecast.forEach(point => {
+                    const category = this.getHurricaneCategory(point.wind_speed, point.category);
+                    pointFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'forecast', color: category.color, category: category.label, wind_speed: point.wind_speed, timestamp: point.timestamp },
+                        geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                    });
+                });
+                
+                if (current) {
+                    pointFeatures.push({
+                        type: 'Feature',
+                        properties: {
+                            name: storm.name,
+                            kind: 'current',
+                            color: stormCategory.color,
+                            category: stormCategory.label,
+                            wind_speed: storm.wind_speed,
+                            pressure: storm.pressure,
+                            movement: storm.movement ? `${storm.movement.direction} at ${storm.movement.speed}` : ''
+                        },
+                        geometry: { type: 'Point', coordinates: [current.lon, current.lat] }
+                    });
+                }
+            });
             
-            // Remove city source if it exists
-            if (map.getSource('city-labels-source')) {
-                map.removeSource('city-labels-source');
-            }
+            map.addSource('hurricane-cone-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: coneFeatures }
+            });
+            map.addSource('hurricane-track-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: trackFeatures }
+            });
+            map.addSource('hurricane-points-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: pointFeatures }
+            });
+            
+            map.addLayer({
+                id: 'hurricane-cone-fill',
+                type: 'fill',
+                source: 'hurricane-cone-source',
+                paint: {
+                    'fill-color': '#FFFFFF',
+                    'fill-opacity': 0.2
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-cone-outline',
+                type: 'line',
+                source: 'hurricane-cone-source',
+                paint: {
+                    'line-color': '#FFFFFF',
+                    'line-width': 1,
+                    'line-opacity': 0.7
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-track-past',
+                type: 'line',
+                source: 'hurricane-track-source',
+                filter: ['==', ['get', 'kind'], 'past'],
+                paint: {
+                    'line-color': '#FFFFFF',
+                    'line-width': 2
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-track-forecast',
+                type: 'line',
+                source: 'hurricane-track-source',
+                filter: ['==', ['get', 'kind'], 'forecast'],
+                paint: {
+                    'line-color': '#FFFFFF',
+                    'line-width': 2,
+                    'line-dasharray': [2, 2]
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-points',
+                type: 'circle',
+                source: 'hurricane-points-source',
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': [
+                        'match', ['get', 'kind'],
+                        'current', 9,
+                        'forecast', 5,
+                        3
+                    ],
+                    'circle-stroke-width': ['match', ['get', 'kind'], 'current', 2, 1],
+                    'circle-stroke-color': '#333333'
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-labels',
+                type: 'symbol',
+                source: 'hurricane-points-source',
+                filter: ['==', ['get', 'kind'], 'current'],
+                layout: {
+                    'text-field': ['get', 'name'],
+                    'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                    'text-size': 13,
+                    'text-offset': [0, 1.5],
+                    'text-anchor': 'top'
+                },
+                paint: {
+                    'text-color': '#FFFFFF',
+                    'text-halo-color': 'rgba(0, 0, 0, 0.8)',
+                    'text-halo-width': 1.5
+                }
+            });
+            
+            const handlers = [];
+            this.addLayerClickHandler(handlers, 'hurricane-points', (e) => {
+                const props = e.features[0].properties;
+                let html = `<div class="pointName">${T.html(props.name)}</div><div class="pointAddress">${T.html(props.category)}</div>`;
+                if (props.wind_speed) html += `<div class="pointLatLong">Wind: ${T.html(props.wind_speed)} kt</div>`;
+                if (props.pressure) html += `<div class="pointLatLong">Pressure: ${T.html(props.pressure)} mb</div>`;
+                if (props.movement) html += `<div class="pointLatLong">Moving: ${T.html(props.movement)}</div>`;
+                if (props.timestamp && props.kind !== 'current') {
+                    html += `<div class="pointLatLong">${props.kind === 'forecast' ? 'Forecast' : 'Observed'}: ${H.casDateTime(props.timestamp / 1000)}</div>`;
+                }
+                new mapboxgl.Popup().setLngLat(e.features[0].geometry.coordinates).setHTML(html).addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['hurricane'] = {
+                visibility: 'visible',
+                type: 'hurricane',
+                zoomCategory: zoomCategory,
+                layers: ['hurricane-cone-fill', 'hurricane-cone-outline', 'hurricane-track-past', 'hurricane-track-forecast', 'hurricane-points', 'hurricane-labels'],
+                sources: ['hurricane-cone-source', 'hurricane-track-source', 'hurricane-points-source'],
+                handlers
+            };
             
-            // Create a single GeoJSON source for city data
-            const features = majorCities.map(city => ({
+            if (storms.length === 0) I.info('No active hurricanes right now');
+            console.log(`Hurricane layer created with ${storms.length} storms`);
+        } catch (e) {
+            console.error('Error creating hurricane layer:', e);
+            I.error('Error loading hurricane layer');
+        }
+    }
+    
+    /**
+     * Fetch the fire hotspots in view, merged across sensors, and draw them
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static loadWildfires(zoomCategory) {
+        const requestId = ++this.wildfireRequestId;
+        
+        fetch('/api/weather/wildfire', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                bbox: this.getViewportBounds(),
+                sensors: this.wildfireSensors,
+                days: 1
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error(data.error || 'No wildfire data');
+                
+                // Ignore responses for a viewport we have already moved away from
+                if (requestId !== this.wildfireRequestId || !this.activeWeatherLayers['wildfire']) return;
+                
+                this.weatherData.wildfires = data;
+                // Once drawn, the layer keeps its sources and only swaps their data
+                if (map.getSource('wildfire-heat-source')) {
+                    const collection = this.getWildfireCollection(data);
+                    map.getSource('wildfire-heat-source').setData(collection);
+                    map.getSource('wildfire-cluster-source').setData(collection);
+                } else {
+                    this.createWildfireLayer(data, zoomCategory);
+                }
+            })
+            .catch(error => {
+                console.error('Failed to fetch wildfire data:', error);
+                if (!map.getSource('wildfire-heat-source')) this.createWildfireLayer([], zoomCategory);
+            });
+    }
+    
+    /**
+     * Turn hotspots into map features
+     * @param {Array} data - Normalized wildfire data from weatherService
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    static getWildfireCollection(data) {
+        const sensorNames = { MODIS: 'MODIS', VIIRS_SNPP: 'VIIRS S-NPP', VIIRS_NOAA20: 'VIIRS NOAA-20' };
+        const fires = Array.isArray(data) ? data : [];
+        const features = fires
+            .filter(fire => fire.location && !isNaN(fire.location.lat) && !isNaN(fire.location.lon))
+            .map(fire => ({
                 type: 'Feature',
                 properties: {
-                    name: city.name,
-                    population: city.population,
-                    country: city.country,
-                    temp: city.temp
+                    brightness: fire.brightness || 0,
+                    confidence: fire.confidence,
+                    date: fire.date,
+                    time: fire.time,
+                    sensors: (fire.sensors || []).map(sensor => sensorNames[sensor] || sensor).join(', ')
                 },
-                geometry: {
-                    type: 'Point',
-                    coordinates: city.coordinates
-                }
+                geometry: { type: 'Point', coordinates: [fire.location.lon, fire.location.lat] }
             }));
+        return { type: 'FeatureCollection', features };
+    }
+    
+    /**
+     * Create wildfire layer: a hotspot heatmap when zoomed out that becomes clustered points as you zoom in
+     * @param {Array} data - Normalized wildfire data from weatherService
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createWildfireLayer(data, zoomCategory) {
+        console.log(`Creating wildfire layer for ${zoomCategory} view`);
+        
+        try {
+            // Clean up any existing wildfire layers to avoid duplicates
+            this.removeLayerGroup('wildfire');
+            
+            const collection = this.getWildfireCollection(data);
+            
+            // Heatmap and clusters need separate sources: clustering replaces points with cluster features
+            map.addSource('wildfire-heat-source', { type: 'geojson', data: collection });
+            map.addSource('wildfire-cluster-source', {
+                type: 'geojson',
+                data: collection,
+                cluster: true,
+                clusterMaxZoom: 12,
+                clusterRadius: 40
+            });
+            
+            map.addLayer({
+                id: 'wildfire-heatmap',
+                type: 'heatmap',
+                source: 'wildfire-heat-source',
+                maxzoom: 9,
+                paint: {
+                    // Brightness temperature (K): hotter fires weigh more
+                    'heatmap-weight': [
+                        'interpolate', ['linear'], ['get', 'brightness'],
+                        300, 0.2,
+                        400, 1
+                    ],
+                    'heatmap-intensity': [
+                        'interpolate', ['linear'], ['zoom'],
+                        0, 1,
+                        9, 3
+                    ],
+                    'heatmap-radius': [
+                        'interpolate', ['linear'], ['zoom'],
+                        0, 4,
+                        9, 20
+                    ],
+                    'heatmap-color': [
+                        'interpolate', ['linear'], ['heatmap-density'],
+                        0, 'rgba(255,255,0,0)',
+                        0.2, 'rgb(255,255,102)',
+                        0.5, 'rgb(255,170,0)',
+                        0.8, 'rgb(255,85,0)',
+                        1, 'rgb(204,0,0)'
+                    ],
+                    // Fade out as clustered points take over
+                    'heatmap-opacity': [
+                        'interpolate', ['linear'], ['zoom'],
+                        7, 0.9,
+                        9, 0
+                    ]
+                }
+            });
+            map.addLayer({
+                id: 'wildfire-clusters',
+                type: 'circle',
+                source: 'wildfire-cluster-source',
+                minzoom: 7,
+                filter: ['has', 'point_count'],
+                paint: {
+                    'circle-color': [
+                        'step', ['get', 'point_count'],
+                        '#FFAA00', 10,
+                        '#FF5500', 50,
+                        '#CC0000'
+                    ],
+                    'circle-radius': [
+                        'step', ['get', 'point_count'],
+                        14, 10,
+                        18, 50,
+                        24
+                    ],
+                    'circle-opacity': 0.85,
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#FFFFFF'
+                }
+            });
+            map.addLayer({
+                id: 'wildfire-cluster-count',
+                type: 'symbol',
+                source: 'wildfire-cluster-source',
+                minzoom: 7,
+                filter: ['has', 'point_count'],
+                layout: {
+                    'text-field': ['get', 'point_count_abbreviated'],
+                    'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                    'text-size': 12
+                },
+                paint: {
+                    'text-color': '#FFFFFF'
+                }
+            });
+            map.addLayer({
+                id: 'wildfire-points',
+                type: 'circle',
+                source: 'wildfire-cluster-source',
+                minzoom: 7,
+                filter: ['!', ['has', 'point_count']],
+                paint: {
+                    'circle-color': [
+                        'interpolate', ['linear'], ['get', 'brightness'],
+                        300, '#FFAA00',
+                        360, '#FF5500',
+                        400, '#CC0000'
+                    ],
+                    'circle-radius': 6,
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#FFFFFF'
+                }
+            });
+            
+            const handlers = [];
+            this.addLayerClickHandler(handlers, 'wildfire-clusters', (e) => {
+                const feature = e.features[0];
+                map.getSource('wildfire-cluster-source').getClusterExpansionZoom(feature.properties.cluster_id, (err, zoom) => {
+                    if (err) return;
+                    map.easeTo({ center: feature.geometry.coordinates, zoom });
+                });
+            });
+            this.addLayerClickHandler(handlers, 'wildfire-points', (e) => {
+                const props = e.features[0].properties;
+                const time = props.time ? `${String(props.time).padStart(4, '0').substring(0, 2)}:${String(props.time).padStart(4, '0').substring(2, 4)} UTC` : '';
+                new mapboxgl.Popup()
+                    .setLngLat(e.features[0].geometry.coordinates)
+                    .setHTML(`<div class="pointName"><i class="fa-solid fa-fire"></i> Fire Hotspot</div>
+                        <div class="pointAddress">Detected ${T.html(props.date)} ${T.html(time)}</div>
+                        <div class="pointLatLong">Brightness: ${T.html(props.brightness)} K</div>
+                        <div class="pointLatLong">Confidence: ${T.html(props.confidence || 'n/a')}</div>
+                        ${props.sensors ? `<div class="pointLatLong">Seen by: ${T.html(props.sensors)}</div>` : ''}`)
+                    .addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['wildfire'] = {
+                visibility: 'visible',
+                type: 'wildfire',
+                zoomCategory: zoomCategory,
+                layers: ['wildfire-heatmap', 'wildfire-clusters', 'wildfire-cluster-count', 'wildfire-points'],
+                sources: ['wildfire-heat-source', 'wildfire-cluster-source'],
+                handlers
+            };
+            
+            console.log(`Wildfire layer created with ${collection.features.length} hotspots`);
+        } catch (e) {
+            console.error('Error creating wildfire layer:', e);
+            I.error('Error loading wildfire layer');
+        }
+    }
+    
+    /**
+     * US EPA AQI categories and their colors
+     */
+    static airQualityCategories = [
+        { max: 50, label: 'Good', color: '#00E400', text: '#222222' },
+        { max: 100, label: 'Moderate', color: '#FFFF00', text: '#222222' },
+        { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#FF7E00', text: '#222222' },
+        { max: 200, label: 'Unhealthy', color: '#FF0000', text: '#FFFFFF' },
+        { max: 300, label: 'Very Unhealthy', color: '#8F3F97', text: '#FFFFFF' },
+        { max: Infinity, label: 'Hazardous', color: '#7E0023', text: '#FFFFFF' }
+    ];
+    
+    /**
+     * Get the AQI category of an index
+     * @param {number} aqi - US EPA AQI
+     * @returns {Object} - {label, color, text}
+     */
+    static getAirQualityCategory(aqi) {
+        return this.airQualityCategories.find(category => aqi <= category.max);
+    }
+    
+    /**
+     * Create the air quality layer: the AQI of the largest cities in view, colored by category
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createAirQualityLayer(zoomCategory) {
+        try {
+            this.removeLayerGroup('airQuality');
+            
+            // Cities are filled in from /api/weather/airquality/cities for the visible area
+            map.addSource('air-quality-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+            map.addLayer({
+                id: 'air-quality-points',
+                type: 'circle',
+                source: 'air-quality-source',
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': 13,
+                    'circle-opacity': 0.85,
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#333333'
+                }
+            });
+            map.addLayer({
+                id: 'air-quality-labels',
+                type: 'symbol',
+                source: 'air-quality-source',
+                layout: {
+                    'text-field': ['to-string', ['get', 'aqi']],
+                    'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                    'text-size': 12,
+                    'text-allow-overlap': true
+                },
+                paint: {
+                    'text-color': ['get', 'text']
+                }
+            });
+            
+            const handlers = [];
+            this.addLayerClickHandler(handlers, 'air-quality-points', (e) => {
+                const props = e.features[0].properties;
+                new mapboxgl.Popup()
+                    .setLngLat(e.features[0].geometry.coordinates)
+                    .setHTML(`<div class="pointName">${T.html(props.name)}</div>${this.getAirQualityHTML(JSON.parse(props.airQuality))}`)
+                    .addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['airQuality'] = {
+                visibility: 'visible',
+                type: 'airQuality',
+                zoomCategory: zoomCategory,
+                layers: ['air-quality-points', 'air-quality-labels'],
+                sources: ['air-quality-source'],
+                handlers
+            };
             
+            this.loadCityAirQuality();
+        } catch (e) {
+            console.error('Error creating air quality layer:', e);
+            I.error('Error loading air quality layer');
+        }
+    }
+    
+    /**
+     * Fetch the AQI of the largest cities in view and redraw the air quality layer
+     */
+    static loadCityAirQuality() {
+        if (!this.activeWeatherLayers['airQuality'] || !map.getSource('air-quality-source')) return;
+        
+        const requestId = ++this.cityAirQualityRequestId;
+        
+        fetch('/api/weather/airquality/cities', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                bounds: this.getViewportBounds(),
+                zoom: map.getZoom()
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error(data.error || 'No air quality data');
+                
+                // Ignore responses for a viewport we have already moved away from
+                if (requestId !== this.cityAirQualityRequestId || !map.getSource('air-quality-source')) return;
+                
+                map.getSource('air-quality-source').setData({
+                    type: 'FeatureCollection',
+                    features: data.map(city => {
+                        const category = this.getAirQualityCategory(city.aqi);
+                        return {
+                            type: 'Feature',
+                            properties: {
+                                name: city.name,
+                                aqi: city.aqi,
+                                color: category.color,
+                                text: category.text,
+                                airQuality: { aqi: city.aqi, category: city.category, dominant: city.dominant }
+                            },
+                            geometry: { type: 'Point', coordinates: [city.lon, city.lat] }
+                        };
+                    })
+                });
+            })
+            .catch(error => {
+                console.error('Failed to fetch city air quality:', error);
+            });
+    }
+    
+    /**
+     * Fetch the air quality at a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Function} callback - Called with the normalized air quality, or null when unavailable
+     */
+    static loadAirQuality(lat, lon, callback) {
+        fetch('/api/weather/airquality', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ latitude: lat, longitude: lon })
+        })
+            .then(response => response.json())
+            .then(data => callback(typeof data.aqi === 'number' ? data : null))
+            .catch(error => {
+                console.error('Failed to fetch air quality:', error);
+                callback(null);
+            });
+    }
+    
+    /**
+     * Build the AQI badge shown in popups
+     * @param {Object} airQuality - {aqi, category, dominant, pollutants}
+     * @returns {string} - Badge HTML
+     */
+    static getAirQualityHTML(airQuality) {
+        if (!airQuality || typeof airQuality.aqi !== 'number') return '';
+        const category = this.getAirQualityCategory(airQuality.aqi);
+        const dominant = (airQuality.pollutants || []).find(pollutant => pollutant.key === airQuality.dominant);
+        const pollutant = dominant ? dominant.name : (airQuality.dominant || '').toUpperCase().replace('_', '.');
+        
+        return `<div class="airQualitySummary">
+            <span class="airQualityBadge" style="background:${category.color};color:${category.text}">AQI ${airQuality.aqi}</span>
+            ${airQuality.category}${pollutant ? ` · ${pollutant}` : ''}
+        </div>`;
+    }
+    
+    /**
+     * Icons and colors for EONET event categories
+     */
+    static disasterCategories = {
+        'Wildfires': { icon: 'fa-fire', color: '#FF5722' },
+        'Severe Storms': { icon: 'fa-cloud-bolt', color: '#7E57C2' },
+        'Volcanoes': { icon: 'fa-volcano', color: '#D32F2F' },
+        'Sea and Lake Ice': { icon: 'fa-icicles', color: '#4FC3F7' },
+        'Earthquakes': { icon: 'fa-house-crack', color: '#8D6E63' },
+        'Floods': { icon: 'fa-house-flood-water', color: '#1E88E5' },
+        'Landslides': { icon: 'fa-hill-rockslide', color: '#795548' },
+        'Drought': { icon: 'fa-sun-plant-wilt', color: '#FBC02D' },
+        'Dust and Haze': { icon: 'fa-smog', color: '#A1887F' },
+        'Snow': { icon: 'fa-snowflake', color: '#64B5F6' },
+        'Temperature Extremes': { icon: 'fa-temperature-arrow-up', color: '#FF7043' },
+        'Manmade': { icon: 'fa-industry', color: '#607D8B' },
+        'Water Color': { icon: 'fa-water', color: '#26A69A' }
+    };
+    
+    /**
+     * Create natural disaster layer with an icon marker per EONET event
+     * @param {Array} data - Normalized disaster data from weatherService
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createDisasterLayer(data, zoomCategory) {
+        console.log(`Creating disaster layer for ${zoomCategory} view`);
+        
+        try {
+            // Clean up any existing disaster markers to avoid duplicates
+            this.removeLayerGroup('disaster');
+            
+            const events = (Array.isArray(data) ? data : []).filter(event => event.location);
+            const markers = events.map(event => {
+                const style = this.disasterCategories[event.category] || { icon: 'fa-triangle-exclamation', color: '#E83A3A' };
+                
+                const el = document.createElement('div');
+                el.className = 'disasterMarker';
+                el.style.background = style.color;
+                el.title = event.title;
+                el.innerHTML = `<i class="fa-solid ${style.icon}"></i>`;
+                
+                // EONET text is shown as text, and only web links are followed
+                const sources = (event.sources || [])
+                    .filter(source => typeof source.url === 'string' && /^https?:\/\//i.test(source.url))
+                    .map(source => `<a class="disasterSourceLink" href="${T.html(source.url)}" target="_blank" rel="noopener"><i class="fa-light fa-link"></i> ${T.html(source.id)}</a>`)
+                    .join(' ');
+                const popupHtml = `<div class="pointName">${T.html(event.title)}</div>
+                    <div class="pointAddress"><i class="fa-solid ${style.icon}" style="color:${style.color}"></i> ${T.html(event.category)}</div>
+                    ${event.timestamp ? `<div class="pointLatLong">${H.casDate(event.timestamp / 1000)}</div>` : ''}
+                    ${event.description ? `<div class="pointLatLong">${T.html(event.description)}</div>` : ''}
+                    ${sources ? `<div class="disasterSources">${sources}</div>` : ''}`;
+                
+                return new mapboxgl.Marker({ element: el })
+                    .setLngLat([event.location.lon, event.location.lat])
+                    .setPopup(new mapboxgl.Popup().setHTML(popupHtml))
+                    .addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['disaster'] = {
+                visibility: 'visible',
+                type: 'disaster',
+                zoomCategory: zoomCategory,
+                layers: [],
+                markers
+            };
+            
+            console.log(`Disaster layer created with ${markers.length} events`);
+        } catch (e) {
+            console.error('Error creating disaster layer:', e);
+            I.error('Error loading disaster layer');
+        }
+    }
+    
+    /**
+     * Convert Celsius to Fahrenheit
+     * @param {number} celsius - Temperature in Celsius
+     * @returns {number} - Temperature in Fahrenheit
+     */
+    static celsiusToFahrenheit(celsius) {
+        return Math.round((celsius * 9/5) + 32);
+    }
+    
+    /**
+     * Get formatted temperature string
+     * @param {number} celsius - Temperature in Celsius
+     * @returns {string} - Formatted temperature string in the user's unit
+     */
+    static getFormattedTemperature(celsius) {
+        if (this.temperatureUnit === 'C') return `${Math.round(celsius)}`;
+        const fahrenheit = this.celsiusToFahrenheit(celsius);
+        return `${fahrenheit}`; // Removed °F to match zoom.earth style
+    }
+
+    /**
+     * Detect the user's temperature unit from the unit cookie or browser locale
+     * @returns {string} - 'F' or 'C'
+     */
+    static detectTemperatureUnit() {
+        const match = document.cookie.match(/gv2_unit=([CF])/);
+        if (match) return match[1];
+        return ['en-US', 'en-LR', 'my-MM'].includes(navigator.language) ? 'F' : 'C';
+    }
+
+    /**
+     * Set and remember the user's temperature unit
+     * @param {string} unit - 'F' or 'C'
+     */
+    static setTemperatureUnit(unit) {
+        this.temperatureUnit = unit;
+        document.cookie = 'gv2_unit=' + unit + '; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
+        
+        // Redraw city and forecast labels in the new unit
+        if (this.cityWeather.length > 0) {
+            this.renderCityLabels();
+        }
+        if (this.forecastGrid) {
+            this.updateTimelinePosition(this.timeSliderValue);
+        }
+    }
+
+    /**
+     * Format a temperature with its unit
+     * @param {number} celsius - Temperature in Celsius
+     * @returns {string} - Temperature string such as "72°F"
+     */
+    static formatTemperature(celsius) {
+        if (celsius === null || celsius === undefined) return 'n/a';
+        return `${this.getFormattedTemperature(celsius)}°${this.temperatureUnit}`;
+    }
+
+    /**
+     * Format a wind speed in the unit system matching the temperature unit
+     * @param {number} metersPerSecond - Wind speed in m/s
+     * @returns {string} - Wind speed string in mph or km/h
+     */
+    static formatWindSpeed(metersPerSecond) {
+        if (metersPerSecond === null || metersPerSecond === undefined) return 'n/a';
+        if (this.temperatureUnit === 'F') return `${Math.round(metersPerSecond * 2.237)} mph`;
+        return `${Math.round(metersPerSecond * 3.6)} km/h`;
+    }
+
+    /**
+     * Get the image URL for a normalized weather icon code
+     * @param {string} icon - Icon code (e.g. 01d)
+     * @returns {string} - Icon URL
+     */
+    static getWeatherIconUrl(icon) {
+        return `https://openweathermap.org/img/wn/${icon}@2x.png`;
+    }
+
+    /**
+     * Build the weather summary shown in search cards and marker popups
+     * @param {Object} weatherData - Normalized current_weather data
+     * @returns {string} - Summary HTML
+     */
+    static getWeatherSummaryHTML(weatherData) {
+        const weather = weatherData?.weather;
+        if (!weather) return '';
+        
+        return `<div class="weatherSummary">
+            <img class="weatherSummaryIcon" src="${this.getWeatherIconUrl(weather.icon)}" alt="${weather.description}" title="${weather.description}">
+            <div class="weatherSummaryTemp">${this.formatTemperature(weather.temperature)}</div>
+            <div class="weatherSummaryDetails">
+                Feels like ${this.formatTemperature(weather.feels_like)}<br>
+                <i class="fa-solid fa-wind"></i> ${this.formatWindSpeed(weather.wind_speed)} · <i class="fa-solid fa-droplet"></i> ${weather.humidity}%
+            </div>
+        </div>`;
+    }
+
+    /**
+     * Add an expandable forecast strip, loaded from /api/weather/forecast on first open
+     * @param {HTMLElement} parent - Element to add the strip to
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    static createForecastStrip(parent, lat, lon) {
+        const toggle = E.div(parent, 'forecastStripToggle', '');
+        toggle.innerHTML = '<i class="fa-solid fa-calendar-days"></i> Forecast';
+        
+        const strip = E.div(parent, 'forecastStrip', '');
+        strip.style.display = 'none';
+        
+        toggle.onclick = (e) => {
+            // Don't trigger the card's pan/zoom
+            e.stopPropagation();
+            
+            if (strip.style.display === 'none') {
+                strip.style.display = 'flex';
+                if (!strip.dataset.loaded) this.loadForecastStrip(strip, lat, lon);
+            } else {
+                strip.style.display = 'none';
+            }
+        };
+    }
+
+    /**
+     * Fill a forecast strip with the next 24 hours of 3-hourly steps
+     * @param {HTMLElement} strip - Strip element
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    static loadForecastStrip(strip, lat, lon) {
+        strip.innerHTML = '<img class="forecastStripLoad" src="src/loading2.gif">';
+        
+        fetch('/api/weather/forecast', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ latitude: lat, longitude: lon })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.forecast) throw new Error(data.error || 'No forecast data');
+                
+                strip.dataset.loaded = 'true';
+                strip.innerHTML = '';
+                data.forecast.slice(0, 8).forEach(step => {
+                    const item = E.div(strip, 'forecastStripItem', '');
+                    item.innerHTML = `<div class="forecastStripTime">${H.casTime(step.timestamp / 1000)}</div>
+                        <img class="forecastStripIcon" src="${this.getWeatherIconUrl(step.weather.icon)}" alt="${step.weather.description}" title="${step.weather.description}">
+                        <div class="forecastStripTemp">${this.formatTemperature(step.temperature)}</div>`;
+                });
+            })
+            .catch(error => {
+                console.error('Failed to fetch forecast:', error);
+                strip.innerHTML = '<div class="forecastStripTime">Forecast unavailable</div>';
+            });
+    }
+
+    /**
+     * Month initials for the climate chart axis
+     */
+    static climateMonths = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+    /**
+     * Add a climate chart toggle under a Discover answer
+     * @param {HTMLElement} parent - Element to add the toggle to
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {boolean} open - Load and show the chart right away
+     */
+    static createClimateChart(parent, lat, lon, open) {
+        const toggle = E.div(parent, 'forecastStripToggle', '');
+        toggle.innerHTML = '<i class="fa-solid fa-chart-column"></i> Climate';
+
+        const chart = E.div(parent, 'climateChart', '');
+        chart.style.display = 'none';
+
+        const show = () => {
+            chart.style.display = 'block';
+            if (!chart.dataset.loaded) this.loadClimateChart(chart, lat, lon);
+        };
+        toggle.onclick = (e) => {
+            // Don't trigger the item's pan
+            e.stopPropagation();
+
+            if (chart.style.display === 'none') show();
+            else chart.style.display = 'none';
+        };
+        if (open) show();
+    }
+
+    /**
+     * Fill a climate chart with the monthly normals and the past twelve months
+     * @param {HTMLElement} chart - Chart element
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    static loadClimateChart(chart, lat, lon) {
+        chart.innerHTML = '<img class="forecastStripLoad" src="src/loading2.gif">';
+
+        // the archive lags a few days behind today
+        const to = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
+        const from = new Date(to.getTime() - 364 * 24 * 60 * 60 * 1000);
+        const post = (path, body) => fetch(path, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ latitude: lat, longitude: lon, ...body })
+        }).then(response => response.json());
+
+        Promise.all([
+            post('/api/weather/normals', {}),
+            // the chart still shows the normals without the past year
+            post('/api/weather/history', { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) }).catch(() => null)
+        ])
+            .then(([normals, history]) => {
+                if (!normals.months) throw new Error(normals.error || 'No climate normals');
+
+                chart.dataset.loaded = 'true';
+                chart.innerHTML = this.getClimateChartHTML(normals, history && history.days ? this.monthlyMeans(history.days) : null);
+            })
+            .catch(error => {
+                console.error('Failed to fetch climate normals:', error);
+                chart.innerHTML = '<div class="forecastStripTime">Climate data unavailable</div>';
+            });
+    }
+
+    /**
+     * Average daily history into mean temperatures per calendar month
+     * @param {Array} days - Days ({date, temperature_mean})
+     * @returns {Array} - Twelve means in °C, null for months without data
+     */
+    static monthlyMeans(days) {
+        const months = Array.from({ length: 12 }, () => []);
+        days.forEach(day => {
+            if (day.temperature_mean !== null) months[parseInt(day.date.slice(5, 7)) - 1].push(day.temperature_mean);
+        });
+        return months.map(values => values.length ? values.reduce((total, value) => total + value, 0) / values.length : null);
+    }
+
+    /**
+     * Build the monthly normals chart: precipitation bars, the mean daily high and low,
+     * and the past twelve months' mean temperature as dots
+     * @param {Object} normals - {period, months}
+     * @param {Array|null} observed - Mean temperature per calendar month in °C
+     * @returns {string} - Chart HTML
+     */
+    static getClimateChartHTML(normals, observed) {
+        const width = 260, height = 120, left = 26, top = 8, bottom = 100;
+        const step = (width - left) / 12;
+        const x = i => left + step * (i + 0.5);
+
+        const months = normals.months;
+        const temperatures = months.flatMap(month => [month.temperature_max, month.temperature_min])
+            .concat(observed || [])
+            .filter(value => value !== null);
+        const high = Math.max(...temperatures), low = Math.min(...temperatures);
+        const y = celsius => bottom - (celsius - low) / (high - low || 1) * (bottom - top);
+        const wettest = Math.max(...months.map(month => month.precipitation || 0), 1);
+
+        const line = key => months
+            .filter(month => month[key] !== null)
+            .map(month => `${x(month.month - 1).toFixed(1)},${y(month[key]).toFixed(1)}`)
+            .join(' ');
+
+        const bars = months.map((month, i) => {
+            const barHeight = (month.precipitation || 0) / wettest * (bottom - top) * 0.6;
+            return `<rect class="climateChartRain" x="${(x(i) - step * 0.3).toFixed(1)}" y="${(bottom - barHeight).toFixed(1)}" width="${(step * 0.6).toFixed(1)}" height="${barHeight.toFixed(1)}">
+                <title>${this.formatTemperature(month.temperature_max)} / ${this.formatTemperature(month.temperature_min)}, ${month.precipitation} mm</title></rect>`;
+        }).join('');
+        const dots = (observed || []).map((celsius, i) => celsius === null ? '' :
+            `<circle class="climateChartObserved" cx="${x(i).toFixed(1)}" cy="${y(celsius).toFixed(1)}" r="2.5"><title>Past year: ${this.formatTemperature(celsius)}</title></circle>`).join('');
+        const labels = this.climateMonths.map((label, i) => `<text x="${x(i).toFixed(1)}" y="${height - 6}" text-anchor="middle">${label}</text>`).join('');
+        const total = Math.round(months.reduce((sum, month) => sum + (month.precipitation || 0), 0));
+
+        return `<svg class="climateChartSvg" viewBox="0 0 ${width} ${height}">
+                ${bars}
+                <polyline class="climateChartMax" points="${line('temperature_max')}"/>
+                <polyline class="climateChartMin" points="${line('temperature_min')}"/>
+                ${dots}
+                <text x="0" y="${top + 4}">${this.formatTemperature(high)}</text>
+                <text x="0" y="${bottom}">${this.formatTemperature(low)}</text>
+                ${labels}
+            </svg>
+            <div class="climateChartLegend">
+                <span class="climateChartKeyMax">High</span> <span class="climateChartKeyMin">Low</span>
+                <span class="climateChartKeyRain">Rain ${total} mm/yr</span>${observed ? ' <span class="climateChartKeyObserved">Past year</span>' : ''}
+                · Normals ${normals.period}
+            </div>`;
+    }
+    
+    /**
+     * Initialize city labels on the map
+     */
+    static initCityLabels() {
+        try {
+            console.log('Initializing city labels');
+            
+            // Remove any existing temperature disclaimer
+            const existingDisclaimer = document.getElementById('temperatureDisclaimer');
+            if (existingDisclaimer) {
+                existingDisclaimer.remove();
+            }
+            
+            // First, clean up all existing temperature and city layers to avoid duplicates
+            // Remove any existing temperature-location layers
+            if (this.weatherLayers['temperature-location'] && this.weatherLayers['temperature-location'].layers) {
+                this.weatherLayers['temperature-location'].layers.forEach(layerId => {
+                    if (map.getLayer(layerId)) {
+                        map.removeLayer(layerId);
+                    }
+                });
+                
+                if (map.getSource('temperature-location-source')) {
+                    map.removeSource('temperature-location-source');
+                }
+            }
+            
+            // Remove any existing city label layers
+            const cityLayers = ['city-labels', 'city-points', 'city-temp-labels', 'city-name-labels'];
+            cityLayers.forEach(layer => {
+                if (map.getLayer(layer)) {
+                    map.removeLayer(layer);
+                }
+            });
+            
+            // Remove city source if it exists
+            if (map.getSource('city-labels-source')) {
+                map.removeSource('city-labels-source');
+            }
+            
+            // Cities are filled in from /api/weather/cities for the visible area
             map.addSource('city-labels-source', {
                 type: 'geojson',
                 data: {
                     type: 'FeatureCollection',
-                    features: features
+                    features: []
                 }
             });
             
@@ -1985,8 +3421,7 @@ class WeatherInterface extends I {
                 layout: {
                     'text-field': [
                         'format',
-                        ['to-string', ['get', 'temp']], {'font-scale': 1.2},
-                        '°',
+                        ['get', 'temp'], {'font-scale': 1.2},
                         '\n',
                         ['get', 'name'], {'font-scale': 0.8}
                     ],
@@ -1999,8 +3434,8 @@ class WeatherInterface extends I {
                         6, 16,
                         10, 20
                     ],
-                    'text-allow-overlap': true,
-                    'text-ignore-placement': true,
+                    // Larger cities win when labels collide
+                    'symbol-sort-key': ['-', ['get', 'population']],
                     'visibility': 'visible'
                 },
                 paint: {
@@ -2019,22 +3454,94 @@ class WeatherInterface extends I {
             // Set active state
             this.activeWeatherLayers['cities'] = true;
             
-            console.log('City labels initialized successfully');
-            I.success('City labels loaded');
-            
-            // Center the map to show multiple cities
-            map.flyTo({
-                center: [0, 20],
-                zoom: 1.5,
-                duration: 2000
-            });
+            // Load the visible cities now and keep their conditions fresh
+            this.loadCityWeather();
+            clearInterval(this.cityRefreshInterval);
+            this.cityRefreshInterval = setInterval(() => this.loadCityWeather(), this.cityRefreshMs);
             
+            console.log('City labels initialized successfully');
         } catch (e) {
             console.error('Error initializing city labels:', e);
             I.error('Failed to initialize city labels');
         }
     }
     
+    /**
+     * Get the visible map bounds with longitudes wrapped to -180..180
+     * @returns {Object} - Bounds ({north, south, east, west}); west > east when crossing the antimeridian
+     */
+    static getViewportBounds() {
+        const bounds = map.getBounds();
+        const wrap = lon => ((lon + 540) % 360) - 180;
+        const spansWorld = bounds.getEast() - bounds.getWest() >= 360;
+        
+        return {
+            north: Math.min(bounds.getNorth(), 90),
+            south: Math.max(bounds.getSouth(), -90),
+            east: spansWorld ? 180 : wrap(bounds.getEast()),
+            west: spansWorld ? -180 : wrap(bounds.getWest())
+        };
+    }
+    
+    /**
+     * Fetch current conditions for the largest cities in view and redraw their labels
+     */
+    static loadCityWeather() {
+        if (!this.activeWeatherLayers['cities'] || !map.getSource('city-labels-source')) return;
+        
+        const requestId = ++this.cityWeatherRequestId;
+        
+        fetch('/api/weather/cities', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                bounds: this.getViewportBounds(),
+                zoom: map.getZoom()
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error(data.error || 'No city weather data');
+                
+                // Ignore responses for a viewport we have already moved away from
+                if (requestId !== this.cityWeatherRequestId) return;
+                
+                this.cityWeather = data;
+                this.renderCityLabels();
+            })
+            .catch(error => {
+                console.error('Failed to fetch city weather:', error);
+            });
+    }
+    
+    /**
+     * Draw the loaded city conditions in the current temperature unit
+     */
+    static renderCityLabels() {
+        const source = map.getSource('city-labels-source');
+        if (!source) return;
+        
+        source.setData({
+            type: 'FeatureCollection',
+            features: this.cityWeather.map(city => ({
+                type: 'Feature',
+                properties: {
+                    name: city.name,
+                    population: city.population,
+                    country: city.country,
+                    temp: this.formatTemperature(city.temperature),
+                    description: city.description
+                },
+                geometry: {
+                    type: 'Point',
+                    coordinates: [city.lon, city.lat]
+                }
+            }))
+        });
+    }
+    
     /**
      * Update which city labels are visible based on zoom level
      */
@@ -2136,6 +3643,22 @@ class WeatherInterface extends I {
             this.queueTilePrefetch();
         }
         
+        // Load the cities that came into view
+        if (this.activeWeatherLayers['cities']) {
+            this.loadCityWeather();
+        }
+        if (this.activeWeatherLayers['airQuality']) {
+            this.loadCityAirQuality();
+        }
+        if (this.activeWeatherLayers['wildfire'] && map.getSource('wildfire-heat-source')) {
+            this.loadWildfires(this.getZoomCategory(this.currentViewport.zoom));
+        }
+        
+        // Reload forecast layers once the view leaves the loaded forecast grid
+        if (this.forecastGrid) {
+            this.refreshForecastLayers();
+        }
+        
         // Update debug info if available
         if (this.debugMode && document.getElementById('weather-debug-info')) {
             this.updateDebugInfo();
@@ -2284,34 +3807,18 @@ class WeatherInterface extends I {
      * @returns {string} - Source URL
      */
     static getSourceUrlForLayer(layerId, zoomCategory) {
-        const apiKey = '6c14f64dcf8546cad54c8a33c52bd577'; // OpenWeatherMap API key
-        
-        // Base URLs for different layer types
-        const baseUrls = {
-            temperature: {
-                GLOBAL: `https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            },
-            precipitation: {
-                GLOBAL: `https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            },
-            wind: {
-                GLOBAL: `https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            },
-            cloud: {
-                GLOBAL: `https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            }
-        };
-        
-        // Return appropriate URL or fallback to global
-        return baseUrls[layerId]?.[zoomCategory] || baseUrls[layerId]?.GLOBAL;
+        return this.tileUrl(layerId, zoomCategory);
+    }
+
+    /**
+     * Get the tile URL template of a weather layer. Tiles come through the server's
+     * proxy, which adds the provider key and caches them.
+     * @param {string} layerId - Layer ID (temperature, precipitation, wind, cloud)
+     * @param {string} zoomCategory - Zoom category
+     * @returns {string} - Tile URL template
+     */
+    static tileUrl(layerId, zoomCategory) {
+        return `${rootURL}/api/weather/tile/${layerId}/{z}/{x}/{y}?zoom=${zoomCategory}`;
     }
 
     /**
@@ -2350,6 +3857,8 @@ class WeatherInterface extends I {
             }
             
             const metadata = await response.json();
+            // the proxy path is relative; map sources load tiles in a worker
+            metadata.url = rootURL + metadata.url;
             
             // Cache the metadata
             if (!this.tileCache[layerId]) {
@@ -2365,35 +3874,9 @@ class WeatherInterface extends I {
             // Fallback to hardcoded values if server request fails
             console.warn(`Using fallback tile metadata for ${layerId}`);
             
-            const apiKey = '6c14f64dcf8546cad54c8a33c52bd577'; // OpenWeatherMap API key
-            
-            // Base URLs for different layer types (fallback)
-            const baseUrls = {
-                temperature: {
-                    GLOBAL: `https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                },
-                precipitation: {
-                    GLOBAL: `https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                },
-                wind: {
-                    GLOBAL: `https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                },
-                cloud: {
-                    GLOBAL: `https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                }
-            };
-            
             // Return fallback metadata
             return {
-                url: baseUrls[layerId]?.[zoomCategory] || baseUrls[layerId]?.GLOBAL,
+                url: this.tileUrl(layerId, zoomCategory),
                 tileSize: 256,
                 minZoom: zoomCategory === 'GLOBAL' ? 0 : (zoomCategory === 'REGIONAL' ? 3 : 8),
                 maxZoom: zoomCategory === 'GLOBAL' ? 3 : (zoomCategory === 'REGIONAL' ? 8 : 22),
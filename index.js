@@ -1,121 +1,86 @@
 import http from "node:http";
 import fs from "node:fs";
 import dotenv from 'dotenv';
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from "openai";
-import {Ollama} from 'ollama';
 import weatherService from './services/weatherService.js';
+import llmService from './services/llmService.js';
+import { runAgent, streamAgent } from './services/agentService.js';
+import sessionService from './services/sessionService.js';
+import geocoderService from './services/geocoderService.js';
+import { markAgreement } from './services/compareService.js';
+import historyService, { parseHistoryFilters } from './services/historyService.js';
+import { parseSearchOutput, validateLocations } from './services/searchSchema.js';
+import { exportEntry, exportFormats } from './services/exportService.js';
+import { parseImport, checkHazards, importContext } from './services/importService.js';
+import { parseSearchArea, areaContains, searchAreaPrompt, parseReference, sortByDistance } from './services/searchArea.js';
+import alertService, { parseWatch } from './services/alertService.js';
+import { parseDateRange } from './services/climate.js';
+import tileService from './services/tileService.js';
+import { parseWildfireQuery } from './services/wildfires.js';
 
 dotenv.config();
 
-const anthropic = new Anthropic({
-    apiKey: process.env["ANTHROPIC_API_KEY"],
-});
-const deepSeekApi = new OpenAI({
-    baseURL: 'https://api.deepseek.com',
-    apiKey: process.env["DEEPSEEK_KEY"]
-});
-const openAiApi = new OpenAI({
-    apiKey: process.env["OPENAI_KEY"]
-});
+let searchSystemPrompt='Find the locations that answer the request. Answer in JSON as {"locations": [...]} where each location has the keys: "latitude" (location latitude), "longitude" (location longitude), "name" (name of location), "address" (address of location), "url" (a related website) if available, and "weather_relevant" (boolean indicating if weather information would be relevant for this query). If the request depends on current weather, forecasts, storms, fires or other natural events, check them with the weather tools before answering. A follow-up request refines the conversation so far: answer it with the complete updated list of locations.';
+let discoverSystemPrompt="Keep it brief. Use the weather tools to check the current conditions at this location, and the forecast, storms, fires or other natural events when they are relevant, and include what you find in your response.";
 
-let searchSystemPrompt='Output in JSON only with keys: "latitude"(location latitude), "longitude" (location longitude), "name" (name of location), "address" (address of location), "url" (a related website) if available, and "weather_relevant" (boolean indicating if weather information would be relevant for this query). Output as array only.';
-let discoverSystemPrompt="Keep it brief. If weather conditions are available for this location, include them in your response.";
+// Repair attempts when the model's search output can't be parsed
+const searchRepairAttempts=2;
+// Imported files described to the model per prompt
+const maxPromptImports=10;
 
-async function claude(requestType,systemPrompt,prompts) {
-    let messages=[];
-    let finalSystemPrompt=systemPrompt;
-    if(requestType==="search") finalSystemPrompt=systemPrompt+" Do not include any other verbiage besides the json.";
-    for(let i=0;i<prompts.length;i++) {
-        messages.push(prompts[i]);
-    }
-    return anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 1024,
-        system:finalSystemPrompt,
-        messages: messages,
-    });
-}
-async function deepseek(requestType,systemPrompt,prompts) {
-    let messages=[];
-    let finalSystemPrompt=systemPrompt;
-    if(requestType==="search") finalSystemPrompt=systemPrompt + ". Do not include markdown tags.";
-    messages.push({role: "system", content: finalSystemPrompt});
-    for(let i=0;i<prompts.length;i++) {
-        messages.push(prompts[i]);
-    }
-    return deepSeekApi.chat.completions.create({
-        messages: messages,
-        model: "deepseek-chat",
-    });
-}
-async function openai(requestType,systemPrompt,prompts) {
-    let messages=[];
-    let finalSystemPrompt=systemPrompt;
-    if(requestType==="search") finalSystemPrompt=systemPrompt + ". Do not include markdown tags.";
-    messages.push({role: "system", content: finalSystemPrompt});
-    for(let i=0;i<prompts.length;i++) {
-        messages.push(prompts[i]);
-    }
-    return openAiApi.chat.completions.create({
-        messages: messages,
-        model: "gpt-4o",
-        store:false
-    });
-}
-async function local(requestType,systemPrompt,prompts){
-    let messages=[];
-    let finalSystemPrompt=systemPrompt;
-    if(requestType==="search") finalSystemPrompt=systemPrompt + ". Do not include markdown tags.";
-    messages.push({role: "system",content:finalSystemPrompt});
-    for(let i=0;i<prompts.length;i++) {
-        messages.push(prompts[i]);
-    }
-    const ollama = new Ollama({host:'http://'+process.env["OLLAMA_HOST"]+':'+process.env["OLLAMA_PORT"]})
-    return await ollama.chat({ model: process.env["OLLAMA_MODEL"], messages: messages, stream: false })
-}
-
-async function searchOutput(responsePayload, serverResponse, modelResponse, model) {
-    serverResponse.setHeader('Access-Control-Allow-Headers', '*');
-    serverResponse.setHeader('Access-Control-Allow-Origin', '*');
-    serverResponse.writeHead(200, {'Content-Type': 'application/json'});
-    let result = '';
-    if (model === "anthropic") result = modelResponse.content[0].text;
-    else if (model === "local") result = modelResponse.message.content;
-    else result = modelResponse.choices[0].message.content;
+// Parse, validate and verify a model's search answer, and attach weather where relevant
+async function searchResults(modelResponse, provider, context) {
+    let result = provider.extractText(modelResponse);
     
-    // Clean up the result
-    if (result.includes('```')) {
-        result = result.replace('```', '');
-        result = result.replace('```', '');
-        if (result.includes('json')) result = result.replace('json', '');
+    // Parse the result, asking the model to fix output that is not valid JSON
+    let entries;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            entries = parseSearchOutput(result);
+            break;
+        } catch (error) {
+            if (attempt >= searchRepairAttempts) throw error;
+            console.warn('Search output could not be parsed ('+error.message+'), repair attempt '+(attempt+1));
+            const repairMessages = [
+                ...context.messages,
+                {role:"assistant",content:result},
+                {role:"user",content:searchRepairPrompt(error)}
+            ];
+            result = provider.extractText(await provider.complete("search",context.systemPrompt,repairMessages));
+        }
     }
     
-    // Parse the result
-    result = JSON.parse(result);
+    // Drop entries that do not match the location schema
+    const { locations, discarded } = validateLocations(entries);
+    if (discarded > 0) console.warn('Discarded '+discarded+' invalid search result(s)');
     
-    // Handle both array and object responses
-    if (!Array.isArray(result)) {
-        responsePayload.data = [];
-        responsePayload.data.push(result);
-    } else {
-        responsePayload.data = result;
+    // Check the coordinates against the geocoder, correcting the ones that are far off
+    let verified = await geocoderService.verifyLocations(locations);
+    
+    // Enforce the drawn search area on the final coordinates
+    let filtered = 0;
+    if (context.area) {
+        const inside = verified.filter(location => areaContains(context.area, location.latitude, location.longitude));
+        filtered = verified.length - inside.length;
+        verified = inside;
     }
     
+    // Nearest first when the request has a reference point
+    if (context.reference) verified = sortByDistance(verified, context.reference);
+    
     // Add weather data for locations where weather is relevant
-    const weatherPromises = responsePayload.data
+    const weatherPromises = verified
         .filter(location => location.weather_relevant === true)
         .map(async (location) => {
             try {
                 const weatherData = await weatherService.getCurrentWeather(location.latitude, location.longitude);
                 return {
-                    locationIndex: responsePayload.data.indexOf(location),
+                    locationIndex: verified.indexOf(location),
                     weatherData
                 };
             } catch (error) {
                 console.error(`Failed to fetch weather for ${location.name}:`, error);
                 return {
-                    locationIndex: responsePayload.data.indexOf(location),
+                    locationIndex: verified.indexOf(location),
                     weatherData: null
                 };
             }
@@ -126,39 +91,201 @@ async function searchOutput(responsePayload, serverResponse, modelResponse, mode
         const weatherResults = await Promise.all(weatherPromises);
         weatherResults.forEach(result => {
             if (result.weatherData) {
-                responsePayload.data[result.locationIndex].weather = result.weatherData;
+                verified[result.locationIndex].weather = result.weatherData;
             }
         });
     }
     
+    return { locations: verified, discarded, filtered };
+}
+async function searchOutput(responsePayload, serverResponse, modelResponse, provider, context) {
+    const { locations, discarded, filtered } = await searchResults(modelResponse, provider, context);
+    responsePayload.data = locations;
+    responsePayload.discarded = discarded;
+    responsePayload.filtered = filtered;
+    
+    // Keep the turn so follow-ups are answered in context, and store it in the history
+    if (context.session) {
+        sessionService.addTurn(context.session, context.prompts, locations);
+        responsePayload.sessionId = context.session.id;
+        context.session.historyId = await historyService.saveSearch({
+            clientId: context.session.clientId,
+            historyId: context.session.historyId,
+            sessionId: context.session.id,
+            prompt: context.prompt,
+            model: provider.name,
+            results: locations
+        });
+        responsePayload.historyId = context.session.historyId;
+    }
+    
+    serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+    serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+    serverResponse.writeHead(200, {'Content-Type': 'application/json'});
     serverResponse.write(JSON.stringify(responsePayload));
     return serverResponse.end();
 }
-async function discoverOutput(responsePayload, serverResponse, modelResponse, model) {
+async function discoverOutput(responsePayload, serverResponse, modelResponse, provider, context) {
+    let result = provider.extractText(modelResponse);
+    
+    // Add to response payload
+    responsePayload.data = result;
+    if (context.onComplete) Object.assign(responsePayload, await context.onComplete(result));
+    
     serverResponse.setHeader('Access-Control-Allow-Headers', '*');
     serverResponse.setHeader('Access-Control-Allow-Origin', '*');
     serverResponse.writeHead(200,{'Content-Type':'application/json'});
-    let result = '';
-    if (model === "anthropic") result = modelResponse.content[0].text;
-    else if (model === "local") result = modelResponse.message.content;
-    else result = modelResponse.choices[0].message.content;
     
-    // Add to response payload
-    responsePayload.data = result;
+    serverResponse.write(JSON.stringify(responsePayload));
+    return serverResponse.end();
+}
+function queryModel(requestType, provider, systemPrompt, messages, responsePayload, serverResponse, output, context={}) {
+    if(!provider.supports(requestType)) {
+        serverResponse.writeHead(400, {'Content-Type':'application/json'});
+        serverResponse.write(JSON.stringify({error: provider.label+' does not support '+requestType}));
+        return serverResponse.end();
+    }
+    runAgent(provider,requestType,systemPrompt,messages).then(async modelResponse => {
+        try {
+            await output(responsePayload,serverResponse,modelResponse,provider,{...context,systemPrompt,messages});
+        } catch (error) {
+            console.error('Error processing '+requestType+' output:', error);
+            serverResponse.writeHead(500, {'Content-Type':'application/json'});
+            serverResponse.write(JSON.stringify({error: 'Error processing '+requestType+' results'}));
+            serverResponse.end();
+        }
+    }).catch(error => {
+        console.error('Error calling '+provider.label+' API:', error);
+        serverResponse.writeHead(500, {'Content-Type':'application/json'});
+        serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
+        serverResponse.end();
+    });
+}
+async function streamModel(requestType, provider, systemPrompt, messages, serverResponse, context={}) {
+    if(!provider.supports(requestType)) {
+        serverResponse.writeHead(400, {'Content-Type':'application/json'});
+        serverResponse.write(JSON.stringify({error: provider.label+' does not support '+requestType}));
+        return serverResponse.end();
+    }
+    serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+    serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+    serverResponse.writeHead(200, {'Content-Type':'text/event-stream','Cache-Control':'no-cache','Connection':'keep-alive'});
+    let closed=false;
+    serverResponse.on('close', () => {
+        closed=true;
+    });
+    let text='';
+    try {
+        for await (const event of streamAgent(provider,requestType,systemPrompt,messages)) {
+            if(closed) break;
+            // tool calls are announced so the client can show what the model is looking up
+            if(event.type==='tool') serverResponse.write('event: tool\ndata: '+JSON.stringify({name:event.name,input:event.input})+'\n\n');
+            else {
+                text+=event.text;
+                serverResponse.write('data: '+JSON.stringify({text:event.text})+'\n\n');
+            }
+        }
+        // answers cut short by the client are not kept
+        const done = !closed && context.onComplete ? await context.onComplete(text) : {};
+        serverResponse.write('event: done\ndata: '+JSON.stringify(done)+'\n\n');
+    } catch (error) {
+        console.error('Error streaming from '+provider.label+' API:', error);
+        serverResponse.write('event: error\ndata: '+JSON.stringify({error: 'Error calling LLM API'})+'\n\n');
+    }
+    return serverResponse.end();
+}
+async function compareModels(providers, messages, responsePayload, serverResponse, context) {
+    // every model answers the same prompt; one failing does not fail the comparison
+    const results = await Promise.all(providers.map(async provider => {
+        const result = {model:provider.name, label:provider.text, data:[]};
+        if(!provider.supports('search')) return {...result, error:provider.label+' does not support search'};
+        try {
+            const modelResponse = await runAgent(provider,'search',context.systemPrompt,messages);
+            const { locations, discarded, filtered } = await searchResults(modelResponse,provider,{systemPrompt:context.systemPrompt,messages,area:context.area,reference:context.reference});
+            return {...result, data:locations, discarded, filtered};
+        } catch (error) {
+            console.error('Error comparing '+provider.label+':', error);
+            return {...result, error:'Error calling LLM API'};
+        }
+    }));
     
+    responsePayload.data = markAgreement(results);
+    responsePayload.historyId = await historyService.saveCompare({
+        clientId: context.clientId,
+        prompt: context.prompt,
+        models: providers.map(provider => provider.name),
+        results
+    });
+    serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+    serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+    serverResponse.writeHead(200, {'Content-Type': 'application/json'});
     serverResponse.write(JSON.stringify(responsePayload));
     return serverResponse.end();
 }
 //
-function userLocationPrompt(userLocation) {
-    return "Convert my location ["+userLocation.latitude+", "+userLocation.longitude+"] to the nearest city and use that city as reference for requests that need my location. Use a 50 mile radius as a baseline."
+function searchRepairPrompt(error) {
+    return "Your previous answer could not be parsed as JSON ("+error.message+"). Reply again with only the corrected JSON, nothing else."
+}
+// Search system prompt, with the reference point, the drawn search area and the client's imported files the request may refer to
+async function searchPrompt(clientId, importIds, area, reference) {
+    let prompt=searchSystemPrompt;
+    if(reference) prompt+='\n\n'+referencePrompt(reference);
+    if(area) prompt+='\n\n'+searchAreaPrompt(area);
+    if(!Array.isArray(importIds) || importIds.length===0) return prompt;
+    let entries=(await Promise.all(importIds.slice(0,maxPromptImports).map(id=>historyService.get(clientId,id))))
+        .filter(entry=>entry && entry.type==='import');
+    if(entries.length===0) return prompt;
+    return prompt+'\n\n'+await importContext(entries);
+}
+// Parse a JSON object request body; responds with 400 and returns false when it is not one
+function requestBody(b, serverResponse) {
+    try {
+        let q=b ? JSON.parse(b) : {};
+        if(!q || typeof q!=='object' || Array.isArray(q)) throw new Error('Not an object');
+        return q;
+    } catch (error) {
+        serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+        serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+        serverResponse.writeHead(400, {'Content-Type':'application/json'});
+        serverResponse.write(JSON.stringify({error: 'Request body must be a JSON object'}));
+        serverResponse.end();
+        return false;
+    }
+}
+// a number, or a numeric string, within -limit..limit
+function coordinate(value, limit) {
+    let n=typeof value==='number' || (typeof value==='string' && value.trim()) ? Number(value) : NaN;
+    return Number.isFinite(n) && Math.abs(n)<=limit ? n : null;
+}
+// Validate the search area and reference point of a request; responds with 400 and returns false when one is invalid
+function requestScope(q, serverResponse) {
+    try {
+        // myLocation is the reference point of clients from before it could be chosen
+        let reference=q.reference || (q.myLocation && q.myLocation.latitude && q.myLocation.longitude ? {...q.myLocation, source:'location'} : null);
+        return {
+            area: q.area ? parseSearchArea(q.area) : null,
+            reference: reference ? parseReference(reference) : null
+        };
+    } catch (error) {
+        serverResponse.writeHead(400, {'Content-Type':'application/json'});
+        serverResponse.write(JSON.stringify({error: error.message}));
+        serverResponse.end();
+        return false;
+    }
+}
+function referencePrompt(reference) {
+    let radius=reference.radius+(reference.unit==='mi'?' mile':' km');
+    if(reference.source==='location') return "Convert my location ["+reference.latitude+", "+reference.longitude+"] to the nearest city and use that city as reference for requests that need my location. Use a "+radius+" radius as a baseline."
+    let place=(reference.label?reference.label+' ':'')+"["+reference.latitude+", "+reference.longitude+"]";
+    return "Use "+place+" as the reference location for requests that need my location or ask for places nearby. Use a "+radius+" radius as a baseline."
 }
 
 const server=http.createServer((req, serverResponse)=>{
     let b ='';
     let responsePayload={};
     let reqPath=req.url.split('/');
-    if(req.url==='/' || ['search','discover'].indexOf(reqPath[1])>-1) {
+    // pages, and their permalinks: /search/<snapshot id>, /discover/<snapshot id>
+    if(req.url==='/' || (['search','discover'].indexOf(reqPath[1])>-1 && reqPath.length<=3)) {
         fs.readFile('public/index.html',(err, data)=> {
             serverResponse.writeHead(200,{'Content-Type':'text/html'});
             serverResponse.write(data);
@@ -263,6 +390,33 @@ const server=http.createServer((req, serverResponse)=>{
                 }
             });
         }
+        else if(reqPath[3]==="forecast" && reqPath[4]==="grid") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
+            req.on('end', async () => {
+                try {
+                    const data = JSON.parse(b);
+                    const { bounds, zoomCategory } = data;
+                    
+                    if (!bounds || [bounds.north, bounds.south, bounds.east, bounds.west].some(value => typeof value !== 'number')) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: 'Bounds are required' }));
+                        return serverResponse.end();
+                    }
+                    
+                    const gridData = await weatherService.getForecastGrid({ bounds, zoomCategory });
+                    serverResponse.writeHead(200);
+                    serverResponse.write(JSON.stringify(gridData));
+                    return serverResponse.end();
+                } catch (error) {
+                    console.error('Error in forecast grid endpoint:', error);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch forecast grid data' }));
+                    return serverResponse.end();
+                }
+            });
+        }
         else if(reqPath[3]==="forecast") {
             req.on('data', (chunk) => {
                 b += chunk;
@@ -290,7 +444,152 @@ const server=http.createServer((req, serverResponse)=>{
                 }
             });
         }
+        else if(reqPath[3]==="cities") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
+            req.on('end', async () => {
+                try {
+                    const data = JSON.parse(b);
+                    const { bounds, zoom, limit } = data;
+                    
+                    if (!bounds || [bounds.north, bounds.south, bounds.east, bounds.west].some(value => typeof value !== 'number')) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: 'Bounds are required' }));
+                        return serverResponse.end();
+                    }
+                    
+                    const cityData = await weatherService.getCityWeather({ bounds, zoom, limit });
+                    serverResponse.writeHead(200);
+                    serverResponse.write(JSON.stringify(cityData));
+                    return serverResponse.end();
+                } catch (error) {
+                    console.error('Error in city weather endpoint:', error);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch city weather data' }));
+                    return serverResponse.end();
+                }
+            });
+        }
+        else if(reqPath[3]==="airquality" && reqPath[4]==="cities") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
+            req.on('end', async () => {
+                try {
+                    const data = JSON.parse(b);
+                    const { bounds, zoom, limit } = data;
+                    
+                    if (!bounds || [bounds.north, bounds.south, bounds.east, bounds.west].some(value => typeof value !== 'number')) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: 'Bounds are required' }));
+                        return serverResponse.end();
+                    }
+                    
+                    const cityData = await weatherService.getCityAirQuality({ bounds, zoom, limit });
+                    serverResponse.writeHead(200);
+                    serverResponse.write(JSON.stringify(cityData));
+                    return serverResponse.end();
+                } catch (error) {
+                    console.error('Error in city air quality endpoint:', error);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch city air quality data' }));
+                    return serverResponse.end();
+                }
+            });
+        }
+        else if(reqPath[3]==="airquality") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
+            req.on('end', async () => {
+                try {
+                    const data = JSON.parse(b);
+                    const { latitude, longitude } = data;
+                    
+                    if (!latitude || !longitude) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: 'Latitude and longitude are required' }));
+                        return serverResponse.end();
+                    }
+                    
+                    const airQuality = await weatherService.getAirQuality(latitude, longitude);
+                    serverResponse.writeHead(200);
+                    serverResponse.write(JSON.stringify(airQuality));
+                    return serverResponse.end();
+                } catch (error) {
+                    console.error('Error in air quality endpoint:', error);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch air quality data' }));
+                    return serverResponse.end();
+                }
+            });
+        }
+        else if(reqPath[3]==="history") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
+            req.on('end', async () => {
+                try {
+                    const data = JSON.parse(b);
+                    const { latitude, longitude, from, to } = data;
+                    
+                    if (!latitude || !longitude) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: 'Latitude and longitude are required' }));
+                        return serverResponse.end();
+                    }
+                    try {
+                        parseDateRange(from, to);
+                    } catch (error) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: error.message }));
+                        return serverResponse.end();
+                    }
+                    
+                    const history = await weatherService.getHistoricalWeather(latitude, longitude, from, to);
+                    serverResponse.writeHead(200);
+                    serverResponse.write(JSON.stringify(history));
+                    return serverResponse.end();
+                } catch (error) {
+                    console.error('Error in history endpoint:', error);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch historical weather data' }));
+                    return serverResponse.end();
+                }
+            });
+        }
+        else if(reqPath[3]==="normals") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
+            req.on('end', async () => {
+                try {
+                    const data = JSON.parse(b);
+                    const { latitude, longitude } = data;
+                    
+                    if (!latitude || !longitude) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: 'Latitude and longitude are required' }));
+                        return serverResponse.end();
+                    }
+                    
+                    const normals = await weatherService.getClimateNormals(latitude, longitude);
+                    serverResponse.writeHead(200);
+                    serverResponse.write(JSON.stringify(normals));
+                    return serverResponse.end();
+                } catch (error) {
+                    console.error('Error in climate normals endpoint:', error);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch climate normals' }));
+                    return serverResponse.end();
+                }
+            });
+        }
         else if(reqPath[3]==="hurricane") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
             req.on('end', async () => {
                 try {
                     const hurricaneData = await weatherService.getHurricaneData();
@@ -311,13 +610,18 @@ const server=http.createServer((req, serverResponse)=>{
             });
             req.on('end', async () => {
                 try {
-                    let days = 1;
-                    if (b) {
-                        const data = JSON.parse(b);
-                        days = data.days || 1;
+                    // {bbox, countries, sensors, days}; the whole world from VIIRS SNPP for the last day by default
+                    const data = b ? JSON.parse(b) : {};
+                    const query = { bbox: data.bbox, countries: data.countries, sensors: data.sensors, days: data.days };
+                    try {
+                        parseWildfireQuery(query);
+                    } catch (error) {
+                        serverResponse.writeHead(400);
+                        serverResponse.write(JSON.stringify({ error: error.message }));
+                        return serverResponse.end();
                     }
                     
-                    const wildfireData = await weatherService.getWildfireData(days);
+                    const wildfireData = await weatherService.getWildfireData(query);
                     serverResponse.writeHead(200);
                     serverResponse.write(JSON.stringify(wildfireData));
                     return serverResponse.end();
@@ -330,6 +634,9 @@ const server=http.createServer((req, serverResponse)=>{
             });
         }
         else if(reqPath[3]==="disasters") {
+            req.on('data', (chunk) => {
+                b += chunk;
+            });
             req.on('end', async () => {
                 try {
                     const disasterData = await weatherService.getNaturalDisasterData();
@@ -377,6 +684,36 @@ const server=http.createServer((req, serverResponse)=>{
                 }
             });
         }
+        // /api/weather/tile/<layer>/<z>/<x>/<y>?zoom=<GLOBAL|REGIONAL|LOCAL>
+        else if(reqPath[3]==="tile") {
+            const tileUrl = new URL(req.url, 'http://localhost');
+            const [layer, z, x, y] = tileUrl.pathname.split('/').slice(4);
+            let tile;
+            try {
+                tile = tileService.parseTile({ layer, z, x, y, zoom: tileUrl.searchParams.get('zoom') });
+            } catch (error) {
+                serverResponse.writeHead(400);
+                serverResponse.write(JSON.stringify({ error: error.message }));
+                return serverResponse.end();
+            }
+
+            tileService.getTile(tile)
+                .then(({ data, contentType, cache }) => {
+                    serverResponse.writeHead(200, {
+                        'Content-Type': contentType,
+                        'Cache-Control': `public, max-age=${Math.round(tileService.ttl / 1000)}`,
+                        'X-Cache': cache
+                    });
+                    serverResponse.write(data);
+                    return serverResponse.end();
+                })
+                .catch(error => {
+                    console.error('Error in tile endpoint:', error.message);
+                    serverResponse.writeHead(500);
+                    serverResponse.write(JSON.stringify({ error: 'Failed to fetch weather tile' }));
+                    return serverResponse.end();
+                });
+        }
         else {
             serverResponse.writeHead(404);
             serverResponse.write(JSON.stringify({ error: 'Weather API endpoint not found' }));
@@ -384,103 +721,39 @@ const server=http.createServer((req, serverResponse)=>{
         }
     }
     else if(reqPath[1]==="api") {
-        if(reqPath[2]==='query') {
+        if(reqPath[2]==='models') {
+            serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+            serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+            serverResponse.writeHead(200,{'Content-Type':'application/json'});
+            serverResponse.write(JSON.stringify({data:llmService.list()}));
+            return serverResponse.end();
+        }
+        else if(reqPath[2]==='query') {
             req.on('data', (chunk) => {
                 b+=chunk;
             });
-            req.on('end', () => {
+            req.on('end', async () => {
                 if(b) {
-                    let q=JSON.parse(b)
+                    let q=requestBody(b,serverResponse);
+                    if(q===false) return;
                     let userPrompt=q.prompt;
-                    let modelUsed=q.model || "anthropic";
-                    let userLocation=q.myLocation;
-                    let messages=[];
-                    if(userLocation && userLocation.latitude && userLocation.longitude) messages.push({role:"user",content:userLocationPrompt(userLocation)})
-                    messages.push({role:"user",content:userPrompt});
-                    if(modelUsed==="anthropic") {
-                        claude("search",searchSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await searchOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing search output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing search results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling Claude API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
-                    }
-                    else if(modelUsed==="deepseek") {
-                        deepseek("search",searchSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await searchOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing search output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing search results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling DeepSeek API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
-                    }
-                    else if(modelUsed==="openai") {
-                        openai("search",searchSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await searchOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing search output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing search results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling OpenAI API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
-                    }
-                    else if(modelUsed==="local") {
-                        local("search",searchSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await searchOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing search output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing search results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling local model:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
-                    }
-                    else {
-                        claude("search",searchSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await searchOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing search output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing search results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling Claude API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
+                    let modelUsed=q.model || llmService.defaultProvider;
+                    let scope=requestScope(q,serverResponse);
+                    if(scope===false) return;
+                    try {
+                        // follow-ups continue the conversation of the session they name
+                        let session=sessionService.getSession(q.clientId,q.sessionId);
+                        let prompts=[];
+                        prompts.push({role:"user",content:userPrompt});
+                        let messages=[...sessionService.getMessages(session),...prompts];
+                        // the reference point is part of the system prompt, so follow-ups use the current one
+                        let systemPrompt=await searchPrompt(q.clientId,q.imports,scope.area,scope.reference);
+                        queryModel("search",llmService.get(modelUsed),systemPrompt,messages,responsePayload,serverResponse,searchOutput,{session,prompts,prompt:userPrompt,...scope});
+                    } catch (error) {
+                        console.error('Error in query endpoint:', error);
+                        serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                        serverResponse.write(JSON.stringify({error: 'Error preparing the search'}));
+                        return serverResponse.end();
                     }
                 }
                 else {
@@ -492,102 +765,269 @@ const server=http.createServer((req, serverResponse)=>{
                 }
             });
         }
-        else if(reqPath[2]==='discover') {
+        else if(reqPath[2]==='compare') {
             req.on('data', (chunk) => {
                 b+=chunk;
             });
-            req.on('end', () => {
-                if(b) {
-                    let q=JSON.parse(b)
-                    let modelUsed=q.model || "anthropic";
-                    let messages=[];
-                    let userPrompt="Tell me about this location, latitude:"+q.latitude+", longitude:"+q.longitude;
-                    messages.push({role:"user",content:userPrompt});
-                    if(modelUsed==="anthropic") {
-                        claude("discover",discoverSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await discoverOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing discover output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing discover results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling Claude API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
+            req.on('end', async () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                // unknown names fall back to the default provider, so dedupe after resolving
+                let providers=[...new Set((Array.isArray(q.models) ? q.models : []).map(name => llmService.get(name)).filter(Boolean))];
+                if(!q.prompt || providers.length<2) {
+                    serverResponse.writeHead(400, {'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'A prompt and at least two models are required'}));
+                    return serverResponse.end();
+                }
+                let scope=requestScope(q,serverResponse);
+                if(scope===false) return;
+                try {
+                    let messages=[{role:"user",content:q.prompt}];
+                    let systemPrompt=await searchPrompt(q.clientId,q.imports,scope.area,scope.reference);
+                    await compareModels(providers,messages,responsePayload,serverResponse,{clientId:q.clientId,prompt:q.prompt,systemPrompt,...scope});
+                } catch (error) {
+                    console.error('Error in compare endpoint:', error);
+                    if(serverResponse.headersSent) return serverResponse.end();
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error comparing models'}));
+                    return serverResponse.end();
+                }
+            });
+        }
+        else if(reqPath[2]==='history') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', async () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                let filters;
+                if(reqPath[3]!=='delete') {
+                    try {
+                        filters=parseHistoryFilters({query:q.query,types:q.types,limit:q.limit});
+                    } catch (error) {
+                        serverResponse.writeHead(400,{'Content-Type':'application/json'});
+                        serverResponse.write(JSON.stringify({error: error.message}));
+                        return serverResponse.end();
                     }
-                    else if(modelUsed==="deepseek") {
-                        deepseek("discover",discoverSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await discoverOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing discover output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing discover results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling DeepSeek API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
+                }
+                try {
+                    if(reqPath[3]==='delete') responsePayload.data=await historyService.remove(q.clientId,q.id);
+                    else responsePayload.data=await historyService.list(q.clientId,filters);
+                    serverResponse.writeHead(200,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify(responsePayload));
+                } catch (error) {
+                    console.error('Error in history endpoint:', error);
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error reading history'}));
+                }
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='import') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', async () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                let features;
+                try {
+                    features=parseImport(q.filename,q.content);
+                } catch (error) {
+                    serverResponse.writeHead(400,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: error.message}));
+                    return serverResponse.end();
+                }
+                try {
+                    let hazards=await checkHazards(features);
+                    let id=await historyService.saveImport({clientId:q.clientId,name:q.filename,features,hazards});
+                    responsePayload.data={id,type:'import',name:q.filename,prompts:[q.filename],features,hazards};
+                    serverResponse.writeHead(200,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify(responsePayload));
+                } catch (error) {
+                    console.error('Error in import endpoint:', error);
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error importing file'}));
+                }
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='geocode') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', async () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                let query=typeof q.query==='string' ? q.query.trim() : '';
+                if(!query || !geocoderService.geocoder) {
+                    serverResponse.writeHead(400,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: query ? 'Place search is disabled' : 'Missing place'}));
+                    return serverResponse.end();
+                }
+                try {
+                    responsePayload.data=(await geocoderService.geocode(query.slice(0,200))).slice(0,5);
+                    serverResponse.writeHead(200,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify(responsePayload));
+                } catch (error) {
+                    console.error('Error in geocode endpoint:', error);
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error finding place'}));
+                }
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='alerts') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', async () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                let watch;
+                if(reqPath[3]==='watch') {
+                    try {
+                        watch=parseWatch(q);
+                    } catch (error) {
+                        serverResponse.writeHead(400,{'Content-Type':'application/json'});
+                        serverResponse.write(JSON.stringify({error: error.message}));
+                        return serverResponse.end();
                     }
-                    else if(modelUsed==="openai") {
-                        openai("discover",discoverSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await discoverOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing discover output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing discover results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling OpenAI API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
+                }
+                try {
+                    if(reqPath[3]==='watch') {
+                        let { clientId, ...saved }=await alertService.addWatch(q.clientId,watch);
+                        responsePayload.data=saved;
                     }
-                    else if(modelUsed==="local") {
-                        local("discover",discoverSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await discoverOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing discover output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing discover results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling local model:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
+                    else if(reqPath[3]==='delete') responsePayload.data=await historyService.remove(q.clientId,q.id,['watch']);
+                    else responsePayload.data=await alertService.list(q.clientId,parseInt(q.since) || 0);
+                    serverResponse.writeHead(200,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify(responsePayload));
+                } catch (error) {
+                    console.error('Error in alerts endpoint:', error);
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error reading watch areas'}));
+                }
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='export') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', async () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                serverResponse.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+                if(!exportFormats[q.format]) {
+                    serverResponse.writeHead(400,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Format must be one of '+Object.keys(exportFormats).join(', ')}));
+                    return serverResponse.end();
+                }
+                try {
+                    let entry=await historyService.get(q.clientId,q.id);
+                    if(!entry) {
+                        serverResponse.writeHead(404,{'Content-Type':'application/json'});
+                        serverResponse.write(JSON.stringify({error: 'History entry not found'}));
+                        return serverResponse.end();
                     }
+                    // the file itself is the response, so the browser can save it
+                    let file=exportEntry(entry,q.format);
+                    serverResponse.writeHead(200,{'Content-Type':file.contentType,'Content-Disposition':'attachment; filename="'+file.filename+'"'});
+                    serverResponse.write(file.body);
+                } catch (error) {
+                    console.error('Error in export endpoint:', error);
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error exporting history entry'}));
+                }
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='snapshot') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', async () => {
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                try {
+                    // GET /api/snapshot/<id> opens a shared link, POST /api/snapshot creates one
+                    let snapshot;
+                    if(reqPath[3]) snapshot=await historyService.getSnapshot(reqPath[3]);
                     else {
-                        claude("discover",discoverSystemPrompt,messages).then(async modelResponse => {
-                            try {
-                                await discoverOutput(responsePayload,serverResponse,modelResponse,modelUsed);
-                            } catch (error) {
-                                console.error('Error processing discover output:', error);
-                                serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                                serverResponse.write(JSON.stringify({error: 'Error processing discover results'}));
-                                serverResponse.end();
-                            }
-                        }).catch(error => {
-                            console.error('Error calling Claude API:', error);
-                            serverResponse.writeHead(500, {'Content-Type':'application/json'});
-                            serverResponse.write(JSON.stringify({error: 'Error calling LLM API'}));
-                            serverResponse.end();
-                        });
+                        let q=requestBody(b,serverResponse);
+                        if(q===false) return;
+                        snapshot=await historyService.saveSnapshot({clientId:q.clientId,historyId:q.historyId,page:q.page,view:q.view,layers:q.layers,timeline:q.timeline});
+                        if(snapshot) snapshot={id:snapshot.id,url:'/'+snapshot.page+'/'+snapshot.id};
+                    }
+                    if(!snapshot) {
+                        serverResponse.writeHead(404,{'Content-Type':'application/json'});
+                        serverResponse.write(JSON.stringify({error: 'Snapshot not found'}));
+                        return serverResponse.end();
+                    }
+                    responsePayload.data=snapshot;
+                    serverResponse.writeHead(200,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify(responsePayload));
+                } catch (error) {
+                    console.error('Error in snapshot endpoint:', error);
+                    serverResponse.writeHead(500,{'Content-Type':'application/json'});
+                    serverResponse.write(JSON.stringify({error: 'Error reading snapshot'}));
+                }
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='session' && reqPath[3]==='end') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', () => {
+                let q=requestBody(b,serverResponse);
+                if(q===false) return;
+                serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                serverResponse.writeHead(200,{'Content-Type':'application/json'});
+                serverResponse.write(JSON.stringify({data:sessionService.endSession(q.clientId,q.sessionId)}));
+                return serverResponse.end();
+            });
+        }
+        else if(reqPath[2]==='discover') {
+            req.on('data', (chunk) => {
+                b+=chunk;
+            });
+            req.on('end', () => {
+                if(b) {
+                    let q=requestBody(b,serverResponse);
+                    if(q===false) return;
+                    // the coordinates are stored with the answer and shown again, so only numbers pass
+                    let latitude=coordinate(q.latitude,90), longitude=coordinate(q.longitude,180);
+                    if(latitude===null || longitude===null) {
+                        serverResponse.setHeader('Access-Control-Allow-Headers', '*');
+                        serverResponse.setHeader('Access-Control-Allow-Origin', '*');
+                        serverResponse.writeHead(400,{'Content-Type':'application/json'});
+                        serverResponse.write(JSON.stringify({error: 'Latitude and longitude must be numbers'}));
+                        return serverResponse.end();
                     }
+                    let modelUsed=q.model || llmService.defaultProvider;
+                    let messages=[];
+                    let userPrompt="Tell me about this location, latitude:"+latitude+", longitude:"+longitude;
+                    messages.push({role:"user",content:userPrompt});
+                    // the answer is stored in the history once complete
+                    let onComplete=async (text) => ({
+                        historyId: await historyService.saveDiscover({clientId:q.clientId,latitude,longitude,model:modelUsed,text})
+                    });
+                    if(q.stream) streamModel("discover",llmService.get(modelUsed),discoverSystemPrompt,messages,serverResponse,{onComplete});
+                    else queryModel("discover",llmService.get(modelUsed),discoverSystemPrompt,messages,responsePayload,serverResponse,discoverOutput,{onComplete});
                 }
                 else {
                     serverResponse.setHeader('Access-Control-Allow-Headers', '*');
@@ -25,7 +25,15 @@ class A  {
         request.onreadystatechange=()=>{
             if(request.readyState===4 && request.status===200) {
                 let responseData=JSON.parse(request.responseText);
-                callback(responseData.error,responseData.data);
+                callback(responseData.error,responseData.data,responseData);
+            }
+            else if(request.readyState===4 && request.status>=400) {
+                // validation and server errors come back as {error}
+                let responseData={};
+                try {
+                    responseData=JSON.parse(request.responseText);
+                } catch(e) {}
+                callback(responseData.error || 'Request failed',null,responseData);
             }
         };
         //
@@ -35,6 +43,64 @@ class A  {
         //request.setRequestHeader('Authorization','Bearer '+c);
         request.send(JSON.stringify(payload));
     }
+    // server-sent events over POST: callback(event,data) per event
+    static stream(path,payload,callback) {
+        fetch(a+path,{
+            method:'POST',
+            headers:{'Content-Type':'application/json'},
+            body:JSON.stringify(payload)
+        }).then(async (response)=>{
+            if(!response.ok || !response.body) {
+                callback('error',{error:'Error calling LLM API'});
+                return;
+            }
+            let reader=response.body.getReader();
+            let decoder=new TextDecoder();
+            let buffer='';
+            while(true) {
+                let {done,value}=await reader.read();
+                if(done) break;
+                buffer+=decoder.decode(value,{stream:true});
+                let events=buffer.split('\n\n');
+                buffer=events.pop();
+                events.forEach((raw)=>{
+                    let event='message',data='';
+                    raw.split('\n').forEach((line)=>{
+                        if(line.indexOf('event:')===0) event=line.substr(6).trim();
+                        else if(line.indexOf('data:')===0) data+=line.substr(5).trim();
+                    });
+                    callback(event,data?JSON.parse(data):null);
+                });
+            }
+        }).catch(()=>{
+            callback('error',{error:'Connection lost'});
+        });
+    }
+    // POST that answers with a file: saves it under the server's file name, callback(error)
+    static download(path,payload,callback) {
+        fetch(a+path,{
+            method:'POST',
+            headers:{'Content-Type':'application/json'},
+            body:JSON.stringify(payload)
+        }).then(async (response)=>{
+            if(!response.ok) {
+                let data=await response.json().catch(()=>({}));
+                callback(data.error || 'Download failed');
+                return;
+            }
+            let name=(response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            let link=document.createElement('a');
+            link.href=URL.createObjectURL(await response.blob());
+            link.download=name?name[1]:'download';
+            body.appendChild(link);
+            link.click();
+            body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+            callback(null);
+        }).catch(()=>{
+            callback('Connection lost');
+        });
+    }
 }
 
 // E: Elements
@@ -298,6 +364,11 @@ class T {
         else return text;
     };
 
+    // escape text for innerHTML
+    static html(text) {
+        return String(text===null || text===undefined?'':text).replace(/[&<>"']/g,(c)=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);
+    };
+
     // check empty
     static e(text) {
         if(text===null || text==='' || !text) return true;
@@ -647,6 +718,8 @@ class I {
 window.onpopstate=(e)=>{
     if(e && e.state) location.reload();
 };let historyData=[];
+let activeHistory=false;
+let compareModels=[];
 let navShowing=false;
 let myLocation=false;
 let defaultModel="anthropic";
@@ -657,9 +730,11 @@ let modelOptions=[
     {value:'local',provider:'Local',model:'Local',text:'Local'},
 ];
 let selectedModel=modelOptions[0];
+let modelButtons=[];
 //
 
 var discoverHistoryData=[];
+var sharedSnapshot=false;
 var lat,long,map;
 var cursorEnabled=true;
 var popups=[];
@@ -717,6 +792,8 @@ class MapInterface extends I {
                 // Initialize weather controls once the map is fully loaded
                 WeatherInterface.initWeatherControls();
                 
+                // Shared links restore their own view (MapInterface.openSnapshot)
+                if(window.location.pathname.split('/')[2]) return;
                 // Center the map on a global view initially
                 map.flyTo({
                     center: [0, 20],
@@ -729,14 +806,20 @@ class MapInterface extends I {
         //
         MapInterface.search(); //initialize search tab
         MapInterface.discover(); //initialize discover tab
+        MapInterface.models(); //load providers registered on the server
+        MapInterface.history(); //restore this browser's history from the server
+        MapInterface.permalink(); //load the snapshot of a shared link
+        MapInterface.imports(); //accept GeoJSON, KML and CSV files dropped on the map
+        AlertInterface.start(); //load watch areas and poll for their alerts
 
         //
         let currentPath=window.location.pathname.split('/');
-        if(!currentPath[1] || currentPath[1]==='search') enableSearch();
-        else if(currentPath[1]==='discover') enableDiscover();
+        if(!currentPath[1] || currentPath[1]==='search') enableSearch(currentPath[2]);
+        else if(currentPath[1]==='discover') enableDiscover(currentPath[2]);
         //
-        function enableSearch() {
-            let title='Search | Godview',url='search';
+        // snapshotId keeps a shared link's address on first load
+        function enableSearch(snapshotId) {
+            let title='Search | Godview',url='search'+(snapshotId?'/'+snapshotId:'');
             document.getElementsByTagName('title')[0].innerHTML=title;
             history.pushState({title:title,url:url},title,rootURL+'/'+url);
             search.className='menuItem menuItemActive';
@@ -758,8 +841,8 @@ class MapInterface extends I {
             };
             cursorEnabled=false;
         }
-        function enableDiscover() {
-            let title='Discover | Godview',url='discover';
+        function enableDiscover(snapshotId) {
+            let title='Discover | Godview',url='discover'+(snapshotId?'/'+snapshotId:'');
             document.getElementsByTagName('title')[0].innerHTML=title;
             history.pushState({title:title,url:url},title,rootURL+'/'+url);
             search.className='menuItem';
@@ -797,6 +880,7 @@ class MapInterface extends I {
         let model=E.div(optBox,'promptOptions','model');
         model.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
         model.title='Select model.';
+        modelButtons.push(model);
         model.onclick=()=>{
             if(modelOptions.findIndex(x=>x.value===selectedModel.value)<modelOptions.length-1) selectedModel=modelOptions[modelOptions.findIndex(x=>x.value===selectedModel.value)+1];
             else selectedModel=modelOptions[0];
@@ -804,12 +888,43 @@ class MapInterface extends I {
             document.cookie="gv2_mdl=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;";
             document.cookie='gv2_mdl='+selectedModel.value+'; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
         };
-        let cookies=document.cookie.split(";");
-        let foundMdl=false;
-        for(let i=0;i<cookies.length;i++) {
-            if(cookies[i].indexOf("gv2_mdl")>-1) foundMdl=cookies[i].split("=")[1];
-        }
-        if(foundMdl) {
+        let compare=E.div(optBox,'promptOptions','compare');
+        compare.title='Compare models: send the prompt to several models at once.';
+        SearchInterface.compareButton(compare,model);
+        compare.onclick=()=>{
+            if(E.fetch2(body,'className','compareFloater').length>0) I.hideFloaters();
+            else SearchInterface.compareFloater(compare,model);
+        };
+        let area=E.div(optBox,'promptOptions','area');
+        area.title='Draw an area on the map to search in.';
+        AreaInterface.button(area);
+        area.onclick=()=>{
+            if(E.fetch2(body,'className','areaFloater').length>0) I.hideFloaters();
+            else AreaInterface.floater(area);
+        };
+        let reference=E.div(optBox,'promptOptions','reference');
+        reference.title='Choose where "near me" is, and the radius of nearby.';
+        ReferenceInterface.button(reference);
+        reference.onclick=()=>{
+            if(E.fetch2(body,'className','referenceFloater').length>0) I.hideFloaters();
+            else ReferenceInterface.floater(reference);
+        };
+        let watch=E.div(optBox,'promptOptions','watch');
+        watch.title='Watch an area for wind, temperature, wildfires and hurricanes.';
+        AlertInterface.button(watch);
+        watch.onclick=()=>{
+            if(E.fetch2(body,'className','watchFloater').length>0) I.hideFloaters();
+            else AlertInterface.floater(watch);
+        };
+        let newThread=E.div(optBox,'promptOptions','newThread');
+        newThread.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-plus"></i></span> <span class="promptOptText">New Search</span>';
+        newThread.title='Start a new search instead of following up.';
+        newThread.style.display='none';
+        newThread.onclick=()=>{
+            SearchInterface.activate(false);
+        };
+        let foundMdl=MapInterface.modelCookie();
+        if(foundMdl && modelOptions.findIndex(x=>x.value===foundMdl)>-1) {
             selectedModel=modelOptions[modelOptions.findIndex(x=>x.value===foundMdl)];
             model.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
         }
@@ -824,6 +939,14 @@ class MapInterface extends I {
         // history
         let history=E.div(body,'','searchHistory');
         E.div(history,'','historyTitle').innerHTML='History';
+        let historySearch=E.input(history,'text','','historySearch','Search history');
+        let historySearchTimer;
+        historySearch.oninput=()=>{
+            clearTimeout(historySearchTimer);
+            historySearchTimer=setTimeout(()=>{
+                SearchInterface.filterHistory(historySearch.value.trim());
+            },300);
+        };
         E.table(history,'','historyTable','center','90%');
 
         //
@@ -840,6 +963,7 @@ class MapInterface extends I {
                             .addTo(map);
                         map.panTo([position.coords.longitude,position.coords.latitude]);
                         myLocation={latitude:position.coords.latitude,longitude:position.coords.longitude};
+                        ReferenceInterface.set({source:'location',...myLocation,label:'My location'},reference);
                     });
                 }
                 else map.panTo([myLocation.longitude,myLocation.latitude]);
@@ -855,15 +979,20 @@ class MapInterface extends I {
         function prompt() {
             button.style.display='none';
             loading.style.display='block';
-            A.r('POST','/query',{prompt:field.value,myLocation:myLocation,model:selectedModel.value},(error,data)=>{
+            let query=field.value;
+            // compare mode sends the prompt to every selected model
+            let comparing=compareModels.length>1;
+            // follow-ups thread onto the active history entry
+            let active=comparing?false:historyData.find(x=>x.hex===activeHistory);
+            let path=comparing?'/compare':'/query';
+            // imported files are described to the model so the prompt can refer to them (newest first)
+            let imports=historyData.filter(x=>x.imported && x.id).map(x=>x.id).reverse();
+            let payload=comparing?{prompt:query,reference:searchReference,models:compareModels,clientId:MapInterface.clientId(),imports:imports,area:searchArea}:{prompt:query,reference:searchReference,model:selectedModel.value,clientId:MapInterface.clientId(),sessionId:active?active.sessionId:null,imports:imports,area:searchArea};
+            A.r('POST',path,payload,(error,data,response)=>{
                 loading.style.display='none';
                 button.style.display='block';
                 history.style.visibility='visible';
                 if(!error) {
-                    //
-                    let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
-                    SearchInterface.history(map,field.value,hex);
-                    historyData.push({hex:hex,markers:[],data:[]});
                     //
                     if(!navShowing && window.innerWidth>500) {
                         let nav=new mapboxgl.NavigationControl({
@@ -875,6 +1004,25 @@ class MapInterface extends I {
                         navShowing=true;
                     }
                     //
+                    if(comparing) {
+                        field.value='';
+                        SearchInterface.compareResults(map,query,data,response.historyId);
+                        SearchInterface.filteredInfo(data.reduce((sum,result)=>sum+(result.filtered || 0),0));
+                        return;
+                    }
+                    let hex;
+                    if(active && historyData.indexOf(active)>-1 && active.sessionId===response.sessionId) {
+                        hex=active.hex;
+                        SearchInterface.thread(hex,query);
+                    }
+                    else {
+                        // new search, or the server no longer had the session
+                        hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+                        let row=SearchInterface.history(map,query,hex);
+                        historyData.push({hex:hex,markers:[],data:[],sessionId:response.sessionId,prompts:[query],row:row,id:response.historyId});
+                    }
+                    SearchInterface.activate(hex);
+                    //
                     field.value='';
                     if(data && data.length>0) {
                         E.get('searchCards').innerHTML='';
@@ -887,6 +1035,8 @@ class MapInterface extends I {
                             }
                         });
                     }
+                    if(response.discarded>0) I.info(response.discarded+(response.discarded===1?' result was':' results were')+' discarded for missing or invalid coordinates.');
+                    SearchInterface.filteredInfo(response.filtered);
                 }
                 else I.error(error);
             });
@@ -903,6 +1053,7 @@ class MapInterface extends I {
         let model=E.div(optBox2,'promptOptions','model');
         model.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
         model.title='Select model.';
+        modelButtons.push(model);
         model.onclick=()=>{
             if(modelOptions.findIndex(x=>x.value===selectedModel.value)<modelOptions.length-1) selectedModel=modelOptions[modelOptions.findIndex(x=>x.value===selectedModel.value)+1];
             else selectedModel=modelOptions[0];
@@ -929,36 +1080,205 @@ class MapInterface extends I {
                 let coordinates=e.lngLat;
                 lat=parseFloat(e.lngLat.wrap().lat).toFixed(4);
                 long=parseFloat(e.lngLat.wrap().lng).toFixed(4);
+                let html='<div class="discoverButtonInfo">Coordinates:<br/>['+lat+', '+long+']</div><button class="discoverButton" onclick="DiscoverInterface.prompt();"><i class="fa-solid fa-comment"></i> Disover Location</button>';
                 let popup=new mapboxgl.Popup()
                     .setLngLat(coordinates)
-                    .setHTML('<div class="discoverButtonInfo">Coordinates:<br/>['+lat+', '+long+']</div><button class="discoverButton" onclick="DiscoverInterface.prompt();"><i class="fa-solid fa-comment"></i> Disover Location</button>')
+                    .setHTML(html)
                     .addTo(map);
                 popups.push(popup);
+                DiscoverInterface.airQuality(popup,html,lat,long);
             }
         });
 
         //
     };
+    static models() {
+        A.r('GET','/models',{},(error,data)=>{
+            if(!error && data && data.length>0) {
+                let current=MapInterface.modelCookie() || selectedModel.value;
+                modelOptions=data;
+                selectedModel=modelOptions.find(x=>x.value===current) || modelOptions[0];
+                modelButtons.forEach((button)=>{
+                    button.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-brain-circuit"></i></span> <span class="promptOptText">'+selectedModel.text+'</span>';
+                });
+            }
+        });
+    };
+    static history() {
+        A.r('POST','/history',{clientId:MapInterface.clientId()},(error,data)=>{
+            if(error || !data || data.length===0) return;
+            // oldest first, like entries added during a visit
+            data.slice().reverse().forEach((item)=>{
+                if(item.type==='discover') DiscoverInterface.restore(item);
+                else SearchInterface.restore(map,item);
+            });
+            if(historyData.length>0) E.get('searchHistory').style.visibility='visible';
+        });
+    };
+    // snapshot of a shared link (/search/<id>, /discover/<id>)
+    static permalink() {
+        let snapshotId=window.location.pathname.split('/')[2];
+        if(!snapshotId) return;
+        A.r('GET','/snapshot/'+snapshotId,{},(error,data)=>{
+            if(error) return I.error(error);
+            sharedSnapshot=data;
+            MapInterface.openSnapshot();
+        });
+    };
+    // show a shared snapshot, waiting for the weather controls so its layers can be turned on
+    static openSnapshot() {
+        if(!sharedSnapshot || sharedSnapshot.opened) return;
+        if(!WeatherInterface.isInitialized) {
+            setTimeout(()=>MapInterface.openSnapshot(),500);
+            return;
+        }
+        sharedSnapshot.opened=true;
+        let entry=sharedSnapshot.entry;
+        if(entry && entry.type==='discover') DiscoverInterface.restore(entry);
+        else if(entry) {
+            SearchInterface.show(map,SearchInterface.restore(map,entry).hex);
+            E.get('searchHistory').style.visibility='visible';
+        }
+        if(sharedSnapshot.view) map.jumpTo(sharedSnapshot.view);
+        WeatherInterface.applyShareState(sharedSnapshot);
+    };
+    // store the map, a history entry and the weather layers, and copy the link to them
+    static share(historyId) {
+        if(!historyId) return I.error('This result is still being saved, try again in a moment.');
+        let center=map.getCenter();
+        let weather=WeatherInterface.getShareState();
+        A.r('POST','/snapshot',{
+            clientId:MapInterface.clientId(),
+            historyId:historyId,
+            view:{center:[center.lng,center.lat],zoom:map.getZoom(),bearing:map.getBearing(),pitch:map.getPitch()},
+            layers:weather.layers,
+            timeline:weather.timeline
+        },(error,data)=>{
+            if(error) return I.error(error);
+            let url=rootURL+data.url;
+            if(navigator.clipboard) {
+                navigator.clipboard.writeText(url)
+                    .then(()=>I.success('Link copied: '+url))
+                    .catch(()=>I.info(url));
+            }
+            else I.info(url);
+        });
+    };
+    // files dropped on the map are imported as a history entry of their own
+    static imports() {
+        let mapBox=E.get('mapBox');
+        mapBox.ondragover=(e)=>{
+            e.preventDefault();
+            mapBox.classList.add('mapDropTarget');
+        };
+        mapBox.ondragleave=()=>{
+            mapBox.classList.remove('mapDropTarget');
+        };
+        mapBox.ondrop=(e)=>{
+            e.preventDefault();
+            mapBox.classList.remove('mapDropTarget');
+            Array.from(e.dataTransfer.files).forEach((file)=>{
+                if(file.size>5*1024*1024) return I.error(T.html(file.name)+' is larger than 5 MB.');
+                file.text().then((content)=>{
+                    A.r('POST','/import',{clientId:MapInterface.clientId(),filename:file.name,content:content},(error,data)=>{
+                        if(error) return I.error(T.html(error));
+                        SearchInterface.importResults(map,data);
+                        I.success('Imported '+data.features.length+' features from '+T.html(file.name)+'.');
+                    });
+                });
+            });
+        };
+    };
+    // pick a file format and download a history entry
+    static exportFloater(e,historyId) {
+        if(!historyId) return I.error('This result is still being saved, try again in a moment.');
+        I.hideFloaters();
+        let p=e.target.getBoundingClientRect();
+        let m=E.div(body,'floaterMenu','');
+        let table=E.table(m,'floaterMenuTable','','center','100%');
+        [
+            {format:'geojson',text:'GeoJSON'},
+            {format:'kml',text:'KML (Google Earth)'},
+            {format:'gpx',text:'GPX (GPS)'},
+            {format:'csv',text:'CSV'}
+        ].forEach((option)=>{
+            let tr=E.tableR(table);
+            E.div(E.tableC(tr,'100%'),'floaterMenuItem','').innerHTML='<i class="fa-solid fa-file-arrow-down"></i> '+option.text;
+            tr.onclick=()=>{
+                I.hideFloaters();
+                A.download('/export',{clientId:MapInterface.clientId(),id:historyId,format:option.format},(error)=>{
+                    if(error) I.error(error);
+                });
+            };
+        });
+        m.style.top=p.top+window.scrollY+15+'px';
+        m.style.left=p.left+window.scrollX-160+'px';
+    };
+    static modelCookie() {
+        let cookies=document.cookie.split(";");
+        let foundMdl=false;
+        for(let i=0;i<cookies.length;i++) {
+            if(cookies[i].indexOf("gv2_mdl")>-1) foundMdl=cookies[i].split("=")[1];
+        }
+        return foundMdl;
+    };
+    // ID that ties this browser's search sessions together on the server
+    static clientId() {
+        let cookies=document.cookie.split(";");
+        for(let i=0;i<cookies.length;i++) {
+            if(cookies[i].indexOf("gv2_cid")>-1) return cookies[i].split("=")[1];
+        }
+        let id=Date.now().toString(36)+Math.random().toString(36).substr(2,10);
+        document.cookie='gv2_cid='+id+'; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
+        return id;
+    };
 }
 
 class SearchInterface extends I {
+    static popupHTML(pointData) {
+        return '<div class="pointName">'+T.html(pointData.name)+'</div>'+SearchInterface.verificationBadge(pointData.verification)+'<div class="pointAddress">'+T.html(pointData.address)+'</div><div class="pointLatLong">Lat,Long: '+T.html(pointData.latitude)+', '+T.html(pointData.longitude)+'</div>'+WeatherInterface.getWeatherSummaryHTML(pointData.weather);
+    };
     static point(map,pointData,hex) {
         let m=new mapboxgl.Marker({color: hex})
             .setLngLat([pointData.longitude,pointData.latitude])
-            .setPopup(new mapboxgl.Popup().setHTML('<div class="pointName">'+pointData.name+'</div><div class="pointAddress">'+pointData.address+'</div><div class="pointLatLong">Lat,Long: '+pointData.latitude+', '+pointData.longitude+'</div>'))
+            .setPopup(new mapboxgl.Popup().setHTML(SearchInterface.popupHTML(pointData)))
             .addTo(map);
         historyData[historyData.findIndex(x=>x.hex===hex)].markers.push(m);
         historyData[historyData.findIndex(x=>x.hex===hex)].data.push(pointData);
     };
+    // badge for the geocoding check of a result's coordinates
+    static verificationBadge(verification) {
+        if(!verification) return '';
+        let badges={
+            verified:{icon:'fa-circle-check',text:'Verified',title:'Coordinates confirmed by '+verification.source+'.'},
+            corrected:{icon:'fa-location-crosshairs',text:'Corrected',title:'Moved '+verification.distance_km+' km to the position found by '+verification.source+'.'},
+            unverified:{icon:'fa-circle-question',text:'Unverified',title:verification.source?verification.source+' could not confirm this location.':'Geocoding verification is turned off.'}
+        };
+        let badge=badges[verification.status];
+        if(!badge) return '';
+        return '<span class="verificationBadge verification_'+verification.status+'" title="'+T.html(badge.title)+'"><i class="fa-solid '+badge.icon+'"></i> '+badge.text+'</span>';
+    };
     static card(map,pointData,hex,i) {
         let box=E.div(E.get('searchCards'),'cardItem','');
-        E.div(box,'cardName cardText','').innerHTML=pointData.name;
-        E.div(box,'cardAddress cardText','').innerHTML=pointData.address;
-        if(pointData.url) {
+        E.div(box,'cardName cardText','').innerHTML=T.html(pointData.name);
+        if(pointData.verification) E.div(box,'cardVerification cardText','').innerHTML=SearchInterface.verificationBadge(pointData.verification);
+        if(pointData.agreement) {
+            // several models in a comparison found this place
+            box.className+=' cardItemAgreed';
+            let agreed=E.div(box,'cardAgreement cardText','');
+            agreed.innerHTML='<i class="fa-solid fa-handshake"></i> '+pointData.agreement.models.length+' models agree';
+            agreed.title=pointData.agreement.models.map(x=>(modelOptions.find(y=>y.value===x) || {text:x}).text).join(', ');
+        }
+        E.div(box,'cardAddress cardText','').innerHTML=T.html(pointData.address);
+        if(pointData.distance_km!==undefined) E.div(box,'cardDistance cardText','').innerHTML='<i class="fa-solid fa-bullseye"></i> '+ReferenceInterface.distanceText(pointData.distance_km)+' away';
+        if(pointData.weather) E.div(box,'cardWeather cardText','').innerHTML=WeatherInterface.getWeatherSummaryHTML(pointData.weather);
+        if(pointData.hazards) E.div(box,'cardHazards cardText','').innerHTML=SearchInterface.hazardHTML(pointData.hazards);
+        if(pointData.url && /^https?:\/\//i.test(pointData.url)) {
             let url=E.div(E.a(box,'','',pointData.url,'_blank'),'cardIcon','');
             let parseUrl=new URL(pointData.url);
-            url.innerHTML='<i class="fa-light fa-link"></i> '+parseUrl.host;
+            url.innerHTML='<i class="fa-light fa-link"></i> '+T.html(parseUrl.host);
         }
+        WeatherInterface.createForecastStrip(box,pointData.latitude,pointData.longitude);
         //
         box.style.borderLeft='10px solid '+hex;
         box.onclick=()=>{
@@ -975,21 +1295,25 @@ class SearchInterface extends I {
         dot.innerHTML='<i class="fa-solid fa-location-dot"></i>';
         dot.style.color=hex;
         dot.onclick=()=>{
-            map.panTo(historyData[historyData.findIndex(x=>x.hex===hex)].markers[0].getLngLat());
-            E.get('searchCards').innerHTML='';
-            historyData[historyData.findIndex(x=>x.hex===hex)].data.forEach((dataPoint,i)=>{
-                MapInterface.card(map,dataPoint,hex,i);
-            });
+            SearchInterface.show(map,hex);
         };
-        let text=E.div(E.tableC(tr,'80%'),'historyItemText','');
-        text.innerHTML=T.s(prompt,15);
+        let text=E.div(E.tableC(tr,'60%'),'historyItemText','');
+        text.innerHTML=T.html(T.s(prompt,15));
         text.title=prompt;
         text.onclick=()=>{
-            map.panTo(historyData[historyData.findIndex(x=>x.hex===hex)].markers[0].getLngLat());
-            E.get('searchCards').innerHTML='';
-            historyData[historyData.findIndex(x=>x.hex===hex)].data.forEach((dataPoint,i)=>{
-                MapInterface.card(map,dataPoint,hex,i);
-            });
+            SearchInterface.show(map,hex);
+        };
+        let download=E.div(E.tableC(tr,'10%'),'historyItemAction','');
+        download.innerHTML='<i class="fa-solid fa-file-export"></i>';
+        download.title='Export these results.';
+        download.onclick=(e)=>{
+            MapInterface.exportFloater(e,historyData[historyData.findIndex(x=>x.hex===hex)].id);
+        };
+        let share=E.div(E.tableC(tr,'10%'),'historyItemAction','');
+        share.innerHTML='<i class="fa-solid fa-share-nodes"></i>';
+        share.title='Copy a link to these results.';
+        share.onclick=()=>{
+            MapInterface.share(historyData[historyData.findIndex(x=>x.hex===hex)].id);
         };
         let rm=E.div(E.tableC(tr,'10%'),'historyItemRm','');
         rm.innerHTML='<i class="fa-solid fa-xmark"></i>';
@@ -1000,10 +1324,256 @@ class SearchInterface extends I {
                     for(let i=0;i<historyData[historyData.findIndex(x=>x.hex===hex)].markers.length;i++) {
                         historyData[historyData.findIndex(x=>x.hex===hex)].markers[i].remove();
                     }
+                    SearchInterface.removeImportLayers(map,historyData[historyData.findIndex(x=>x.hex===hex)]);
+                    A.r('POST','/session/end',{clientId:MapInterface.clientId(),sessionId:historyData[historyData.findIndex(x=>x.hex===hex)].sessionId},()=>{});
+                    A.r('POST','/history/delete',{clientId:MapInterface.clientId(),id:historyData[historyData.findIndex(x=>x.hex===hex)].id},()=>{});
                     historyData.splice(historyData.findIndex(x=>x.hex===hex),1);
+                    if(activeHistory===hex) SearchInterface.activate(false);
                 }
             });
         };
+        return tr;
+    };
+    // show a history entry's results again
+    static show(map,hex) {
+        let entry=historyData[historyData.findIndex(x=>x.hex===hex)];
+        if(entry.restored) SearchInterface.plot(map,entry);
+        // comparisons have no session to follow up on
+        SearchInterface.activate(entry.sessionId?hex:false);
+        if(entry.markers.length>0) map.panTo(entry.markers[0].getLngLat());
+        else if(entry.bounds) map.fitBounds(entry.bounds,{padding:100,maxZoom:14,duration:1500});
+        E.get('searchCards').innerHTML='';
+        if(entry.compare) SearchInterface.compareCards(map,entry);
+        else {
+            entry.data.forEach((dataPoint,i)=>{
+                SearchInterface.card(map,dataPoint,hex,i);
+            });
+        }
+    };
+    // add a follow-up to a history entry; its answer replaces the entry's results
+    static thread(hex,prompt) {
+        let entry=historyData[historyData.findIndex(x=>x.hex===hex)];
+        entry.prompts.push(prompt);
+        entry.markers.forEach((m)=>{
+            m.remove();
+        });
+        entry.markers=[];
+        entry.data=[];
+        entry.restored=null;
+        SearchInterface.historyText(entry);
+    };
+    static historyText(entry) {
+        let text=E.fetch2(entry.row,'className','historyItemText')[0];
+        text.innerHTML=T.html(T.s(entry.prompts[0],15))+(entry.prompts.length>1?' <span class="historyItemTurns">'+entry.prompts.length+'</span>':'');
+        text.title=entry.prompts.join('\n');
+    };
+    // history entry loaded from the server; its markers are added when it is first shown
+    static restore(map,item) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        let row=SearchInterface.history(map,item.prompts[0],hex);
+        if(item.type==='compare') E.fetch2(row,'className','historyItemDot')[0].innerHTML='<i class="fa-solid fa-code-compare"></i>';
+        if(item.type==='import') E.fetch2(row,'className','historyItemDot')[0].innerHTML='<i class="fa-solid fa-file-import"></i>';
+        let entry={hex:hex,markers:[],data:[],sessionId:item.sessionId,prompts:item.prompts,row:row,id:item.id,restored:item,imported:item.type==='import'};
+        historyData.push(entry);
+        SearchInterface.historyText(entry);
+        return entry;
+    };
+    static plot(map,entry) {
+        let item=entry.restored;
+        entry.restored=null;
+        if(item.type==='compare') {
+            entry.compare=item.results;
+            item.results.forEach((result,i)=>{
+                result.style=SearchInterface.compareStyle(i);
+                result.data.forEach((dataPoint)=>{
+                    SearchInterface.comparePoint(map,dataPoint,entry,result);
+                });
+            });
+        }
+        else if(item.type==='import') SearchInterface.importLayers(map,entry,item);
+        else {
+            item.results.forEach((dataPoint)=>{
+                SearchInterface.point(map,dataPoint,entry.hex);
+            });
+        }
+    };
+    static importResults(map,item) {
+        let entry=SearchInterface.restore(map,item);
+        E.get('searchHistory').style.visibility='visible';
+        SearchInterface.show(map,entry.hex);
+    };
+    // positions of a GeoJSON geometry's coordinates, at any depth
+    static importPositions(coordinates) {
+        if(typeof coordinates[0]==='number') return [coordinates];
+        return coordinates.flatMap(x=>SearchInterface.importPositions(x));
+    };
+    // draw an imported file's shapes in the entry's colour; a card for each feature
+    static importLayers(map,entry,item) {
+        let source='import-'+entry.hex.substr(1);
+        map.addSource(source,{type:'geojson',data:{type:'FeatureCollection',features:item.features}});
+        map.addLayer({id:source+'-fill',type:'fill',source:source,filter:['==','$type','Polygon'],paint:{'fill-color':entry.hex,'fill-opacity':0.25}});
+        map.addLayer({id:source+'-line',type:'line',source:source,filter:['!=','$type','Point'],paint:{'line-color':entry.hex,'line-width':2}});
+        map.addLayer({id:source+'-point',type:'circle',source:source,filter:['==','$type','Point'],paint:{'circle-color':entry.hex,'circle-radius':6,'circle-stroke-color':'#FFFFFF','circle-stroke-width':1.5}});
+        entry.source=source;
+        entry.layers=[source+'-fill',source+'-line',source+'-point'];
+        //
+        entry.bounds=new mapboxgl.LngLatBounds();
+        item.features.forEach((feature,i)=>{
+            let positions=SearchInterface.importPositions(feature.geometry.coordinates);
+            positions.forEach((position)=>{
+                entry.bounds.extend(position);
+            });
+            entry.data.push({
+                name:feature.properties.name,
+                address:feature.geometry.type+' · '+item.name,
+                latitude:parseFloat((positions.reduce((sum,x)=>sum+x[1],0)/positions.length).toFixed(4)),
+                longitude:parseFloat((positions.reduce((sum,x)=>sum+x[0],0)/positions.length).toFixed(4)),
+                hazards:item.hazards?item.hazards[i]:null
+            });
+        });
+        // kept so removeImportLayers can take them off again
+        entry.handlers=entry.layers.map((layer)=>{
+            let handler=(e)=>{
+                let feature=e.features[0];
+                let i=item.features.findIndex(x=>x.properties.name===feature.properties.name);
+                new mapboxgl.Popup()
+                    .setLngLat(e.lngLat)
+                    .setHTML('<div class="pointName">'+T.html(feature.properties.name)+'</div><div class="pointAddress">'+T.html(item.name)+'</div>'+(i>-1 && item.hazards?'<div class="pointHazards">'+SearchInterface.hazardHTML(item.hazards[i])+'</div>':''))
+                    .addTo(map);
+            };
+            map.on('click',layer,handler);
+            return {type:'click',layer:layer,handler:handler};
+        });
+    };
+    static removeImportLayers(map,entry) {
+        if(!entry.source) return;
+        (entry.handlers || []).forEach((x)=>{
+            map.off(x.type,x.layer,x.handler);
+        });
+        entry.handlers=[];
+        entry.layers.forEach((layer)=>{
+            if(map.getLayer(layer)) map.removeLayer(layer);
+        });
+        if(map.getSource(entry.source)) map.removeSource(entry.source);
+    };
+    // wildfire hotspots and natural events found near an imported feature
+    static hazardHTML(hazards) {
+        let lines=[];
+        if(hazards.fires>0) lines.push('<i class="fa-solid fa-fire"></i> '+hazards.fires+' fire hotspots within 50 km, nearest '+hazards.nearest_fire_km+' km');
+        (hazards.events || []).forEach((event)=>{
+            lines.push('<i class="fa-solid fa-triangle-exclamation"></i> '+T.html(event.title)+' ('+event.distance_km+' km)');
+        });
+        if(lines.length===0 && hazards.fires!==undefined) lines.push('<i class="fa-solid fa-shield-check"></i> No fires or natural events nearby');
+        return '<span class="hazardInfo">'+lines.join('<br/>')+'</span>';
+    };
+    // results the server removed for falling outside the drawn area
+    static filteredInfo(filtered) {
+        if(filtered>0) I.info(filtered+(filtered===1?' result was':' results were')+' outside the drawn area and left out.');
+    };
+    // hide the history entries that do not match a search of the stored history
+    static filterHistory(query) {
+        if(!query) {
+            historyData.forEach((entry)=>{
+                entry.row.style.display='';
+            });
+            return;
+        }
+        A.r('POST','/history',{clientId:MapInterface.clientId(),query:query,types:['search','compare','import'],limit:1000},(error,data)=>{
+            if(error) return I.error(error);
+            let ids=data.map(x=>x.id);
+            historyData.forEach((entry)=>{
+                entry.row.style.display=ids.indexOf(entry.id)>-1?'':'none';
+            });
+        });
+    };
+    // set the history entry follow-ups go to (false for a new search)
+    static activate(hex) {
+        activeHistory=hex;
+        historyData.forEach((entry)=>{
+            entry.row.className=entry.hex===hex?'historyItemActive':'';
+        });
+        E.get('newThread').style.display=hex && compareModels.length<2?'':'none';
+        E.get('promptField').placeholder=hex?'Ask a follow-up, eg: "only the ones open late"':'Eg: "show me 5 soccer fields in NYC"';
+    };
+    // marker colour and shape of the i-th model in a comparison
+    static compareStyle(i) {
+        let colors=['#E6194B','#3CB44B','#4363D8','#F58231','#911EB4','#42D4F4','#F032E6','#BFEF45'];
+        let shapes=['circle','square','triangle','diamond','hexagon','star'];
+        return {color:colors[i%colors.length],shape:shapes[i%shapes.length]};
+    };
+    static compareButton(button,modelButton) {
+        let on=compareModels.length>1;
+        button.innerHTML='<span class="promptOptIcon"><i class="fa-solid fa-code-compare"></i></span> <span class="promptOptText">'+(on?'Comparing '+compareModels.length:'Compare')+'</span>';
+        button.className=on?'promptOptions promptOptionsActive':'promptOptions';
+        // the single model picker does not apply while comparing
+        modelButton.style.display=on?'none':'';
+        if(on) SearchInterface.activate(false);
+    };
+    // pick the models to compare
+    static compareFloater(button,modelButton) {
+        let m=E.div(body,'floaterMenu compareFloater','');
+        let table=E.table(m,'floaterMenuTable','','center','100%');
+        modelOptions.forEach((option)=>{
+            let tr=E.tableR(table);
+            let item=E.div(E.tableC(tr,'100%'),'floaterMenuItem','');
+            let render=()=>{
+                let on=compareModels.indexOf(option.value)>-1;
+                item.innerHTML='<i class="'+(on?'fa-solid fa-square-check':'fa-regular fa-square')+'"></i> '+option.text;
+            };
+            render();
+            tr.onclick=()=>{
+                if(compareModels.indexOf(option.value)>-1) compareModels.splice(compareModels.indexOf(option.value),1);
+                else compareModels.push(option.value);
+                render();
+                SearchInterface.compareButton(button,modelButton);
+            };
+        });
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        let p=button.getBoundingClientRect();
+        m.style.left=p.left+window.scrollX+'px';
+        m.style.top=p.top+window.scrollY-m.offsetHeight-10+'px';
+    };
+    static compareResults(map,prompt,results,id) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        let row=SearchInterface.history(map,prompt,hex);
+        E.fetch2(row,'className','historyItemDot')[0].innerHTML='<i class="fa-solid fa-code-compare"></i>';
+        let entry={hex:hex,markers:[],data:[],compare:results,prompts:[prompt],row:row,id:id};
+        historyData.push(entry);
+        SearchInterface.activate(false);
+        //
+        let bounds=new mapboxgl.LngLatBounds();
+        results.forEach((result,i)=>{
+            result.style=SearchInterface.compareStyle(i);
+            result.data.forEach((dataPoint)=>{
+                SearchInterface.comparePoint(map,dataPoint,entry,result);
+                bounds.extend([dataPoint.longitude,dataPoint.latitude]);
+            });
+            if(result.error) I.error(T.html(result.label+': '+result.error));
+        });
+        E.get('searchCards').innerHTML='';
+        SearchInterface.compareCards(map,entry);
+        if(entry.markers.length>0) map.fitBounds(bounds,{padding:100,maxZoom:14,duration:1500});
+    };
+    static comparePoint(map,pointData,entry,result) {
+        let el=document.createElement('div');
+        el.className='compareMarker'+(pointData.agreement?' compareMarkerAgreed':'');
+        E.div(el,'compareShape compareShape_'+result.style.shape,'').style.background=result.style.color;
+        let m=new mapboxgl.Marker({element:el})
+            .setLngLat([pointData.longitude,pointData.latitude])
+            .setPopup(new mapboxgl.Popup().setHTML('<div class="pointModel">'+T.html(result.label)+'</div>'+SearchInterface.popupHTML(pointData)))
+            .addTo(map);
+        entry.markers.push(m);
+        entry.data.push(pointData);
+    };
+    // cards grouped by model
+    static compareCards(map,entry) {
+        entry.compare.forEach((result)=>{
+            let title=E.div(E.get('searchCards'),'compareGroupTitle','');
+            title.innerHTML='<span class="compareShape compareShape_'+result.style.shape+'" style="background:'+result.style.color+'"></span> '+T.html(result.label)+' <span class="compareGroupCount">'+T.html(result.error?result.error:result.data.length+' results')+'</span>';
+            result.data.forEach((dataPoint,i)=>{
+                SearchInterface.card(map,dataPoint,result.style.color,i);
+            });
+        });
     };
 }
 class DiscoverInterface extends I {
@@ -1011,124 +1581,864 @@ class DiscoverInterface extends I {
         popups.forEach((p)=>{
             p.remove();
         });
+        let pointLat=lat,pointLong=long;
         let load=E.img(E.get('discoverResultsBox'),'','discoverLoad',rootURL+'/src/loading2.gif');
-        A.r('POST','/discover',{latitude:lat,longitude:long,model:selectedModel.value},(error,data)=>{
-            if(!error) {
-                if(data) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        let item,text,status;
+        A.stream('/discover',{latitude:pointLat,longitude:pointLong,model:selectedModel.value,clientId:MapInterface.clientId(),stream:true},(event,data)=>{
+            if(event==='tool' && data) {
+                // the model is looking something up before it answers
+                if(!status) status=E.div(E.get('discoverResultsBox'),'discoverToolStatus','');
+                status.innerHTML='<i class="fa-solid fa-cloud-sun"></i> '+DiscoverInterface.toolStatus(data.name);
+            }
+            else if(event==='message' && data) {
+                if(status && status.parentNode) status.parentNode.removeChild(status);
+                if(!item) {
+                    // first tokens: swap the loader for the result item
                     E.get('discoverResultsBox').removeChild(load);
-                    let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
-                    DiscoverInterface.point(lat,long,hex);
-                    let item=E.div(E.get('discoverResultsBox'),'discoverItem','');
-                    E.div(item,'discoverItemTitle','').innerHTML='<i class="fa-solid fa-location-dot" style="color:'+hex+'"></i> ['+lat+', '+long+']';
-                    E.div(item,'discoverItemText','').innerHTML='<pre>'+data+'</pre>';
-                    item.scrollIntoView();
-                    item.onclick=()=>{
-                        map.panTo(discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].marker.getLngLat());
-                    };
+                    DiscoverInterface.point(pointLat,pointLong,hex);
+                    item=DiscoverInterface.item(pointLat,pointLong,hex);
+                    text=E.fetch2(item,'tagName','pre')[0];
+                    WeatherInterface.createClimateChart(item,pointLat,pointLong,true);
                 }
+                text.textContent+=data.text;
+                item.scrollIntoView();
+            }
+            else if(event==='done' || event==='error') {
+                if(load.parentNode) load.parentNode.removeChild(load);
+                if(status && status.parentNode) status.parentNode.removeChild(status);
+                if(event==='done' && item && data) discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].id=data.historyId;
+                if(event==='error') I.error(data.error);
             }
-            else I.error(error);
         });
     };
     
+    // status line for a weather tool call
+    static toolStatus(name) {
+        let labels={
+            get_current_weather:'Checking current weather',
+            get_forecast:'Checking the forecast',
+            get_climate_normals:'Checking the climate',
+            get_active_hurricanes:'Checking active storms',
+            get_wildfires:'Checking wildfires',
+            get_disasters:'Checking natural events'
+        };
+        return (labels[name] || 'Looking up '+name)+'...';
+    }
+    
+    static item(pointLat,pointLong,hex) {
+        let item=E.div(E.get('discoverResultsBox'),'discoverItem','');
+        let title=E.div(item,'discoverItemTitle','');
+        title.innerHTML='<i class="fa-solid fa-location-dot" style="color:'+hex+'"></i> ['+T.html(pointLat)+', '+T.html(pointLong)+']';
+        let share=E.span(title,'discoverItemAction','');
+        share.innerHTML='<i class="fa-solid fa-share-nodes"></i>';
+        share.title='Copy a link to this answer.';
+        share.onclick=(e)=>{
+            e.stopPropagation();
+            MapInterface.share(discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].id);
+        };
+        let download=E.span(title,'discoverItemAction','');
+        download.innerHTML='<i class="fa-solid fa-file-export"></i>';
+        download.title='Export this pin.';
+        download.onclick=(e)=>{
+            e.stopPropagation();
+            MapInterface.exportFloater(e,discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].id);
+        };
+        E.div(item,'discoverItemText','').appendChild(document.createElement('pre'));
+        item.onclick=()=>{
+            map.panTo(discoverHistoryData[discoverHistoryData.findIndex(x=>x.hex===hex)].marker.getLngLat());
+        };
+        return item;
+    }
+    // Discover answer loaded from the server, with the weather when it was asked
+    static restore(data) {
+        let hex='#'+(Math.random() * 0xFFFFFF << 0).toString(16).padStart(6, '0');
+        DiscoverInterface.point(data.latitude,data.longitude,hex);
+        let item=DiscoverInterface.item(data.latitude,data.longitude,hex);
+        E.fetch2(item,'tagName','pre')[0].textContent=data.text;
+        if(data.weather) E.div(item,'discoverItemWeather','').innerHTML=WeatherInterface.getWeatherSummaryHTML(data.weather);
+        // behind its toggle, as restored history adds many answers at once
+        WeatherInterface.createClimateChart(item,data.latitude,data.longitude,false);
+        discoverHistoryData[discoverHistoryData.length-1].id=data.id;
+    }
+    
+    // add the AQI at the point to a popup once it is loaded
+    static airQuality(popup,html,lat,long) {
+        WeatherInterface.loadAirQuality(lat,long,(airQuality)=>{
+            if(airQuality) popup.setHTML(html+WeatherInterface.getAirQualityHTML(airQuality));
+        });
+    }
+    
     static point(lat,long,hex) {
+        let html='<div class="pointLatLong">Lat,Long: '+lat+', '+long+'</div>';
+        let popup=new mapboxgl.Popup().setHTML(html);
+        // loaded when first opened, as restored history adds many pins at once
+        popup.once('open',()=>DiscoverInterface.airQuality(popup,html,lat,long));
         let m=new mapboxgl.Marker({color: hex})
             .setLngLat([long,lat])
-            .setPopup(new mapboxgl.Popup().setHTML('<div class="pointLatLong">Lat,Long: '+lat+', '+long+'</div>'))
+            .setPopup(popup)
             .addTo(map);
         discoverHistoryData.push({hex:hex,marker:m});
     }
 }/**
- * Weather Interface Module
- * Handles all weather-related UI and data visualization
+ * Search Area Module
+ * Draws a rectangle, circle or polygon on the map to scope Search prompts.
+ * The area is sent with each prompt until it is cleared; the server removes results outside it.
+ * The reference point (map centre, a pin, my location or a typed place) sets where "near me" is;
+ * the server sorts results by their distance from it.
  */
-class WeatherInterface extends I {
-    static weatherLayers = [];
-    static activeWeatherLayers = {};
-    static weatherData = {
-        current: null,
-        forecast: null,
-        hurricanes: [],
-        wildfires: [],
-        disasters: []
-    };
-    static timelineVisible = false;
-    static timeSliderValue = 0;
-    static isPlaying = false;
-    static playInterval = null;
-    static isInitialized = false;
-    static tileErrorHandlingSetup = false;
-    
-    // Zoom level tracking for multi-scale visualization
-    static currentZoomLevel = 0;
-    static zoomLevels = {
-        GLOBAL: { min: 0, max: 3 },    // Global view (whole earth)
-        REGIONAL: { min: 3, max: 8 },  // Regional view (continents, large regions)
-        LOCAL: { min: 8, max: 22 }     // Local view (cities, local areas)
-    };
-    static zoomChangeDebounceTimer = null;
-    
-    // Tile resolution configuration based on zoom level
-    static tileResolutions = {
-        GLOBAL: { resolution: 'low', tileSuffix: '/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577' },
-        REGIONAL: { resolution: 'medium', tileSuffix: '/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577' },
-        LOCAL: { resolution: 'high', tileSuffix: '/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577' }
-    };
+let searchArea=false;
+let searchReference=false;
 
-    // Add a new tile manager system:
-    // Tile caching system for efficient loading
-    static tileCache = {
-        temperature: {},
-        precipitation: {},
-        wind: {},
-        cloud: {}
-    };
-    
-    // Viewport tracking for efficient tile loading
-    static currentViewport = {
-        bounds: null,
-        center: null,
-        zoom: 0
+class AreaInterface extends I {
+    static drawing = null; // shape being drawn: {type, points}
+    static handlers = null;
+    static shapes = {
+        rectangle: { text: 'Rectangle', icon: 'fa-vector-square', hint: 'Click two opposite corners.' },
+        circle: { text: 'Circle', icon: 'fa-circle-dot', hint: 'Click the centre, then the edge.' },
+        polygon: { text: 'Polygon', icon: 'fa-draw-polygon', hint: 'Click each corner, double-click to finish.' }
     };
-    
-    // Prefetch status tracking
-    static prefetchQueue = [];
-    static prefetchInProgress = false;
-    
+
     /**
-     * Initialize weather control panel
+     * Show the current area on the prompt option
+     * @param {HTMLElement} button - Area prompt option
      */
-    static initWeatherControls() {
-        // Prevent multiple initializations
-        if (this.isInitialized) {
-            console.log('Weather controls already initialized');
-            return;
-        }
+    static button(button) {
+        button.innerHTML = `<span class="promptOptIcon"><i class="fa-solid fa-draw-polygon"></i></span> <span class="promptOptText">${searchArea ? 'Area: ' + this.shapes[searchArea.type].text : 'Area'}</span>`;
+        button.className = searchArea ? 'promptOptions promptOptionsActive' : 'promptOptions';
+    }
 
-        // Only initialize if map is defined and loaded
-        if (!map || typeof map.loaded !== 'function') {
-            console.log('Map not ready yet, delaying weather controls initialization');
-            setTimeout(() => this.initWeatherControls(), 500);
-            return;
-        }
+    /**
+     * Pick a shape to draw, or clear the area
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static floater(button) {
+        const m = E.div(body, 'floaterMenu areaFloater', '');
+        const table = E.table(m, 'floaterMenuTable', '', 'center', '100%');
+        const options = Object.keys(this.shapes).map(type => ({ type, ...this.shapes[type] }));
+        if (searchArea) options.push({ type: false, text: 'Clear area', icon: 'fa-xmark' });
 
-        try {
-            if (!map.loaded()) {
-                console.log('Map not fully loaded yet, delaying weather controls initialization');
-                setTimeout(() => this.initWeatherControls(), 500);
-                return;
+        options.forEach(option => {
+            const tr = E.tableR(table);
+            E.div(E.tableC(tr, '100%'), 'floaterMenuItem', '').innerHTML = `<i class="fa-solid ${option.icon}"></i> ${option.text}`;
+            tr.onclick = () => {
+                I.hideFloaters();
+                if (option.type) this.start(option.type, button);
+                else this.clear(button);
+            };
+        });
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        const p = button.getBoundingClientRect();
+        m.style.left = p.left + window.scrollX + 'px';
+        m.style.top = p.top + window.scrollY - m.offsetHeight - 10 + 'px';
+    }
+
+    /**
+     * Start drawing a shape; the map's clicks place its points
+     * @param {string} type - rectangle, circle or polygon
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static start(type, button) {
+        this.stop();
+        this.drawing = { type, points: [] };
+        I.info(this.shapes[type].hint + ' Press Esc to cancel.');
+        map.getCanvas().style.cursor = 'crosshair';
+        map.doubleClickZoom.disable();
+
+        this.handlers = {
+            // points keep the longitude of the world copy they were clicked on, so a shape
+            // drawn across the antimeridian stays in one piece until it is finished
+            click: e => {
+                const point = e.lngLat;
+                const points = this.drawing.points;
+                // the clicks of a double-click land on the last point
+                if (points.length > 0 && map.project(points[points.length - 1]).dist(e.point) < 4) return;
+                points.push(point);
+                if ((type === 'rectangle' || type === 'circle') && points.length === 2) this.finish(button);
+                else this.render(this.drawing, point);
+            },
+            mousemove: e => {
+                if (this.drawing.points.length > 0) this.render(this.drawing, e.lngLat);
+            },
+            dblclick: e => {
+                e.preventDefault();
+                if (type === 'polygon' && this.drawing.points.length >= 3) this.finish(button);
+            },
+            keydown: e => {
+                if (e.key === 'Escape') {
+                    this.stop();
+                    this.render(searchArea);
+                }
             }
-        } catch (e) {
-            console.log('Error checking map loaded state, delaying weather controls initialization', e);
-            setTimeout(() => this.initWeatherControls(), 500);
-            return;
+        };
+        map.on('click', this.handlers.click);
+        map.on('mousemove', this.handlers.mousemove);
+        map.on('dblclick', this.handlers.dblclick);
+        document.addEventListener('keydown', this.handlers.keydown);
+    }
+
+    /**
+     * Stop drawing and restore the map's own interactions
+     */
+    static stop() {
+        if (!this.handlers) return;
+        map.off('click', this.handlers.click);
+        map.off('mousemove', this.handlers.mousemove);
+        map.off('dblclick', this.handlers.dblclick);
+        document.removeEventListener('keydown', this.handlers.keydown);
+        map.getCanvas().style.cursor = '';
+        // wait for the double-click that finished a polygon before zooming on double-clicks again
+        setTimeout(() => map.doubleClickZoom.enable(), 300);
+        this.handlers = null;
+        this.drawing = null;
+    }
+
+    /**
+     * Turn the drawn points into the area sent with prompts
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static finish(button) {
+        const { type, points } = this.drawing;
+        const round = value => parseFloat(value.toFixed(5));
+        if (type === 'rectangle') {
+            // the box spans the clicked longitudes; once wrapped, west > east when it crosses the antimeridian
+            const width = Math.abs(points[0].lng - points[1].lng);
+            const west = ((Math.min(points[0].lng, points[1].lng) + 180) % 360 + 360) % 360 - 180;
+            const east = west + width > 180 ? west + width - 360 : west + width;
+            searchArea = {
+                type,
+                north: round(Math.max(points[0].lat, points[1].lat)),
+                south: round(Math.min(points[0].lat, points[1].lat)),
+                east: width >= 360 ? 180 : round(east),
+                west: width >= 360 ? -180 : round(west)
+            };
+        } else if (type === 'circle') {
+            searchArea = {
+                type,
+                latitude: round(points[0].lat),
+                longitude: round(points[0].wrap().lng),
+                radius_km: parseFloat((points[0].distanceTo(points[1]) / 1000).toFixed(2))
+            };
+        } else {
+            searchArea = { type, coordinates: points.map(point => [round(point.wrap().lng), round(point.lat)]) };
         }
+        this.stop();
+        this.render(searchArea);
+        this.button(button);
+    }
 
-        console.log('Initializing weather controls');
-        this.isInitialized = true;
-        
-        // Setup zoom change monitoring
-        this.setupZoomChangeHandling();
+    /**
+     * Remove the area
+     * @param {HTMLElement} button - Area prompt option
+     */
+    static clear(button) {
+        this.stop();
+        searchArea = false;
+        this.render(false);
+        this.button(button);
+    }
+
+    /**
+     * Outline of an area, or of a shape being drawn up to the cursor
+     * @param {Object} shape - Area, or the drawing ({type, points})
+     * @param {Object} cursor - Cursor position while drawing
+     * @returns {Array} - Polygon ring ([lon, lat])
+     */
+    static ring(shape, cursor) {
+        if (shape.points) {
+            const points = cursor ? [...shape.points, cursor] : shape.points;
+            if (shape.type === 'polygon') return [...points, points[0]].map(point => [point.lng, point.lat]);
+            if (points.length < 2) return [];
+            if (shape.type === 'rectangle') {
+                return this.ring({
+                    type: 'rectangle',
+                    north: Math.max(points[0].lat, points[1].lat),
+                    south: Math.min(points[0].lat, points[1].lat),
+                    east: Math.max(points[0].lng, points[1].lng),
+                    west: Math.min(points[0].lng, points[1].lng)
+                });
+            }
+            return this.ring({ type: 'circle', latitude: points[0].lat, longitude: points[0].lng, radius_km: points[0].distanceTo(points[1]) / 1000 });
+        }
+
+        if (shape.type === 'rectangle') {
+            // drawn past 180° when it crosses the antimeridian
+            const east = shape.east < shape.west ? shape.east + 360 : shape.east;
+            return [[shape.west, shape.south], [east, shape.south], [east, shape.north], [shape.west, shape.north], [shape.west, shape.south]];
+        }
+        if (shape.type === 'circle') {
+            const ring = [];
+            for (let bearing = 0; bearing <= 360; bearing += 6) {
+                ring.push(WeatherInterface.destinationPoint(shape.latitude, shape.longitude, bearing, shape.radius_km));
+            }
+            return ring;
+        }
+        return [...shape.coordinates, shape.coordinates[0]];
+    }
+
+    /**
+     * Draw an area (or the shape being drawn) on the map; false clears it
+     * @param {Object} shape - Area, drawing or false
+     * @param {Object} cursor - Cursor position while drawing
+     */
+    static render(shape, cursor) {
+        const ring = shape ? this.ring(shape, cursor) : [];
+        const data = {
+            type: 'FeatureCollection',
+            features: ring.length > 1 ? [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [ring] } }] : []
+        };
+
+        if (map.getSource('searchArea')) {
+            map.getSource('searchArea').setData(data);
+            return;
+        }
+        map.addSource('searchArea', { type: 'geojson', data });
+        map.addLayer({ id: 'searchArea-fill', type: 'fill', source: 'searchArea', paint: { 'fill-color': '#4363D8', 'fill-opacity': 0.12 } });
+        map.addLayer({ id: 'searchArea-line', type: 'line', source: 'searchArea', paint: { 'line-color': '#4363D8', 'line-width': 2, 'line-dasharray': [2, 1] } });
+    }
+}
+
+class ReferenceInterface extends I {
+    static marker = null;
+    static radius = null; // radius chosen in the menu: {value, unit}
+    static sources = {
+        centre: { text: 'Map centre', icon: 'fa-crosshairs' },
+        pin: { text: 'Drop a pin', icon: 'fa-location-pin' },
+        location: { text: 'My location', icon: 'fa-location-arrow' },
+        place: { text: 'Place', icon: 'fa-magnifying-glass-location' }
+    };
+
+    /**
+     * Unit of new reference radii, following the temperature unit
+     * @returns {string} - mi or km
+     */
+    static defaultUnit() {
+        return WeatherInterface.temperatureUnit === 'F' ? 'mi' : 'km';
+    }
+
+    /**
+     * Show the current reference point on the prompt option
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static button(button) {
+        const text = searchReference ? 'Near: ' + T.s(searchReference.label, 15) + ', ' + searchReference.radius + ' ' + searchReference.unit : 'Near';
+        button.innerHTML = `<span class="promptOptIcon"><i class="fa-solid fa-bullseye"></i></span> <span class="promptOptText">${T.html(text)}</span>`;
+        button.className = searchReference ? 'promptOptions promptOptionsActive' : 'promptOptions';
+    }
+
+    /**
+     * Pick the reference point and its radius, or clear it
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static floater(button) {
+        const m = E.div(body, 'floaterMenu referenceFloater', '');
+        const table = E.table(m, 'floaterMenuTable', '', 'center', '100%');
+
+        Object.keys(this.sources).forEach(source => {
+            const tr = E.tableR(table);
+            const item = E.div(E.tableC(tr, '100%'), 'floaterMenuItem', '');
+            item.innerHTML = `<i class="fa-solid ${this.sources[source].icon}"></i> ${this.sources[source].text}`;
+            if (source === 'place') {
+                // the place is typed into the menu itself
+                const field = E.input(item, 'text', 'floaterInputField referencePlaceField', '', 'City, address or landmark');
+                field.onclick = e => e.stopPropagation();
+                field.onkeydown = e => {
+                    if (e.keyCode === 13 && field.value.trim()) this.place(field.value.trim(), button);
+                };
+                return;
+            }
+            tr.onclick = () => {
+                I.hideFloaters();
+                if (source === 'centre') {
+                    const center = map.getCenter().wrap();
+                    this.set({ source, latitude: center.lat, longitude: center.lng, label: 'Map centre' }, button);
+                } else if (source === 'pin') this.pin(button);
+                else this.locate(button);
+            };
+        });
+
+        // radius of "nearby", in the reference's unit
+        const radiusRow = E.div(E.tableC(E.tableR(table), '100%'), 'floaterMenuItem referenceRadius', '');
+        radiusRow.innerHTML = '<i class="fa-solid fa-circle-dot"></i> Radius ';
+        if (!this.radius) this.radius = { value: 50, unit: this.defaultUnit() };
+        const radius = E.input(radiusRow, 'number', 'floaterInputField referenceRadiusField', '', '50');
+        radius.min = '1';
+        radius.value = this.radius.value;
+        const unitToggle = E.span(radiusRow, 'floaterInputButton referenceUnit', '');
+        unitToggle.innerHTML = this.radius.unit;
+        unitToggle.onclick = () => {
+            unitToggle.innerHTML = this.radius.unit === 'mi' ? 'km' : 'mi';
+            this.setRadius(radius.value, unitToggle.innerHTML, button);
+        };
+        radius.onchange = () => this.setRadius(radius.value, this.radius.unit, button);
+
+        if (searchReference) {
+            const tr = E.tableR(table);
+            E.div(E.tableC(tr, '100%'), 'floaterMenuItem floaterMenuItemRed', '').innerHTML = '<i class="fa-solid fa-xmark"></i> Clear reference';
+            tr.onclick = () => {
+                I.hideFloaters();
+                this.clear(button);
+            };
+        }
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        const p = button.getBoundingClientRect();
+        m.style.left = p.left + window.scrollX + 'px';
+        m.style.top = p.top + window.scrollY - m.offsetHeight - 10 + 'px';
+    }
+
+    /**
+     * Set the reference point, keeping the radius chosen in the menu
+     * @param {Object} reference - {source, latitude, longitude, label}
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static set(reference, button) {
+        if (!this.radius) this.radius = { value: 50, unit: this.defaultUnit() };
+        const round = value => parseFloat(value.toFixed(5));
+        searchReference = { ...reference, latitude: round(reference.latitude), longitude: round(reference.longitude), radius: this.radius.value, unit: this.radius.unit };
+        if (reference.source !== 'pin' && this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        this.render();
+        this.button(button);
+    }
+
+    /**
+     * Change the radius of the current reference point
+     * @param {string} value - Radius
+     * @param {string} unit - mi or km
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static setRadius(value, unit, button) {
+        this.radius = { value: parseFloat(value) > 0 ? parseFloat(value) : this.radius.value, unit };
+        if (!searchReference) return;
+        searchReference.radius = this.radius.value;
+        searchReference.unit = unit;
+        this.render();
+        this.button(button);
+    }
+
+    /**
+     * Let the next map click drop a draggable pin
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static pin(button) {
+        I.info('Click the map to drop the pin. Drag it to move it.');
+        map.getCanvas().style.cursor = 'crosshair';
+        map.once('click', e => {
+            map.getCanvas().style.cursor = '';
+            const point = e.lngLat.wrap();
+            if (!this.marker) {
+                this.marker = new mapboxgl.Marker({ color: '#4363D8', draggable: true }).setLngLat(point).addTo(map);
+                this.marker.on('dragend', () => {
+                    const moved = this.marker.getLngLat().wrap();
+                    this.set({ source: 'pin', latitude: moved.lat, longitude: moved.lng, label: 'Pin' }, button);
+                });
+            } else this.marker.setLngLat(point);
+            this.set({ source: 'pin', latitude: point.lat, longitude: point.lng, label: 'Pin' }, button);
+        });
+    }
+
+    /**
+     * Use the browser's position
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static locate(button) {
+        if (!('geolocation' in navigator)) {
+            I.error('Location is not available in this browser.');
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(position => {
+            myLocation = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+            this.set({ source: 'location', ...myLocation, label: 'My location' }, button);
+            map.panTo([myLocation.longitude, myLocation.latitude]);
+        }, () => I.error('Could not get your location.'));
+    }
+
+    /**
+     * Find a typed place and use the best match
+     * @param {string} query - Place name or address
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static place(query, button) {
+        A.r('POST', '/geocode', { query }, (error, data) => {
+            if (error) {
+                I.error(error);
+                return;
+            }
+            if (!data || data.length === 0) {
+                I.error('No place found for ' + T.html(query) + '.');
+                return;
+            }
+            I.hideFloaters();
+            const match = data[0];
+            this.set({ source: 'place', latitude: match.lat, longitude: match.lon, label: query }, button);
+            map.panTo([match.lon, match.lat]);
+        });
+    }
+
+    /**
+     * Remove the reference point
+     * @param {HTMLElement} button - Reference prompt option
+     */
+    static clear(button) {
+        searchReference = false;
+        if (this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        this.render();
+        this.button(button);
+    }
+
+    /**
+     * Distance of a result from the reference point, in the reference's unit
+     * @param {number} km - Distance in km
+     * @returns {string}
+     */
+    static distanceText(km) {
+        const unit = searchReference ? searchReference.unit : this.defaultUnit();
+        const value = unit === 'mi' ? km / 1.609344 : km;
+        return (value < 10 ? value.toFixed(1) : Math.round(value)) + ' ' + unit;
+    }
+
+    /**
+     * Draw the radius around the reference point
+     */
+    static render() {
+        const data = { type: 'FeatureCollection', features: [] };
+        if (searchReference) {
+            const radiusKm = searchReference.unit === 'mi' ? searchReference.radius * 1.609344 : searchReference.radius;
+            data.features.push({
+                type: 'Feature',
+                properties: {},
+                geometry: { type: 'LineString', coordinates: AreaInterface.ring({ type: 'circle', latitude: searchReference.latitude, longitude: searchReference.longitude, radius_km: radiusKm }) }
+            });
+        }
+
+        if (map.getSource('searchReference')) {
+            map.getSource('searchReference').setData(data);
+            return;
+        }
+        map.addSource('searchReference', { type: 'geojson', data });
+        map.addLayer({ id: 'searchReference-line', type: 'line', source: 'searchReference', paint: { 'line-color': '#F58231', 'line-width': 1.5, 'line-dasharray': [1, 2] } });
+    }
+}
+/**
+ * Weather Alerts Module
+ * Watch areas with threshold rules (wind, temperature, wildfire and hurricane distance).
+ * The server checks them on a schedule; this module saves and removes watches, draws them
+ * on the map and polls for the alerts they raise.
+ */
+let watchAreas=[];
+
+class AlertInterface extends I {
+    static pollInterval = 60 * 1000;
+    static timer = null;
+    static rules = [
+        { type: 'wind', key: 'above', text: 'Wind above', unit: 'm/s' },
+        { type: 'temperature', key: 'below', text: 'Temperature below', unit: 'temperature' },
+        { type: 'temperature', key: 'above', text: 'Temperature above', unit: 'temperature' },
+        { type: 'wildfire', key: 'within_km', text: 'Wildfire within', unit: 'km' },
+        { type: 'hurricane', key: 'within_km', text: 'Hurricane within', unit: 'km' }
+    ];
+
+    /**
+     * Load this browser's watch areas and start polling for their alerts
+     */
+    static start() {
+        this.poll();
+        if (!this.timer) this.timer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    /**
+     * Time of the newest alert this browser has shown
+     * @returns {number}
+     */
+    static seen() {
+        const cookie = document.cookie.split(';').find(x => x.indexOf('gv2_alr=') > -1);
+        return cookie ? parseInt(cookie.split('=')[1]) || 0 : 0;
+    }
+
+    /**
+     * Fetch the watch areas and show the alerts raised since the last poll
+     */
+    static poll() {
+        A.r('POST', '/alerts', { clientId: MapInterface.clientId(), since: this.seen() }, (error, data) => {
+            if (error || !data) return;
+            watchAreas = data.watches;
+            this.render();
+            if (E.get('watch')) this.button(E.get('watch'));
+            if (data.alerts.length === 0) return;
+            this.show(data.alerts);
+        });
+    }
+
+    /**
+     * Show alerts, warnings as errors and cleared rules as info, and remember them as seen
+     * @param {Array} alerts - Alerts, oldest first
+     */
+    static show(alerts) {
+        document.cookie = 'gv2_alr=' + alerts[alerts.length - 1].createdAt + '; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
+        const warnings = alerts.filter(alert => alert.level === 'warning');
+        const cleared = alerts.filter(alert => alert.level !== 'warning');
+        // one notification each, as notifications share their place on the screen
+        if (warnings.length > 0) I.error(warnings.map(alert => T.html(alert.message)).join('<br>'));
+        else if (cleared.length > 0) I.info(cleared.map(alert => T.html(alert.message)).join('<br>'));
+    }
+
+    /**
+     * Show the number of watch areas on the prompt option
+     * @param {HTMLElement} button - Watch prompt option
+     */
+    static button(button) {
+        button.innerHTML = `<span class="promptOptIcon"><i class="fa-solid fa-bell"></i></span> <span class="promptOptText">${watchAreas.length > 0 ? 'Watch: ' + watchAreas.length : 'Watch'}</span>`;
+        button.className = watchAreas.length > 0 ? 'promptOptions promptOptionsActive' : 'promptOptions';
+    }
+
+    /**
+     * Geometry of a new watch: the drawn search area, else the reference point, else the map centre
+     * @returns {Object} - {text, geometry}
+     */
+    static watchGeometry() {
+        if (searchArea) {
+            const ring = AreaInterface.ring(searchArea).map(position => [parseFloat(position[0].toFixed(5)), parseFloat(position[1].toFixed(5))]);
+            return { text: 'Search area (' + AreaInterface.shapes[searchArea.type].text.toLowerCase() + ')', geometry: { type: 'Polygon', coordinates: [ring] } };
+        }
+        if (searchReference) {
+            return { text: T.html(searchReference.label || 'Reference point'), geometry: { type: 'Point', coordinates: [searchReference.longitude, searchReference.latitude] } };
+        }
+        const center = map.getCenter().wrap();
+        return { text: 'Map centre', geometry: { type: 'Point', coordinates: [parseFloat(center.lng.toFixed(5)), parseFloat(center.lat.toFixed(5))] } };
+    }
+
+    /**
+     * List the watch areas and add a new one
+     * @param {HTMLElement} button - Watch prompt option
+     */
+    static floater(button) {
+        const m = E.div(body, 'floaterMenu watchFloater', '');
+        const table = E.table(m, 'floaterMenuTable', '', 'center', '100%');
+
+        watchAreas.forEach(watch => {
+            const tr = E.tableR(table);
+            const item = E.div(E.tableC(tr, '85%'), 'floaterMenuItem', '');
+            const active = (watch.triggered || []).some(Boolean);
+            item.innerHTML = `<i class="fa-solid ${active ? 'fa-bell-on watchActive' : 'fa-bell'}"></i> ${T.html(watch.name)}<div class="floaterMenuItemStaticSmall">${watch.rules.map(rule => T.html(this.ruleText(rule))).join(', ')}</div>`;
+            item.onclick = () => this.fly(watch);
+            const remove = E.div(E.tableC(tr, '15%'), 'floaterMenuItem floaterMenuItemRed', '');
+            remove.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+            remove.title = 'Stop watching';
+            remove.onclick = () => {
+                A.r('POST', '/alerts/delete', { clientId: MapInterface.clientId(), id: watch.id }, error => {
+                    if (error) return I.error(error);
+                    watchAreas = watchAreas.filter(x => x.id !== watch.id);
+                    this.render();
+                    this.button(button);
+                    I.hideFloaters();
+                });
+            };
+        });
+
+        // new watch
+        const target = this.watchGeometry();
+        const formCell = E.tableC(E.tableR(table), '100%');
+        formCell.colSpan = 2;
+        const form = E.div(formCell, 'floaterMenuItem watchForm', '');
+        E.div(form, 'floaterMenuItemStaticSmall', '').innerHTML = 'New watch: ' + target.text;
+        const name = E.input(form, 'text', 'floaterInputField watchName', '', 'Name');
+        const temperatureUnit = WeatherInterface.temperatureUnit === 'F' ? '°F' : '°C';
+        const fields = this.rules.map(rule => {
+            const row = E.div(form, 'watchRule', '');
+            row.innerHTML = rule.text + ' ';
+            const field = E.input(row, 'number', 'floaterInputField watchRuleField', '', '');
+            E.span(row, 'watchRuleUnit', '').innerHTML = rule.unit === 'temperature' ? temperatureUnit : rule.unit;
+            return { rule, field };
+        });
+        const save = E.button(form, 'floaterInputButton watchSave', '', '<i class="fa-solid fa-bell"></i> Watch');
+        save.onclick = () => {
+            const rules = fields
+                .filter(({ field }) => field.value.trim() !== '' && !isNaN(parseFloat(field.value)))
+                .map(({ rule, field }) => {
+                    let value = parseFloat(field.value);
+                    // rules are stored in °C
+                    if (rule.unit === 'temperature' && temperatureUnit === '°F') value = parseFloat(((value - 32) * 5 / 9).toFixed(1));
+                    return { type: rule.type, [rule.key]: value };
+                });
+            if (rules.length === 0) return I.error('Set at least one threshold.');
+            A.r('POST', '/alerts/watch', { clientId: MapInterface.clientId(), name: name.value, geometry: target.geometry, rules }, (error, data) => {
+                if (error) return I.error(error);
+                I.hideFloaters();
+                watchAreas.unshift(data);
+                this.render();
+                this.button(button);
+                if (data.alerts && data.alerts.length > 0) this.show(data.alerts);
+                else I.info('Watching ' + T.html(data.name) + '.');
+            });
+        };
+
+        // the prompt sits at the bottom of the screen, so the menu opens upwards
+        const p = button.getBoundingClientRect();
+        m.style.left = p.left + window.scrollX + 'px';
+        m.style.top = p.top + window.scrollY - m.offsetHeight - 10 + 'px';
+    }
+
+    /**
+     * Describe a rule in the user's temperature unit
+     * @param {Object} rule - Rule
+     * @returns {string}
+     */
+    static ruleText(rule) {
+        if (rule.type === 'wind') return `wind > ${rule.above} m/s`;
+        if (rule.type === 'temperature') {
+            const celsius = rule.below !== undefined ? rule.below : rule.above;
+            return `temperature ${rule.below !== undefined ? '<' : '>'} ${WeatherInterface.formatTemperature(celsius)}`;
+        }
+        return `${rule.type} < ${rule.within_km} km`;
+    }
+
+    /**
+     * Move the map to a watch area
+     * @param {Object} watch - Watch
+     */
+    static fly(watch) {
+        const bounds = new mapboxgl.LngLatBounds();
+        (watch.geometry.type === 'Point' ? [watch.geometry.coordinates] : watch.geometry.coordinates[0]).forEach(position => bounds.extend(position));
+        map.fitBounds(bounds, { padding: 100, maxZoom: 9 });
+    }
+
+    /**
+     * Draw the watch areas; areas with a matching rule are drawn in red
+     */
+    static render() {
+        // the style has to be loaded before sources can be added
+        if (!WeatherInterface.isInitialized) {
+            setTimeout(() => this.render(), 500);
+            return;
+        }
+        const data = {
+            type: 'FeatureCollection',
+            features: watchAreas.map(watch => ({
+                type: 'Feature',
+                properties: { name: watch.name, active: (watch.triggered || []).some(Boolean) },
+                geometry: watch.geometry
+            }))
+        };
+
+        if (map.getSource('watchAreas')) {
+            map.getSource('watchAreas').setData(data);
+            return;
+        }
+        const color = ['case', ['get', 'active'], '#E83A3A', '#FFE119'];
+        map.addSource('watchAreas', { type: 'geojson', data });
+        map.addLayer({ id: 'watchAreas-fill', type: 'fill', source: 'watchAreas', filter: ['==', '$type', 'Polygon'], paint: { 'fill-color': color, 'fill-opacity': 0.1 } });
+        map.addLayer({ id: 'watchAreas-line', type: 'line', source: 'watchAreas', filter: ['==', '$type', 'Polygon'], paint: { 'line-color': color, 'line-width': 1.5 } });
+        map.addLayer({ id: 'watchAreas-point', type: 'circle', source: 'watchAreas', filter: ['==', '$type', 'Point'], paint: { 'circle-color': color, 'circle-radius': 7, 'circle-opacity': 0.6, 'circle-stroke-color': color, 'circle-stroke-width': 2 } });
+    }
+}
+/**
+ * Weather Interface Module
+ * Handles all weather-related UI and data visualization
+ */
+class WeatherInterface extends I {
+    static weatherLayers = [];
+    static activeWeatherLayers = {};
+    static weatherData = {
+        current: null,
+        forecast: null,
+        hurricanes: [],
+        wildfires: [],
+        disasters: []
+    };
+    static timelineVisible = false;
+    static timeSliderValue = 0;
+    static isPlaying = false;
+    static playInterval = null;
+    static forecastLayerIds = ['forecastTemp', 'forecastPrecip', 'forecastWind'];
+    static forecastGrid = null;
+    static forecastGridRequest = null;
+    static forecastFrames = {};
+    static cityWeather = [];
+    static cityWeatherRequestId = 0;
+    static cityRefreshInterval = null;
+    static cityRefreshMs = 10 * 60 * 1000;
+    static cityAirQualityRequestId = 0;
+    static wildfireRequestId = 0;
+    static wildfireSensors = ['VIIRS_SNPP', 'VIIRS_NOAA20', 'MODIS'];
+    static isInitialized = false;
+    static tileErrorHandlingSetup = false;
+    static temperatureUnit = this.detectTemperatureUnit();
+    
+    // Zoom level tracking for multi-scale visualization
+    static currentZoomLevel = 0;
+    static zoomLevels = {
+        GLOBAL: { min: 0, max: 3 },    // Global view (whole earth)
+        REGIONAL: { min: 3, max: 8 },  // Regional view (continents, large regions)
+        LOCAL: { min: 8, max: 22 }     // Local view (cities, local areas)
+    };
+    static zoomChangeDebounceTimer = null;
+    
+    // Tile resolution configuration based on zoom level
+    static tileResolutions = {
+        GLOBAL: { resolution: 'low' },
+        REGIONAL: { resolution: 'medium' },
+        LOCAL: { resolution: 'high' }
+    };
+
+    // Add a new tile manager system:
+    // Tile caching system for efficient loading
+    static tileCache = {
+        temperature: {},
+        precipitation: {},
+        wind: {},
+        cloud: {}
+    };
+    
+    // Viewport tracking for efficient tile loading
+    static currentViewport = {
+        bounds: null,
+        center: null,
+        zoom: 0
+    };
+    
+    // Prefetch status tracking
+    static prefetchQueue = [];
+    static prefetchInProgress = false;
+    
+    /**
+     * Initialize weather control panel
+     */
+    static initWeatherControls() {
+        // Prevent multiple initializations
+        if (this.isInitialized) {
+            console.log('Weather controls already initialized');
+            return;
+        }
+
+        // Only initialize if map is defined and loaded
+        if (!map || typeof map.loaded !== 'function') {
+            console.log('Map not ready yet, delaying weather controls initialization');
+            setTimeout(() => this.initWeatherControls(), 500);
+            return;
+        }
+
+        try {
+            if (!map.loaded()) {
+                console.log('Map not fully loaded yet, delaying weather controls initialization');
+                setTimeout(() => this.initWeatherControls(), 500);
+                return;
+            }
+        } catch (e) {
+            console.log('Error checking map loaded state, delaying weather controls initialization', e);
+            setTimeout(() => this.initWeatherControls(), 500);
+            return;
+        }
+
+        console.log('Initializing weather controls');
+        this.isInitialized = true;
+        
+        // Setup zoom change monitoring
+        this.setupZoomChangeHandling();
         
         // Initialize city labels with real temps - they're always part of the temperature layer
         this.initCityLabels();
@@ -1150,6 +2460,17 @@ class WeatherInterface extends I {
         const panelTitle = E.div(weatherPanel, 'weatherPanelTitle', '');
         panelTitle.innerHTML = 'Weather Layers';
         
+        // Temperature unit switch, shared with search cards and popups
+        const unitToggle = E.div(weatherPanel, 'weatherUnitToggle', 'weatherUnitToggle');
+        ['F', 'C'].forEach(unit => {
+            const option = E.span(unitToggle, unit === this.temperatureUnit ? 'weatherUnitOption active' : 'weatherUnitOption', `weatherUnit_${unit}`);
+            option.innerHTML = `°${unit}`;
+            option.onclick = () => {
+                this.setTemperatureUnit(unit);
+                Array.from(unitToggle.children).forEach(child => child.classList.toggle('active', child === option));
+            };
+        });
+        
         // Create layer categories
         const categories = [
             { id: 'currentWeather', title: 'Current Weather', icon: 'fa-cloud-sun' },
@@ -1180,6 +2501,7 @@ class WeatherInterface extends I {
                 this.addLayerToggle(categoryContent, 'precipitation', 'Precipitation', 'fa-cloud-rain');
                 this.addLayerToggle(categoryContent, 'wind', 'Wind', 'fa-wind');
                 this.addLayerToggle(categoryContent, 'cloud', 'Cloud Coverage', 'fa-cloud');
+                this.addLayerToggle(categoryContent, 'airQuality', 'Air Quality', 'fa-smog');
                 // City labels toggle removed - they're now always part of the temperature layer
             } else if (category.id === 'severeWeather') {
                 this.addLayerToggle(categoryContent, 'hurricane', 'Hurricanes', 'fa-hurricane');
@@ -1482,7 +2804,7 @@ class WeatherInterface extends I {
         if (!layerId) return;
         
         // Check if we've already created this layer
-        if (this.weatherLayers[layerId]?.layers?.length > 0) {
+        if (this.weatherLayers[layerId]?.layers?.length > 0 || this.weatherLayers[layerId]?.markers?.length > 0) {
             console.log(`Showing existing ${layerId} layer`);
             
             // Show all sublayers
@@ -1491,6 +2813,9 @@ class WeatherInterface extends I {
                     map.setLayoutProperty(id, 'visibility', 'visible');
                 }
             });
+            this.weatherLayers[layerId].markers?.forEach(marker => {
+                marker.getElement().style.display = '';
+            });
             
             // Update visibility state
             this.weatherLayers[layerId].visibility = 'visible';
@@ -1536,8 +2861,16 @@ class WeatherInterface extends I {
         if (this.timelineVisible && ['forecastTemp', 'forecastPrecip', 'forecastWind'].includes(layerId)) {
             this.updateTimelinePosition(this.timeSliderValue);
         }
-
-        // Check if we should prefetch adjacent tiles
+        
+        // The view may have moved while air quality or wildfires were hidden
+        if (layerId === 'airQuality') {
+            this.loadCityAirQuality();
+        }
+        if (layerId === 'wildfire' && map.getSource('wildfire-heat-source')) {
+            this.loadWildfires(this.getZoomCategory(map.getZoom()));
+        }
+
+        // Check if we should prefetch adjacent tiles
         if (this.currentViewport.bounds && ['temperature', 'precipitation', 'wind', 'cloud'].includes(layerId)) {
             this.queueTilePrefetch();
         }
@@ -1560,6 +2893,9 @@ class WeatherInterface extends I {
                     map.setLayoutProperty(id, 'visibility', 'none');
                 }
             });
+            this.weatherLayers[layerId].markers?.forEach(marker => {
+                marker.getElement().style.display = 'none';
+            });
             
             // Update visibility state
             this.weatherLayers[layerId].visibility = 'none';
@@ -1643,6 +2979,10 @@ class WeatherInterface extends I {
                 this.createCloudLayer(zoomCategory);
                 break;
                 
+            case 'airQuality':
+                this.createAirQualityLayer(zoomCategory);
+                break;
+                
             case 'cities':
                 // City labels have already been initialized in initWeatherControls
                 // We just need to make them visible
@@ -1680,37 +3020,7 @@ class WeatherInterface extends I {
                 break;
                 
             case 'wildfire':
-                try {
-                    // Determine resolution based on zoom category
-                    const resolution = zoomCategory === 'LOCAL' ? 'high' : 
-                                      zoomCategory === 'REGIONAL' ? 'medium' : 'low';
-                    
-                    // Fetch wildfire data with appropriate resolution
-                    fetch('/api/weather/wildfire', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({ 
-                            days: 1,
-                            resolution: resolution
-                        })
-                    })
-                        .then(response => response.json())
-                        .then(data => {
-                            this.weatherData.wildfires = data;
-                            this.createWildfireLayer(data, zoomCategory);
-                            console.log('Wildfire layer created with real-time data');
-                        })
-                        .catch(error => {
-                            console.error('Failed to fetch wildfire data:', error);
-                            // Create layer with sample data if API fails
-                            this.createWildfireLayer([], zoomCategory);
-                        });
-                } catch (e) {
-                    console.error('Error creating wildfire layer:', e);
-                    I.error('Error loading wildfire data');
-                }
+                this.loadWildfires(zoomCategory);
                 break;
                 
             case 'disaster':
@@ -1845,7 +3155,7 @@ class WeatherInterface extends I {
             map.addSource(sourceId, {
                 type: 'raster',
                 tiles: [
-                    'https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                    this.tileUrl('temperature', 'GLOBAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -1885,7 +3195,7 @@ class WeatherInterface extends I {
                 type: 'raster',
                 tiles: [
                     // Use a different endpoint for regional view with higher detail
-                    'https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                    this.tileUrl('temperature', 'REGIONAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -1927,7 +3237,7 @@ class WeatherInterface extends I {
                     type: 'raster',
                     tiles: [
                         // Use the best available resolution for local view
-                        'https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true&opacity=0.9'
+                        this.tileUrl('temperature', 'LOCAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -1938,7 +3248,7 @@ class WeatherInterface extends I {
                 map.addSource(sourceId, {
                     type: 'raster',
                     tiles: [
-                        'https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                        this.tileUrl('temperature', 'GLOBAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -2425,6 +3735,51 @@ class WeatherInterface extends I {
         
         // Update time display
         this.updateTimeDisplay(this.timeSliderValue);
+        
+        // Redraw active forecast layers at the new step
+        this.forecastLayerIds.forEach(layerId => {
+            if (this.activeWeatherLayers[layerId] && this.weatherLayers[layerId]) {
+                this.renderForecastLayer(layerId, this.timeSliderValue);
+            }
+        });
+        
+        if (this.isPlaying) {
+            this.preloadForecastFrames(this.timeSliderValue);
+        }
+    }
+
+    /**
+     * Active layers and timeline position, stored with shared links
+     * @returns {Object} - {layers, timeline: {step, time}}
+     */
+    static getShareState() {
+        return {
+            // city labels follow the temperature layer
+            layers: Object.keys(this.activeWeatherLayers).filter(layerId => this.activeWeatherLayers[layerId] && layerId !== 'cities'),
+            timeline: {
+                step: this.timeSliderValue,
+                time: this.forecastGrid?.steps[this.timeSliderValue] || null
+            }
+        };
+    }
+
+    /**
+     * Turn on the layers of a shared link and move the timeline to its forecast time
+     * @param {Object} state - {layers, timeline: {step, time}}
+     */
+    static applyShareState(state) {
+        const timeline = state.timeline || {};
+        // Steps are 3 hours apart from now, so a link opened later keeps the forecast time it was shared at
+        let step = parseInt(timeline.step) || 0;
+        if (timeline.time) step = Math.max(Math.round((timeline.time - Date.now()) / (3 * 3600000)), 0);
+        this.timeSliderValue = step;
+        const timeSlider = document.getElementById('timeSlider');
+        if (timeSlider) timeSlider.value = step;
+        this.updateTimeDisplay(step);
+
+        (state.layers || []).forEach(layerId => {
+            if (!this.activeWeatherLayers[layerId] && document.getElementById(`toggle_${layerId}`)) this.toggleLayer(layerId);
+        });
     }
 
     /**
@@ -2435,11 +3790,16 @@ class WeatherInterface extends I {
         const timeDisplay = document.getElementById('timeDisplay');
         if (!timeDisplay) return;
         
-        if (timeIndex === 0) {
-            timeDisplay.innerHTML = 'Now';
-        } else {
-            timeDisplay.innerHTML = `+${timeIndex * 3}h`;
+        const timestamp = this.forecastGrid?.steps[timeIndex];
+        if (!timestamp) {
+            timeDisplay.innerHTML = timeIndex === 0 ? 'Now' : `+${timeIndex * 3}h`;
+            timeDisplay.title = '';
+            return;
         }
+        
+        const hours = Math.max(Math.round((timestamp - Date.now()) / 3600000), 0);
+        timeDisplay.innerHTML = timeIndex === 0 ? 'Now' : `+${hours}h`;
+        timeDisplay.title = H.casDateTime(timestamp / 1000);
     }
 
     /**
@@ -2458,18 +3818,324 @@ class WeatherInterface extends I {
             // Start playback
             this.isPlaying = true;
             playBtn.innerHTML = '<i class="fa-solid fa-pause"></i>';
+            this.preloadForecastFrames(this.timeSliderValue);
             
             this.playInterval = setInterval(() => {
-                let nextValue = (this.timeSliderValue + 1) % 5;
+                const stepCount = this.forecastGrid?.steps.length || 5;
+                let nextValue = (this.timeSliderValue + 1) % stepCount;
                 const timeSlider = document.getElementById('timeSlider');
                 if (timeSlider) {
                     timeSlider.value = nextValue;
                     this.updateTimelinePosition(nextValue);
                 }
-            }, 2000);
+            }, 1000);
         }
     }
 
+    /**
+     * Load the forecast grid for the visible area, reusing the current one while it still covers the view
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     * @returns {Promise<Object>} - Forecast grid (steps and per-point forecasts)
+     */
+    static loadForecastGrid(zoomCategory) {
+        const bounds = this.getViewportBounds();
+        
+        if (this.forecastGrid && this.forecastGrid.zoomCategory === zoomCategory && this.forecastGridCovers(bounds)) {
+            return Promise.resolve(this.forecastGrid);
+        }
+        
+        const requestKey = `${zoomCategory}_${Object.values(bounds).map(value => value.toFixed(2)).join('_')}`;
+        if (this.forecastGridRequest?.key === requestKey) {
+            return this.forecastGridRequest.promise;
+        }
+        
+        const promise = fetch('/api/weather/forecast/grid', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ bounds, zoomCategory })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.steps) throw new Error(data.error || 'No forecast grid data');
+                
+                this.forecastGrid = { ...data, zoomCategory };
+                this.forecastFrames = {};
+                this.weatherData.forecast = this.forecastGrid;
+                this.updateTimelineRange();
+                return this.forecastGrid;
+            })
+            .finally(() => {
+                if (this.forecastGridRequest?.key === requestKey) this.forecastGridRequest = null;
+            });
+        
+        this.forecastGridRequest = { key: requestKey, promise };
+        return promise;
+    }
+    
+    /**
+     * Check whether the loaded forecast grid still covers most of the given bounds
+     * @param {Object} bounds - Viewport bounds ({north, south, east, west})
+     * @returns {boolean}
+     */
+    static forecastGridCovers(bounds) {
+        const grid = this.forecastGrid.bounds;
+        const margin = {
+            lat: this.forecastGrid.cellSize.lat / 2,
+            lon: this.forecastGrid.cellSize.lon / 2
+        };
+        
+        // longitudes are measured eastwards from the grid's west edge, as either box may cross the antimeridian
+        const width = box => box.east > box.west ? box.east - box.west : box.east - box.west + 360;
+        const offset = ((bounds.west - grid.west + margin.lon) % 360 + 360) % 360;
+        
+        return Math.min(bounds.north, 85) <= grid.north + margin.lat &&
+            Math.max(bounds.south, -85) >= grid.south - margin.lat &&
+            offset + width(bounds) <= width(grid) + 2 * margin.lon;
+    }
+    
+    /**
+     * Size the timeline slider to the loaded forecast steps
+     */
+    static updateTimelineRange() {
+        const stepCount = this.forecastGrid?.steps.length || 0;
+        if (stepCount === 0) return;
+        
+        this.timelineVisible = true;
+        if (this.timeSliderValue >= stepCount) this.timeSliderValue = 0;
+        
+        const timeSlider = document.getElementById('timeSlider');
+        if (timeSlider) {
+            timeSlider.max = stepCount - 1;
+            timeSlider.value = this.timeSliderValue;
+        }
+        this.updateTimeDisplay(this.timeSliderValue);
+    }
+    
+    /**
+     * Create a forecast layer for the visible area at the current timeline step
+     * @param {string} layerId - Forecast layer ID (forecastTemp, forecastPrecip, forecastWind)
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createForecastLayer(layerId, zoomCategory) {
+        console.log(`Creating ${layerId} layer for ${zoomCategory} view`);
+        
+        this.loadForecastGrid(zoomCategory)
+            .then(grid => {
+                // The layer may have been switched off while the grid was loading
+                if (!this.activeWeatherLayers[layerId]) return;
+                
+                // Already drawn from this grid
+                if (this.weatherLayers[layerId]?.grid === grid) return;
+                
+                this.removeLayerGroup(layerId);
+                this.renderForecastLayer(layerId, this.timeSliderValue);
+                console.log(`${layerId} layer created with ${this.forecastGrid.points.length} grid points`);
+            })
+            .catch(error => {
+                console.error(`Error creating ${layerId} layer:`, error);
+                I.error('Error loading forecast data');
+            });
+    }
+    
+    /**
+     * Reload active forecast layers when the view moves outside the loaded grid
+     */
+    static refreshForecastLayers() {
+        const activeLayers = this.forecastLayerIds.filter(layerId => this.activeWeatherLayers[layerId]);
+        if (activeLayers.length === 0) return;
+        
+        const zoomCategory = this.getZoomCategory(map.getZoom());
+        activeLayers.forEach(layerId => this.createForecastLayer(layerId, zoomCategory));
+    }
+    
+    /**
+     * Draw a forecast layer at a timeline step, creating its source and layers on first use
+     * @param {string} layerId - Forecast layer ID
+     * @param {number} step - Timeline step index
+     */
+    static renderForecastLayer(layerId, step) {
+        if (!this.forecastGrid) return;
+        
+        const sourceId = `${layerId}-source`;
+        const frame = this.getForecastFrame(layerId, step);
+        
+        if (map.getSource(sourceId)) {
+            map.getSource(sourceId).setData(frame);
+            return;
+        }
+        
+        map.addSource(sourceId, { type: 'geojson', data: frame });
+        const visibility = this.weatherLayers[layerId]?.visibility || 'visible';
+        const layers = [];
+        
+        if (layerId === 'forecastTemp') {
+            map.addLayer({
+                id: 'forecastTemp-fill',
+                type: 'circle',
+                source: sourceId,
+                layout: { visibility },
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': ['interpolate', ['linear'], ['zoom'], 0, 30, 6, 60, 10, 90],
+                    'circle-blur': 1,
+                    'circle-opacity': 0.5
+                }
+            });
+            layers.push('forecastTemp-fill');
+        } else if (layerId === 'forecastPrecip') {
+            map.addLayer({
+                id: 'forecastPrecip-fill',
+                type: 'circle',
+                source: sourceId,
+                layout: { visibility },
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': ['interpolate', ['linear'], ['get', 'precipitation'], 0, 20, 2, 40, 10, 70],
+                    'circle-blur': 0.8,
+                    // Probability of precipitation drives the opacity
+                    'circle-opacity': ['interpolate', ['linear'], ['get', 'pop'], 0, 0, 1, 0.7]
+                }
+            });
+            layers.push('forecastPrecip-fill');
+        } else if (layerId === 'forecastWind') {
+            map.addLayer({
+                id: 'forecastWind-arrows',
+                type: 'line',
+                source: sourceId,
+                layout: { visibility, 'line-cap': 'round' },
+                paint: {
+                    'line-color': ['get', 'color'],
+                    'line-width': 2.5
+                }
+            });
+            layers.push('forecastWind-arrows');
+        }
+        
+        map.addLayer({
+            id: `${layerId}-labels`,
+            type: 'symbol',
+            source: sourceId,
+            filter: ['!=', ['get', 'label'], ''],
+            layout: {
+                visibility,
+                'text-field': ['get', 'label'],
+                'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                'text-size': 12,
+                'text-allow-overlap': true,
+                'text-offset': layerId === 'forecastWind' ? [0, 1.2] : [0, 0]
+            },
+            paint: {
+                'text-color': '#FFFFFF',
+                'text-halo-color': 'rgba(0, 0, 0, 0.7)',
+                'text-halo-width': 1.5
+            }
+        });
+        layers.push(`${layerId}-labels`);
+        
+        // Track in our weatherLayers object
+        this.weatherLayers[layerId] = {
+            visibility,
+            type: 'forecast',
+            zoomCategory: this.forecastGrid.zoomCategory,
+            grid: this.forecastGrid,
+            layers,
+            sources: [sourceId]
+        };
+    }
+    
+    /**
+     * Get the GeoJSON frame of a forecast layer at a timeline step, building it on first use
+     * @param {string} layerId - Forecast layer ID
+     * @param {number} step - Timeline step index
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    static getForecastFrame(layerId, step) {
+        const key = `${layerId}_${step}_${this.temperatureUnit}`;
+        if (!this.forecastFrames[key]) {
+            this.forecastFrames[key] = this.buildForecastFrame(layerId, step);
+        }
+        return this.forecastFrames[key];
+    }
+    
+    /**
+     * Build frames for the next few steps of every active forecast layer so playback does not stall
+     * @param {number} step - Current timeline step index
+     * @param {number} count - Number of upcoming steps to build
+     */
+    static preloadForecastFrames(step, count = 3) {
+        const stepCount = this.forecastGrid?.steps.length || 0;
+        if (stepCount === 0) return;
+        
+        const layerIds = this.forecastLayerIds.filter(layerId => this.activeWeatherLayers[layerId]);
+        for (let i = 1; i <= count; i++) {
+            layerIds.forEach(layerId => this.getForecastFrame(layerId, (step + i) % stepCount));
+        }
+    }
+    
+    /**
+     * Build the GeoJSON for a forecast layer at a timeline step
+     * @param {string} layerId - Forecast layer ID
+     * @param {number} step - Timeline step index
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    static buildForecastFrame(layerId, step) {
+        const { points, cellSize } = this.forecastGrid;
+        const features = [];
+        
+        points.forEach(point => {
+            const forecast = point.forecast[step];
+            if (!forecast) return;
+            
+            if (layerId === 'forecastTemp') {
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        temperature: forecast.temperature,
+                        color: this.getTemperatureColor(forecast.temperature),
+                        label: this.formatTemperature(forecast.temperature)
+                    },
+                    geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                });
+            } else if (layerId === 'forecastPrecip') {
+                const precipitation = forecast.precipitation || 0;
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        precipitation,
+                        pop: forecast.pop || 0,
+                        color: precipitation >= 5 ? '#1A3E9E' : precipitation >= 1 ? '#2E7BCF' : '#7FB8F0',
+                        label: precipitation > 0 ? `${precipitation.toFixed(1)} mm` : ''
+                    },
+                    geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                });
+            } else if (layerId === 'forecastWind') {
+                // Wind direction is where the wind blows from; the arrow points downwind
+                const bearing = ((forecast.wind_direction || 0) + 180) * Math.PI / 180;
+                const length = Math.min(0.2 + forecast.wind_speed / 20, 1) * Math.min(cellSize.lat, cellSize.lon) * 0.4;
+                const tip = [point.lon + Math.sin(bearing) * length, point.lat + Math.cos(bearing) * length];
+                const tail = [point.lon - Math.sin(bearing) * length, point.lat - Math.cos(bearing) * length];
+                const head = (offset) => [
+                    tip[0] - Math.sin(bearing + offset) * length * 0.4,
+                    tip[1] - Math.cos(bearing + offset) * length * 0.4
+                ];
+                
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        wind_speed: forecast.wind_speed,
+                        color: forecast.wind_speed >= 17 ? '#FF6060' : forecast.wind_speed >= 8 ? '#FFC140' : '#FFFFFF',
+                        label: this.formatWindSpeed(forecast.wind_speed)
+                    },
+                    geometry: { type: 'MultiLineString', coordinates: [[tail, tip], [head(0.5), tip, head(-0.5)]] }
+                });
+            }
+        });
+        
+        return { type: 'FeatureCollection', features };
+    }
+
     /**
      * Create precipitation layer with improved visualization
      * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
@@ -2539,7 +4205,7 @@ class WeatherInterface extends I {
             map.addSource(sourceId, {
                 type: 'raster',
                 tiles: [
-                    'https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                    this.tileUrl('precipitation', 'GLOBAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -2576,7 +4242,7 @@ class WeatherInterface extends I {
                 type: 'raster',
                 tiles: [
                     // Alternative endpoint for regional view
-                    'https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                    this.tileUrl('precipitation', 'REGIONAL')
                 ],
                 tileSize: 256,
                 attribution: '© OpenWeatherMap'
@@ -2614,7 +4280,7 @@ class WeatherInterface extends I {
                     type: 'raster',
                     tiles: [
                         // Use the best available resolution for local view
-                        'https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true&opacity=0.9'
+                        this.tileUrl('precipitation', 'LOCAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -2625,7 +4291,7 @@ class WeatherInterface extends I {
                 map.addSource(sourceId, {
                     type: 'raster',
                     tiles: [
-                        'https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                        this.tileUrl('precipitation', 'GLOBAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -2716,7 +4382,7 @@ class WeatherInterface extends I {
                 map.addSource('precipitation-tiles', {
                     type: 'raster',
                     tiles: [
-                        'https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                        this.tileUrl('precipitation', 'GLOBAL')
                     ],
                     tileSize: 256,
                     attribution: '© OpenWeatherMap'
@@ -2779,7 +4445,7 @@ class WeatherInterface extends I {
                     map.addSource('wind-tiles', {
                         type: 'raster',
                         tiles: [
-                            'https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
+                            this.tileUrl('wind', 'GLOBAL')
                         ],
                         tileSize: 256,
                         attribution: '© OpenWeatherMap'
@@ -2792,7 +4458,7 @@ class WeatherInterface extends I {
                         map.addSource('wind-tiles', {
                             type: 'raster',
                             tiles: [
-                                'https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
+                                this.tileUrl('wind', 'REGIONAL')
                             ],
                             tileSize: 256,
                             attribution: '© OpenWeatherMap'
@@ -2831,72 +4497,917 @@ class WeatherInterface extends I {
     }
     
     /**
-     * Create cloud visualization layer
+     * Create cloud visualization layer
+     */
+    static createCloudLayer(zoomCategory) {
+        console.log('Creating cloud layer');
+        
+        try {
+            // Clean up any existing cloud layers
+            this.weatherLayers['cloud']?.layers?.forEach(id => {
+                if (map.getLayer(id)) map.removeLayer(id);
+                if (map.getSource(id)) map.removeSource(id);
+            });
+            
+            // Use OpenWeatherMap cloud tiles for accurate visualization
+            if (!map.getSource('cloud-tiles')) {
+                try {
+                    map.addSource('cloud-tiles', {
+                        type: 'raster',
+                        tiles: [
+                            this.tileUrl('cloud', 'GLOBAL')
+                        ],
+                        tileSize: 256,
+                        attribution: '© OpenWeatherMap'
+                    });
+                    console.log('Cloud tile source added successfully');
+                } catch (e) {
+                    console.error('Failed to add cloud tile source:', e);
+                    // Attempt alternative endpoint if primary fails
+                    try {
+                        map.addSource('cloud-tiles', {
+                            type: 'raster',
+                            tiles: [
+                                this.tileUrl('cloud', 'REGIONAL')
+                            ],
+                            tileSize: 256,
+                            attribution: '© OpenWeatherMap'
+                        });
+                        console.log('Alternative cloud tile source added');
+                    } catch (err) {
+                        console.error('Failed to add alternative cloud tile source:', err);
+                        throw err;
+                    }
+                }
+            }
+            
+            // Add cloud raster layer for global visualization
+            map.addLayer({
+                id: 'cloud-layer',
+                type: 'raster',
+                source: 'cloud-tiles',
+                paint: {
+                    'raster-opacity': 0.8,
+                    'raster-fade-duration': 0
+                }
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['cloud'] = {
+                visibility: 'visible',
+                type: 'cloud',
+                layers: ['cloud-layer']
+            };
+            
+            console.log('Cloud layer created successfully with real-time data');
+        } catch (e) {
+            console.error('Error creating cloud layer:', e);
+            I.error('Error loading cloud layer');
+        }
+    }
+    
+    /**
+     * Remove every map layer, source, marker and click handler of a layer group
+     * @param {string} layerId - Layer group ID (e.g. hurricane)
+     */
+    static removeLayerGroup(layerId) {
+        const group = this.weatherLayers[layerId];
+        if (!group) return;
+        
+        group.handlers?.forEach(handler => map.off(handler.type, handler.layer, handler.fn));
+        group.layers?.forEach(id => {
+            if (map.getLayer(id)) map.removeLayer(id);
+        });
+        group.sources?.forEach(id => {
+            if (map.getSource(id)) map.removeSource(id);
+        });
+        group.markers?.forEach(marker => marker.remove());
+        
+        delete this.weatherLayers[layerId];
+    }
+    
+    /**
+     * Register a click handler on a map layer and remember it for cleanup
+     * @param {Array} handlers - Handler list of the layer group
+     * @param {string} layer - Map layer ID
+     * @param {Function} fn - Click handler
+     */
+    static addLayerClickHandler(handlers, layer, fn) {
+        map.on('click', layer, fn);
+        map.on('mouseenter', layer, this.setPointerCursor);
+        map.on('mouseleave', layer, this.resetCursor);
+        handlers.push(
+            { type: 'click', layer, fn },
+            { type: 'mouseenter', layer, fn: this.setPointerCursor },
+            { type: 'mouseleave', layer, fn: this.resetCursor }
+        );
+    }
+    
+    static setPointerCursor() {
+        map.getCanvas().style.cursor = 'pointer';
+    }
+    
+    static resetCursor() {
+        map.getCanvas().style.cursor = '';
+    }
+    
+    /**
+     * Get the Saffir-Simpson category for a storm
+     * @param {number} windKnots - Maximum sustained wind in knots (as reported by NHC)
+     * @param {string|number} category - Category or classification reported with the data, if any
+     * @returns {Object} - Category label and color
+     */
+    static getHurricaneCategory(windKnots, category) {
+        const categories = {
+            TD: { label: 'Tropical Depression', color: '#5EBAFF' },
+            TS: { label: 'Tropical Storm', color: '#00FAF4' },
+            1: { label: 'Category 1', color: '#FFFFCC' },
+            2: { label: 'Category 2', color: '#FFE775' },
+            3: { label: 'Category 3', color: '#FFC140' },
+            4: { label: 'Category 4', color: '#FF8F20' },
+            5: { label: 'Category 5', color: '#FF6060' }
+        };
+        
+        if (categories[category] && typeof windKnots !== 'number') return categories[category];
+        if (typeof windKnots !== 'number') return { label: category || 'Unknown', color: '#CCCCCC' };
+        
+        if (windKnots >= 137) return categories[5];
+        if (windKnots >= 113) return categories[4];
+        if (windKnots >= 96) return categories[3];
+        if (windKnots >= 83) return categories[2];
+        if (windKnots >= 64) return categories[1];
+        if (windKnots >= 34) return categories.TS;
+        return categories.TD;
+    }
+    
+    /**
+     * Get a point at a distance and bearing from a start point (spherical earth)
+     * @param {number} lat - Start latitude
+     * @param {number} lon - Start longitude
+     * @param {number} bearing - Bearing in degrees
+     * @param {number} distanceKm - Distance in km
+     * @returns {Array} - [lon, lat]
+     */
+    static destinationPoint(lat, lon, bearing, distanceKm) {
+        const radius = 6371;
+        const toRad = Math.PI / 180;
+        const angular = distanceKm / radius;
+        const lat1 = lat * toRad;
+        const lon1 = lon * toRad;
+        const brng = bearing * toRad;
+        
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(brng));
+        const lon2 = lon1 + Math.atan2(
+            Math.sin(brng) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        
+        return [lon2 / toRad, lat2 / toRad];
+    }
+    
+    /**
+     * Get the initial bearing between two points
+     * @returns {number} - Bearing in degrees
+     */
+    static getBearing(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const y = Math.sin((lon2 - lon1) * toRad) * Math.cos(lat2 * toRad);
+        const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+            Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+        return Math.atan2(y, x) / toRad;
+    }
+    
+    /**
+     * Build a forecast cone polygon around a storm's forecast track.
+     * Radii follow the NHC cone of uncertainty (2/3 probability circles) by forecast hour.
+     * @param {Array} trackPoints - Current position followed by forecast points ({lat, lon, timestamp})
+     * @returns {Object|null} - GeoJSON Polygon geometry
+     */
+    static buildForecastCone(trackPoints) {
+        if (trackPoints.length < 2) return null;
+        
+        // [forecast hour, radius in nautical miles]
+        const coneRadii = [[0, 10], [12, 26], [24, 39], [36, 53], [48, 67], [60, 81], [72, 99], [96, 145], [120, 205]];
+        const radiusAt = (hours) => {
+            for (let i = 1; i < coneRadii.length; i++) {
+                if (hours <= coneRadii[i][0]) {
+                    const [h0, r0] = coneRadii[i - 1];
+                    const [h1, r1] = coneRadii[i];
+                    return (r0 + (r1 - r0) * (hours - h0) / (h1 - h0)) * 1.852;
+                }
+            }
+            return coneRadii[coneRadii.length - 1][1] * 1.852;
+        };
+        
+        const start = trackPoints[0].timestamp || Date.now();
+        const left = [];
+        const right = [];
+        const bearings = [];
+        
+        trackPoints.forEach((point, i) => {
+            const prev = trackPoints[Math.max(i - 1, 0)];
+            const next = trackPoints[Math.min(i + 1, trackPoints.length - 1)];
+            const bearing = this.getBearing(prev.lat, prev.lon, next.lat, next.lon);
+            const hours = point.timestamp ? Math.max((point.timestamp - start) / 3600000, 0) : i * 12;
+            const radius = radiusAt(hours);
+            
+            bearings.push({ bearing, radius });
+            left.push(this.destinationPoint(point.lat, point.lon, bearing - 90, radius));
+            right.push(this.destinationPoint(point.lat, point.lon, bearing + 90, radius));
+        });
+        
+        // Round caps at both ends of the cone
+        const cap = (point, bearing, radius, from, to) => {
+            const points = [];
+            for (let angle = from; angle <= to; angle += 15) {
+                points.push(this.destinationPoint(point.lat, point.lon, bearing + angle, radius));
+            }
+            return points;
+        };
+        const first = trackPoints[0];
+        const last = trackPoints[trackPoints.length - 1];
+        const lastBearing = bearings[bearings.length - 1];
+        
+        const ring = [
+            ...left,
+            ...cap(last, lastBearing.bearing, lastBearing.radius, -90, 90),
+            ...right.reverse(),
+            ...cap(first, bearings[0].bearing, bearings[0].radius, 90, 270)
+        ];
+        ring.push(ring[0]);
+        
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+    
+    /**
+     * Create hurricane layer with past tracks, forecast tracks and forecast cones
+     * @param {Array} data - Normalized hurricane data from weatherService
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createHurricaneLayer(data, zoomCategory) {
+        console.log(`Creating hurricane layer for ${zoomCategory} view`);
+        
+        try {
+            // Clean up any existing hurricane layers to avoid duplicates
+            this.removeLayerGroup('hurricane');
+            
+            const storms = Array.isArray(data) ? data : [];
+            const isValid = point => point && typeof point.lat === 'number' && typeof point.lon === 'number';
+            const coneFeatures = [];
+            const trackFeatures = [];
+            const pointFeatures = [];
+            
+            storms.forEach(storm => {
+                const past = (storm.path || []).filter(isValid);
+                const forecast = (storm.forecast || []).filter(isValid);
+                const current = isValid(storm.location) ? { ...storm.location, timestamp: storm.updated || Date.now() } : past[past.length - 1];
+                const stormCategory = this.getHurricaneCategory(storm.wind_speed, storm.category);
+                
+                if (past.length > 1) {
+                    trackFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'past' },
+                        geometry: { type: 'LineString', coordinates: past.map(point => [point.lon, point.lat]) }
+                    });
+                }
+                
+                if (current && forecast.length > 0) {
+                    const forecastTrack = [current, ...forecast];
+                    trackFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'forecast' },
+                        geometry: { type: 'LineString', coordinates: forecastTrack.map(point => [point.lon, point.lat]) }
+                    });
+                    
+                    // NHC publishes the cone with each advisory; it is only approximated when missing
+                    const cone = storm.cone || this.buildForecastCone(forecastTrack);
+                    if (cone) {
+                        coneFeatures.push({ type: 'Feature', properties: { name: storm.name }, geometry: cone });
+                    }
+                }
+                
+                past.forEach(point => {
+                    const category = this.getHurricaneCategory(point.wind_speed, point.category);
+                    pointFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'past', color: category.color, category: category.label, wind_speed: point.wind_speed, timestamp: point.timestamp },
+                        geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                    });
+                });
+                
+                forecast.forEach(point => {
+                    const category = this.getHurricaneCategory(point.wind_speed, point.category);
+                    pointFeatures.push({
+                        type: 'Feature',
+                        properties: { name: storm.name, kind: 'forecast', color: category.color, category: category.label, wind_speed: point.wind_speed, timestamp: point.timestamp },
+                        geometry: { type: 'Point', coordinates: [point.lon, point.lat] }
+                    });
+                });
+                
+                if (current) {
+                    pointFeatures.push({
+                        type: 'Feature',
+                        properties: {
+                            name: storm.name,
+                            kind: 'current',
+                            color: stormCategory.color,
+                            category: stormCategory.label,
+                            wind_speed: storm.wind_speed,
+                            pressure: storm.pressure,
+                            movement: storm.movement ? `${storm.movement.direction} at ${storm.movement.speed}` : ''
+                        },
+                        geometry: { type: 'Point', coordinates: [current.lon, current.lat] }
+                    });
+                }
+            });
+            
+            map.addSource('hurricane-cone-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: coneFeatures }
+            });
+            map.addSource('hurricane-track-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: trackFeatures }
+            });
+            map.addSource('hurricane-points-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: pointFeatures }
+            });
+            
+            map.addLayer({
+                id: 'hurricane-cone-fill',
+                type: 'fill',
+                source: 'hurricane-cone-source',
+                paint: {
+                    'fill-color': '#FFFFFF',
+                    'fill-opacity': 0.2
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-cone-outline',
+                type: 'line',
+                source: 'hurricane-cone-source',
+                paint: {
+                    'line-color': '#FFFFFF',
+                    'line-width': 1,
+                    'line-opacity': 0.7
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-track-past',
+                type: 'line',
+                source: 'hurricane-track-source',
+                filter: ['==', ['get', 'kind'], 'past'],
+                paint: {
+                    'line-color': '#FFFFFF',
+                    'line-width': 2
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-track-forecast',
+                type: 'line',
+                source: 'hurricane-track-source',
+                filter: ['==', ['get', 'kind'], 'forecast'],
+                paint: {
+                    'line-color': '#FFFFFF',
+                    'line-width': 2,
+                    'line-dasharray': [2, 2]
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-points',
+                type: 'circle',
+                source: 'hurricane-points-source',
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': [
+                        'match', ['get', 'kind'],
+                        'current', 9,
+                        'forecast', 5,
+                        3
+                    ],
+                    'circle-stroke-width': ['match', ['get', 'kind'], 'current', 2, 1],
+                    'circle-stroke-color': '#333333'
+                }
+            });
+            map.addLayer({
+                id: 'hurricane-labels',
+                type: 'symbol',
+                source: 'hurricane-points-source',
+                filter: ['==', ['get', 'kind'], 'current'],
+                layout: {
+                    'text-field': ['get', 'name'],
+                    'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                    'text-size': 13,
+                    'text-offset': [0, 1.5],
+                    'text-anchor': 'top'
+                },
+                paint: {
+                    'text-color': '#FFFFFF',
+                    'text-halo-color': 'rgba(0, 0, 0, 0.8)',
+                    'text-halo-width': 1.5
+                }
+            });
+            
+            const handlers = [];
+            this.addLayerClickHandler(handlers, 'hurricane-points', (e) => {
+                const props = e.features[0].properties;
+                let html = `<div class="pointName">${T.html(props.name)}</div><div class="pointAddress">${T.html(props.category)}</div>`;
+                if (props.wind_speed) html += `<div class="pointLatLong">Wind: ${T.html(props.wind_speed)} kt</div>`;
+                if (props.pressure) html += `<div class="pointLatLong">Pressure: ${T.html(props.pressure)} mb</div>`;
+                if (props.movement) html += `<div class="pointLatLong">Moving: ${T.html(props.movement)}</div>`;
+                if (props.timestamp && props.kind !== 'current') {
+                    html += `<div class="pointLatLong">${props.kind === 'forecast' ? 'Forecast' : 'Observed'}: ${H.casDateTime(props.timestamp / 1000)}</div>`;
+                }
+                new mapboxgl.Popup().setLngLat(e.features[0].geometry.coordinates).setHTML(html).addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['hurricane'] = {
+                visibility: 'visible',
+                type: 'hurricane',
+                zoomCategory: zoomCategory,
+                layers: ['hurricane-cone-fill', 'hurricane-cone-outline', 'hurricane-track-past', 'hurricane-track-forecast', 'hurricane-points', 'hurricane-labels'],
+                sources: ['hurricane-cone-source', 'hurricane-track-source', 'hurricane-points-source'],
+                handlers
+            };
+            
+            if (storms.length === 0) I.info('No active hurricanes right now');
+            console.log(`Hurricane layer created with ${storms.length} storms`);
+        } catch (e) {
+            console.error('Error creating hurricane layer:', e);
+            I.error('Error loading hurricane layer');
+        }
+    }
+    
+    /**
+     * Fetch the fire hotspots in view, merged across sensors, and draw them
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static loadWildfires(zoomCategory) {
+        const requestId = ++this.wildfireRequestId;
+        
+        fetch('/api/weather/wildfire', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                bbox: this.getViewportBounds(),
+                sensors: this.wildfireSensors,
+                days: 1
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error(data.error || 'No wildfire data');
+                
+                // Ignore responses for a viewport we have already moved away from
+                if (requestId !== this.wildfireRequestId || !this.activeWeatherLayers['wildfire']) return;
+                
+                this.weatherData.wildfires = data;
+                // Once drawn, the layer keeps its sources and only swaps their data
+                if (map.getSource('wildfire-heat-source')) {
+                    const collection = this.getWildfireCollection(data);
+                    map.getSource('wildfire-heat-source').setData(collection);
+                    map.getSource('wildfire-cluster-source').setData(collection);
+                } else {
+                    this.createWildfireLayer(data, zoomCategory);
+                }
+            })
+            .catch(error => {
+                console.error('Failed to fetch wildfire data:', error);
+                if (!map.getSource('wildfire-heat-source')) this.createWildfireLayer([], zoomCategory);
+            });
+    }
+    
+    /**
+     * Turn hotspots into map features
+     * @param {Array} data - Normalized wildfire data from weatherService
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    static getWildfireCollection(data) {
+        const sensorNames = { MODIS: 'MODIS', VIIRS_SNPP: 'VIIRS S-NPP', VIIRS_NOAA20: 'VIIRS NOAA-20' };
+        const fires = Array.isArray(data) ? data : [];
+        const features = fires
+            .filter(fire => fire.location && !isNaN(fire.location.lat) && !isNaN(fire.location.lon))
+            .map(fire => ({
+                type: 'Feature',
+                properties: {
+                    brightness: fire.brightness || 0,
+                    confidence: fire.confidence,
+                    date: fire.date,
+                    time: fire.time,
+                    sensors: (fire.sensors || []).map(sensor => sensorNames[sensor] || sensor).join(', ')
+                },
+                geometry: { type: 'Point', coordinates: [fire.location.lon, fire.location.lat] }
+            }));
+        return { type: 'FeatureCollection', features };
+    }
+    
+    /**
+     * Create wildfire layer: a hotspot heatmap when zoomed out that becomes clustered points as you zoom in
+     * @param {Array} data - Normalized wildfire data from weatherService
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createWildfireLayer(data, zoomCategory) {
+        console.log(`Creating wildfire layer for ${zoomCategory} view`);
+        
+        try {
+            // Clean up any existing wildfire layers to avoid duplicates
+            this.removeLayerGroup('wildfire');
+            
+            const collection = this.getWildfireCollection(data);
+            
+            // Heatmap and clusters need separate sources: clustering replaces points with cluster features
+            map.addSource('wildfire-heat-source', { type: 'geojson', data: collection });
+            map.addSource('wildfire-cluster-source', {
+                type: 'geojson',
+                data: collection,
+                cluster: true,
+                clusterMaxZoom: 12,
+                clusterRadius: 40
+            });
+            
+            map.addLayer({
+                id: 'wildfire-heatmap',
+                type: 'heatmap',
+                source: 'wildfire-heat-source',
+                maxzoom: 9,
+                paint: {
+                    // Brightness temperature (K): hotter fires weigh more
+                    'heatmap-weight': [
+                        'interpolate', ['linear'], ['get', 'brightness'],
+                        300, 0.2,
+                        400, 1
+                    ],
+                    'heatmap-intensity': [
+                        'interpolate', ['linear'], ['zoom'],
+                        0, 1,
+                        9, 3
+                    ],
+                    'heatmap-radius': [
+                        'interpolate', ['linear'], ['zoom'],
+                        0, 4,
+                        9, 20
+                    ],
+                    'heatmap-color': [
+                        'interpolate', ['linear'], ['heatmap-density'],
+                        0, 'rgba(255,255,0,0)',
+                        0.2, 'rgb(255,255,102)',
+                        0.5, 'rgb(255,170,0)',
+                        0.8, 'rgb(255,85,0)',
+                        1, 'rgb(204,0,0)'
+                    ],
+                    // Fade out as clustered points take over
+                    'heatmap-opacity': [
+                        'interpolate', ['linear'], ['zoom'],
+                        7, 0.9,
+                        9, 0
+                    ]
+                }
+            });
+            map.addLayer({
+                id: 'wildfire-clusters',
+                type: 'circle',
+                source: 'wildfire-cluster-source',
+                minzoom: 7,
+                filter: ['has', 'point_count'],
+                paint: {
+                    'circle-color': [
+                        'step', ['get', 'point_count'],
+                        '#FFAA00', 10,
+                        '#FF5500', 50,
+                        '#CC0000'
+                    ],
+                    'circle-radius': [
+                        'step', ['get', 'point_count'],
+                        14, 10,
+                        18, 50,
+                        24
+                    ],
+                    'circle-opacity': 0.85,
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#FFFFFF'
+                }
+            });
+            map.addLayer({
+                id: 'wildfire-cluster-count',
+                type: 'symbol',
+                source: 'wildfire-cluster-source',
+                minzoom: 7,
+                filter: ['has', 'point_count'],
+                layout: {
+                    'text-field': ['get', 'point_count_abbreviated'],
+                    'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                    'text-size': 12
+                },
+                paint: {
+                    'text-color': '#FFFFFF'
+                }
+            });
+            map.addLayer({
+                id: 'wildfire-points',
+                type: 'circle',
+                source: 'wildfire-cluster-source',
+                minzoom: 7,
+                filter: ['!', ['has', 'point_count']],
+                paint: {
+                    'circle-color': [
+                        'interpolate', ['linear'], ['get', 'brightness'],
+                        300, '#FFAA00',
+                        360, '#FF5500',
+                        400, '#CC0000'
+                    ],
+                    'circle-radius': 6,
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#FFFFFF'
+                }
+            });
+            
+            const handlers = [];
+            this.addLayerClickHandler(handlers, 'wildfire-clusters', (e) => {
+                const feature = e.features[0];
+                map.getSource('wildfire-cluster-source').getClusterExpansionZoom(feature.properties.cluster_id, (err, zoom) => {
+                    if (err) return;
+                    map.easeTo({ center: feature.geometry.coordinates, zoom });
+                });
+            });
+            this.addLayerClickHandler(handlers, 'wildfire-points', (e) => {
+                const props = e.features[0].properties;
+                const time = props.time ? `${String(props.time).padStart(4, '0').substring(0, 2)}:${String(props.time).padStart(4, '0').substring(2, 4)} UTC` : '';
+                new mapboxgl.Popup()
+                    .setLngLat(e.features[0].geometry.coordinates)
+                    .setHTML(`<div class="pointName"><i class="fa-solid fa-fire"></i> Fire Hotspot</div>
+                        <div class="pointAddress">Detected ${T.html(props.date)} ${T.html(time)}</div>
+                        <div class="pointLatLong">Brightness: ${T.html(props.brightness)} K</div>
+                        <div class="pointLatLong">Confidence: ${T.html(props.confidence || 'n/a')}</div>
+                        ${props.sensors ? `<div class="pointLatLong">Seen by: ${T.html(props.sensors)}</div>` : ''}`)
+                    .addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['wildfire'] = {
+                visibility: 'visible',
+                type: 'wildfire',
+                zoomCategory: zoomCategory,
+                layers: ['wildfire-heatmap', 'wildfire-clusters', 'wildfire-cluster-count', 'wildfire-points'],
+                sources: ['wildfire-heat-source', 'wildfire-cluster-source'],
+                handlers
+            };
+            
+            console.log(`Wildfire layer created with ${collection.features.length} hotspots`);
+        } catch (e) {
+            console.error('Error creating wildfire layer:', e);
+            I.error('Error loading wildfire layer');
+        }
+    }
+    
+    /**
+     * US EPA AQI categories and their colors
+     */
+    static airQualityCategories = [
+        { max: 50, label: 'Good', color: '#00E400', text: '#222222' },
+        { max: 100, label: 'Moderate', color: '#FFFF00', text: '#222222' },
+        { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#FF7E00', text: '#222222' },
+        { max: 200, label: 'Unhealthy', color: '#FF0000', text: '#FFFFFF' },
+        { max: 300, label: 'Very Unhealthy', color: '#8F3F97', text: '#FFFFFF' },
+        { max: Infinity, label: 'Hazardous', color: '#7E0023', text: '#FFFFFF' }
+    ];
+    
+    /**
+     * Get the AQI category of an index
+     * @param {number} aqi - US EPA AQI
+     * @returns {Object} - {label, color, text}
+     */
+    static getAirQualityCategory(aqi) {
+        return this.airQualityCategories.find(category => aqi <= category.max);
+    }
+    
+    /**
+     * Create the air quality layer: the AQI of the largest cities in view, colored by category
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createAirQualityLayer(zoomCategory) {
+        try {
+            this.removeLayerGroup('airQuality');
+            
+            // Cities are filled in from /api/weather/airquality/cities for the visible area
+            map.addSource('air-quality-source', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+            map.addLayer({
+                id: 'air-quality-points',
+                type: 'circle',
+                source: 'air-quality-source',
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': 13,
+                    'circle-opacity': 0.85,
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#333333'
+                }
+            });
+            map.addLayer({
+                id: 'air-quality-labels',
+                type: 'symbol',
+                source: 'air-quality-source',
+                layout: {
+                    'text-field': ['to-string', ['get', 'aqi']],
+                    'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+                    'text-size': 12,
+                    'text-allow-overlap': true
+                },
+                paint: {
+                    'text-color': ['get', 'text']
+                }
+            });
+            
+            const handlers = [];
+            this.addLayerClickHandler(handlers, 'air-quality-points', (e) => {
+                const props = e.features[0].properties;
+                new mapboxgl.Popup()
+                    .setLngLat(e.features[0].geometry.coordinates)
+                    .setHTML(`<div class="pointName">${T.html(props.name)}</div>${this.getAirQualityHTML(JSON.parse(props.airQuality))}`)
+                    .addTo(map);
+            });
+            
+            // Track in our weatherLayers object
+            this.weatherLayers['airQuality'] = {
+                visibility: 'visible',
+                type: 'airQuality',
+                zoomCategory: zoomCategory,
+                layers: ['air-quality-points', 'air-quality-labels'],
+                sources: ['air-quality-source'],
+                handlers
+            };
+            
+            this.loadCityAirQuality();
+        } catch (e) {
+            console.error('Error creating air quality layer:', e);
+            I.error('Error loading air quality layer');
+        }
+    }
+    
+    /**
+     * Fetch the AQI of the largest cities in view and redraw the air quality layer
      */
-    static createCloudLayer(zoomCategory) {
-        console.log('Creating cloud layer');
+    static loadCityAirQuality() {
+        if (!this.activeWeatherLayers['airQuality'] || !map.getSource('air-quality-source')) return;
         
-        try {
-            // Clean up any existing cloud layers
-            this.weatherLayers['cloud']?.layers?.forEach(id => {
-                if (map.getLayer(id)) map.removeLayer(id);
-                if (map.getSource(id)) map.removeSource(id);
+        const requestId = ++this.cityAirQualityRequestId;
+        
+        fetch('/api/weather/airquality/cities', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                bounds: this.getViewportBounds(),
+                zoom: map.getZoom()
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error(data.error || 'No air quality data');
+                
+                // Ignore responses for a viewport we have already moved away from
+                if (requestId !== this.cityAirQualityRequestId || !map.getSource('air-quality-source')) return;
+                
+                map.getSource('air-quality-source').setData({
+                    type: 'FeatureCollection',
+                    features: data.map(city => {
+                        const category = this.getAirQualityCategory(city.aqi);
+                        return {
+                            type: 'Feature',
+                            properties: {
+                                name: city.name,
+                                aqi: city.aqi,
+                                color: category.color,
+                                text: category.text,
+                                airQuality: { aqi: city.aqi, category: city.category, dominant: city.dominant }
+                            },
+                            geometry: { type: 'Point', coordinates: [city.lon, city.lat] }
+                        };
+                    })
+                });
+            })
+            .catch(error => {
+                console.error('Failed to fetch city air quality:', error);
             });
+    }
+    
+    /**
+     * Fetch the air quality at a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Function} callback - Called with the normalized air quality, or null when unavailable
+     */
+    static loadAirQuality(lat, lon, callback) {
+        fetch('/api/weather/airquality', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ latitude: lat, longitude: lon })
+        })
+            .then(response => response.json())
+            .then(data => callback(typeof data.aqi === 'number' ? data : null))
+            .catch(error => {
+                console.error('Failed to fetch air quality:', error);
+                callback(null);
+            });
+    }
+    
+    /**
+     * Build the AQI badge shown in popups
+     * @param {Object} airQuality - {aqi, category, dominant, pollutants}
+     * @returns {string} - Badge HTML
+     */
+    static getAirQualityHTML(airQuality) {
+        if (!airQuality || typeof airQuality.aqi !== 'number') return '';
+        const category = this.getAirQualityCategory(airQuality.aqi);
+        const dominant = (airQuality.pollutants || []).find(pollutant => pollutant.key === airQuality.dominant);
+        const pollutant = dominant ? dominant.name : (airQuality.dominant || '').toUpperCase().replace('_', '.');
+        
+        return `<div class="airQualitySummary">
+            <span class="airQualityBadge" style="background:${category.color};color:${category.text}">AQI ${airQuality.aqi}</span>
+            ${airQuality.category}${pollutant ? ` · ${pollutant}` : ''}
+        </div>`;
+    }
+    
+    /**
+     * Icons and colors for EONET event categories
+     */
+    static disasterCategories = {
+        'Wildfires': { icon: 'fa-fire', color: '#FF5722' },
+        'Severe Storms': { icon: 'fa-cloud-bolt', color: '#7E57C2' },
+        'Volcanoes': { icon: 'fa-volcano', color: '#D32F2F' },
+        'Sea and Lake Ice': { icon: 'fa-icicles', color: '#4FC3F7' },
+        'Earthquakes': { icon: 'fa-house-crack', color: '#8D6E63' },
+        'Floods': { icon: 'fa-house-flood-water', color: '#1E88E5' },
+        'Landslides': { icon: 'fa-hill-rockslide', color: '#795548' },
+        'Drought': { icon: 'fa-sun-plant-wilt', color: '#FBC02D' },
+        'Dust and Haze': { icon: 'fa-smog', color: '#A1887F' },
+        'Snow': { icon: 'fa-snowflake', color: '#64B5F6' },
+        'Temperature Extremes': { icon: 'fa-temperature-arrow-up', color: '#FF7043' },
+        'Manmade': { icon: 'fa-industry', color: '#607D8B' },
+        'Water Color': { icon: 'fa-water', color: '#26A69A' }
+    };
+    
+    /**
+     * Create natural disaster layer with an icon marker per EONET event
+     * @param {Array} data - Normalized disaster data from weatherService
+     * @param {string} zoomCategory - Current zoom category (GLOBAL, REGIONAL, LOCAL)
+     */
+    static createDisasterLayer(data, zoomCategory) {
+        console.log(`Creating disaster layer for ${zoomCategory} view`);
+        
+        try {
+            // Clean up any existing disaster markers to avoid duplicates
+            this.removeLayerGroup('disaster');
             
-            // Use OpenWeatherMap cloud tiles for accurate visualization
-            if (!map.getSource('cloud-tiles')) {
-                try {
-                    map.addSource('cloud-tiles', {
-                        type: 'raster',
-                        tiles: [
-                            'https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=6c14f64dcf8546cad54c8a33c52bd577'
-                        ],
-                        tileSize: 256,
-                        attribution: '© OpenWeatherMap'
-                    });
-                    console.log('Cloud tile source added successfully');
-                } catch (e) {
-                    console.error('Failed to add cloud tile source:', e);
-                    // Attempt alternative endpoint if primary fails
-                    try {
-                        map.addSource('cloud-tiles', {
-                            type: 'raster',
-                            tiles: [
-                                'https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=6c14f64dcf8546cad54c8a33c52bd577&fill_bound=true'
-                            ],
-                            tileSize: 256,
-                            attribution: '© OpenWeatherMap'
-                        });
-                        console.log('Alternative cloud tile source added');
-                    } catch (err) {
-                        console.error('Failed to add alternative cloud tile source:', err);
-                        throw err;
-                    }
-                }
-            }
-            
-            // Add cloud raster layer for global visualization
-            map.addLayer({
-                id: 'cloud-layer',
-                type: 'raster',
-                source: 'cloud-tiles',
-                paint: {
-                    'raster-opacity': 0.8,
-                    'raster-fade-duration': 0
-                }
+            const events = (Array.isArray(data) ? data : []).filter(event => event.location);
+            const markers = events.map(event => {
+                const style = this.disasterCategories[event.category] || { icon: 'fa-triangle-exclamation', color: '#E83A3A' };
+                
+                const el = document.createElement('div');
+                el.className = 'disasterMarker';
+                el.style.background = style.color;
+                el.title = event.title;
+                el.innerHTML = `<i class="fa-solid ${style.icon}"></i>`;
+                
+                // EONET text is shown as text, and only web links are followed
+                const sources = (event.sources || [])
+                    .filter(source => typeof source.url === 'string' && /^https?:\/\//i.test(source.url))
+                    .map(source => `<a class="disasterSourceLink" href="${T.html(source.url)}" target="_blank" rel="noopener"><i class="fa-light fa-link"></i> ${T.html(source.id)}</a>`)
+                    .join(' ');
+                const popupHtml = `<div class="pointName">${T.html(event.title)}</div>
+                    <div class="pointAddress"><i class="fa-solid ${style.icon}" style="color:${style.color}"></i> ${T.html(event.category)}</div>
+                    ${event.timestamp ? `<div class="pointLatLong">${H.casDate(event.timestamp / 1000)}</div>` : ''}
+                    ${event.description ? `<div class="pointLatLong">${T.html(event.description)}</div>` : ''}
+                    ${sources ? `<div class="disasterSources">${sources}</div>` : ''}`;
+                
+                return new mapboxgl.Marker({ element: el })
+                    .setLngLat([event.location.lon, event.location.lat])
+                    .setPopup(new mapboxgl.Popup().setHTML(popupHtml))
+                    .addTo(map);
             });
             
             // Track in our weatherLayers object
-            this.weatherLayers['cloud'] = {
+            this.weatherLayers['disaster'] = {
                 visibility: 'visible',
-                type: 'cloud',
-                layers: ['cloud-layer']
+                type: 'disaster',
+                zoomCategory: zoomCategory,
+                layers: [],
+                markers
             };
             
-            console.log('Cloud layer created successfully with real-time data');
+            console.log(`Disaster layer created with ${markers.length} events`);
         } catch (e) {
-            console.error('Error creating cloud layer:', e);
-            I.error('Error loading cloud layer');
+            console.error('Error creating disaster layer:', e);
+            I.error('Error loading disaster layer');
         }
     }
     
@@ -2912,52 +5423,289 @@ class WeatherInterface extends I {
     /**
      * Get formatted temperature string
      * @param {number} celsius - Temperature in Celsius
-     * @returns {string} - Formatted temperature string in Fahrenheit
+     * @returns {string} - Formatted temperature string in the user's unit
      */
     static getFormattedTemperature(celsius) {
+        if (this.temperatureUnit === 'C') return `${Math.round(celsius)}`;
         const fahrenheit = this.celsiusToFahrenheit(celsius);
         return `${fahrenheit}`; // Removed °F to match zoom.earth style
     }
+
+    /**
+     * Detect the user's temperature unit from the unit cookie or browser locale
+     * @returns {string} - 'F' or 'C'
+     */
+    static detectTemperatureUnit() {
+        const match = document.cookie.match(/gv2_unit=([CF])/);
+        if (match) return match[1];
+        return ['en-US', 'en-LR', 'my-MM'].includes(navigator.language) ? 'F' : 'C';
+    }
+
+    /**
+     * Set and remember the user's temperature unit
+     * @param {string} unit - 'F' or 'C'
+     */
+    static setTemperatureUnit(unit) {
+        this.temperatureUnit = unit;
+        document.cookie = 'gv2_unit=' + unit + '; expires=Sun, 24 May 2080 12:00:00 UTC; path=/;';
+        
+        // Redraw city and forecast labels in the new unit
+        if (this.cityWeather.length > 0) {
+            this.renderCityLabels();
+        }
+        if (this.forecastGrid) {
+            this.updateTimelinePosition(this.timeSliderValue);
+        }
+    }
+
+    /**
+     * Format a temperature with its unit
+     * @param {number} celsius - Temperature in Celsius
+     * @returns {string} - Temperature string such as "72°F"
+     */
+    static formatTemperature(celsius) {
+        if (celsius === null || celsius === undefined) return 'n/a';
+        return `${this.getFormattedTemperature(celsius)}°${this.temperatureUnit}`;
+    }
+
+    /**
+     * Format a wind speed in the unit system matching the temperature unit
+     * @param {number} metersPerSecond - Wind speed in m/s
+     * @returns {string} - Wind speed string in mph or km/h
+     */
+    static formatWindSpeed(metersPerSecond) {
+        if (metersPerSecond === null || metersPerSecond === undefined) return 'n/a';
+        if (this.temperatureUnit === 'F') return `${Math.round(metersPerSecond * 2.237)} mph`;
+        return `${Math.round(metersPerSecond * 3.6)} km/h`;
+    }
+
+    /**
+     * Get the image URL for a normalized weather icon code
+     * @param {string} icon - Icon code (e.g. 01d)
+     * @returns {string} - Icon URL
+     */
+    static getWeatherIconUrl(icon) {
+        return `https://openweathermap.org/img/wn/${icon}@2x.png`;
+    }
+
+    /**
+     * Build the weather summary shown in search cards and marker popups
+     * @param {Object} weatherData - Normalized current_weather data
+     * @returns {string} - Summary HTML
+     */
+    static getWeatherSummaryHTML(weatherData) {
+        const weather = weatherData?.weather;
+        if (!weather) return '';
+        
+        return `<div class="weatherSummary">
+            <img class="weatherSummaryIcon" src="${this.getWeatherIconUrl(weather.icon)}" alt="${weather.description}" title="${weather.description}">
+            <div class="weatherSummaryTemp">${this.formatTemperature(weather.temperature)}</div>
+            <div class="weatherSummaryDetails">
+                Feels like ${this.formatTemperature(weather.feels_like)}<br>
+                <i class="fa-solid fa-wind"></i> ${this.formatWindSpeed(weather.wind_speed)} · <i class="fa-solid fa-droplet"></i> ${weather.humidity}%
+            </div>
+        </div>`;
+    }
+
+    /**
+     * Add an expandable forecast strip, loaded from /api/weather/forecast on first open
+     * @param {HTMLElement} parent - Element to add the strip to
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    static createForecastStrip(parent, lat, lon) {
+        const toggle = E.div(parent, 'forecastStripToggle', '');
+        toggle.innerHTML = '<i class="fa-solid fa-calendar-days"></i> Forecast';
+        
+        const strip = E.div(parent, 'forecastStrip', '');
+        strip.style.display = 'none';
+        
+        toggle.onclick = (e) => {
+            // Don't trigger the card's pan/zoom
+            e.stopPropagation();
+            
+            if (strip.style.display === 'none') {
+                strip.style.display = 'flex';
+                if (!strip.dataset.loaded) this.loadForecastStrip(strip, lat, lon);
+            } else {
+                strip.style.display = 'none';
+            }
+        };
+    }
+
+    /**
+     * Fill a forecast strip with the next 24 hours of 3-hourly steps
+     * @param {HTMLElement} strip - Strip element
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    static loadForecastStrip(strip, lat, lon) {
+        strip.innerHTML = '<img class="forecastStripLoad" src="src/loading2.gif">';
+        
+        fetch('/api/weather/forecast', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ latitude: lat, longitude: lon })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.forecast) throw new Error(data.error || 'No forecast data');
+                
+                strip.dataset.loaded = 'true';
+                strip.innerHTML = '';
+                data.forecast.slice(0, 8).forEach(step => {
+                    const item = E.div(strip, 'forecastStripItem', '');
+                    item.innerHTML = `<div class="forecastStripTime">${H.casTime(step.timestamp / 1000)}</div>
+                        <img class="forecastStripIcon" src="${this.getWeatherIconUrl(step.weather.icon)}" alt="${step.weather.description}" title="${step.weather.description}">
+                        <div class="forecastStripTemp">${this.formatTemperature(step.temperature)}</div>`;
+                });
+            })
+            .catch(error => {
+                console.error('Failed to fetch forecast:', error);
+                strip.innerHTML = '<div class="forecastStripTime">Forecast unavailable</div>';
+            });
+    }
+
+    /**
+     * Month initials for the climate chart axis
+     */
+    static climateMonths = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+    /**
+     * Add a climate chart toggle under a Discover answer
+     * @param {HTMLElement} parent - Element to add the toggle to
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {boolean} open - Load and show the chart right away
+     */
+    static createClimateChart(parent, lat, lon, open) {
+        const toggle = E.div(parent, 'forecastStripToggle', '');
+        toggle.innerHTML = '<i class="fa-solid fa-chart-column"></i> Climate';
+
+        const chart = E.div(parent, 'climateChart', '');
+        chart.style.display = 'none';
+
+        const show = () => {
+            chart.style.display = 'block';
+            if (!chart.dataset.loaded) this.loadClimateChart(chart, lat, lon);
+        };
+        toggle.onclick = (e) => {
+            // Don't trigger the item's pan
+            e.stopPropagation();
+
+            if (chart.style.display === 'none') show();
+            else chart.style.display = 'none';
+        };
+        if (open) show();
+    }
+
+    /**
+     * Fill a climate chart with the monthly normals and the past twelve months
+     * @param {HTMLElement} chart - Chart element
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    static loadClimateChart(chart, lat, lon) {
+        chart.innerHTML = '<img class="forecastStripLoad" src="src/loading2.gif">';
+
+        // the archive lags a few days behind today
+        const to = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
+        const from = new Date(to.getTime() - 364 * 24 * 60 * 60 * 1000);
+        const post = (path, body) => fetch(path, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ latitude: lat, longitude: lon, ...body })
+        }).then(response => response.json());
+
+        Promise.all([
+            post('/api/weather/normals', {}),
+            // the chart still shows the normals without the past year
+            post('/api/weather/history', { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) }).catch(() => null)
+        ])
+            .then(([normals, history]) => {
+                if (!normals.months) throw new Error(normals.error || 'No climate normals');
+
+                chart.dataset.loaded = 'true';
+                chart.innerHTML = this.getClimateChartHTML(normals, history && history.days ? this.monthlyMeans(history.days) : null);
+            })
+            .catch(error => {
+                console.error('Failed to fetch climate normals:', error);
+                chart.innerHTML = '<div class="forecastStripTime">Climate data unavailable</div>';
+            });
+    }
+
+    /**
+     * Average daily history into mean temperatures per calendar month
+     * @param {Array} days - Days ({date, temperature_mean})
+     * @returns {Array} - Twelve means in °C, null for months without data
+     */
+    static monthlyMeans(days) {
+        const months = Array.from({ length: 12 }, () => []);
+        days.forEach(day => {
+            if (day.temperature_mean !== null) months[parseInt(day.date.slice(5, 7)) - 1].push(day.temperature_mean);
+        });
+        return months.map(values => values.length ? values.reduce((total, value) => total + value, 0) / values.length : null);
+    }
+
+    /**
+     * Build the monthly normals chart: precipitation bars, the mean daily high and low,
+     * and the past twelve months' mean temperature as dots
+     * @param {Object} normals - {period, months}
+     * @param {Array|null} observed - Mean temperature per calendar month in °C
+     * @returns {string} - Chart HTML
+     */
+    static getClimateChartHTML(normals, observed) {
+        const width = 260, height = 120, left = 26, top = 8, bottom = 100;
+        const step = (width - left) / 12;
+        const x = i => left + step * (i + 0.5);
+
+        const months = normals.months;
+        const temperatures = months.flatMap(month => [month.temperature_max, month.temperature_min])
+            .concat(observed || [])
+            .filter(value => value !== null);
+        const high = Math.max(...temperatures), low = Math.min(...temperatures);
+        const y = celsius => bottom - (celsius - low) / (high - low || 1) * (bottom - top);
+        const wettest = Math.max(...months.map(month => month.precipitation || 0), 1);
+
+        const line = key => months
+            .filter(month => month[key] !== null)
+            .map(month => `${x(month.month - 1).toFixed(1)},${y(month[key]).toFixed(1)}`)
+            .join(' ');
+
+        const bars = months.map((month, i) => {
+            const barHeight = (month.precipitation || 0) / wettest * (bottom - top) * 0.6;
+            return `<rect class="climateChartRain" x="${(x(i) - step * 0.3).toFixed(1)}" y="${(bottom - barHeight).toFixed(1)}" width="${(step * 0.6).toFixed(1)}" height="${barHeight.toFixed(1)}">
+                <title>${this.formatTemperature(month.temperature_max)} / ${this.formatTemperature(month.temperature_min)}, ${month.precipitation} mm</title></rect>`;
+        }).join('');
+        const dots = (observed || []).map((celsius, i) => celsius === null ? '' :
+            `<circle class="climateChartObserved" cx="${x(i).toFixed(1)}" cy="${y(celsius).toFixed(1)}" r="2.5"><title>Past year: ${this.formatTemperature(celsius)}</title></circle>`).join('');
+        const labels = this.climateMonths.map((label, i) => `<text x="${x(i).toFixed(1)}" y="${height - 6}" text-anchor="middle">${label}</text>`).join('');
+        const total = Math.round(months.reduce((sum, month) => sum + (month.precipitation || 0), 0));
+
+        return `<svg class="climateChartSvg" viewBox="0 0 ${width} ${height}">
+                ${bars}
+                <polyline class="climateChartMax" points="${line('temperature_max')}"/>
+                <polyline class="climateChartMin" points="${line('temperature_min')}"/>
+                ${dots}
+                <text x="0" y="${top + 4}">${this.formatTemperature(high)}</text>
+                <text x="0" y="${bottom}">${this.formatTemperature(low)}</text>
+                ${labels}
+            </svg>
+            <div class="climateChartLegend">
+                <span class="climateChartKeyMax">High</span> <span class="climateChartKeyMin">Low</span>
+                <span class="climateChartKeyRain">Rain ${total} mm/yr</span>${observed ? ' <span class="climateChartKeyObserved">Past year</span>' : ''}
+                · Normals ${normals.period}
+            </div>`;
+    }
     
     /**
      * Initialize city labels on the map
      */
     static initCityLabels() {
-        // Major world cities with coordinates and population thresholds
-        // This is a simplified dataset of major world cities
-        const majorCities = [
-            { name: "New York", coordinates: [-74.0060, 40.7128], population: 8419000, country: "USA", temp: 77 },
-            { name: "Los Angeles", coordinates: [-118.2437, 34.0522], population: 3980000, country: "USA", temp: 85 },
-            { name: "Chicago", coordinates: [-87.6298, 41.8781], population: 2694000, country: "USA", temp: 68 },
-            { name: "Houston", coordinates: [-95.3698, 29.7604], population: 2320000, country: "USA", temp: 95 },
-            { name: "London", coordinates: [-0.1278, 51.5074], population: 8982000, country: "UK", temp: 59 },
-            { name: "Tokyo", coordinates: [139.6917, 35.6895], population: 13960000, country: "Japan", temp: 72 },
-            { name: "Delhi", coordinates: [77.1025, 28.7041], population: 16787000, country: "India", temp: 98 },
-            { name: "Shanghai", coordinates: [121.4737, 31.2304], population: 27058000, country: "China", temp: 77 },
-            { name: "São Paulo", coordinates: [-46.6333, -23.5505], population: 22043000, country: "Brazil", temp: 72 },
-            { name: "Mexico City", coordinates: [-99.1332, 19.4326], population: 9209944, country: "Mexico", temp: 75 },
-            { name: "Cairo", coordinates: [31.2357, 30.0444], population: 20484965, country: "Egypt", temp: 97 },
-            { name: "Beijing", coordinates: [116.4074, 39.9042], population: 21540000, country: "China", temp: 75 },
-            { name: "Mumbai", coordinates: [72.8777, 19.0760], population: 20411274, country: "India", temp: 87 },
-            { name: "Moscow", coordinates: [37.6173, 55.7558], population: 12537954, country: "Russia", temp: 51 },
-            { name: "Paris", coordinates: [2.3522, 48.8566], population: 11017000, country: "France", temp: 63 },
-            { name: "Sydney", coordinates: [151.2093, -33.8688], population: 5312000, country: "Australia", temp: 61 },
-            { name: "Berlin", coordinates: [13.4050, 52.5200], population: 3748000, country: "Germany", temp: 61 },
-            { name: "Madrid", coordinates: [-3.7038, 40.4168], population: 6642000, country: "Spain", temp: 78 },
-            { name: "Johannesburg", coordinates: [28.0473, -26.2041], population: 5782747, country: "South Africa", temp: 66 },
-            { name: "Toronto", coordinates: [-79.3832, 43.6532], population: 6255000, country: "Canada", temp: 63 },
-            { name: "Singapore", coordinates: [103.8198, 1.3521], population: 5850000, country: "Singapore", temp: 90 },
-            { name: "Bangkok", coordinates: [100.5018, 13.7563], population: 10539000, country: "Thailand", temp: 91 },
-            { name: "Jakarta", coordinates: [106.8456, -6.2088], population: 10562000, country: "Indonesia", temp: 87 },
-            { name: "Lima", coordinates: [-77.0428, -12.0464], population: 10750000, country: "Peru", temp: 68 },
-            { name: "Istanbul", coordinates: [28.9784, 41.0082], population: 15460000, country: "Turkey", temp: 79 },
-            { name: "Seoul", coordinates: [126.9780, 37.5665], population: 9776000, country: "South Korea", temp: 73 },
-            { name: "Ho Chi Minh City", coordinates: [106.6297, 10.8231], population: 8993000, country: "Vietnam", temp: 89 },
-            { name: "Lagos", coordinates: [3.3792, 6.5244], population: 21000000, country: "Nigeria", temp: 83 },
-            { name: "Dhaka", coordinates: [90.4125, 23.8103], population: 21006000, country: "Bangladesh", temp: 92 },
-            { name: "Karachi", coordinates: [67.0099, 24.8607], population: 16093000, country: "Pakistan", temp: 91 }
-        ];
-
         try {
             console.log('Initializing city labels');
             
@@ -2994,26 +5742,12 @@ class WeatherInterface extends I {
                 map.removeSource('city-labels-source');
             }
             
-            // Create a single GeoJSON source for city data
-            const features = majorCities.map(city => ({
-                type: 'Feature',
-                properties: {
-                    name: city.name,
-                    population: city.population,
-                    country: city.country,
-                    temp: city.temp
-                },
-                geometry: {
-                    type: 'Point',
-                    coordinates: city.coordinates
-                }
-            }));
-            
+            // Cities are filled in from /api/weather/cities for the visible area
             map.addSource('city-labels-source', {
                 type: 'geojson',
                 data: {
                     type: 'FeatureCollection',
-                    features: features
+                    features: []
                 }
             });
             
@@ -3025,8 +5759,7 @@ class WeatherInterface extends I {
                 layout: {
                     'text-field': [
                         'format',
-                        ['to-string', ['get', 'temp']], {'font-scale': 1.2},
-                        '°',
+                        ['get', 'temp'], {'font-scale': 1.2},
                         '\n',
                         ['get', 'name'], {'font-scale': 0.8}
                     ],
@@ -3039,8 +5772,8 @@ class WeatherInterface extends I {
                         6, 16,
                         10, 20
                     ],
-                    'text-allow-overlap': true,
-                    'text-ignore-placement': true,
+                    // Larger cities win when labels collide
+                    'symbol-sort-key': ['-', ['get', 'population']],
                     'visibility': 'visible'
                 },
                 paint: {
@@ -3059,22 +5792,94 @@ class WeatherInterface extends I {
             // Set active state
             this.activeWeatherLayers['cities'] = true;
             
-            console.log('City labels initialized successfully');
-            I.success('City labels loaded');
-            
-            // Center the map to show multiple cities
-            map.flyTo({
-                center: [0, 20],
-                zoom: 1.5,
-                duration: 2000
-            });
+            // Load the visible cities now and keep their conditions fresh
+            this.loadCityWeather();
+            clearInterval(this.cityRefreshInterval);
+            this.cityRefreshInterval = setInterval(() => this.loadCityWeather(), this.cityRefreshMs);
             
+            console.log('City labels initialized successfully');
         } catch (e) {
             console.error('Error initializing city labels:', e);
             I.error('Failed to initialize city labels');
         }
     }
     
+    /**
+     * Get the visible map bounds with longitudes wrapped to -180..180
+     * @returns {Object} - Bounds ({north, south, east, west}); west > east when crossing the antimeridian
+     */
+    static getViewportBounds() {
+        const bounds = map.getBounds();
+        const wrap = lon => ((lon + 540) % 360) - 180;
+        const spansWorld = bounds.getEast() - bounds.getWest() >= 360;
+        
+        return {
+            north: Math.min(bounds.getNorth(), 90),
+            south: Math.max(bounds.getSouth(), -90),
+            east: spansWorld ? 180 : wrap(bounds.getEast()),
+            west: spansWorld ? -180 : wrap(bounds.getWest())
+        };
+    }
+    
+    /**
+     * Fetch current conditions for the largest cities in view and redraw their labels
+     */
+    static loadCityWeather() {
+        if (!this.activeWeatherLayers['cities'] || !map.getSource('city-labels-source')) return;
+        
+        const requestId = ++this.cityWeatherRequestId;
+        
+        fetch('/api/weather/cities', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                bounds: this.getViewportBounds(),
+                zoom: map.getZoom()
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error(data.error || 'No city weather data');
+                
+                // Ignore responses for a viewport we have already moved away from
+                if (requestId !== this.cityWeatherRequestId) return;
+                
+                this.cityWeather = data;
+                this.renderCityLabels();
+            })
+            .catch(error => {
+                console.error('Failed to fetch city weather:', error);
+            });
+    }
+    
+    /**
+     * Draw the loaded city conditions in the current temperature unit
+     */
+    static renderCityLabels() {
+        const source = map.getSource('city-labels-source');
+        if (!source) return;
+        
+        source.setData({
+            type: 'FeatureCollection',
+            features: this.cityWeather.map(city => ({
+                type: 'Feature',
+                properties: {
+                    name: city.name,
+                    population: city.population,
+                    country: city.country,
+                    temp: this.formatTemperature(city.temperature),
+                    description: city.description
+                },
+                geometry: {
+                    type: 'Point',
+                    coordinates: [city.lon, city.lat]
+                }
+            }))
+        });
+    }
+    
     /**
      * Update which city labels are visible based on zoom level
      */
@@ -3176,6 +5981,22 @@ class WeatherInterface extends I {
             this.queueTilePrefetch();
         }
         
+        // Load the cities that came into view
+        if (this.activeWeatherLayers['cities']) {
+            this.loadCityWeather();
+        }
+        if (this.activeWeatherLayers['airQuality']) {
+            this.loadCityAirQuality();
+        }
+        if (this.activeWeatherLayers['wildfire'] && map.getSource('wildfire-heat-source')) {
+            this.loadWildfires(this.getZoomCategory(this.currentViewport.zoom));
+        }
+        
+        // Reload forecast layers once the view leaves the loaded forecast grid
+        if (this.forecastGrid) {
+            this.refreshForecastLayers();
+        }
+        
         // Update debug info if available
         if (this.debugMode && document.getElementById('weather-debug-info')) {
             this.updateDebugInfo();
@@ -3324,34 +6145,18 @@ class WeatherInterface extends I {
      * @returns {string} - Source URL
      */
     static getSourceUrlForLayer(layerId, zoomCategory) {
-        const apiKey = '6c14f64dcf8546cad54c8a33c52bd577'; // OpenWeatherMap API key
-        
-        // Base URLs for different layer types
-        const baseUrls = {
-            temperature: {
-                GLOBAL: `https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            },
-            precipitation: {
-                GLOBAL: `https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            },
-            wind: {
-                GLOBAL: `https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            },
-            cloud: {
-                GLOBAL: `https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-            }
-        };
-        
-        // Return appropriate URL or fallback to global
-        return baseUrls[layerId]?.[zoomCategory] || baseUrls[layerId]?.GLOBAL;
+        return this.tileUrl(layerId, zoomCategory);
+    }
+
+    /**
+     * Get the tile URL template of a weather layer. Tiles come through the server's
+     * proxy, which adds the provider key and caches them.
+     * @param {string} layerId - Layer ID (temperature, precipitation, wind, cloud)
+     * @param {string} zoomCategory - Zoom category
+     * @returns {string} - Tile URL template
+     */
+    static tileUrl(layerId, zoomCategory) {
+        return `${rootURL}/api/weather/tile/${layerId}/{z}/{x}/{y}?zoom=${zoomCategory}`;
     }
 
     /**
@@ -3390,6 +6195,8 @@ class WeatherInterface extends I {
             }
             
             const metadata = await response.json();
+            // the proxy path is relative; map sources load tiles in a worker
+            metadata.url = rootURL + metadata.url;
             
             // Cache the metadata
             if (!this.tileCache[layerId]) {
@@ -3405,35 +6212,9 @@ class WeatherInterface extends I {
             // Fallback to hardcoded values if server request fails
             console.warn(`Using fallback tile metadata for ${layerId}`);
             
-            const apiKey = '6c14f64dcf8546cad54c8a33c52bd577'; // OpenWeatherMap API key
-            
-            // Base URLs for different layer types (fallback)
-            const baseUrls = {
-                temperature: {
-                    GLOBAL: `https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                },
-                precipitation: {
-                    GLOBAL: `https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                },
-                wind: {
-                    GLOBAL: `https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                },
-                cloud: {
-                    GLOBAL: `https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=${apiKey}`,
-                    REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
-                    LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
-                }
-            };
-            
             // Return fallback metadata
             return {
-                url: baseUrls[layerId]?.[zoomCategory] || baseUrls[layerId]?.GLOBAL,
+                url: this.tileUrl(layerId, zoomCategory),
                 tileSize: 256,
                 minZoom: zoomCategory === 'GLOBAL' ? 0 : (zoomCategory === 'REGIONAL' ? 3 : 8),
                 maxZoom: zoomCategory === 'GLOBAL' ? 3 : (zoomCategory === 'REGIONAL' ? 8 : 22),
@@ -0,0 +1,105 @@
+import { weatherTools, executeWeatherTool } from './weatherTools.js';
+
+/**
+ * Agent Service
+ * Runs a model in a loop: the weather tools it calls are executed and their results
+ * fed back until it answers
+ */
+
+// Rounds of tool calls before the model is made to answer without them
+const maxToolRounds = 4;
+
+/**
+ * Tools offered to a provider
+ * @param {Object} provider - Provider adapter
+ * @returns {Array} - Tool definitions, empty when the provider has tools turned off
+ */
+function toolsFor(provider) {
+  return provider.capabilities.tools ? weatherTools : [];
+}
+
+/**
+ * Tool choice for a round; the last round has to answer
+ * @param {number} round - Round number, from 0
+ * @returns {string} - auto or none
+ */
+function toolChoiceFor(round) {
+  return round < maxToolRounds ? 'auto' : 'none';
+}
+
+/**
+ * Execute the tool calls of one round
+ * @param {Array} calls - Tool calls ({id, name, input})
+ * @returns {Promise<Array>} - Results in the same order
+ */
+function runToolCalls(calls) {
+  calls.forEach(call => console.log(`Tool call ${call.name}`, JSON.stringify(call.input)));
+  return Promise.all(calls.map(call => executeWeatherTool(call.name, call.input)));
+}
+
+/**
+ * Query a model, letting it call weather tools before it answers
+ * @param {Object} provider - Provider adapter
+ * @param {string} requestType - Request type (search, discover)
+ * @param {string} systemPrompt - System prompt
+ * @param {Array} prompts - Conversation messages
+ * @returns {Promise<Object>} - The provider's final response
+ */
+export async function runAgent(provider, requestType, systemPrompt, prompts) {
+  const tools = toolsFor(provider);
+  const messages = [...prompts];
+
+  for (let round = 0; ; round++) {
+    const toolChoice = toolChoiceFor(round);
+    const response = await provider.complete(requestType, systemPrompt, messages, tools, toolChoice);
+    const calls = tools.length && toolChoice === 'auto' ? provider.toolCalls(response) : [];
+    if (!calls.length) return response;
+
+    const results = await runToolCalls(calls);
+    messages.push(...provider.toolMessages(response, calls, results));
+  }
+}
+
+/**
+ * Stream a model's answer, letting it call weather tools along the way
+ * @param {Object} provider - Provider adapter
+ * @param {string} requestType - Request type (search, discover)
+ * @param {string} systemPrompt - System prompt
+ * @param {Array} prompts - Conversation messages
+ * @yields {Object} - {type: 'text', text} chunks and {type: 'tool', name, input} for each tool call
+ */
+export async function* streamAgent(provider, requestType, systemPrompt, prompts) {
+  const tools = toolsFor(provider);
+  const messages = [...prompts];
+
+  for (let round = 0; ; round++) {
+    const toolChoice = toolChoiceFor(round);
+    let response;
+
+    if (provider.capabilities.streaming) {
+      // Text is passed on as it arrives; the generator returns the assembled response
+      const stream = provider.stream(requestType, systemPrompt, messages, tools, toolChoice);
+      let step;
+      while (!(step = await stream.next()).done) {
+        yield { type: 'text', text: step.value };
+      }
+      response = step.value;
+    }
+    else {
+      // providers without streaming still answer in SSE format, as a single chunk
+      response = await provider.complete(requestType, systemPrompt, messages, tools, toolChoice);
+    }
+
+    const calls = tools.length && toolChoice === 'auto' ? provider.toolCalls(response) : [];
+    if (!calls.length) {
+      if (!provider.capabilities.streaming) yield { type: 'text', text: provider.extractText(response) };
+      return;
+    }
+
+    for (const call of calls) {
+      yield { type: 'tool', name: call.name, input: call.input };
+    }
+    const results = await runToolCalls(calls);
+    messages.push(...provider.toolMessages(response, calls, results));
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Air Quality
+ * Turns pollutant concentrations into the US EPA Air Quality Index, so every provider reports
+ * the same 0-500 scale. Providers publish hourly concentrations, which are used for every
+ * averaging period of the EPA tables.
+ */
+
+// Molecular weights, to convert µg/m³ to ppb at 25°C
+const molecularWeights = { o3: 48.00, no2: 46.01, so2: 64.07, co: 28.01 };
+const molarVolume = 24.45;
+
+// EPA breakpoints: [concentration low, concentration high, index low, index high]
+const breakpoints = {
+  pm2_5: [[0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]], // µg/m³
+  pm10: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]], // µg/m³
+  o3: [[0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150], [86, 105, 151, 200], [106, 200, 201, 300]], // ppb, 8-hour
+  no2: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]], // ppb
+  so2: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]], // ppb
+  co: [[0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]] // ppm
+};
+
+const categories = [
+  { max: 50, label: 'Good' },
+  { max: 100, label: 'Moderate' },
+  { max: 150, label: 'Unhealthy for Sensitive Groups' },
+  { max: 200, label: 'Unhealthy' },
+  { max: 300, label: 'Very Unhealthy' },
+  { max: Infinity, label: 'Hazardous' }
+];
+
+const pollutantNames = {
+  pm2_5: 'PM2.5',
+  pm10: 'PM10',
+  o3: 'Ozone',
+  no2: 'Nitrogen dioxide',
+  so2: 'Sulphur dioxide',
+  co: 'Carbon monoxide'
+};
+
+/**
+ * Index of one pollutant
+ * @param {string} pollutant - Key in breakpoints
+ * @param {number} concentration - µg/m³
+ * @returns {number|null} - Index, null without a value
+ */
+function pollutantIndex(pollutant, concentration) {
+  if (typeof concentration !== 'number' || !Number.isFinite(concentration) || concentration < 0) return null;
+
+  let value = concentration;
+  if (pollutant === 'co') value = concentration * molarVolume / molecularWeights.co / 1000;
+  else if (molecularWeights[pollutant]) value = concentration * molarVolume / molecularWeights[pollutant];
+
+  const table = breakpoints[pollutant];
+  // values past the last breakpoint count as the top of the scale
+  const band = table.find(([, high]) => value <= high);
+  if (!band) return table[table.length - 1][3];
+  const [low, high, indexLow, indexHigh] = band;
+  return Math.round((indexHigh - indexLow) / (high - low) * (Math.max(value, low) - low) + indexLow);
+}
+
+/**
+ * Normalize pollutant concentrations to the shape WeatherService hands to the client
+ * @param {Object} params - {lat, lon, timestamp, components}, components in µg/m³
+ *   (pm2_5, pm10, o3, no2, so2, co and any others the provider reports)
+ * @returns {Object} - {type, location, aqi, category, dominant, pollutants, timestamp}
+ */
+export function normalizeAirQuality({ lat, lon, timestamp, components }) {
+  const pollutants = Object.keys(pollutantNames)
+    .filter(key => typeof components[key] === 'number')
+    .map(key => ({
+      key,
+      name: pollutantNames[key],
+      concentration: Math.round(components[key] * 10) / 10,
+      unit: 'µg/m³',
+      aqi: pollutantIndex(key, components[key])
+    }));
+
+  // the overall index is the worst pollutant's
+  const dominant = pollutants.reduce((worst, pollutant) => !worst || pollutant.aqi > worst.aqi ? pollutant : worst, null);
+  const aqi = dominant ? dominant.aqi : null;
+
+  return {
+    type: 'air_quality',
+    location: { lat, lon },
+    aqi,
+    category: aqi === null ? 'Unknown' : categories.find(category => aqi <= category.max).label,
+    dominant: dominant ? dominant.key : null,
+    pollutants,
+    timestamp
+  };
+}
@@ -0,0 +1,335 @@
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+import historyService from './historyService.js';
+import weatherService from './weatherService.js';
+import { httpClient } from './mockService.js';
+import { distanceToGeometryKm, geometryCenter, geometryPositions } from './geoUtils.js';
+import { boundsAround, parseWildfireQuery } from './wildfires.js';
+
+dotenv.config();
+
+// Limits of a watch area
+const maxRules = 10;
+const maxVertices = 500;
+// Alerts kept on each watch for clients to pick up
+const maxAlerts = 20;
+// Forecast steps checked by the wind and temperature rules
+const forecastHours = 24;
+
+const isLatitude = value => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = value => Number.isFinite(value) && Math.abs(value) <= 180;
+
+/**
+ * Validate one threshold rule
+ * @param {Object} rule - {type: 'wind', above} (m/s), {type: 'temperature', above|below} (°C),
+ *   {type: 'wildfire'|'hurricane', within_km}
+ * @returns {Object} - Normalized rule
+ * @throws {Error} - When the rule is not valid
+ */
+function parseRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('Each rule must be an object');
+  const number = key => rule[key] === undefined || rule[key] === null || rule[key] === '' ? null : Number(rule[key]);
+
+  if (rule.type === 'wind') {
+    const above = number('above');
+    if (!(above >= 0)) throw new Error('Wind rule needs a speed in m/s to be above');
+    return { type: 'wind', above };
+  }
+  if (rule.type === 'temperature') {
+    const [above, below] = [number('above'), number('below')];
+    if ((above === null) === (below === null) || !Number.isFinite(above ?? below)) {
+      throw new Error('Temperature rule needs a temperature in °C to be above or below');
+    }
+    return above === null ? { type: 'temperature', below } : { type: 'temperature', above };
+  }
+  if (rule.type === 'wildfire' || rule.type === 'hurricane') {
+    const within = number('within_km');
+    if (!(within > 0) || within > 5000) throw new Error(`${rule.type === 'wildfire' ? 'Wildfire' : 'Hurricane'} rule needs a distance in km`);
+    return { type: rule.type, within_km: within };
+  }
+  throw new Error('Rule type must be wind, temperature, wildfire or hurricane');
+}
+
+/**
+ * Validate a watch area: a GeoJSON Point or Polygon with threshold rules
+ * @param {Object} watch - {name, geometry, rules}
+ * @returns {Object} - Normalized {name, geometry, rules}
+ * @throws {Error} - When the area or a rule is not valid
+ */
+export function parseWatch(watch) {
+  if (!watch || typeof watch !== 'object') throw new Error('Watch must be an object');
+  const geometry = watch.geometry || {};
+  let normalized;
+
+  if (geometry.type === 'Point') {
+    const [lon, lat] = (Array.isArray(geometry.coordinates) ? geometry.coordinates : []).map(Number);
+    if (!isLatitude(lat) || !isLongitude(lon)) throw new Error('Point needs [longitude, latitude] coordinates');
+    normalized = { type: 'Point', coordinates: [lon, lat] };
+  } else if (geometry.type === 'Polygon') {
+    const ring = (Array.isArray(geometry.coordinates) && Array.isArray(geometry.coordinates[0]) ? geometry.coordinates[0] : [])
+      .map(position => Array.isArray(position) ? position.slice(0, 2).map(Number) : []);
+    if (ring.length < 3 || ring.length > maxVertices || !ring.every(position => isLongitude(position[0]) && isLatitude(position[1]))) {
+      throw new Error(`Polygon needs 3 to ${maxVertices} [longitude, latitude] vertices`);
+    }
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+    normalized = { type: 'Polygon', coordinates: [ring] };
+  } else {
+    throw new Error('Watch area must be a Point or Polygon geometry');
+  }
+
+  if (!Array.isArray(watch.rules) || watch.rules.length === 0 || watch.rules.length > maxRules) {
+    throw new Error(`Watch needs 1 to ${maxRules} rules`);
+  }
+  return {
+    name: String(watch.name || '').trim().slice(0, 100) || 'Watch area',
+    geometry: normalized,
+    rules: watch.rules.map(parseRule)
+  };
+}
+
+/**
+ * Describe a rule, eg. "wind above 15 m/s"
+ * @param {Object} rule - Normalized rule
+ * @returns {string}
+ */
+export function ruleText(rule) {
+  if (rule.type === 'wind') return `wind above ${rule.above} m/s`;
+  if (rule.type === 'temperature') return rule.above !== undefined ? `temperature above ${rule.above}°C` : `temperature below ${rule.below}°C`;
+  return `${rule.type} within ${rule.within_km} km`;
+}
+
+/**
+ * Alert Service
+ * Keeps user-defined watch areas with threshold rules and checks them on a schedule against
+ * current weather, the forecast, hurricane tracks and wildfire hotspots. An alert is raised
+ * when a rule starts to match and again when it clears; it is kept on the watch for the
+ * client to pick up and posted to ALERT_WEBHOOK_URL when one is configured.
+ */
+class AlertService {
+  constructor() {
+    this.webhookURL = process.env.ALERT_WEBHOOK_URL || null;
+    this.running = false;
+
+    const minutes = process.env.ALERT_INTERVAL_MINUTES !== undefined ? parseFloat(process.env.ALERT_INTERVAL_MINUTES) : 15;
+    if (minutes > 0) {
+      // unref so the schedule does not keep the process alive on its own
+      setInterval(() => this.evaluateAll(), minutes * 60 * 1000).unref();
+    } else {
+      console.log('AlertService: Scheduled checks disabled');
+    }
+  }
+
+  /**
+   * Save a watch area and check it right away
+   * @param {string} clientId - Client ID
+   * @param {Object} watch - Normalized watch (see parseWatch)
+   * @returns {Promise<Object>} - Stored watch with its first alerts
+   */
+  async addWatch(clientId, watch) {
+    const saved = await historyService.saveWatch({ clientId, ...watch });
+    const [checked] = await this.evaluate([saved]);
+    return checked;
+  }
+
+  /**
+   * A client's watch areas and the alerts raised since a time
+   * @param {string} clientId - Client ID
+   * @param {number} since - Timestamp; 0 for every kept alert
+   * @returns {Promise<Object>} - {watches, alerts} with alerts oldest first
+   */
+  async list(clientId, since = 0) {
+    const watches = await historyService.listWatches(clientId);
+    const alerts = watches
+      .flatMap(watch => watch.alerts || [])
+      .filter(alert => alert.createdAt > since)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    return {
+      watches: watches.map(({ clientId, alerts, ...watch }) => watch),
+      alerts
+    };
+  }
+
+  /**
+   * Check every client's watch areas; runs on the schedule
+   * @returns {Promise<void>}
+   */
+  async evaluateAll() {
+    // a slow run is not stacked with the next one
+    if (this.running) return;
+    this.running = true;
+    try {
+      const watches = await historyService.listWatches(null);
+      if (watches.length > 0) await this.evaluate(watches);
+    } catch (error) {
+      console.error('AlertService: Could not check watch areas:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Check watch areas, store their new state and raise alerts for rules that changed
+   * @param {Array} watches - Stored watches
+   * @returns {Promise<Array>} - Updated watches
+   */
+  async evaluate(watches) {
+    const needs = type => watches.some(watch => watch.rules.some(rule => rule.type === type));
+    // shared by every watch; a source that cannot be reached leaves its rules as they were
+    const [hurricanes, fires] = await Promise.all([
+      needs('hurricane') ? weatherService.getHurricaneData().catch(error => {
+        console.error('AlertService: No hurricane data:', error.message);
+        return null;
+      }) : null,
+      needs('wildfire') ? this.wildfiresByWatch(watches) : null
+    ]);
+
+    const updated = [];
+    for (const watch of watches) {
+      const results = await this.checkRules(watch, { hurricanes, fires: fires ? fires.get(watch.id) : null });
+      const now = Date.now();
+      const alerts = [];
+      const triggered = results.map((result, i) => {
+        const was = (watch.triggered || [])[i] || false;
+        if (!result) return was;
+        if (result.triggered !== was) {
+          alerts.push({
+            id: crypto.randomUUID(),
+            watchId: watch.id,
+            watchName: watch.name,
+            rule: watch.rules[i],
+            level: result.triggered ? 'warning' : 'cleared',
+            message: result.triggered ? result.message : `${watch.name}: ${ruleText(watch.rules[i])} no longer applies`,
+            createdAt: now
+          });
+        }
+        return result.triggered;
+      });
+
+      const saved = await historyService.updateWatch(watch.id, {
+        triggered,
+        alerts: [...(watch.alerts || []), ...alerts].slice(-maxAlerts),
+        checkedAt: now
+      });
+      alerts.forEach(alert => this.notify(alert));
+      updated.push(saved || watch);
+    }
+    return updated;
+  }
+
+  /**
+   * Fetch the hotspots around each watch with a wildfire rule, widened by its largest distance.
+   * Watches whose areas round to the same whole degrees share one request.
+   * @param {Array} watches - Stored watches
+   * @returns {Promise<Map>} - Hotspots by watch id, null where they could not be fetched
+   */
+  async wildfiresByWatch(watches) {
+    const requests = new Map();
+    const byWatch = new Map();
+    watches.forEach(watch => {
+      const rules = watch.rules.filter(rule => rule.type === 'wildfire');
+      if (rules.length === 0) return;
+      const { bbox } = parseWildfireQuery({ bbox: boundsAround(geometryPositions(watch.geometry), Math.max(...rules.map(rule => rule.within_km))) });
+      const key = JSON.stringify(bbox);
+      if (!requests.has(key)) {
+        requests.set(key, weatherService.getWildfireData({ bbox, days: 1 }).catch(error => {
+          console.error(`AlertService: No wildfire data for ${watch.name}:`, error.message);
+          return null;
+        }));
+      }
+      byWatch.set(watch.id, requests.get(key));
+    });
+
+    const fires = new Map();
+    for (const [id, request] of byWatch) fires.set(id, await request);
+    return fires;
+  }
+
+  /**
+   * Check each rule of a watch
+   * @param {Object} watch - Stored watch
+   * @param {Object} data - {hurricanes, fires}, null when unavailable
+   * @returns {Promise<Array>} - Per rule {triggered, message}, null when it could not be checked
+   */
+  async checkRules(watch, data) {
+    const center = geometryCenter(watch.geometry);
+    const lat = Math.round(center.latitude * 100) / 100;
+    const lon = Math.round(center.longitude * 100) / 100;
+    let current = null;
+    let forecast = null;
+    if (watch.rules.some(rule => rule.type === 'wind' || rule.type === 'temperature')) {
+      [current, forecast] = await Promise.all([
+        weatherService.getCurrentWeather(lat, lon).catch(() => null),
+        weatherService.getWeatherForecast(lat, lon).catch(() => null)
+      ]);
+    }
+
+    // current conditions first, then the forecast steps of the next hours
+    const steps = [];
+    if (current) steps.push({ ...current.weather, timestamp: null });
+    if (forecast && forecast.forecast.length > 0) {
+      const until = forecast.forecast[0].timestamp + forecastHours * 3600 * 1000;
+      steps.push(...forecast.forecast.filter(step => step.timestamp <= until));
+    }
+    const when = step => step.timestamp ? `forecast for ${new Date(step.timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC` : 'now';
+
+    return watch.rules.map(rule => {
+      if (rule.type === 'wind' || rule.type === 'temperature') {
+        if (steps.length === 0) return null;
+        const key = rule.type === 'wind' ? 'wind_speed' : 'temperature';
+        const match = steps.find(step => rule.below !== undefined ? step[key] < rule.below : step[key] > rule.above);
+        if (!match) return { triggered: false };
+        const value = rule.type === 'wind' ? `Wind ${match.wind_speed} m/s` : `Temperature ${match.temperature}°C`;
+        return { triggered: true, message: `${watch.name}: ${value} ${when(match)} (${ruleText(rule)})` };
+      }
+
+      if (rule.type === 'wildfire') {
+        if (!data.fires) return null;
+        // hotspots outside the area's latitudes widened by the distance are skipped before measuring
+        const latitudes = geometryPositions(watch.geometry).map(position => position[1]);
+        const margin = rule.within_km / 111;
+        const [south, north] = [Math.min(...latitudes) - margin, Math.max(...latitudes) + margin];
+        const distances = data.fires
+          .filter(fire => fire.location && fire.location.lat >= south && fire.location.lat <= north)
+          .map(fire => distanceToGeometryKm(fire.location.lat, fire.location.lon, watch.geometry))
+          .filter(distance => distance <= rule.within_km);
+        if (distances.length === 0) return { triggered: false };
+        return {
+          triggered: true,
+          message: `${watch.name}: ${distances.length} wildfire hotspots within ${rule.within_km} km (nearest ${Math.round(Math.min(...distances))} km)`
+        };
+      }
+
+      if (!data.hurricanes) return null;
+      for (const storm of data.hurricanes) {
+        const points = [...(storm.location ? [{ lat: storm.location.lat, lon: storm.location.lon, timestamp: null }] : []), ...storm.forecast];
+        const near = points
+          .map(point => ({ ...point, distance: distanceToGeometryKm(point.lat, point.lon, watch.geometry) }))
+          .filter(point => point.distance <= rule.within_km)
+          .sort((a, b) => a.distance - b.distance)[0];
+        if (near) {
+          const distance = near.distance < 1 ? 'in the area' : `${Math.round(near.distance)} km away`;
+          const position = near.timestamp ? `forecast ${distance} (${when(near)})` : `${distance} now`;
+          return { triggered: true, message: `${watch.name}: ${storm.category} ${storm.name} ${position}` };
+        }
+      }
+      return { triggered: false };
+    });
+  }
+
+  /**
+   * Post an alert to the webhook, when one is configured
+   * @param {Object} alert - Alert
+   * @returns {Promise<void>}
+   */
+  async notify(alert) {
+    if (!this.webhookURL) return;
+    try {
+      await httpClient.post(this.webhookURL, { text: alert.message, alert }, { timeout: 10000 });
+    } catch (error) {
+      console.error('AlertService: Webhook failed:', error.message);
+    }
+  }
+}
+
+export default new AlertService();
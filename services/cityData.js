@@ -0,0 +1,201 @@
+/**
+ * City Data
+ * World cities with coordinates and metro population, used for live temperature labels.
+ * Populations are approximate metro-area figures.
+ */
+const cities = [
+  // North America
+  { name: 'New York', country: 'USA', lat: 40.7128, lon: -74.0060, population: 19500000 },
+  { name: 'Los Angeles', country: 'USA', lat: 34.0522, lon: -118.2437, population: 12800000 },
+  { name: 'Chicago', country: 'USA', lat: 41.8781, lon: -87.6298, population: 9400000 },
+  { name: 'Dallas', country: 'USA', lat: 32.7767, lon: -96.7970, population: 7600000 },
+  { name: 'Houston', country: 'USA', lat: 29.7604, lon: -95.3698, population: 7100000 },
+  { name: 'Washington', country: 'USA', lat: 38.9072, lon: -77.0369, population: 6300000 },
+  { name: 'Miami', country: 'USA', lat: 25.7617, lon: -80.1918, population: 6100000 },
+  { name: 'Philadelphia', country: 'USA', lat: 39.9526, lon: -75.1652, population: 6200000 },
+  { name: 'Atlanta', country: 'USA', lat: 33.7490, lon: -84.3880, population: 6100000 },
+  { name: 'Boston', country: 'USA', lat: 42.3601, lon: -71.0589, population: 4900000 },
+  { name: 'Phoenix', country: 'USA', lat: 33.4484, lon: -112.0740, population: 4900000 },
+  { name: 'San Francisco', country: 'USA', lat: 37.7749, lon: -122.4194, population: 4700000 },
+  { name: 'Seattle', country: 'USA', lat: 47.6062, lon: -122.3321, population: 4000000 },
+  { name: 'Minneapolis', country: 'USA', lat: 44.9778, lon: -93.2650, population: 3700000 },
+  { name: 'San Diego', country: 'USA', lat: 32.7157, lon: -117.1611, population: 3300000 },
+  { name: 'Denver', country: 'USA', lat: 39.7392, lon: -104.9903, population: 3000000 },
+  { name: 'St. Louis', country: 'USA', lat: 38.6270, lon: -90.1994, population: 2800000 },
+  { name: 'Portland', country: 'USA', lat: 45.5152, lon: -122.6784, population: 2500000 },
+  { name: 'Las Vegas', country: 'USA', lat: 36.1699, lon: -115.1398, population: 2300000 },
+  { name: 'New Orleans', country: 'USA', lat: 29.9511, lon: -90.0715, population: 1300000 },
+  { name: 'Salt Lake City', country: 'USA', lat: 40.7608, lon: -111.8910, population: 1300000 },
+  { name: 'Anchorage', country: 'USA', lat: 61.2181, lon: -149.9003, population: 400000 },
+  { name: 'Honolulu', country: 'USA', lat: 21.3069, lon: -157.8583, population: 1000000 },
+  { name: 'Toronto', country: 'Canada', lat: 43.6532, lon: -79.3832, population: 6400000 },
+  { name: 'Montreal', country: 'Canada', lat: 45.5017, lon: -73.5673, population: 4300000 },
+  { name: 'Vancouver', country: 'Canada', lat: 49.2827, lon: -123.1207, population: 2600000 },
+  { name: 'Calgary', country: 'Canada', lat: 51.0447, lon: -114.0719, population: 1500000 },
+  { name: 'Ottawa', country: 'Canada', lat: 45.4215, lon: -75.6972, population: 1400000 },
+  { name: 'Winnipeg', country: 'Canada', lat: 49.8951, lon: -97.1384, population: 830000 },
+  { name: 'Halifax', country: 'Canada', lat: 44.6488, lon: -63.5752, population: 460000 },
+  { name: 'Mexico City', country: 'Mexico', lat: 19.4326, lon: -99.1332, population: 21800000 },
+  { name: 'Guadalajara', country: 'Mexico', lat: 20.6597, lon: -103.3496, population: 5300000 },
+  { name: 'Monterrey', country: 'Mexico', lat: 25.6866, lon: -100.3161, population: 5300000 },
+  { name: 'Havana', country: 'Cuba', lat: 23.1136, lon: -82.3666, population: 2100000 },
+  { name: 'Guatemala City', country: 'Guatemala', lat: 14.6349, lon: -90.5069, population: 3000000 },
+  { name: 'Panama City', country: 'Panama', lat: 8.9824, lon: -79.5199, population: 1900000 },
+  { name: 'Santo Domingo', country: 'Dominican Republic', lat: 18.4861, lon: -69.9312, population: 3500000 },
+
+  // South America
+  { name: 'São Paulo', country: 'Brazil', lat: -23.5505, lon: -46.6333, population: 22400000 },
+  { name: 'Rio de Janeiro', country: 'Brazil', lat: -22.9068, lon: -43.1729, population: 13600000 },
+  { name: 'Brasília', country: 'Brazil', lat: -15.7939, lon: -47.8828, population: 4800000 },
+  { name: 'Belo Horizonte', country: 'Brazil', lat: -19.9167, lon: -43.9345, population: 6100000 },
+  { name: 'Salvador', country: 'Brazil', lat: -12.9777, lon: -38.5016, population: 3900000 },
+  { name: 'Recife', country: 'Brazil', lat: -8.0476, lon: -34.8770, population: 4100000 },
+  { name: 'Manaus', country: 'Brazil', lat: -3.1190, lon: -60.0217, population: 2300000 },
+  { name: 'Porto Alegre', country: 'Brazil', lat: -30.0346, lon: -51.2177, population: 4300000 },
+  { name: 'Buenos Aires', country: 'Argentina', lat: -34.6037, lon: -58.3816, population: 15400000 },
+  { name: 'Córdoba', country: 'Argentina', lat: -31.4201, lon: -64.1888, population: 1600000 },
+  { name: 'Lima', country: 'Peru', lat: -12.0464, lon: -77.0428, population: 11000000 },
+  { name: 'Bogotá', country: 'Colombia', lat: 4.7110, lon: -74.0721, population: 11300000 },
+  { name: 'Medellín', country: 'Colombia', lat: 6.2442, lon: -75.5812, population: 4100000 },
+  { name: 'Santiago', country: 'Chile', lat: -33.4489, lon: -70.6693, population: 6900000 },
+  { name: 'Caracas', country: 'Venezuela', lat: 10.4806, lon: -66.9036, population: 2900000 },
+  { name: 'Quito', country: 'Ecuador', lat: -0.1807, lon: -78.4678, population: 2000000 },
+  { name: 'Guayaquil', country: 'Ecuador', lat: -2.1710, lon: -79.9224, population: 3100000 },
+  { name: 'La Paz', country: 'Bolivia', lat: -16.4897, lon: -68.1193, population: 1900000 },
+  { name: 'Montevideo', country: 'Uruguay', lat: -34.9011, lon: -56.1645, population: 1800000 },
+  { name: 'Asunción', country: 'Paraguay', lat: -25.2637, lon: -57.5759, population: 3500000 },
+
+  // Europe
+  { name: 'Moscow', country: 'Russia', lat: 55.7558, lon: 37.6173, population: 12600000 },
+  { name: 'Istanbul', country: 'Turkey', lat: 41.0082, lon: 28.9784, population: 15600000 },
+  { name: 'London', country: 'UK', lat: 51.5074, lon: -0.1278, population: 14800000 },
+  { name: 'Paris', country: 'France', lat: 48.8566, lon: 2.3522, population: 11100000 },
+  { name: 'Madrid', country: 'Spain', lat: 40.4168, lon: -3.7038, population: 6800000 },
+  { name: 'Barcelona', country: 'Spain', lat: 41.3874, lon: 2.1686, population: 5600000 },
+  { name: 'Saint Petersburg', country: 'Russia', lat: 59.9311, lon: 30.3609, population: 5400000 },
+  { name: 'Berlin', country: 'Germany', lat: 52.5200, lon: 13.4050, population: 6100000 },
+  { name: 'Rome', country: 'Italy', lat: 41.9028, lon: 12.4964, population: 4300000 },
+  { name: 'Milan', country: 'Italy', lat: 45.4642, lon: 9.1900, population: 4300000 },
+  { name: 'Athens', country: 'Greece', lat: 37.9838, lon: 23.7275, population: 3600000 },
+  { name: 'Kyiv', country: 'Ukraine', lat: 50.4501, lon: 30.5234, population: 3500000 },
+  { name: 'Lisbon', country: 'Portugal', lat: 38.7223, lon: -9.1393, population: 2900000 },
+  { name: 'Manchester', country: 'UK', lat: 53.4808, lon: -2.2426, population: 2800000 },
+  { name: 'Warsaw', country: 'Poland', lat: 52.2297, lon: 21.0122, population: 3100000 },
+  { name: 'Vienna', country: 'Austria', lat: 48.2082, lon: 16.3738, population: 2900000 },
+  { name: 'Bucharest', country: 'Romania', lat: 44.4268, lon: 26.1025, population: 2300000 },
+  { name: 'Budapest', country: 'Hungary', lat: 47.4979, lon: 19.0402, population: 3000000 },
+  { name: 'Hamburg', country: 'Germany', lat: 53.5511, lon: 9.9937, population: 3300000 },
+  { name: 'Munich', country: 'Germany', lat: 48.1351, lon: 11.5820, population: 2900000 },
+  { name: 'Amsterdam', country: 'Netherlands', lat: 52.3676, lon: 4.9041, population: 2500000 },
+  { name: 'Brussels', country: 'Belgium', lat: 50.8503, lon: 4.3517, population: 2100000 },
+  { name: 'Stockholm', country: 'Sweden', lat: 59.3293, lon: 18.0686, population: 2400000 },
+  { name: 'Prague', country: 'Czechia', lat: 50.0755, lon: 14.4378, population: 2200000 },
+  { name: 'Copenhagen', country: 'Denmark', lat: 55.6761, lon: 12.5683, population: 2100000 },
+  { name: 'Dublin', country: 'Ireland', lat: 53.3498, lon: -6.2603, population: 2000000 },
+  { name: 'Zurich', country: 'Switzerland', lat: 47.3769, lon: 8.5417, population: 1400000 },
+  { name: 'Oslo', country: 'Norway', lat: 59.9139, lon: 10.7522, population: 1600000 },
+  { name: 'Helsinki', country: 'Finland', lat: 60.1699, lon: 24.9384, population: 1500000 },
+  { name: 'Belgrade', country: 'Serbia', lat: 44.7866, lon: 20.4489, population: 1700000 },
+  { name: 'Sofia', country: 'Bulgaria', lat: 42.6977, lon: 23.3219, population: 1700000 },
+  { name: 'Edinburgh', country: 'UK', lat: 55.9533, lon: -3.1883, population: 900000 },
+  { name: 'Reykjavík', country: 'Iceland', lat: 64.1466, lon: -21.9426, population: 240000 },
+  { name: 'Novosibirsk', country: 'Russia', lat: 55.0084, lon: 82.9357, population: 1600000 },
+  { name: 'Yekaterinburg', country: 'Russia', lat: 56.8389, lon: 60.6057, population: 1500000 },
+  { name: 'Ankara', country: 'Turkey', lat: 39.9334, lon: 32.8597, population: 5700000 },
+
+  // Africa
+  { name: 'Lagos', country: 'Nigeria', lat: 6.5244, lon: 3.3792, population: 15900000 },
+  { name: 'Cairo', country: 'Egypt', lat: 30.0444, lon: 31.2357, population: 22200000 },
+  { name: 'Kinshasa', country: 'DR Congo', lat: -4.4419, lon: 15.2663, population: 16300000 },
+  { name: 'Johannesburg', country: 'South Africa', lat: -26.2041, lon: 28.0473, population: 6200000 },
+  { name: 'Luanda', country: 'Angola', lat: -8.8390, lon: 13.2894, population: 9300000 },
+  { name: 'Dar es Salaam', country: 'Tanzania', lat: -6.7924, lon: 39.2083, population: 7800000 },
+  { name: 'Khartoum', country: 'Sudan', lat: 15.5007, lon: 32.5599, population: 6300000 },
+  { name: 'Abidjan', country: "Côte d'Ivoire", lat: 5.3600, lon: -4.0083, population: 5900000 },
+  { name: 'Nairobi', country: 'Kenya', lat: -1.2921, lon: 36.8219, population: 5300000 },
+  { name: 'Addis Ababa', country: 'Ethiopia', lat: 8.9806, lon: 38.7578, population: 5500000 },
+  { name: 'Alexandria', country: 'Egypt', lat: 31.2001, lon: 29.9187, population: 5600000 },
+  { name: 'Cape Town', country: 'South Africa', lat: -33.9249, lon: 18.4241, population: 4900000 },
+  { name: 'Casablanca', country: 'Morocco', lat: 33.5731, lon: -7.5898, population: 3900000 },
+  { name: 'Kano', country: 'Nigeria', lat: 12.0022, lon: 8.5920, population: 4400000 },
+  { name: 'Accra', country: 'Ghana', lat: 5.6037, lon: -0.1870, population: 2700000 },
+  { name: 'Dakar', country: 'Senegal', lat: 14.7167, lon: -17.4677, population: 3400000 },
+  { name: 'Algiers', country: 'Algeria', lat: 36.7538, lon: 3.0588, population: 2900000 },
+  { name: 'Kampala', country: 'Uganda', lat: 0.3476, lon: 32.5825, population: 3700000 },
+  { name: 'Tunis', country: 'Tunisia', lat: 36.8065, lon: 10.1815, population: 2400000 },
+  { name: 'Asmara', country: 'Eritrea', lat: 15.3229, lon: 38.9251, population: 900000 },
+  { name: 'Antananarivo', country: 'Madagascar', lat: -18.8792, lon: 47.5079, population: 3700000 },
+  { name: 'Harare', country: 'Zimbabwe', lat: -17.8252, lon: 31.0335, population: 1600000 },
+  { name: 'Lusaka', country: 'Zambia', lat: -15.3875, lon: 28.3228, population: 3000000 },
+  { name: 'Bamako', country: 'Mali', lat: 12.6392, lon: -8.0029, population: 2900000 },
+
+  // Middle East
+  { name: 'Tehran', country: 'Iran', lat: 35.6892, lon: 51.3890, population: 9400000 },
+  { name: 'Baghdad', country: 'Iraq', lat: 33.3152, lon: 44.3661, population: 7700000 },
+  { name: 'Riyadh', country: 'Saudi Arabia', lat: 24.7136, lon: 46.6753, population: 7700000 },
+  { name: 'Jeddah', country: 'Saudi Arabia', lat: 21.4858, lon: 39.1925, population: 4800000 },
+  { name: 'Dubai', country: 'UAE', lat: 25.2048, lon: 55.2708, population: 3600000 },
+  { name: 'Tel Aviv', country: 'Israel', lat: 32.0853, lon: 34.7818, population: 4200000 },
+  { name: 'Amman', country: 'Jordan', lat: 31.9454, lon: 35.9284, population: 2200000 },
+  { name: 'Kuwait City', country: 'Kuwait', lat: 29.3759, lon: 47.9774, population: 3300000 },
+  { name: 'Doha', country: 'Qatar', lat: 25.2854, lon: 51.5310, population: 2400000 },
+  { name: 'Beirut', country: 'Lebanon', lat: 33.8938, lon: 35.5018, population: 2400000 },
+
+  // Asia
+  { name: 'Tokyo', country: 'Japan', lat: 35.6895, lon: 139.6917, population: 37200000 },
+  { name: 'Delhi', country: 'India', lat: 28.7041, lon: 77.1025, population: 32900000 },
+  { name: 'Shanghai', country: 'China', lat: 31.2304, lon: 121.4737, population: 29200000 },
+  { name: 'Dhaka', country: 'Bangladesh', lat: 23.8103, lon: 90.4125, population: 23200000 },
+  { name: 'Beijing', country: 'China', lat: 39.9042, lon: 116.4074, population: 21800000 },
+  { name: 'Mumbai', country: 'India', lat: 19.0760, lon: 72.8777, population: 21300000 },
+  { name: 'Osaka', country: 'Japan', lat: 34.6937, lon: 135.5023, population: 19000000 },
+  { name: 'Chongqing', country: 'China', lat: 29.5630, lon: 106.5516, population: 17300000 },
+  { name: 'Karachi', country: 'Pakistan', lat: 24.8607, lon: 67.0011, population: 17200000 },
+  { name: 'Kolkata', country: 'India', lat: 22.5726, lon: 88.3639, population: 15300000 },
+  { name: 'Manila', country: 'Philippines', lat: 14.5995, lon: 120.9842, population: 14700000 },
+  { name: 'Guangzhou', country: 'China', lat: 23.1291, lon: 113.2644, population: 14300000 },
+  { name: 'Tianjin', country: 'China', lat: 39.3434, lon: 117.3616, population: 14000000 },
+  { name: 'Lahore', country: 'Pakistan', lat: 31.5204, lon: 74.3587, population: 13900000 },
+  { name: 'Bangalore', country: 'India', lat: 12.9716, lon: 77.5946, population: 13600000 },
+  { name: 'Shenzhen', country: 'China', lat: 22.5431, lon: 114.0579, population: 13100000 },
+  { name: 'Chennai', country: 'India', lat: 13.0827, lon: 80.2707, population: 11800000 },
+  { name: 'Jakarta', country: 'Indonesia', lat: -6.2088, lon: 106.8456, population: 11200000 },
+  { name: 'Bangkok', country: 'Thailand', lat: 13.7563, lon: 100.5018, population: 11100000 },
+  { name: 'Hyderabad', country: 'India', lat: 17.3850, lon: 78.4867, population: 10800000 },
+  { name: 'Seoul', country: 'South Korea', lat: 37.5665, lon: 126.9780, population: 10000000 },
+  { name: 'Chengdu', country: 'China', lat: 30.5728, lon: 104.0668, population: 9800000 },
+  { name: 'Ho Chi Minh City', country: 'Vietnam', lat: 10.8231, lon: 106.6297, population: 9300000 },
+  { name: 'Wuhan', country: 'China', lat: 30.5928, lon: 114.3055, population: 8900000 },
+  { name: 'Ahmedabad', country: 'India', lat: 23.0225, lon: 72.5714, population: 8700000 },
+  { name: 'Kuala Lumpur', country: 'Malaysia', lat: 3.1390, lon: 101.6869, population: 8600000 },
+  { name: 'Xi\'an', country: 'China', lat: 34.3416, lon: 108.9398, population: 8600000 },
+  { name: 'Hong Kong', country: 'China', lat: 22.3193, lon: 114.1694, population: 7600000 },
+  { name: 'Hanoi', country: 'Vietnam', lat: 21.0278, lon: 105.8342, population: 5200000 },
+  { name: 'Taipei', country: 'Taiwan', lat: 25.0330, lon: 121.5654, population: 7000000 },
+  { name: 'Yangon', country: 'Myanmar', lat: 16.8409, lon: 96.1735, population: 5600000 },
+  { name: 'Singapore', country: 'Singapore', lat: 1.3521, lon: 103.8198, population: 5900000 },
+  { name: 'Harbin', country: 'China', lat: 45.8038, lon: 126.5350, population: 6500000 },
+  { name: 'Kabul', country: 'Afghanistan', lat: 34.5553, lon: 69.2075, population: 4600000 },
+  { name: 'Tashkent', country: 'Uzbekistan', lat: 41.2995, lon: 69.2401, population: 2600000 },
+  { name: 'Almaty', country: 'Kazakhstan', lat: 43.2220, lon: 76.8512, population: 2200000 },
+  { name: 'Kathmandu', country: 'Nepal', lat: 27.7172, lon: 85.3240, population: 1500000 },
+  { name: 'Colombo', country: 'Sri Lanka', lat: 6.9271, lon: 79.8612, population: 2300000 },
+  { name: 'Busan', country: 'South Korea', lat: 35.1796, lon: 129.0756, population: 3400000 },
+  { name: 'Sapporo', country: 'Japan', lat: 43.0618, lon: 141.3545, population: 2600000 },
+  { name: 'Ulaanbaatar', country: 'Mongolia', lat: 47.8864, lon: 106.9057, population: 1600000 },
+  { name: 'Vladivostok', country: 'Russia', lat: 43.1155, lon: 131.8855, population: 600000 },
+
+  // Oceania
+  { name: 'Sydney', country: 'Australia', lat: -33.8688, lon: 151.2093, population: 5300000 },
+  { name: 'Melbourne', country: 'Australia', lat: -37.8136, lon: 144.9631, population: 5100000 },
+  { name: 'Brisbane', country: 'Australia', lat: -27.4698, lon: 153.0251, population: 2600000 },
+  { name: 'Perth', country: 'Australia', lat: -31.9505, lon: 115.8605, population: 2100000 },
+  { name: 'Adelaide', country: 'Australia', lat: -34.9285, lon: 138.6007, population: 1400000 },
+  { name: 'Darwin', country: 'Australia', lat: -12.4634, lon: 130.8456, population: 150000 },
+  { name: 'Auckland', country: 'New Zealand', lat: -36.8485, lon: 174.7633, population: 1700000 },
+  { name: 'Wellington', country: 'New Zealand', lat: -41.2865, lon: 174.7762, population: 420000 },
+  { name: 'Port Moresby', country: 'Papua New Guinea', lat: -9.4438, lon: 147.1803, population: 400000 },
+  { name: 'Suva', country: 'Fiji', lat: -18.1248, lon: 178.4501, population: 185000 }
+];
+
+export default cities;
@@ -0,0 +1,98 @@
+/**
+ * Climate
+ * Daily weather history and the monthly climate normals derived from it. Normals follow the
+ * WMO standard period 1991-2020: the mean of each calendar month over those thirty years.
+ */
+
+export const normalsPeriod = { from: '1991-01-01', to: '2020-12-31', label: '1991-2020' };
+
+// Reanalysis archives start in 1940 and lag a few days behind today
+const firstDate = '1940-01-01';
+const archiveLagDays = 5;
+const maxRangeDays = 366;
+const dayMs = 24 * 60 * 60 * 1000;
+
+const round = value => typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+const mean = values => values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+
+/**
+ * Validate a range of past days
+ * @param {string} from - First day, YYYY-MM-DD
+ * @param {string} to - Last day, YYYY-MM-DD
+ * @returns {Object} - {from, to, days}
+ * @throws {Error} - When a date is malformed, out of the archive or the range is too long
+ */
+export function parseDateRange(from, to) {
+  const dates = [from, to].map(date => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(date + 'T00:00:00Z') : NaN);
+  if (dates.some(date => !Number.isFinite(date))) throw new Error('From and to must be dates (YYYY-MM-DD)');
+
+  const [start, end] = dates;
+  const latest = Math.floor(Date.now() / dayMs) * dayMs - archiveLagDays * dayMs;
+  if (start > end) throw new Error('From must not be after to');
+  if (start < Date.parse(firstDate)) throw new Error(`History starts on ${firstDate}`);
+  if (end > latest) throw new Error(`History ends ${archiveLagDays} days before today`);
+
+  const days = (end - start) / dayMs + 1;
+  if (days > maxRangeDays) throw new Error(`At most ${maxRangeDays} days at a time`);
+  return { from, to, days };
+}
+
+/**
+ * Normalize daily history to the shape WeatherService hands to the client
+ * @param {Object} params - {lat, lon, daily}, daily holding parallel arrays
+ *   (time as YYYY-MM-DD, temperature_max, temperature_min, temperature_mean in °C, precipitation in mm, wind_speed_max in m/s)
+ * @returns {Object} - {type, location, from, to, days}
+ */
+export function normalizeHistory({ lat, lon, daily }) {
+  const days = daily.time.map((date, i) => ({
+    date,
+    temperature_max: round(daily.temperature_max[i]),
+    temperature_min: round(daily.temperature_min[i]),
+    temperature_mean: round(daily.temperature_mean[i]),
+    precipitation: round(daily.precipitation[i]),
+    wind_speed_max: round(daily.wind_speed_max[i])
+  }));
+
+  return {
+    type: 'historical_weather',
+    location: { lat, lon },
+    from: days.length ? days[0].date : null,
+    to: days.length ? days[days.length - 1].date : null,
+    days
+  };
+}
+
+/**
+ * Average daily history into one normal per calendar month
+ * @param {Object} params - {lat, lon, days}, days as returned by normalizeHistory
+ * @returns {Object} - {type, location, period, months}; temperatures are mean daily values
+ *   and precipitation is the mean monthly total
+ */
+export function climateNormals({ lat, lon, days }) {
+  const months = Array.from({ length: 12 }, () => ({ max: [], min: [], mean: [], precipitation: {} }));
+
+  days.forEach(day => {
+    const month = months[parseInt(day.date.slice(5, 7)) - 1];
+    if (day.temperature_max !== null) month.max.push(day.temperature_max);
+    if (day.temperature_min !== null) month.min.push(day.temperature_min);
+    if (day.temperature_mean !== null) month.mean.push(day.temperature_mean);
+    if (day.precipitation !== null) {
+      // totals per year first, so a missing day doesn't skew the monthly sum
+      const year = day.date.slice(0, 4);
+      month.precipitation[year] = (month.precipitation[year] || 0) + day.precipitation;
+    }
+  });
+
+  return {
+    type: 'climate_normals',
+    location: { lat, lon },
+    period: normalsPeriod.label,
+    months: months.map((month, i) => ({
+      month: i + 1,
+      temperature_max: round(mean(month.max)),
+      temperature_min: round(mean(month.min)),
+      temperature_mean: round(mean(month.mean)),
+      precipitation: round(mean(Object.values(month.precipitation)))
+    }))
+  };
+}
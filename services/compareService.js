@@ -0,0 +1,43 @@
+import { distanceKm } from './geoUtils.js';
+
+/**
+ * Compare Service
+ * Finds the places several models agree on when one prompt is sent to many providers
+ */
+
+// Results of different models closer than this are taken to be the same place
+const agreementRadiusKm = 1;
+
+/**
+ * Group the results of all models into places, and mark the places more than one model found.
+ * Each location is joined to the first place that has a result within the radius.
+ * @param {Array} results - Per-model results ({model, label, data: [locations]})
+ * @returns {Array} - The same results; agreed locations get agreement: {group, models}
+ */
+export function markAgreement(results) {
+  const places = [];
+
+  results.forEach(result => {
+    result.data.forEach(location => {
+      let place = places.find(candidate => candidate.members.some(member =>
+        distanceKm(member.location.latitude, member.location.longitude, location.latitude, location.longitude) <= agreementRadiusKm
+      ));
+      if (!place) {
+        place = { members: [] };
+        places.push(place);
+      }
+      place.members.push({ model: result.model, location });
+    });
+  });
+
+  places
+    .map(place => ({ place, models: [...new Set(place.members.map(member => member.model))] }))
+    .filter(({ models }) => models.length > 1)
+    .forEach(({ place, models }, group) => {
+      place.members.forEach(member => {
+        member.location.agreement = { group, models };
+      });
+    });
+
+  return results;
+}
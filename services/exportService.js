@@ -0,0 +1,193 @@
+import { geometryCenter } from './geoUtils.js';
+
+/**
+ * Export Service
+ * Turns a history entry into files for GIS tools, Google Earth and GPS devices:
+ * GeoJSON, KML, GPX and CSV
+ */
+
+// Columns shared by every format, in CSV order
+const columns = [
+  'name', 'address', 'url', 'latitude', 'longitude', 'model', 'prompt', 'description',
+  'weather', 'temperature_c', 'feels_like_c', 'humidity_pct', 'wind_speed_ms', 'weather_time'
+];
+
+/**
+ * Flatten a history entry into one feature per point
+ * @param {Object} entry - History entry (search, compare, discover or import)
+ * @returns {Array} - Features with the properties in columns
+ */
+export function entryFeatures(entry) {
+  // follow-ups refine the first prompt, so the whole conversation is the prompt of the results
+  const prompt = (entry.prompts || []).join(' / ');
+  let points;
+  if (entry.type === 'discover') {
+    points = [{
+      name: `Discover [${entry.latitude}, ${entry.longitude}]`,
+      latitude: entry.latitude,
+      longitude: entry.longitude,
+      description: entry.text,
+      weather: entry.weather,
+      model: entry.model
+    }];
+  } else if (entry.type === 'import') {
+    // shapes are exported as their centre point
+    points = (entry.features || []).map(feature => {
+      const center = geometryCenter(feature.geometry);
+      return {
+        latitude: Number(center.latitude.toFixed(6)),
+        longitude: Number(center.longitude.toFixed(6)),
+        name: feature.properties.name,
+        description: feature.properties.description
+      };
+    });
+  } else if (entry.type === 'compare') {
+    points = (entry.results || []).flatMap(result => (result.data || []).map(location => ({ ...location, model: result.model })));
+  } else {
+    points = (entry.results || []).map(location => ({ ...location, model: entry.model }));
+  }
+
+  return points.map(point => {
+    const weather = point.weather?.weather || {};
+    return {
+      name: point.name || '',
+      address: point.address || '',
+      url: point.url || '',
+      latitude: point.latitude,
+      longitude: point.longitude,
+      model: point.model || '',
+      prompt,
+      description: point.description || '',
+      weather: weather.description || '',
+      temperature_c: weather.temperature ?? '',
+      feels_like_c: weather.feels_like ?? '',
+      humidity_pct: weather.humidity ?? '',
+      wind_speed_ms: weather.wind_speed ?? '',
+      weather_time: point.weather?.timestamp ? new Date(point.weather.timestamp).toISOString() : ''
+    };
+  });
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function xml(value) {
+  return String(value ?? '').replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Quote a CSV cell. Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GeoJSON FeatureCollection of Point features
+ */
+function toGeoJSON(features, title) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name: title,
+    features: features.map(({ latitude, longitude, ...properties }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties
+    }))
+  }, null, 2);
+}
+
+/**
+ * KML document with one Placemark per feature
+ */
+function toKML(features, title) {
+  const placemarks = features.map(feature => {
+    const data = columns
+      .filter(column => ['name', 'latitude', 'longitude'].indexOf(column) === -1 && feature[column] !== '')
+      .map(column => `        <Data name="${column}"><value>${xml(feature[column])}</value></Data>`)
+      .join('\n');
+    return `    <Placemark>
+      <name>${xml(feature.name)}</name>
+      <address>${xml(feature.address)}</address>
+      <description>${xml([feature.description, feature.url].filter(Boolean).join('\n'))}</description>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${feature.longitude},${feature.latitude},0</coordinates></Point>
+    </Placemark>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(title)}</name>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * GPX 1.1 file with one waypoint per feature
+ */
+function toGPX(features, title) {
+  // GPX fixes the order of waypoint elements: name, cmt, desc, src, link
+  const waypoints = features.map(feature => [
+    `  <wpt lat="${feature.latitude}" lon="${feature.longitude}">`,
+    `    <name>${xml(feature.name)}</name>`,
+    feature.weather ? `    <cmt>${xml(`${feature.weather}, ${feature.temperature_c}°C`)}</cmt>` : null,
+    `    <desc>${xml([feature.address, feature.description].filter(Boolean).join('\n'))}</desc>`,
+    feature.model ? `    <src>${xml(feature.model)}</src>` : null,
+    feature.url ? `    <link href="${xml(feature.url)}"/>` : null,
+    '  </wpt>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Godview" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xml(title)}</name></metadata>
+${waypoints}
+</gpx>
+`;
+}
+
+/**
+ * CSV with a header row
+ */
+function toCSV(features) {
+  return [columns.join(','), ...features.map(feature => columns.map(column => csvCell(feature[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+/**
+ * Export formats by name
+ */
+export const exportFormats = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json', build: toGeoJSON },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', build: toKML },
+  gpx: { extension: 'gpx', contentType: 'application/gpx+xml', build: toGPX },
+  csv: { extension: 'csv', contentType: 'text/csv', build: toCSV }
+};
+
+/**
+ * Build the export file of a history entry
+ * @param {Object} entry - History entry
+ * @param {string} format - geojson, kml, gpx or csv
+ * @returns {Object} - {filename, contentType, body}
+ */
+export function exportEntry(entry, format) {
+  const exporter = exportFormats[format];
+  if (!exporter) throw new Error(`Unknown export format ${format}`);
+
+  const title = entry.type === 'discover' ? `Discover ${entry.latitude}, ${entry.longitude}` : (entry.prompts || [])[0] || 'Godview';
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'results';
+  return {
+    filename: `godview-${slug}.${exporter.extension}`,
+    contentType: `${exporter.contentType}; charset=utf-8`,
+    body: exporter.build(entryFeatures(entry), title)
+  };
+}
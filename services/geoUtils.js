@@ -0,0 +1,124 @@
+/**
+ * Geo Utilities
+ * Small geometry helpers shared by the services
+ */
+
+/**
+ * Distance between two points in km (haversine)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} - Distance in km
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Every position of a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} - Positions ([lon, lat])
+ */
+export function geometryPositions(geometry) {
+  switch (geometry.type) {
+    case 'Point': return [geometry.coordinates];
+    case 'MultiPoint':
+    case 'LineString': return geometry.coordinates;
+    case 'MultiLineString':
+    case 'Polygon': return geometry.coordinates.flat();
+    case 'MultiPolygon': return geometry.coordinates.flat(2);
+    case 'GeometryCollection': return geometry.geometries.flatMap(geometryPositions);
+    default: return [];
+  }
+}
+
+/**
+ * Average of a geometry's positions, used as its representative point
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} - {latitude, longitude}
+ */
+export function geometryCenter(geometry) {
+  const positions = geometryPositions(geometry);
+  return {
+    latitude: positions.reduce((sum, position) => sum + position[1], 0) / positions.length,
+    longitude: positions.reduce((sum, position) => sum + position[0], 0) / positions.length
+  };
+}
+
+/**
+ * Whether a point lies inside a polygon (ray casting; holes are excluded)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array} rings - GeoJSON polygon rings, outer ring first
+ * @returns {boolean}
+ */
+export function pointInPolygon(lat, lon, rings) {
+  const inRing = ring => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  };
+  return inRing(rings[0]) && !rings.slice(1).some(inRing);
+}
+
+/**
+ * Distance from a point to a line segment in km. The segment is flattened around the
+ * point, which is accurate enough for the distances hazards and filters deal with.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array} a - Segment start ([lon, lat])
+ * @param {Array} b - Segment end ([lon, lat])
+ * @returns {number} - Distance in km
+ */
+function segmentDistanceKm(lat, lon, a, b) {
+  const scale = Math.cos(lat * Math.PI / 180);
+  const ax = (a[0] - lon) * scale, ay = a[1] - lat;
+  const bx = (b[0] - lon) * scale, by = b[1] - lat;
+  const length = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t = length === 0 ? 0 : Math.min(Math.max(-(ax * (bx - ax) + ay * (by - ay)) / length, 0), 1);
+  return distanceKm(lat, lon, a[1] + t * (b[1] - a[1]), a[0] + t * (b[0] - a[0]));
+}
+
+/**
+ * Distance from a point to a GeoJSON geometry in km; 0 inside polygons
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} - Distance in km
+ */
+export function distanceToGeometryKm(lat, lon, geometry) {
+  const lines = [];
+  let points = [];
+  switch (geometry.type) {
+    case 'Point': points = [geometry.coordinates]; break;
+    case 'MultiPoint': points = geometry.coordinates; break;
+    case 'LineString': lines.push(geometry.coordinates); break;
+    case 'MultiLineString': lines.push(...geometry.coordinates); break;
+    case 'Polygon':
+      if (pointInPolygon(lat, lon, geometry.coordinates)) return 0;
+      lines.push(...geometry.coordinates);
+      break;
+    case 'MultiPolygon':
+      if (geometry.coordinates.some(rings => pointInPolygon(lat, lon, rings))) return 0;
+      lines.push(...geometry.coordinates.flat());
+      break;
+    case 'GeometryCollection':
+      return Math.min(...geometry.geometries.map(part => distanceToGeometryKm(lat, lon, part)));
+  }
+
+  let nearest = points.reduce((min, point) => Math.min(min, distanceKm(lat, lon, point[1], point[0])), Infinity);
+  lines.forEach(line => {
+    for (let i = 1; i < line.length; i++) nearest = Math.min(nearest, segmentDistanceKm(lat, lon, line[i - 1], line[i]));
+    if (line.length === 1) nearest = Math.min(nearest, distanceKm(lat, lon, line[0][1], line[0][0]));
+  });
+  return nearest;
+}
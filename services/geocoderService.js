@@ -0,0 +1,173 @@
+import NodeCache from 'node-cache';
+import dotenv from 'dotenv';
+import { mockMode, httpClient } from './mockService.js';
+import { distanceKm } from './geoUtils.js';
+
+dotenv.config();
+
+// Geocoding results rarely change; keep them for a day
+const geocodeCache = new NodeCache({ stdTTL: 86400 });
+
+/**
+ * Create an adapter for a Nominatim-compatible geocoder: the public OpenStreetMap
+ * instance by default, or a self-hosted one through GEOCODER_URL
+ * @param {Object} config - Geocoder config ({baseURL, userAgent, minInterval})
+ * @returns {Object} - Geocoder adapter
+ */
+export function createNominatimGeocoder(config) {
+  const baseURL = config.baseURL || 'https://nominatim.openstreetmap.org';
+  // The public instance allows one request per second
+  const minInterval = config.minInterval ?? 1000;
+  // Lookups run one at a time, in the order they were asked for, minInterval apart;
+  // without an interval (self-hosted instance) they run in parallel
+  let queue = Promise.resolve();
+  let lastRequest = 0;
+
+  const enqueue = task => {
+    if (minInterval <= 0) return task();
+    const run = queue.then(async () => {
+      const wait = lastRequest + minInterval - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      lastRequest = Date.now();
+      return task();
+    });
+    // a failed lookup must not hold up the ones behind it
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name: 'nominatim',
+    label: 'Nominatim',
+
+    /**
+     * Geocode a free-form query
+     * @param {string} query - Place name and/or address
+     * @returns {Promise<Array>} - Candidates ({lat, lon, name}), best match first
+     */
+    async geocode(query) {
+      const response = await enqueue(() => httpClient.get(`${baseURL}/search`, {
+        params: { q: query, format: 'jsonv2', limit: 5 },
+        headers: { 'User-Agent': config.userAgent || 'Godview (https://github.com/space0blaster/godview)' }
+      }));
+      return response.data.map(place => ({
+        lat: parseFloat(place.lat),
+        lon: parseFloat(place.lon),
+        name: place.display_name
+      }));
+    }
+  };
+}
+
+/**
+ * Geocoder factories by name
+ */
+export const geocoderFactories = {
+  nominatim: createNominatimGeocoder
+};
+
+/**
+ * Geocoder Service
+ * Checks the coordinates the LLM returns for Search against a geocoder
+ */
+class GeocoderService {
+  constructor() {
+    const name = process.env.GEOCODER || 'nominatim';
+    // Results within this distance of the geocoded position count as verified
+    this.toleranceKm = parseFloat(process.env.GEOCODER_TOLERANCE_KM) || 1;
+    // Matches farther away than this are probably a different place with the same name
+    this.maxCorrectionKm = parseFloat(process.env.GEOCODER_MAX_CORRECTION_KM) || 50;
+
+    if (name === 'none') {
+      this.geocoder = null;
+      console.log('GeocoderService: Verification disabled');
+      return;
+    }
+
+    const factory = geocoderFactories[name];
+    if (!factory) {
+      console.error(`GeocoderService: Unknown geocoder ${name}, using Nominatim`);
+    }
+    this.geocoder = (factory || createNominatimGeocoder)({
+      baseURL: process.env.GEOCODER_URL,
+      userAgent: process.env.GEOCODER_USER_AGENT,
+      minInterval: process.env.GEOCODER_MIN_INTERVAL_MS !== undefined
+        ? parseInt(process.env.GEOCODER_MIN_INTERVAL_MS)
+        : (mockMode || process.env.GEOCODER_URL ? 0 : 1000)
+    });
+  }
+
+  /**
+   * Geocode a query, cached
+   * @param {string} query - Place name and/or address
+   * @returns {Promise<Array>} - Candidates ({lat, lon, name})
+   */
+  async geocode(query) {
+    const cacheKey = `geocode_${this.geocoder.name}_${query.toLowerCase()}`;
+    const cached = geocodeCache.get(cacheKey);
+    if (cached) return cached;
+
+    const candidates = await this.geocoder.geocode(query);
+    geocodeCache.set(cacheKey, candidates);
+    return candidates;
+  }
+
+  /**
+   * Verify one search result
+   * @param {Object} location - Validated location (name, address, latitude, longitude)
+   * @returns {Promise<Object>} - The location with a verification field, and corrected coordinates
+   *                              when the model's were too far off
+   */
+  async verifyLocation(location) {
+    const source = this.geocoder.label;
+    const query = [location.name, location.address].filter(Boolean).join(', ');
+    if (!query) return { ...location, verification: { status: 'unverified', source } };
+
+    let nearest = null;
+    try {
+      const candidates = await this.geocode(query);
+      candidates.forEach(candidate => {
+        const distance = distanceKm(location.latitude, location.longitude, candidate.lat, candidate.lon);
+        if (!nearest || distance < nearest.distance) nearest = { ...candidate, distance };
+      });
+    } catch (error) {
+      console.error(`GeocoderService: Geocoding "${query}" failed:`, error.message);
+    }
+
+    if (!nearest || nearest.distance > this.maxCorrectionKm) {
+      return { ...location, verification: { status: 'unverified', source } };
+    }
+
+    const distance_km = Math.round(nearest.distance * 10) / 10;
+    if (nearest.distance <= this.toleranceKm) {
+      return { ...location, verification: { status: 'verified', source, distance_km } };
+    }
+
+    return {
+      ...location,
+      latitude: nearest.lat,
+      longitude: nearest.lon,
+      verification: {
+        status: 'corrected',
+        source,
+        distance_km,
+        original: { latitude: location.latitude, longitude: location.longitude }
+      }
+    };
+  }
+
+  /**
+   * Verify a list of search results, one name and address lookup each. The geocoder paces
+   * the lookups (one per second against the public Nominatim instance).
+   * @param {Array} locations - Validated locations
+   * @returns {Promise<Array>} - Locations with verification; `unverified` when verification is disabled
+   */
+  async verifyLocations(locations) {
+    if (!this.geocoder) {
+      return locations.map(location => ({ ...location, verification: { status: 'unverified', source: null } }));
+    }
+    return Promise.all(locations.map(location => this.verifyLocation(location)));
+  }
+}
+
+export default new GeocoderService();
@@ -0,0 +1,326 @@
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+import weatherService from './weatherService.js';
+import { historyStoreFactories, createJSONFileStore } from './historyStores.js';
+
+dotenv.config();
+
+// History is kept per client ID, like Search sessions
+const clientKey = clientId => String(clientId || 'anonymous');
+// Entry types shown in the History table; shared snapshots are stored alongside them
+const historyTypes = ['search', 'compare', 'discover', 'import'];
+
+/**
+ * Validate the filters of a history listing
+ * @param {Object} filters - {query, types, limit}
+ * @returns {Object} - {query (string or undefined), types, limit}
+ * @throws {Error} - When the query is not text or a type is not a History table type
+ */
+export function parseHistoryFilters(filters = {}) {
+  const { query, types, limit } = filters;
+  if (query !== undefined && query !== null && typeof query !== 'string' && typeof query !== 'number') {
+    throw new Error('Query must be a string');
+  }
+  if (types !== undefined && types !== null &&
+    (!Array.isArray(types) || types.some(type => historyTypes.indexOf(type) === -1))) {
+    throw new Error(`Types must be a list of ${historyTypes.join(', ')}`);
+  }
+  return {
+    query: query === undefined || query === null || query === '' ? undefined : String(query),
+    types: types && types.length > 0 ? types : historyTypes,
+    limit
+  };
+}
+
+/**
+ * History Service
+ * Stores every Search, comparison, Discover answer and imported file per client, so the
+ * History table survives a reload, the snapshots behind shared links, and weather watch areas.
+ * The store is picked with HISTORY_STORE (json or sqlite).
+ */
+class HistoryService {
+  constructor() {
+    this.store = this.createStore(process.env.HISTORY_STORE || 'json');
+  }
+
+  /**
+   * Open a history store by name, falling back to the JSON file
+   * @param {string} name - Store name (json, sqlite)
+   * @returns {Promise<Object>} - History store
+   */
+  async createStore(name) {
+    const factory = historyStoreFactories[name];
+    const config = { path: process.env.HISTORY_PATH };
+    if (!factory) {
+      console.error(`HistoryService: Unknown history store ${name}, using the JSON file`);
+      return createJSONFileStore({});
+    }
+
+    try {
+      const store = await factory(config);
+      console.log(`HistoryService: Using the ${store.name} history store`);
+      return store;
+    } catch (error) {
+      console.error(`HistoryService: Could not open the ${name} store (${error.message}), using the JSON file`);
+      return createJSONFileStore({});
+    }
+  }
+
+  /**
+   * Store a Search answer. Follow-ups update the entry their conversation started.
+   * @param {Object} search - {clientId, historyId, sessionId, prompt, model, results}
+   * @returns {Promise<string|null>} - Entry ID, null when it could not be stored
+   */
+  async saveSearch(search) {
+    try {
+      const store = await this.store;
+      const now = Date.now();
+      const existing = search.historyId ? await store.get(search.historyId) : null;
+
+      if (existing) {
+        await store.update(existing.id, {
+          prompts: [...existing.prompts, search.prompt],
+          model: search.model,
+          results: search.results,
+          updatedAt: now
+        });
+        return existing.id;
+      }
+
+      const entry = await store.insert({
+        id: crypto.randomUUID(),
+        clientId: clientKey(search.clientId),
+        type: 'search',
+        sessionId: search.sessionId,
+        prompts: [search.prompt],
+        model: search.model,
+        results: search.results, // weather is included for the results it is relevant to
+        createdAt: now,
+        updatedAt: now
+      });
+      return entry.id;
+    } catch (error) {
+      console.error('HistoryService: Could not store search:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a model comparison
+   * @param {Object} comparison - {clientId, prompt, models, results}
+   * @returns {Promise<string|null>} - Entry ID
+   */
+  async saveCompare(comparison) {
+    try {
+      const store = await this.store;
+      const now = Date.now();
+      const entry = await store.insert({
+        id: crypto.randomUUID(),
+        clientId: clientKey(comparison.clientId),
+        type: 'compare',
+        prompts: [comparison.prompt],
+        model: comparison.models.join(','),
+        results: comparison.results,
+        createdAt: now,
+        updatedAt: now
+      });
+      return entry.id;
+    } catch (error) {
+      console.error('HistoryService: Could not store comparison:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a Discover answer with the weather at the point
+   * @param {Object} discovery - {clientId, latitude, longitude, model, text}
+   * @returns {Promise<string|null>} - Entry ID
+   */
+  async saveDiscover(discovery) {
+    try {
+      const store = await this.store;
+      let weather = null;
+      try {
+        weather = await weatherService.getCurrentWeather(discovery.latitude, discovery.longitude);
+      } catch (error) {
+        console.error('HistoryService: No weather snapshot for discover entry:', error.message);
+      }
+
+      const now = Date.now();
+      const entry = await store.insert({
+        id: crypto.randomUUID(),
+        clientId: clientKey(discovery.clientId),
+        type: 'discover',
+        prompts: [],
+        latitude: discovery.latitude,
+        longitude: discovery.longitude,
+        model: discovery.model,
+        text: discovery.text,
+        weather,
+        createdAt: now,
+        updatedAt: now
+      });
+      return entry.id;
+    } catch (error) {
+      console.error('HistoryService: Could not store discover entry:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store an imported file's features and their hazard check
+   * @param {Object} upload - {clientId, name, features, hazards}
+   * @returns {Promise<string|null>} - Entry ID
+   */
+  async saveImport(upload) {
+    try {
+      const store = await this.store;
+      const now = Date.now();
+      const entry = await store.insert({
+        id: crypto.randomUUID(),
+        clientId: clientKey(upload.clientId),
+        type: 'import',
+        prompts: [upload.name], // listed and searched by file name
+        name: upload.name,
+        features: upload.features,
+        hazards: upload.hazards,
+        createdAt: now,
+        updatedAt: now
+      });
+      return entry.id;
+    } catch (error) {
+      console.error('HistoryService: Could not store import:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List a client's history, newest first
+   * @param {string} clientId - Client ID
+   * @param {Object} filters - {query, types, limit}, see parseHistoryFilters
+   * @returns {Promise<Array>} - History entries
+   * @throws {Error} - When a filter is not valid
+   */
+  async list(clientId, filters = {}) {
+    const store = await this.store;
+    return store.list({ ...parseHistoryFilters(filters), clientId: clientKey(clientId) });
+  }
+
+  /**
+   * Store a shareable snapshot of a history entry and the map around it.
+   * The entry is copied, so the link keeps showing what was shared after follow-ups or deletion.
+   * @param {Object} snapshot - {clientId, historyId, page, view, layers, timeline}
+   * @returns {Promise<Object|null>} - Stored snapshot, null when the history entry is not the client's
+   */
+  async saveSnapshot(snapshot) {
+    const store = await this.store;
+    let shared = null;
+    if (snapshot.historyId) {
+      const entry = await store.get(snapshot.historyId);
+      if (!entry || entry.clientId !== clientKey(snapshot.clientId) || historyTypes.indexOf(entry.type) === -1) return null;
+      // the session stays with its owner; whoever opens the link starts their own
+      const { clientId, sessionId, ...rest } = entry;
+      shared = rest;
+    }
+
+    const now = Date.now();
+    return store.insert({
+      id: crypto.randomUUID(),
+      clientId: clientKey(snapshot.clientId),
+      type: 'snapshot',
+      page: shared ? (shared.type === 'discover' ? 'discover' : 'search') : (snapshot.page === 'discover' ? 'discover' : 'search'),
+      entry: shared,
+      view: snapshot.view || null,
+      layers: Array.isArray(snapshot.layers) ? snapshot.layers.map(String) : [],
+      timeline: snapshot.timeline || null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Get a shared snapshot. Anyone with the link can open it.
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object|null>} - {id, page, entry, view, layers, timeline, createdAt}
+   */
+  async getSnapshot(id) {
+    const store = await this.store;
+    const snapshot = await store.get(id);
+    if (!snapshot || snapshot.type !== 'snapshot') return null;
+    const { clientId, ...shared } = snapshot;
+    return shared;
+  }
+
+  /**
+   * Get one of a client's history entries
+   * @param {string} clientId - Client ID
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} - History entry, null when it is not the client's
+   */
+  async get(clientId, id) {
+    const store = await this.store;
+    const entry = await store.get(id);
+    if (!entry || entry.clientId !== clientKey(clientId) || historyTypes.indexOf(entry.type) === -1) return null;
+    return entry;
+  }
+
+  /**
+   * Store a weather watch area
+   * @param {Object} watch - {clientId, name, geometry, rules}
+   * @returns {Promise<Object>} - Stored watch
+   */
+  async saveWatch(watch) {
+    const store = await this.store;
+    const now = Date.now();
+    return store.insert({
+      id: crypto.randomUUID(),
+      clientId: clientKey(watch.clientId),
+      type: 'watch',
+      name: watch.name,
+      geometry: watch.geometry,
+      rules: watch.rules,
+      triggered: watch.rules.map(() => false), // per rule, so an alert is sent once per crossing
+      alerts: [],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * List watch areas, of one client or of every client
+   * @param {string|null} clientId - Client ID, null for all
+   * @returns {Promise<Array>} - Watches
+   */
+  async listWatches(clientId) {
+    const store = await this.store;
+    return store.list({ types: ['watch'], clientId: clientId === null ? undefined : clientKey(clientId), limit: 10000 });
+  }
+
+  /**
+   * Update a watch area after its rules were evaluated
+   * @param {string} id - Watch ID
+   * @param {Object} changes - {triggered, alerts, checkedAt}
+   * @returns {Promise<Object|null>} - Updated watch
+   */
+  async updateWatch(id, changes) {
+    const store = await this.store;
+    return store.update(id, { ...changes, updatedAt: Date.now() });
+  }
+
+  /**
+   * Delete a client's history entry
+   * @param {string} clientId - Client ID
+   * @param {string} id - Entry ID
+   * @param {Array} types - Entry types that may be deleted; History table entries by default,
+   *                        so watch areas and snapshots are only deleted where they are managed
+   * @returns {Promise<boolean>} - Whether an entry was deleted
+   */
+  async remove(clientId, id, types = historyTypes) {
+    const store = await this.store;
+    const entry = await store.get(id);
+    if (!entry || entry.clientId !== clientKey(clientId) || types.indexOf(entry.type) === -1) return false;
+    return store.remove(id);
+  }
+}
+
+export default new HistoryService();
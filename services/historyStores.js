@@ -0,0 +1,201 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * History Store Adapters
+ * Each factory returns a store with the same async interface:
+ * insert(entry), update(id, changes), get(id), list({clientId, types, query, limit}) and remove(id)
+ */
+
+/**
+ * Text an entry is searched by: its prompts, result names and addresses, Discover answers
+ * and the feature names of imported files
+ * @param {Object} entry - History entry
+ * @returns {string} - Lowercased search text
+ */
+export function searchText(entry) {
+  const locations = entry.type === 'compare'
+    ? (entry.results || []).flatMap(result => result.data || [])
+    : (Array.isArray(entry.results) ? entry.results : []);
+
+  return [
+    ...(entry.prompts || []),
+    entry.model,
+    entry.text,
+    ...locations.flatMap(location => [location.name, location.address]),
+    ...(entry.features || []).map(feature => feature.properties.name)
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+/**
+ * Check an entry against list filters
+ * @param {Object} entry - History entry
+ * @param {Object} filters - {clientId, types, query}
+ * @returns {boolean}
+ */
+function matches(entry, filters) {
+  if (filters.clientId && entry.clientId !== filters.clientId) return false;
+  if (filters.types && filters.types.indexOf(entry.type) === -1) return false;
+  if (filters.query && searchText(entry).indexOf(filters.query.toLowerCase()) === -1) return false;
+  return true;
+}
+
+/**
+ * Create a store that keeps history in one JSON file
+ * @param {Object} config - Store config ({path})
+ * @returns {Object} - History store
+ */
+export function createJSONFileStore(config) {
+  const filePath = config.path || 'data/history.json';
+  let entries = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (entries) return entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`HistoryStore: Could not read ${filePath}:`, error.message);
+      entries = [];
+    }
+    return entries;
+  };
+
+  // Writes are queued and go through a temporary file so a crash never leaves half a file
+  const save = () => {
+    const snapshot = JSON.stringify(entries);
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath + '.tmp', snapshot);
+      await fs.promises.rename(filePath + '.tmp', filePath);
+    }).catch(error => console.error(`HistoryStore: Could not write ${filePath}:`, error.message));
+    return writing;
+  };
+
+  return {
+    name: 'json',
+
+    async insert(entry) {
+      load().push(entry);
+      await save();
+      return entry;
+    },
+
+    async update(id, changes) {
+      const entry = load().find(candidate => candidate.id === id);
+      if (!entry) return null;
+      Object.assign(entry, changes);
+      await save();
+      return entry;
+    },
+
+    async get(id) {
+      return load().find(entry => entry.id === id) || null;
+    },
+
+    async list(filters = {}) {
+      return load()
+        .filter(entry => matches(entry, filters))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, filters.limit || 100);
+    },
+
+    async remove(id) {
+      const index = load().findIndex(entry => entry.id === id);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      await save();
+      return true;
+    }
+  };
+}
+
+/**
+ * Create a store backed by SQLite (needs the optional better-sqlite3 dependency)
+ * @param {Object} config - Store config ({path})
+ * @returns {Promise<Object>} - History store
+ */
+export async function createSQLiteStore(config) {
+  const { default: Database } = await import('better-sqlite3');
+  const filePath = config.path || 'data/history.sqlite';
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS history (
+    id TEXT PRIMARY KEY,
+    client_id TEXT,
+    type TEXT,
+    updated_at INTEGER,
+    search_text TEXT,
+    entry TEXT
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS history_client ON history (client_id, updated_at)');
+
+  const row = entry => ({
+    id: entry.id,
+    client_id: entry.clientId,
+    type: entry.type,
+    updated_at: entry.updatedAt,
+    search_text: searchText(entry),
+    entry: JSON.stringify(entry)
+  });
+  const upsert = db.prepare(`INSERT OR REPLACE INTO history (id, client_id, type, updated_at, search_text, entry)
+    VALUES (@id, @client_id, @type, @updated_at, @search_text, @entry)`);
+  const select = db.prepare('SELECT entry FROM history WHERE id = ?');
+
+  return {
+    name: 'sqlite',
+
+    async insert(entry) {
+      upsert.run(row(entry));
+      return entry;
+    },
+
+    async update(id, changes) {
+      const found = select.get(id);
+      if (!found) return null;
+      const entry = { ...JSON.parse(found.entry), ...changes };
+      upsert.run(row(entry));
+      return entry;
+    },
+
+    async get(id) {
+      const found = select.get(id);
+      return found ? JSON.parse(found.entry) : null;
+    },
+
+    async list(filters = {}) {
+      const where = [];
+      const params = [];
+      if (filters.clientId) {
+        where.push('client_id = ?');
+        params.push(filters.clientId);
+      }
+      if (filters.types) {
+        where.push(`type IN (${filters.types.map(() => '?').join(', ')})`);
+        params.push(...filters.types);
+      }
+      if (filters.query) {
+        where.push("search_text LIKE ? ESCAPE '\\'");
+        params.push('%' + filters.query.toLowerCase().replace(/[\\%_]/g, '\\$&') + '%');
+      }
+      const sql = 'SELECT entry FROM history' +
+        (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+        ' ORDER BY updated_at DESC LIMIT ?';
+      return db.prepare(sql).all(...params, filters.limit || 100).map(found => JSON.parse(found.entry));
+    },
+
+    async remove(id) {
+      return db.prepare('DELETE FROM history WHERE id = ?').run(id).changes > 0;
+    }
+  };
+}
+
+/**
+ * Store factories by name
+ */
+export const historyStoreFactories = {
+  json: createJSONFileStore,
+  sqlite: createSQLiteStore
+};
@@ -0,0 +1,318 @@
+import weatherService from './weatherService.js';
+import { distanceToGeometryKm, geometryCenter, geometryPositions } from './geoUtils.js';
+import { boundsAround, boundsContain } from './wildfires.js';
+
+/**
+ * Import Service
+ * Reads GeoJSON, KML and CSV files dropped on the map into GeoJSON features, checks them
+ * against wildfire and natural event data, and describes them to the model so Search
+ * prompts can refer to them ("which of my uploaded sites are in fire danger?")
+ */
+
+// Largest file accepted, in characters
+const maxImportSize = 5 * 1024 * 1024;
+// Features kept per file
+const maxFeatures = 2000;
+// Features described to the model per file
+const maxSummaryFeatures = 100;
+// Hotspots and natural events closer than this count as a hazard to a feature
+const fireRadiusKm = 50;
+const eventRadiusKm = 100;
+
+const geometryTypes = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+
+/**
+ * Read a GeoJSON FeatureCollection, Feature or bare geometry
+ * @param {string} content - File content
+ * @returns {Array} - Features ({geometry, properties})
+ */
+function parseGeoJSON(content) {
+  const data = JSON.parse(content);
+  const features = data.type === 'FeatureCollection' ? data.features || []
+    : data.type === 'Feature' ? [data]
+      : [{ geometry: data, properties: {} }];
+
+  // geometry collections become one feature per part, so each can be drawn and checked
+  return features.flatMap(feature => {
+    if (!feature || !feature.geometry) return [];
+    const parts = feature.geometry.type === 'GeometryCollection' ? feature.geometry.geometries || [] : [feature.geometry];
+    return parts.map(geometry => ({ geometry, properties: feature.properties || {} }));
+  });
+}
+
+/**
+ * Text of the first element with a tag, without CDATA and entities
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name
+ * @returns {string}
+ */
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  if (!match) return '';
+  return match[1]
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Positions of a KML <coordinates> element ("lon,lat[,alt] ...")
+ * @param {string} xml - XML fragment
+ * @returns {Array} - Positions ([lon, lat])
+ */
+function kmlCoordinates(xml) {
+  return tagText(xml, 'coordinates')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+/**
+ * Read the points, lines and polygons of KML placemarks
+ * @param {string} content - File content
+ * @returns {Array} - Features ({geometry, properties})
+ */
+function parseKML(content) {
+  const placemarks = content.match(/<Placemark[\s>][\s\S]*?<\/Placemark>/g) || [];
+  if (placemarks.length === 0 && !/<kml[\s>]/.test(content)) throw new Error('not a KML document');
+
+  return placemarks.flatMap(placemark => {
+    const properties = { name: tagText(placemark, 'name'), description: tagText(placemark, 'description') };
+    const geometries = [
+      ...(placemark.match(/<Point[\s>][\s\S]*?<\/Point>/g) || [])
+        .map(point => ({ type: 'Point', coordinates: kmlCoordinates(point)[0] })),
+      ...(placemark.match(/<LineString[\s>][\s\S]*?<\/LineString>/g) || [])
+        .map(line => ({ type: 'LineString', coordinates: kmlCoordinates(line) })),
+      ...(placemark.match(/<Polygon[\s>][\s\S]*?<\/Polygon>/g) || [])
+        .map(polygon => ({
+          type: 'Polygon',
+          coordinates: [
+            ...(polygon.match(/<outerBoundaryIs>[\s\S]*?<\/outerBoundaryIs>/g) || []),
+            ...(polygon.match(/<innerBoundaryIs>[\s\S]*?<\/innerBoundaryIs>/g) || [])
+          ].map(kmlCoordinates)
+        }))
+    ];
+    // a MultiGeometry placemark becomes one feature per part
+    return geometries.map(geometry => ({ geometry, properties }));
+  });
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ * @param {string} content - CSV text
+ * @returns {Array} - Rows
+ */
+function csvRows(content) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += char;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Read CSV rows with latitude and longitude columns as points
+ * @param {string} content - File content
+ * @returns {Array} - Features ({geometry, properties})
+ */
+function parseCSV(content) {
+  const [header, ...rows] = csvRows(content.replace(/^\uFEFF/, ''));
+  const columns = (header || []).map(column => column.trim());
+  const latColumn = columns.findIndex(column => /^(lat|latitude|y)$/i.test(column));
+  const lonColumn = columns.findIndex(column => /^(lon|lng|long|longitude|x)$/i.test(column));
+  if (latColumn === -1 || lonColumn === -1) throw new Error('CSV files need latitude and longitude columns');
+
+  return rows.map(cells => {
+    const properties = {};
+    columns.forEach((column, i) => {
+      if (i !== latColumn && i !== lonColumn && column) properties[column.toLowerCase() === 'name' ? 'name' : column] = (cells[i] || '').trim();
+    });
+    return {
+      geometry: { type: 'Point', coordinates: [parseFloat(cells[lonColumn]), parseFloat(cells[latColumn])] },
+      properties
+    };
+  });
+}
+
+/**
+ * Parsers by file extension
+ */
+const importParsers = {
+  geojson: parseGeoJSON,
+  json: parseGeoJSON,
+  kml: parseKML,
+  csv: parseCSV
+};
+
+/**
+ * Check a geometry's type and that every position is a real coordinate
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+function validGeometry(geometry) {
+  if (!geometry || geometryTypes.indexOf(geometry.type) === -1 || !Array.isArray(geometry.coordinates)) return false;
+  try {
+    const positions = geometryPositions(geometry);
+    return positions.length > 0 && positions.every(position =>
+      Array.isArray(position) &&
+      Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+      Number.isFinite(position[1]) && Math.abs(position[1]) <= 90
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read an uploaded file into GeoJSON features. Errors describe what is wrong with the file.
+ * @param {string} filename - File name; its extension picks the parser
+ * @param {string} content - File content
+ * @returns {Array} - GeoJSON features, each with a name property
+ */
+export function parseImport(filename, content) {
+  if (typeof content !== 'string' || !content.trim()) throw new Error('The file is empty');
+  if (content.length > maxImportSize) throw new Error('Files can be up to 5 MB');
+
+  const parser = importParsers[String(filename || '').split('.').pop().toLowerCase()];
+  if (!parser) throw new Error('Only GeoJSON, KML and CSV files can be imported');
+
+  let parsed;
+  try {
+    parsed = parser(content);
+  } catch (error) {
+    throw new Error(`Could not read ${filename}: ${error.message}`);
+  }
+
+  const features = parsed
+    .filter(feature => validGeometry(feature.geometry))
+    .slice(0, maxFeatures)
+    .map((feature, i) => {
+      const properties = feature.properties || {};
+      const name = properties.name || properties.Name || properties.NAME || properties.title;
+      return {
+        type: 'Feature',
+        geometry: { type: feature.geometry.type, coordinates: feature.geometry.coordinates },
+        properties: { ...properties, name: name ? String(name) : `Feature ${i + 1}` }
+      };
+    });
+  if (features.length === 0) throw new Error(`No points or shapes were found in ${filename}`);
+  return features;
+}
+
+/**
+ * Bounding box of a geometry grown by a distance, to skip far away hazards cheaply
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} km - Distance to grow the box by
+ * @returns {Function} - Test taking (lat, lon)
+ */
+function nearBox(geometry, km) {
+  const bounds = boundsAround(geometryPositions(geometry), km);
+  return (lat, lon) => boundsContain(bounds, lat, lon);
+}
+
+/**
+ * Check features against current wildfire hotspots and natural events.
+ * Sources that cannot be reached are left out rather than failing the check.
+ * @param {Array} features - GeoJSON features
+ * @returns {Promise<Array>} - Per feature: {fires, nearest_fire_km, events: [{title, category, distance_km}]}
+ */
+export async function checkHazards(features) {
+  const [fires, events] = await Promise.all([
+    // only the hotspots around the file are fetched
+    weatherService.getWildfireData({
+      bbox: boundsAround(features.flatMap(feature => geometryPositions(feature.geometry)), fireRadiusKm),
+      days: 1
+    }).catch(error => {
+      console.error('ImportService: No wildfire data for hazard check:', error.message);
+      return null;
+    }),
+    weatherService.getNaturalDisasterData().catch(error => {
+      console.error('ImportService: No natural event data for hazard check:', error.message);
+      return null;
+    })
+  ]);
+
+  return features.map(feature => {
+    const hazards = {};
+    if (fires) {
+      const near = nearBox(feature.geometry, fireRadiusKm);
+      const distances = fires
+        .filter(fire => fire.location && near(fire.location.lat, fire.location.lon))
+        .map(fire => distanceToGeometryKm(fire.location.lat, fire.location.lon, feature.geometry))
+        .filter(distance => distance <= fireRadiusKm);
+      hazards.fires = distances.length;
+      hazards.nearest_fire_km = distances.length ? Math.round(Math.min(...distances)) : null;
+    }
+    if (events) {
+      const near = nearBox(feature.geometry, eventRadiusKm);
+      hazards.events = events
+        .filter(event => event.location && near(event.location.lat, event.location.lon))
+        .map(event => ({
+          title: event.title,
+          category: event.category,
+          distance_km: Math.round(distanceToGeometryKm(event.location.lat, event.location.lon, feature.geometry))
+        }))
+        .filter(event => event.distance_km <= eventRadiusKm)
+        .sort((a, b) => a.distance_km - b.distance_km)
+        .slice(0, 5);
+    }
+    return hazards;
+  });
+}
+
+/**
+ * One line of hazard findings for the model
+ * @param {Object} hazards - Hazards of a feature
+ * @returns {string}
+ */
+function hazardText(hazards) {
+  const parts = [];
+  if (hazards.fires === undefined) parts.push('wildfire data unavailable');
+  else if (hazards.fires > 0) parts.push(`${hazards.fires} wildfire hotspots within ${fireRadiusKm} km (nearest ${hazards.nearest_fire_km} km)`);
+  else parts.push(`no wildfire hotspots within ${fireRadiusKm} km`);
+
+  if (hazards.events === undefined) parts.push('natural event data unavailable');
+  else if (hazards.events.length > 0) parts.push('near ' + hazards.events.map(event => `${event.title} (${event.category}, ${event.distance_km} km)`).join('; '));
+  return parts.join(', ');
+}
+
+/**
+ * Describe imported files to the model, with fresh hazard checks
+ * @param {Array} entries - Import history entries ({name, features})
+ * @returns {Promise<string>} - Text for the system prompt
+ */
+export async function importContext(entries) {
+  const files = await Promise.all(entries.map(async entry => {
+    const features = entry.features.slice(0, maxSummaryFeatures);
+    const hazards = await checkHazards(features);
+    const lines = features.map((feature, i) => {
+      const center = geometryCenter(feature.geometry);
+      const position = feature.geometry.type === 'Point' ? 'at' : 'centred on';
+      return `- ${feature.properties.name} (${feature.geometry.type} ${position} ${center.latitude.toFixed(4)}, ${center.longitude.toFixed(4)}): ${hazardText(hazards[i])}`;
+    });
+    if (entry.features.length > features.length) lines.push(`- and ${entry.features.length - features.length} more features`);
+    return `File "${entry.name}":\n${lines.join('\n')}`;
+  }));
+
+  return 'The user has uploaded these files. When the request refers to uploaded, imported or "my" sites, answer from them ' +
+    'and use their coordinates; the wildfire and natural event checks below are current.\n\n' + files.join('\n\n');
+}
@@ -0,0 +1,499 @@
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { Ollama } from 'ollama';
+import { loadFixture } from './mockService.js';
+import { searchResponseSchema } from './searchSchema.js';
+
+/**
+ * LLM Provider Adapters
+ * Each factory turns a provider config into an adapter that sends chat requests
+ * to one API family and extracts the text from its responses
+ */
+
+const defaultCapabilities = {
+  search: true,
+  discover: true,
+  streaming: true,
+  structuredOutput: true,
+  tools: true
+};
+
+// Name of the Anthropic tool the search answer is returned through
+const searchToolName = 'report_locations';
+
+/**
+ * Resolve a config value that may be given directly or through an env variable
+ * @param {Object} config - Provider config
+ * @param {string} key - Config key (e.g. apiKey, model)
+ * @returns {string|undefined} - Resolved value
+ */
+function resolveConfigValue(config, key) {
+  if (config[key]) return config[key];
+  if (config[`${key}Env`]) return process.env[config[`${key}Env`]];
+  return undefined;
+}
+
+/**
+ * Build the fields every adapter shares
+ * @param {Object} config - Provider config
+ * @returns {Object} - Adapter description
+ */
+function describeProvider(config) {
+  return {
+    name: config.name,
+    label: config.label || config.name,
+    text: config.text || config.label || config.name,
+    vendor: config.vendor || config.label || config.name,
+    model: resolveConfigValue(config, 'model'),
+    capabilities: { ...defaultCapabilities, ...(config.capabilities || {}) },
+
+    /**
+     * Check whether this provider can serve a request type
+     * @param {string} requestType - Request type (search, discover)
+     * @returns {boolean}
+     */
+    supports(requestType) {
+      return this.capabilities[requestType] === true;
+    }
+  };
+}
+
+/**
+ * Apply the provider's prompt suffix for a request type
+ * @param {Object} config - Provider config
+ * @param {string} requestType - Request type (search, discover)
+ * @param {string} systemPrompt - Base system prompt
+ * @returns {string} - Final system prompt
+ */
+function finalSystemPrompt(config, requestType, systemPrompt) {
+  const suffix = config.promptSuffix?.[requestType];
+  return suffix ? systemPrompt + suffix : systemPrompt;
+}
+
+/**
+ * Parse the JSON arguments of a tool call
+ * @param {string} json - Arguments as sent by the model
+ * @returns {Object} - Tool input, empty when the arguments are not valid JSON
+ */
+function parseToolArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Describe tools in the function format shared by OpenAI-compatible APIs and Ollama
+ * @param {Array} tools - Tool definitions ({name, description, parameters})
+ * @returns {Array} - Function tools
+ */
+function functionTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+/**
+ * Create an adapter for the Anthropic Messages API
+ * @param {Object} config - Provider config
+ * @returns {Object} - Provider adapter
+ */
+export function createAnthropicProvider(config) {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new Anthropic({ apiKey: resolveConfigValue(config, 'apiKey') });
+    return client;
+  };
+
+  return {
+    ...describeProvider(config),
+
+    buildRequest(requestType, systemPrompt, prompts, tools = [], toolChoice = 'auto') {
+      const request = {
+        model: this.model,
+        max_tokens: config.maxTokens || 1024,
+        system: finalSystemPrompt(config, requestType, systemPrompt),
+        messages: prompts
+      };
+
+      const requestTools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      if (requestTools.length) request.tool_choice = { type: toolChoice };
+
+      // Search answers come back as the input of a tool call. With weather tools available the
+      // model may call those first, otherwise (and on the last round) the answer tool is forced.
+      if (requestType === 'search' && this.capabilities.structuredOutput) {
+        requestTools.push({
+          name: searchToolName,
+          description: 'Report the locations that answer the request.',
+          input_schema: searchResponseSchema
+        });
+        request.tool_choice = requestTools.length > 1 && toolChoice === 'auto'
+          ? { type: 'any' }
+          : { type: 'tool', name: searchToolName };
+      }
+      if (requestTools.length) request.tools = requestTools;
+      return request;
+    },
+
+    async complete(requestType, systemPrompt, prompts, tools, toolChoice) {
+      return getClient().messages.create(this.buildRequest(requestType, systemPrompt, prompts, tools, toolChoice));
+    },
+
+    /**
+     * Yield text as it arrives and return the assembled message, tool calls included
+     */
+    async *stream(requestType, systemPrompt, prompts, tools, toolChoice) {
+      const events = await getClient().messages.create({
+        ...this.buildRequest(requestType, systemPrompt, prompts, tools, toolChoice),
+        stream: true
+      });
+      const content = [];
+      const toolInputs = {};
+      for await (const event of events) {
+        if (event.type === 'content_block_start') {
+          content[event.index] = { ...event.content_block };
+          if (event.content_block.type === 'tool_use') toolInputs[event.index] = '';
+        }
+        else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content[event.index].text += event.delta.text;
+          yield event.delta.text;
+        }
+        else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          toolInputs[event.index] += event.delta.partial_json;
+        }
+      }
+      Object.entries(toolInputs).forEach(([index, json]) => {
+        content[index].input = parseToolArguments(json);
+      });
+      return { role: 'assistant', content };
+    },
+
+    extractText(response) {
+      const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === searchToolName);
+      if (toolUse) return JSON.stringify(toolUse.input);
+      return response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    },
+
+    toolCalls(response) {
+      const calls = response.content.filter(block => block.type === 'tool_use');
+      // A search answer ends the loop, whatever else was called alongside it
+      if (calls.some(block => block.name === searchToolName)) return [];
+      return calls.map(block => ({ id: block.id, name: block.name, input: block.input }));
+    },
+
+    toolMessages(response, calls, results) {
+      return [
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: calls.map((call, i) => ({
+            type: 'tool_result',
+            tool_use_id: call.id,
+            content: JSON.stringify(results[i])
+          }))
+        }
+      ];
+    }
+  };
+}
+
+/**
+ * Create an adapter for OpenAI and any OpenAI-compatible chat completions API
+ * (DeepSeek, Mistral, Gemini's OpenAI endpoint, vLLM, ...)
+ * @param {Object} config - Provider config
+ * @returns {Object} - Provider adapter
+ */
+export function createOpenAICompatibleProvider(config) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        baseURL: resolveConfigValue(config, 'baseURL'),
+        apiKey: resolveConfigValue(config, 'apiKey')
+      });
+    }
+    return client;
+  };
+
+  return {
+    ...describeProvider(config),
+
+    buildRequest(requestType, systemPrompt, prompts, tools = [], toolChoice = 'auto') {
+      const request = {
+        messages: [
+          { role: 'system', content: finalSystemPrompt(config, requestType, systemPrompt) },
+          ...prompts
+        ],
+        model: this.model,
+        ...(config.requestOptions || {})
+      };
+
+      if (tools.length) {
+        request.tools = functionTools(tools);
+        request.tool_choice = toolChoice;
+      }
+
+      // Backends without JSON schema support (e.g. DeepSeek) can set responseFormat to json_object
+      if (requestType === 'search' && this.capabilities.structuredOutput) {
+        request.response_format = config.responseFormat === 'json_object'
+          ? { type: 'json_object' }
+          : { type: 'json_schema', json_schema: { name: 'locations', schema: searchResponseSchema, strict: true } };
+      }
+      return request;
+    },
+
+    async complete(requestType, systemPrompt, prompts, tools, toolChoice) {
+      return getClient().chat.completions.create(this.buildRequest(requestType, systemPrompt, prompts, tools, toolChoice));
+    },
+
+    /**
+     * Yield text as it arrives and return the assembled completion, tool calls included
+     */
+    async *stream(requestType, systemPrompt, prompts, tools, toolChoice) {
+      const chunks = await getClient().chat.completions.create({
+        ...this.buildRequest(requestType, systemPrompt, prompts, tools, toolChoice),
+        stream: true
+      });
+      let content = '';
+      const toolCalls = [];
+      for await (const chunk of chunks) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) {
+          content += delta.content;
+          yield delta.content;
+        }
+        // Tool calls arrive in pieces, keyed by their index
+        (delta?.tool_calls || []).forEach(part => {
+          const call = toolCalls[part.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+      }
+      const message = { role: 'assistant', content: content || null };
+      if (toolCalls.length) message.tool_calls = toolCalls;
+      return { choices: [{ message }] };
+    },
+
+    extractText(response) {
+      return response.choices[0].message.content;
+    },
+
+    toolCalls(response) {
+      return (response.choices[0].message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        input: parseToolArguments(call.function.arguments)
+      }));
+    },
+
+    toolMessages(response, calls, results) {
+      return [
+        response.choices[0].message,
+        ...calls.map((call, i) => ({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(results[i]) }))
+      ];
+    }
+  };
+}
+
+/**
+ * Create an adapter for a local Ollama server
+ * @param {Object} config - Provider config
+ * @returns {Object} - Provider adapter
+ */
+export function createOllamaProvider(config) {
+  const getClient = () => new Ollama({
+    host: resolveConfigValue(config, 'host') ||
+      'http://' + process.env['OLLAMA_HOST'] + ':' + process.env['OLLAMA_PORT']
+  });
+
+  return {
+    ...describeProvider(config),
+
+    buildRequest(requestType, systemPrompt, prompts, tools = [], toolChoice = 'auto') {
+      const request = {
+        model: this.model,
+        messages: [
+          { role: 'system', content: finalSystemPrompt(config, requestType, systemPrompt) },
+          ...prompts
+        ]
+      };
+
+      // Ollama has no tool_choice; leaving the tools out is how a final answer is asked for
+      if (tools.length && toolChoice !== 'none') request.tools = functionTools(tools);
+
+      // Constrain generation to the search schema
+      if (requestType === 'search' && this.capabilities.structuredOutput) {
+        request.format = searchResponseSchema;
+      }
+      return request;
+    },
+
+    async complete(requestType, systemPrompt, prompts, tools, toolChoice) {
+      return getClient().chat({ ...this.buildRequest(requestType, systemPrompt, prompts, tools, toolChoice), stream: false });
+    },
+
+    /**
+     * Yield text as it arrives and return the assembled message, tool calls included
+     */
+    async *stream(requestType, systemPrompt, prompts, tools, toolChoice) {
+      const parts = await getClient().chat({
+        ...this.buildRequest(requestType, systemPrompt, prompts, tools, toolChoice),
+        stream: true
+      });
+      const message = { role: 'assistant', content: '' };
+      for await (const part of parts) {
+        if (part.message?.content) {
+          message.content += part.message.content;
+          yield part.message.content;
+        }
+        if (part.message?.tool_calls) message.tool_calls = [...(message.tool_calls || []), ...part.message.tool_calls];
+      }
+      return { message };
+    },
+
+    extractText(response) {
+      return response.message.content;
+    },
+
+    toolCalls(response) {
+      // Ollama does not id its tool calls; results are matched by order
+      return (response.message.tool_calls || []).map((call, i) => ({
+        id: String(i),
+        name: call.function.name,
+        input: call.function.arguments || {}
+      }));
+    },
+
+    toolMessages(response, calls, results) {
+      return [
+        response.message,
+        ...results.map(result => ({ role: 'tool', content: JSON.stringify(result) }))
+      ];
+    }
+  };
+}
+
+/**
+ * Wrap a provider so it answers from the recorded LLM fixtures (GODVIEW_MOCK=1).
+ * The wrapper keeps the provider's name, labels and capabilities so the model picker is unchanged.
+ * @param {Object} provider - Provider adapter to stand in for
+ * @returns {Object} - Provider adapter
+ */
+export function createMockProvider(provider) {
+  const fixtureText = (requestType) => {
+    const fixtures = loadFixture('llm.json');
+    return requestType === 'search' ? JSON.stringify({ locations: fixtures.search }) : fixtures.discover;
+  };
+
+  return {
+    ...provider,
+
+    buildRequest(requestType, systemPrompt, prompts, tools = [], toolChoice = 'auto') {
+      return { requestType, system: systemPrompt, messages: prompts, tools: tools.map(tool => tool.name), toolChoice };
+    },
+
+    /**
+     * Like a real model, look up the current weather once for coordinates in the prompt
+     * (Discover) before answering from the fixture
+     */
+    async complete(requestType, systemPrompt, prompts, tools = [], toolChoice = 'auto') {
+      const coordinates = String(prompts[0]?.content).match(/latitude:\s*(-?[\d.]+), longitude:\s*(-?[\d.]+)/);
+      const weatherLookedUp = prompts.some(message => message.role === 'tool');
+      if (coordinates && !weatherLookedUp && toolChoice === 'auto' && tools.some(tool => tool.name === 'get_current_weather')) {
+        return {
+          text: '',
+          toolCalls: [{
+            id: 'mock-call-1',
+            name: 'get_current_weather',
+            input: { latitude: parseFloat(coordinates[1]), longitude: parseFloat(coordinates[2]) }
+          }]
+        };
+      }
+      return { text: fixtureText(requestType) };
+    },
+
+    async *stream(...request) {
+      const response = await this.complete(...request);
+      // Replay word by word so the client sees a real stream
+      for (const word of response.text.split(/(?<= )/).filter(Boolean)) {
+        yield word;
+      }
+      return response;
+    },
+
+    extractText(response) {
+      return response.text;
+    },
+
+    toolCalls(response) {
+      return response.toolCalls || [];
+    },
+
+    toolMessages(response, calls, results) {
+      return [
+        { role: 'assistant', content: '', tool_calls: calls },
+        ...calls.map((call, i) => ({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(results[i]) }))
+      ];
+    }
+  };
+}
+
+/**
+ * Adapter factories by provider type
+ */
+export const providerFactories = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAICompatibleProvider,
+  ollama: createOllamaProvider
+};
+
+/**
+ * Providers that ship with Godview
+ */
+export const builtInProviders = [
+  {
+    name: 'anthropic',
+    type: 'anthropic',
+    label: 'Claude',
+    vendor: 'Anthropic',
+    text: 'Sonnet 3.5',
+    model: 'claude-3-5-sonnet-20241022',
+    apiKeyEnv: 'ANTHROPIC_API_KEY'
+  },
+  {
+    name: 'deepseek',
+    type: 'openai',
+    label: 'DeepSeek',
+    vendor: 'DeepSeek',
+    text: 'DeepSeek v3',
+    baseURL: 'https://api.deepseek.com',
+    model: 'deepseek-chat',
+    apiKeyEnv: 'DEEPSEEK_KEY',
+    responseFormat: 'json_object'
+  },
+  {
+    name: 'openai',
+    type: 'openai',
+    label: 'OpenAI',
+    vendor: 'Open AI',
+    text: 'GPT-4o',
+    model: 'gpt-4o',
+    apiKeyEnv: 'OPENAI_KEY',
+    requestOptions: { store: false }
+  },
+  {
+    name: 'local',
+    type: 'ollama',
+    label: 'Local',
+    vendor: 'Local',
+    text: 'Local',
+    modelEnv: 'OLLAMA_MODEL'
+  }
+];
@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import { providerFactories, builtInProviders, createMockProvider } from './llmProviders.js';
+import { mockMode } from './mockService.js';
+
+dotenv.config();
+
+/**
+ * LLM Service
+ * Registry of LLM provider adapters used by the Search and Discover routes
+ */
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = process.env.LLM_DEFAULT_PROVIDER || 'anthropic';
+
+    builtInProviders.forEach(config => this.registerFromConfig(config));
+    this.loadConfiguredProviders(process.env.LLM_PROVIDERS);
+
+    // Answer every provider from recorded fixtures in mock mode
+    if (mockMode) {
+      this.providers.forEach((provider, name) => this.providers.set(name, createMockProvider(provider)));
+      console.log('LLMService: GODVIEW_MOCK is set, serving LLM fixtures');
+    }
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {string} name - Provider name used by clients (the `model` request field)
+   * @param {Object} adapter - Adapter with complete(), extractText(), supports() and capabilities,
+   *                           plus stream() when capabilities.streaming is set
+   */
+  register(name, adapter) {
+    if (typeof adapter.complete !== 'function' || typeof adapter.extractText !== 'function') {
+      throw new Error(`Provider ${name} must implement complete() and extractText()`);
+    }
+    this.providers.set(name, adapter);
+  }
+
+  /**
+   * Register a provider adapter from a config entry
+   * @param {Object} config - Provider config (name, type, model, apiKey/apiKeyEnv, baseURL, ...)
+   */
+  registerFromConfig(config) {
+    const factory = providerFactories[config.type];
+    if (!config.name || !factory) {
+      throw new Error(`Invalid provider config ${config.name || ''}: unknown type ${config.type}`);
+    }
+    this.register(config.name, factory(config));
+  }
+
+  /**
+   * Register extra providers from the LLM_PROVIDERS env variable (JSON array of configs)
+   * @param {string} rawConfig - JSON string
+   */
+  loadConfiguredProviders(rawConfig) {
+    if (!rawConfig) return;
+
+    try {
+      const configs = JSON.parse(rawConfig);
+      configs.forEach(config => {
+        try {
+          this.registerFromConfig(config);
+          console.log(`LLMService: Registered provider ${config.name} (${config.type})`);
+        } catch (error) {
+          console.error('LLMService: Skipping provider config:', error.message);
+        }
+      });
+    } catch (error) {
+      console.error('LLMService: Could not parse LLM_PROVIDERS:', error.message);
+    }
+  }
+
+  /**
+   * Get a provider adapter, falling back to the default provider for unknown names
+   * @param {string} name - Provider name
+   * @returns {Object} - Provider adapter
+   */
+  get(name) {
+    return this.providers.get(name) || this.providers.get(this.defaultProvider);
+  }
+
+  /**
+   * List providers for the client model picker
+   * @returns {Array} - Provider descriptions
+   */
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      value: provider.name,
+      provider: provider.vendor,
+      model: provider.model,
+      text: provider.text,
+      capabilities: provider.capabilities
+    }));
+  }
+}
+
+export default new LLMService();
@@ -0,0 +1,153 @@
+import fs from 'node:fs';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Mock Service
+ * With GODVIEW_MOCK=1 every outbound call is answered from the recorded fixtures in
+ * services/fixtures, so the app runs end-to-end without keys or network access
+ */
+export const mockMode = process.env.GODVIEW_MOCK === '1';
+
+const fixtureDir = new URL('./fixtures/', import.meta.url);
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in services/fixtures
+ * @returns {Object|string|Buffer} - Parsed JSON, a Buffer for images and archives, or raw text for other fixtures
+ */
+export function loadFixture(name) {
+  if (name.endsWith('.png') || name.endsWith('.zip')) return fs.readFileSync(new URL(name, fixtureDir));
+  const raw = fs.readFileSync(new URL(name, fixtureDir), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(raw) : raw;
+}
+
+/**
+ * Recorded OpenWeatherMap current conditions, moved to the requested coordinates.
+ * Temperature falls with latitude so labels across a map still differ.
+ */
+function owmCurrentFixture(params) {
+  const data = loadFixture('owm-current.json');
+  const lat = parseFloat(params.get('lat'));
+  const lon = parseFloat(params.get('lon'));
+
+  data.coord = { lat, lon };
+  data.main.temp = Math.round((28 - Math.abs(lat) * 0.45) * 10) / 10;
+  data.main.feels_like = Math.round((data.main.temp - 0.6) * 10) / 10;
+  return data;
+}
+
+/**
+ * Recorded OpenWeatherMap forecast, moved to the requested coordinates
+ */
+function owmForecastFixture(params) {
+  const data = loadFixture('owm-forecast.json');
+  data.city.coord = { lat: parseFloat(params.get('lat')), lon: parseFloat(params.get('lon')) };
+  return data;
+}
+
+/**
+ * Recorded OpenWeatherMap air pollution, moved to the requested coordinates.
+ * Particles rise towards the equator so the AQI layer still shows a range.
+ */
+function owmAirPollutionFixture(params) {
+  const data = loadFixture('owm-air-pollution.json');
+  const lat = parseFloat(params.get('lat'));
+  const lon = parseFloat(params.get('lon'));
+
+  data.coord = { lat, lon };
+  const scale = 1 + (90 - Math.abs(lat)) / 30;
+  data.list[0].components.pm2_5 = Math.round(data.list[0].components.pm2_5 * scale * 100) / 100;
+  data.list[0].components.pm10 = Math.round(data.list[0].components.pm10 * scale * 100) / 100;
+  return data;
+}
+
+/**
+ * Open-Meteo archive days for the requested range. Thirty years of days is too much to
+ * record, so a seasonal cycle is generated that cools with latitude and flips south of
+ * the equator, with rain on every third day.
+ */
+function openMeteoArchiveFixture(params) {
+  const lat = parseFloat(params.get('latitude'));
+  const lon = parseFloat(params.get('longitude'));
+  const daily = {
+    time: [],
+    temperature_2m_max: [],
+    temperature_2m_min: [],
+    temperature_2m_mean: [],
+    precipitation_sum: [],
+    wind_speed_10m_max: []
+  };
+
+  const end = Date.parse(params.get('end_date') + 'T00:00:00Z');
+  for (let time = Date.parse(params.get('start_date') + 'T00:00:00Z'), i = 0; time <= end; time += 86400000, i++) {
+    const date = new Date(time);
+    // coldest in mid-January in the north, mid-July in the south
+    const season = Math.cos(2 * Math.PI * (date.getUTCMonth() + date.getUTCDate() / 31 - 0.5) / 12) * (lat >= 0 ? 1 : -1);
+    const mean = 28 - Math.abs(lat) * 0.45 - season * Math.abs(lat) * 0.25;
+    daily.time.push(date.toISOString().slice(0, 10));
+    daily.temperature_2m_mean.push(Math.round(mean * 10) / 10);
+    daily.temperature_2m_max.push(Math.round((mean + 4) * 10) / 10);
+    daily.temperature_2m_min.push(Math.round((mean - 4) * 10) / 10);
+    daily.precipitation_sum.push(i % 3 === 0 ? Math.round((4 + season * 2) * 10) / 10 : 0);
+    daily.wind_speed_10m_max.push(Math.round((6 + season * 2) * 10) / 10);
+  }
+
+  return { latitude: lat, longitude: lon, daily };
+}
+
+/**
+ * Recorded Nominatim answers by query; unknown queries find nothing
+ */
+function nominatimFixture(params) {
+  return loadFixture('nominatim-search.json')[params.get('q')] || [];
+}
+
+/**
+ * Fixture routes matched against the outbound request URL
+ */
+const fixtureRoutes = [
+  { match: url => url.hostname === 'api.openweathermap.org' && url.pathname.endsWith('/weather'), fixture: owmCurrentFixture },
+  { match: url => url.hostname === 'api.openweathermap.org' && url.pathname.endsWith('/forecast'), fixture: owmForecastFixture },
+  { match: url => url.hostname === 'api.openweathermap.org' && url.pathname.endsWith('/air_pollution'), fixture: owmAirPollutionFixture },
+  { match: url => ['tile.openweathermap.org', 'maps.openweathermap.org'].indexOf(url.hostname) > -1, fixture: () => loadFixture('owm-tile.png') },
+  { match: url => url.hostname === 'archive-api.open-meteo.com', fixture: openMeteoArchiveFixture },
+  // per-storm GIS archives (forecast track and cone, best track) linked from CurrentStorms.json
+  { match: url => url.hostname === 'www.nhc.noaa.gov' && url.pathname.endsWith('.zip'), fixture: (params, url) => loadFixture(`nhc-${url.pathname.split('/').pop()}`) },
+  { match: url => url.hostname === 'www.nhc.noaa.gov', fixture: () => loadFixture('nhc-current-storms.json') },
+  { match: url => url.hostname === 'firms.modaps.eosdis.nasa.gov' && url.pathname.includes('/MODIS_NRT/'), fixture: () => loadFixture('firms-modis.csv') },
+  { match: url => url.hostname === 'firms.modaps.eosdis.nasa.gov', fixture: () => loadFixture('firms-viirs.csv') },
+  { match: url => url.hostname === 'eonet.gsfc.nasa.gov', fixture: () => loadFixture('eonet-events.json') },
+  { match: url => url.pathname.endsWith('/search') && url.searchParams.get('format') === 'jsonv2', fixture: nominatimFixture }
+];
+
+/**
+ * Axios adapter that answers requests from fixtures instead of the network
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} - Axios response
+ */
+export async function mockAdapter(config) {
+  const url = new URL(config.url, config.baseURL);
+  Object.entries(config.params || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  const route = fixtureRoutes.find(candidate => candidate.match(url));
+  if (!route) {
+    throw new Error(`GODVIEW_MOCK: no fixture for ${url.hostname}${url.pathname}`);
+  }
+
+  return {
+    data: route.fixture(url.searchParams, url),
+    status: 200,
+    statusText: 'OK',
+    headers: {},
+    config,
+    request: {}
+  };
+}
+
+/**
+ * HTTP client for outbound API calls; serves fixtures in mock mode
+ */
+export const httpClient = mockMode ? axios.create({ adapter: mockAdapter }) : axios;
@@ -0,0 +1,145 @@
+import { distanceKm, pointInPolygon } from './geoUtils.js';
+
+/**
+ * Search Area
+ * Scopes a Search in space. A rectangle, circle or polygon drawn on the map is described
+ * to the model, and results outside it are removed afterwards. A reference point with a
+ * radius sets where "near me" is, and results are sorted by their distance from it.
+ */
+
+// Polygon vertices accepted, and listed in the prompt
+const maxVertices = 500;
+const maxPromptVertices = 50;
+
+const isLatitude = value => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = value => Number.isFinite(value) && Math.abs(value) <= 180;
+
+/**
+ * Validate a drawn area and bring it into its normal form
+ * @param {Object} area - {type: 'rectangle', north, south, east, west},
+ *   {type: 'circle', latitude, longitude, radius_km} or {type: 'polygon', coordinates: [[lon, lat], ...]}
+ * @returns {Object} - Normalized area
+ * @throws {Error} - When the area is not a valid shape
+ */
+export function parseSearchArea(area) {
+  if (!area || typeof area !== 'object') throw new Error('Search area must be an object');
+
+  if (area.type === 'rectangle') {
+    const [north, south, east, west] = [area.north, area.south, area.east, area.west].map(Number);
+    if (!isLatitude(north) || !isLatitude(south) || !isLongitude(east) || !isLongitude(west) || south >= north) {
+      throw new Error('Rectangle needs north, south, east and west bounds');
+    }
+    return { type: 'rectangle', north, south, east, west };
+  }
+
+  if (area.type === 'circle') {
+    const [latitude, longitude, radius] = [area.latitude, area.longitude, area.radius_km].map(Number);
+    if (!isLatitude(latitude) || !isLongitude(longitude) || !(radius > 0) || radius > 20000) {
+      throw new Error('Circle needs a centre and a radius in km');
+    }
+    return { type: 'circle', latitude, longitude, radius_km: radius };
+  }
+
+  if (area.type === 'polygon') {
+    const coordinates = (Array.isArray(area.coordinates) ? area.coordinates : [])
+      .map(position => Array.isArray(position) ? position.slice(0, 2).map(Number) : []);
+    if (coordinates.length < 3 || coordinates.length > maxVertices ||
+      !coordinates.every(position => isLongitude(position[0]) && isLatitude(position[1]))) {
+      throw new Error(`Polygon needs 3 to ${maxVertices} [longitude, latitude] vertices`);
+    }
+    const [first, last] = [coordinates[0], coordinates[coordinates.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) coordinates.push(first);
+    return { type: 'polygon', coordinates };
+  }
+
+  throw new Error('Search area type must be rectangle, circle or polygon');
+}
+
+/**
+ * Whether a point lies in a search area
+ * @param {Object} area - Normalized area
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean}
+ */
+export function areaContains(area, lat, lon) {
+  switch (area.type) {
+    case 'rectangle':
+      if (lat < area.south || lat > area.north) return false;
+      // west > east when the rectangle crosses the antimeridian
+      return area.west <= area.east ? lon >= area.west && lon <= area.east : lon >= area.west || lon <= area.east;
+    case 'circle':
+      return distanceKm(area.latitude, area.longitude, lat, lon) <= area.radius_km;
+    case 'polygon':
+      return pointInPolygon(lat, lon, [area.coordinates]);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Describe a search area for the system prompt
+ * @param {Object} area - Normalized area
+ * @returns {string}
+ */
+export function searchAreaPrompt(area) {
+  let shape;
+  if (area.type === 'rectangle') {
+    shape = `the rectangle from latitude ${area.south} to ${area.north} and longitude ${area.west} to ${area.east}`;
+  } else if (area.type === 'circle') {
+    shape = `the circle of ${area.radius_km} km around latitude ${area.latitude}, longitude ${area.longitude}`;
+  } else {
+    const vertices = area.coordinates.slice(0, -1);
+    const step = Math.ceil(vertices.length / maxPromptVertices);
+    shape = 'the polygon with these (latitude, longitude) vertices: ' +
+      vertices.filter((vertex, i) => i % step === 0).map(([lon, lat]) => `(${lat}, ${lon})`).join(', ');
+  }
+  return `The user drew a search area on the map. Only answer with locations inside ${shape}; results outside it are removed.`;
+}
+
+// Radius of a reference point sent without one: the earlier fixed baseline
+const defaultRadius = 50;
+const defaultUnit = 'mi';
+const kmPerMile = 1.609344;
+const referenceSources = ['location', 'centre', 'pin', 'place'];
+
+/**
+ * Validate the reference point that "near me" and "nearby" are measured from
+ * @param {Object} reference - {latitude, longitude, label, source (location, centre, pin, place), radius, unit (km, mi)}
+ * @returns {Object} - Normalized reference, with the radius in km as radius_km
+ * @throws {Error} - When the point or radius is not valid
+ */
+export function parseReference(reference) {
+  if (!reference || typeof reference !== 'object') throw new Error('Reference point must be an object');
+  const [latitude, longitude] = [reference.latitude, reference.longitude].map(Number);
+  if (!isLatitude(latitude) || !isLongitude(longitude)) throw new Error('Reference point needs a latitude and longitude');
+
+  const unit = reference.unit === 'km' ? 'km' : defaultUnit;
+  const radius = reference.radius === undefined || reference.radius === null ? defaultRadius : Number(reference.radius);
+  if (!(radius > 0) || radius > 20000) throw new Error('Radius must be a distance above 0');
+
+  return {
+    latitude,
+    longitude,
+    label: reference.label ? String(reference.label).slice(0, 200) : null,
+    source: referenceSources.indexOf(reference.source) > -1 ? reference.source : 'pin',
+    radius,
+    unit,
+    radius_km: unit === 'mi' ? radius * kmPerMile : radius
+  };
+}
+
+/**
+ * Add each location's distance from the reference point, nearest first
+ * @param {Array} locations - Validated locations
+ * @param {Object} reference - Normalized reference
+ * @returns {Array} - Locations with distance_km
+ */
+export function sortByDistance(locations, reference) {
+  return locations
+    .map(location => ({
+      ...location,
+      distance_km: Math.round(distanceKm(reference.latitude, reference.longitude, location.latitude, location.longitude) * 10) / 10
+    }))
+    .sort((a, b) => a.distance_km - b.distance_km);
+}
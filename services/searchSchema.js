@@ -0,0 +1,119 @@
+/**
+ * Search Schema
+ * Parsing and validation of the location list the LLM returns for Search
+ */
+
+/**
+ * Fields of a search result location
+ */
+export const locationSchema = {
+  latitude: { type: 'number', required: true, min: -90, max: 90, description: 'Location latitude' },
+  longitude: { type: 'number', required: true, min: -180, max: 180, description: 'Location longitude' },
+  name: { type: 'string', required: true, description: 'Name of the location' },
+  address: { type: 'string', required: false, description: 'Address of the location' },
+  url: { type: 'string', required: false, description: 'A related website, if available' },
+  weather_relevant: { type: 'boolean', required: false, description: 'Whether weather information would be relevant for this query' }
+};
+
+/**
+ * JSON Schema for the search answer, used by the providers' native structured-output modes.
+ * Locations are wrapped in an object because tool inputs and strict response formats must be objects.
+ * Optional fields are nullable rather than omitted, as strict modes require every field to be listed.
+ */
+export const searchResponseSchema = {
+  type: 'object',
+  properties: {
+    locations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(locationSchema).map(([field, rule]) => [
+          field,
+          { type: rule.required ? rule.type : [rule.type, 'null'], description: rule.description }
+        ])),
+        required: Object.keys(locationSchema),
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['locations'],
+  additionalProperties: false
+};
+
+/**
+ * Parse model output into a list of candidate locations.
+ * Tolerates code fences and text around the JSON.
+ * @param {string} text - Raw model output
+ * @returns {Array} - Parsed entries (not yet validated)
+ * @throws {SyntaxError} - When no JSON can be parsed
+ */
+export function parseSearchOutput(text) {
+  let json = String(text || '').trim();
+
+  // Unwrap a ```json fenced block
+  const fenced = json.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) json = fenced[1].trim();
+
+  // Cut away anything before or after the outermost array/object
+  const start = json.search(/[[{]/);
+  const end = Math.max(json.lastIndexOf(']'), json.lastIndexOf('}'));
+  if (start === -1 || end < start) {
+    throw new SyntaxError('No JSON array found in the output');
+  }
+
+  const parsed = JSON.parse(json.substring(start, end + 1));
+
+  if (Array.isArray(parsed)) return parsed;
+
+  // Some models wrap the array in an object ({"locations": [...]})
+  const wrapped = Object.values(parsed).find(value => Array.isArray(value));
+  return wrapped || [parsed];
+}
+
+/**
+ * Validate one entry against the location schema
+ * @param {*} entry - Parsed entry
+ * @returns {Object|null} - Clean location, or null when the entry is unusable
+ */
+export function validateLocation(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+
+  const location = { ...entry };
+
+  for (const [field, rule] of Object.entries(locationSchema)) {
+    let value = entry[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) return null;
+      if (rule.type === 'boolean') location[field] = false;
+      else delete location[field];
+      continue;
+    }
+
+    // Models often quote numbers and booleans
+    if (rule.type === 'number' && typeof value === 'string') value = parseFloat(value);
+    if (rule.type === 'boolean' && typeof value === 'string') value = value.toLowerCase() === 'true';
+
+    if (rule.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) return null;
+    if (rule.type !== 'number' && typeof value !== rule.type) return null;
+    if (rule.min !== undefined && value < rule.min) return null;
+    if (rule.max !== undefined && value > rule.max) return null;
+
+    location[field] = value;
+  }
+
+  // Null Island is what models output when they have no real coordinates
+  if (location.latitude === 0 && location.longitude === 0) return null;
+
+  return location;
+}
+
+/**
+ * Validate parsed entries, dropping the ones that do not match the schema
+ * @param {Array} entries - Parsed entries
+ * @returns {Object} - { locations, discarded }
+ */
+export function validateLocations(entries) {
+  const locations = entries.map(validateLocation).filter(Boolean);
+  return { locations, discarded: entries.length - locations.length };
+}
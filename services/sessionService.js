@@ -0,0 +1,114 @@
+import crypto from 'node:crypto';
+
+/**
+ * Session Service
+ * Keeps Search conversations on the server so follow-up prompts ("only the ones open late",
+ * "show 5 more") are answered with the earlier turns and results in context.
+ * Sessions live in memory, grouped by the client ID the browser sends with each query.
+ */
+
+// Sessions idle for longer than this are dropped
+const sessionTTL = 60 * 60 * 1000;
+// Turns (prompt and answer) kept in a session's context
+const maxTurns = 10;
+// Sessions kept per client; the least recently used go first
+const maxSessionsPerClient = 20;
+
+class SessionService {
+  constructor() {
+    this.clients = new Map();
+
+    // unref so the sweep does not keep the process alive on its own
+    setInterval(() => this.sweep(), 10 * 60 * 1000).unref();
+  }
+
+  /**
+   * Get a client's session, or start a new one when the ID is missing or expired
+   * @param {string} clientId - Client ID sent by the browser
+   * @param {string} sessionId - Session ID from an earlier answer
+   * @returns {Object} - Session ({id, clientId, turns, results, updatedAt}, plus historyId once stored)
+   */
+  getSession(clientId, sessionId) {
+    const key = String(clientId || 'anonymous');
+    if (!this.clients.has(key)) this.clients.set(key, new Map());
+    const sessions = this.clients.get(key);
+
+    let session = sessionId ? sessions.get(sessionId) : null;
+    if (!session || Date.now() - session.updatedAt > sessionTTL) {
+      session = { id: crypto.randomUUID(), clientId: key, turns: [], results: [], updatedAt: Date.now() };
+      sessions.set(session.id, session);
+      this.trimClient(sessions);
+    }
+    return session;
+  }
+
+  /**
+   * Conversation so far, as chat messages
+   * @param {Object} session - Session
+   * @returns {Array} - Messages, oldest first
+   */
+  getMessages(session) {
+    return session.turns.flatMap(turn => [...turn.prompts, { role: 'assistant', content: turn.answer }]);
+  }
+
+  /**
+   * Record a completed turn
+   * @param {Object} session - Session
+   * @param {Array} prompts - User messages sent this turn
+   * @param {Array} locations - Validated locations the model answered with
+   */
+  addTurn(session, prompts, locations) {
+    // The answer is kept compact: enough for the model to refer back to, without weather data
+    const answer = JSON.stringify({
+      locations: locations.map(location => ({
+        name: location.name,
+        address: location.address || null,
+        latitude: location.latitude,
+        longitude: location.longitude
+      }))
+    });
+
+    session.turns.push({ prompts, answer });
+    if (session.turns.length > maxTurns) session.turns.splice(0, session.turns.length - maxTurns);
+    session.results = locations;
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * End a session
+   * @param {string} clientId - Client ID
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - Whether the session existed
+   */
+  endSession(clientId, sessionId) {
+    const sessions = this.clients.get(String(clientId || 'anonymous'));
+    return sessions ? sessions.delete(sessionId) : false;
+  }
+
+  /**
+   * Drop a client's least recently used sessions above the limit
+   * @param {Map} sessions - A client's sessions
+   */
+  trimClient(sessions) {
+    if (sessions.size <= maxSessionsPerClient) return;
+    [...sessions.values()]
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(0, sessions.size - maxSessionsPerClient)
+      .forEach(session => sessions.delete(session.id));
+  }
+
+  /**
+   * Drop expired sessions and clients left without any
+   */
+  sweep() {
+    const now = Date.now();
+    this.clients.forEach((sessions, clientId) => {
+      sessions.forEach((session, id) => {
+        if (now - session.updatedAt > sessionTTL) sessions.delete(id);
+      });
+      if (sessions.size === 0) this.clients.delete(clientId);
+    });
+  }
+}
+
+export default new SessionService();
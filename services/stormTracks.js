@@ -0,0 +1,195 @@
+import zlib from 'node:zlib';
+
+/**
+ * Storm Tracks
+ * Reads the GIS products NHC links from CurrentStorms.json: the forecast track and cone of
+ * the latest advisory (forecastTrack / trackCone, one zipped shapefile set) and the best
+ * track so far (bestTrackGIS). Only the parts Godview draws are read: the point attributes
+ * from the .dbf files and the cone polygon from the .shp file.
+ */
+
+/**
+ * Unpack a zip archive
+ * @param {Buffer} buffer - Zip file
+ * @returns {Map} - File contents (Buffer) by name
+ * @throws {Error} - When the archive is not a zip or uses an unsupported compression
+ */
+export function readZip(buffer) {
+  // the central directory is listed at the end, before an optional comment
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Broken zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, zlib.inflateRawSync(data));
+    else throw new Error(`Unsupported zip compression ${method} for ${name}`);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+/**
+ * Read the records of a dBASE table (shapefile attributes)
+ * @param {Buffer} buffer - .dbf file
+ * @returns {Array} - Records by field name; numeric fields as numbers (null when blank)
+ */
+export function readDbf(buffer) {
+  const count = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && buffer[offset] !== 0x0d; offset += 32) {
+    fields.push({
+      name: buffer.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16]
+    });
+  }
+
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    let offset = headerLength + i * recordLength;
+    // deleted records are flagged with an asterisk
+    if (buffer[offset] === 0x2a) continue;
+    offset++;
+    const record = {};
+    fields.forEach(field => {
+      const value = buffer.toString('latin1', offset, offset + field.length).trim();
+      record[field.name] = field.type === 'N' || field.type === 'F'
+        ? (value === '' || !Number.isFinite(Number(value)) ? null : Number(value))
+        : value;
+      offset += field.length;
+    });
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Read the polygons of a shapefile
+ * @param {Buffer} buffer - .shp file
+ * @returns {Array} - GeoJSON Polygon coordinates (rings of [lon, lat]) per record
+ */
+export function readPolygons(buffer) {
+  const polygons = [];
+  let offset = 100;
+  while (offset + 8 <= buffer.length) {
+    const contentLength = buffer.readInt32BE(offset + 4) * 2;
+    const content = offset + 8;
+    // 5: polygon, 15: polygon with z, 25: polygon with m; x and y come first in each
+    if ([5, 15, 25].indexOf(buffer.readInt32LE(content)) > -1) {
+      const partCount = buffer.readInt32LE(content + 36);
+      const pointCount = buffer.readInt32LE(content + 40);
+      const parts = Array.from({ length: partCount }, (_, i) => buffer.readInt32LE(content + 44 + i * 4));
+      const pointsStart = content + 44 + partCount * 4;
+      polygons.push(parts.map((start, i) => {
+        const endIndex = i + 1 < partCount ? parts[i + 1] : pointCount;
+        const ring = [];
+        for (let p = start; p < endIndex; p++) {
+          ring.push([buffer.readDoubleLE(pointsStart + p * 16), buffer.readDoubleLE(pointsStart + p * 16 + 8)]);
+        }
+        return ring;
+      }));
+    }
+    offset = content + contentLength;
+  }
+  return polygons;
+}
+
+/**
+ * Time of a forecast point from its VALIDTIME (DD/HHMM in UTC), in the month of the advisory
+ * or the next one when the day has wrapped
+ * @param {string} validTime - DD/HHMM
+ * @param {number} issued - Advisory time
+ * @returns {number|null} - Timestamp
+ */
+function forecastTime(validTime, issued) {
+  const match = /^(\d{2})\/(\d{2})(\d{2})$/.exec(validTime || '');
+  if (!match || !Number.isFinite(issued)) return null;
+  const advisory = new Date(issued);
+  const [day, hour, minute] = match.slice(1).map(Number);
+  let time = Date.UTC(advisory.getUTCFullYear(), advisory.getUTCMonth(), day, hour, minute);
+  if (day < advisory.getUTCDate() - 15) time = Date.UTC(advisory.getUTCFullYear(), advisory.getUTCMonth() + 1, day, hour, minute);
+  return time;
+}
+
+// Saffir-Simpson category when the storm is a hurricane, else its type (TD, TS, ...)
+const pointCategory = record => record.SS > 0 ? record.SS : record.STORMTYPE || null;
+
+/**
+ * Normalize a forecast track / cone archive
+ * @param {Buffer} buffer - <storm>_5day_<advisory>.zip
+ * @param {number} issued - Advisory time, to date the forecast points
+ * @returns {Object} - {forecast: [{lat, lon, timestamp, wind_speed, pressure, category}], cone (GeoJSON Polygon or null)}
+ */
+export function normalizeForecastTrack(buffer, issued) {
+  const files = readZip(buffer);
+  const find = suffix => [...files.keys()].find(name => name.toLowerCase().endsWith(suffix));
+
+  const pointsFile = find('_pts.dbf');
+  const forecast = pointsFile ? readDbf(files.get(pointsFile))
+    // the first point (TAU 0) is the current position, which the storm itself carries
+    .filter(record => record.TAU > 0 && record.LAT !== null && record.LON !== null)
+    .sort((a, b) => a.TAU - b.TAU)
+    .map(record => ({
+      lat: record.LAT,
+      lon: record.LON,
+      timestamp: forecastTime(record.VALIDTIME, issued) ?? (Number.isFinite(issued) ? issued + record.TAU * 3600000 : null),
+      wind_speed: record.MAXWIND,
+      pressure: record.MSLP,
+      category: pointCategory(record)
+    })) : [];
+
+  const coneFile = find('_pgn.shp');
+  const polygons = coneFile ? readPolygons(files.get(coneFile)) : [];
+  const cone = polygons.length > 0 ? { type: 'Polygon', coordinates: polygons[0] } : null;
+
+  return { forecast, cone };
+}
+
+/**
+ * Normalize a best track archive
+ * @param {Buffer} buffer - <storm>_best_track.zip
+ * @returns {Array} - Past positions, oldest first: [{lat, lon, timestamp, wind_speed, pressure, category}]
+ */
+export function normalizeBestTrack(buffer) {
+  const files = readZip(buffer);
+  const pointsFile = [...files.keys()].find(name => /_pts\.dbf$/i.test(name) && !/5day/i.test(name));
+  if (!pointsFile) return [];
+
+  return readDbf(files.get(pointsFile))
+    .filter(record => record.LAT !== null && record.LON !== null)
+    .map(record => {
+      // DTG is YYYYMMDDHH
+      const dtg = String(record.DTG || '');
+      const timestamp = /^\d{10}$/.test(dtg)
+        ? Date.UTC(+dtg.slice(0, 4), +dtg.slice(4, 6) - 1, +dtg.slice(6, 8), +dtg.slice(8, 10))
+        : null;
+      return {
+        lat: record.LAT,
+        lon: record.LON,
+        timestamp,
+        wind_speed: record.INTENSITY,
+        pressure: record.MSLP,
+        category: pointCategory(record)
+      };
+    })
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+}
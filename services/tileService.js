@@ -0,0 +1,183 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import weatherService from './weatherService.js';
+import { httpClient } from './mockService.js';
+
+dotenv.config();
+
+const zoomCategories = ['GLOBAL', 'REGIONAL', 'LOCAL'];
+
+/**
+ * Tile Service
+ * Proxies weather map tiles so the provider key stays on the server, and keeps them in a
+ * disk cache. Fresh tiles are served from disk; expired ones are served once more while
+ * they are fetched again, and the oldest tiles are removed when the cache outgrows its limit.
+ */
+class TileService {
+  constructor() {
+    this.cacheDir = process.env.TILE_CACHE_PATH || 'data/tiles';
+    this.ttl = parseFloat(process.env.TILE_CACHE_TTL_MINUTES || '30') * 60 * 1000;
+    this.maxBytes = parseFloat(process.env.TILE_CACHE_MAX_MB || '500') * 1024 * 1024;
+    // Tiles on disk by file, with their size and fetch time; read from the disk on first use
+    this.index = null;
+    this.indexing = null;
+    this.totalBytes = 0;
+    // Fetches in progress by file, so concurrent requests for a tile share one upstream call
+    this.pending = new Map();
+  }
+
+  /**
+   * Validate a tile request
+   * @param {Object} params - {layer, z, x, y, zoom}, zoom being the category (GLOBAL, REGIONAL, LOCAL)
+   * @returns {Object} - {layer, z, x, y, zoomCategory}
+   * @throws {Error} - When the layer is unknown or the coordinates lie outside the zoom level
+   */
+  parseTile({ layer, z, x, y, zoom }) {
+    const [zoomLevel, column, row] = [z, x, y].map(Number);
+    if (!Number.isInteger(zoomLevel) || zoomLevel < 0 || zoomLevel > 22) throw new Error('Zoom must be 0 to 22');
+    const tiles = 2 ** zoomLevel;
+    if (![column, row].every(value => Number.isInteger(value) && value >= 0 && value < tiles)) {
+      throw new Error(`Tile x and y must be 0 to ${tiles - 1} at zoom ${zoomLevel}`);
+    }
+
+    // the category follows the client's zoom levels unless it asks for one
+    const zoomCategory = zoomCategories.indexOf(zoom) > -1 ? zoom : zoomLevel < 3 ? 'GLOBAL' : zoomLevel < 8 ? 'REGIONAL' : 'LOCAL';
+    const provider = weatherService.getTileProvider();
+    // the layer names a cache directory, so it is checked before the provider sees it
+    if (!/^[a-z]+$/.test(layer) || (provider && !provider.tileLayer(layer, zoomCategory))) throw new Error(`Unknown weather layer ${layer}`);
+
+    return { layer, z: zoomLevel, x: column, y: row, zoomCategory };
+  }
+
+  /**
+   * Get a weather tile, from the disk cache when possible
+   * @param {Object} tile - Validated tile
+   * @returns {Promise<Object>} - {data (Buffer), contentType, cache (HIT, STALE, MISS)}
+   */
+  async getTile(tile) {
+    const provider = weatherService.getTileProvider();
+    if (!provider) throw new Error('Weather tiles require an OpenWeatherMap API key');
+
+    const file = path.join(this.cacheDir, provider.name, tile.layer, tile.zoomCategory, String(tile.z), String(tile.x), `${tile.y}.png`);
+    await this.loadIndex();
+
+    const cached = this.index.get(file);
+    if (cached) {
+      try {
+        const data = await fs.promises.readFile(file);
+        if (Date.now() - cached.fetchedAt < this.ttl) return { data, contentType: 'image/png', cache: 'HIT' };
+
+        // stale: answer now, refresh for the next request
+        this.fetchTile(provider, tile, file).catch(error => {
+          console.error(`TileService: Could not refresh ${tile.layer} ${tile.z}/${tile.x}/${tile.y}:`, error.message);
+        });
+        return { data, contentType: 'image/png', cache: 'STALE' };
+      } catch (error) {
+        // removed behind our back; fetch it again
+        this.forget(file);
+      }
+    }
+
+    const data = await this.fetchTile(provider, tile, file);
+    return { data, contentType: 'image/png', cache: 'MISS' };
+  }
+
+  /**
+   * Fetch a tile from the provider and write it to the cache
+   * @param {Object} provider - Weather provider adapter
+   * @param {Object} tile - Validated tile
+   * @param {string} file - Cache file
+   * @returns {Promise<Buffer>} - Tile image
+   */
+  fetchTile(provider, tile, file) {
+    if (this.pending.has(file)) return this.pending.get(file);
+
+    const request = (async () => {
+      const url = provider.tileLayer(tile.layer, tile.zoomCategory).url
+        .replace('{z}', tile.z)
+        .replace('{x}', tile.x)
+        .replace('{y}', tile.y);
+      const response = await httpClient.get(url, { responseType: 'arraybuffer' });
+      const data = Buffer.from(response.data);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file + '.tmp', data);
+      await fs.promises.rename(file + '.tmp', file);
+      this.remember(file, data.length, Date.now());
+      await this.evict();
+      return data;
+    })();
+
+    this.pending.set(file, request);
+    return request.finally(() => this.pending.delete(file));
+  }
+
+  /**
+   * Read the sizes and fetch times of the tiles already on disk
+   */
+  async loadIndex() {
+    if (this.index) return;
+    if (!this.indexing) {
+      this.indexing = (async () => {
+        const index = new Map();
+        const walk = async dir => {
+          const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+          for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) await walk(entryPath);
+            else if (entry.name.endsWith('.png')) {
+              const stat = await fs.promises.stat(entryPath);
+              index.set(entryPath, { size: stat.size, fetchedAt: stat.mtimeMs });
+            }
+          }
+        };
+        await walk(this.cacheDir);
+
+        this.index = index;
+        this.totalBytes = [...index.values()].reduce((total, entry) => total + entry.size, 0);
+        console.log(`TileService: ${index.size} cached tiles (${Math.round(this.totalBytes / 1024 / 1024)} MB) in ${this.cacheDir}`);
+      })();
+    }
+    await this.indexing;
+  }
+
+  /**
+   * Add a tile written to disk to the index
+   * @param {string} file - Cache file
+   * @param {number} size - Bytes
+   * @param {number} fetchedAt - Fetch time
+   */
+  remember(file, size, fetchedAt) {
+    this.forget(file);
+    this.index.set(file, { size, fetchedAt });
+    this.totalBytes += size;
+  }
+
+  /**
+   * Drop a tile from the index
+   * @param {string} file - Cache file
+   */
+  forget(file) {
+    const entry = this.index.get(file);
+    if (!entry) return;
+    this.index.delete(file);
+    this.totalBytes -= entry.size;
+  }
+
+  /**
+   * Remove the oldest tiles once the cache is over its size limit, down to 90% of it
+   */
+  async evict() {
+    if (this.totalBytes <= this.maxBytes) return;
+
+    const oldest = [...this.index.entries()].sort((a, b) => a[1].fetchedAt - b[1].fetchedAt);
+    for (const [file] of oldest) {
+      if (this.totalBytes <= this.maxBytes * 0.9) break;
+      this.forget(file);
+      await fs.promises.unlink(file).catch(() => {});
+    }
+  }
+}
+
+export default new TileService();
@@ -0,0 +1,390 @@
+import { httpClient } from './mockService.js';
+import { normalizeAirQuality } from './airQuality.js';
+import { normalizeHistory, climateNormals, normalsPeriod } from './climate.js';
+
+/**
+ * Weather Provider Adapters
+ * Each factory returns an adapter that fetches current conditions, forecasts, air quality and,
+ * where the API keeps an archive, daily history and climate normals from one weather API and
+ * normalizes them to the shapes WeatherService hands to the client
+ */
+
+/**
+ * Create an adapter for OpenWeatherMap (requires OPENWEATHERMAP_API_KEY)
+ * @param {Object} config - Provider config ({apiKey})
+ * @returns {Object} - Weather provider adapter
+ */
+export function createOpenWeatherMapProvider(config) {
+  const apiKey = config.apiKey;
+
+  // Tile layers by type and zoom category
+  const tileLayers = {
+    temperature: { legacy: 'temp_new', v2: 'TA2' },
+    precipitation: { legacy: 'precipitation_new', v2: 'PAC0' },
+    wind: { legacy: 'wind_new', v2: 'WND' },
+    cloud: { legacy: 'clouds_new', v2: 'CL' }
+  };
+
+  return {
+    name: 'openweathermap',
+    label: 'OpenWeatherMap',
+    capabilities: { tiles: true, history: false },
+
+    async getCurrentWeather(lat, lon) {
+      const response = await httpClient.get(
+        `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`
+      );
+      return this.normalizeCurrent(response.data);
+    },
+
+    async getForecast(lat, lon) {
+      const response = await httpClient.get(
+        `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`
+      );
+      return this.normalizeForecast(response.data);
+    },
+
+    async getAirQuality(lat, lon) {
+      const response = await httpClient.get(
+        `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lon}&appid=${apiKey}`
+      );
+      const current = response.data.list[0];
+      return normalizeAirQuality({
+        lat: response.data.coord.lat,
+        lon: response.data.coord.lon,
+        timestamp: current.dt * 1000,
+        components: current.components
+      });
+    },
+
+    /**
+     * Get the tile URL template for a layer
+     * @param {string} layerType - Layer type (temperature, precipitation, wind, cloud)
+     * @param {string} zoomCategory - Zoom category (GLOBAL, REGIONAL, LOCAL)
+     * @returns {Object|null} - Tile url and attribution
+     */
+    tileLayer(layerType, zoomCategory) {
+      const layer = tileLayers[layerType];
+      if (!layer) return null;
+
+      const urls = {
+        GLOBAL: `https://tile.openweathermap.org/map/${layer.legacy}/{z}/{x}/{y}.png?appid=${apiKey}`,
+        REGIONAL: `https://maps.openweathermap.org/maps/2.0/weather/${layer.v2}/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true`,
+        LOCAL: `https://maps.openweathermap.org/maps/2.0/weather/${layer.v2}/{z}/{x}/{y}?appid=${apiKey}&fill_bound=true&opacity=0.9`
+      };
+      if (!urls[zoomCategory]) return null;
+
+      return { url: urls[zoomCategory], attribution: '© OpenWeatherMap' };
+    },
+
+    normalizeCurrent(data) {
+      return {
+        type: 'current_weather',
+        location: {
+          name: data.name,
+          country: data.sys.country,
+          lat: data.coord.lat,
+          lon: data.coord.lon
+        },
+        weather: {
+          main: data.weather[0].main,
+          description: data.weather[0].description,
+          icon: data.weather[0].icon,
+          temperature: data.main.temp,
+          feels_like: data.main.feels_like,
+          humidity: data.main.humidity,
+          pressure: data.main.pressure,
+          wind_speed: data.wind.speed,
+          wind_direction: data.wind.deg,
+          clouds: data.clouds.all,
+          visibility: data.visibility
+        },
+        timestamp: data.dt * 1000, // Convert to milliseconds
+        sunrise: data.sys.sunrise * 1000,
+        sunset: data.sys.sunset * 1000
+      };
+    },
+
+    normalizeForecast(data) {
+      return {
+        type: 'forecast',
+        location: {
+          name: data.city.name,
+          country: data.city.country,
+          lat: data.city.coord.lat,
+          lon: data.city.coord.lon
+        },
+        forecast: data.list.map(item => ({
+          timestamp: item.dt * 1000,
+          temperature: item.main.temp,
+          feels_like: item.main.feels_like,
+          humidity: item.main.humidity,
+          pressure: item.main.pressure,
+          weather: {
+            main: item.weather[0].main,
+            description: item.weather[0].description,
+            icon: item.weather[0].icon
+          },
+          wind_speed: item.wind.speed,
+          wind_direction: item.wind.deg,
+          clouds: item.clouds.all,
+          precipitation: (item.rain?.['3h'] || 0) + (item.snow?.['3h'] || 0), // mm over the 3h step
+          pop: item.pop // Probability of precipitation
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * WMO weather interpretation codes used by Open-Meteo, mapped to OpenWeatherMap-style
+ * conditions so icons and descriptions look the same whichever provider is active
+ */
+const wmoCodes = {
+  0: { main: 'Clear', description: 'clear sky', icon: '01' },
+  1: { main: 'Clouds', description: 'mainly clear', icon: '02' },
+  2: { main: 'Clouds', description: 'partly cloudy', icon: '03' },
+  3: { main: 'Clouds', description: 'overcast clouds', icon: '04' },
+  45: { main: 'Fog', description: 'fog', icon: '50' },
+  48: { main: 'Fog', description: 'depositing rime fog', icon: '50' },
+  51: { main: 'Drizzle', description: 'light drizzle', icon: '09' },
+  53: { main: 'Drizzle', description: 'drizzle', icon: '09' },
+  55: { main: 'Drizzle', description: 'dense drizzle', icon: '09' },
+  56: { main: 'Drizzle', description: 'light freezing drizzle', icon: '09' },
+  57: { main: 'Drizzle', description: 'freezing drizzle', icon: '09' },
+  61: { main: 'Rain', description: 'light rain', icon: '10' },
+  63: { main: 'Rain', description: 'moderate rain', icon: '10' },
+  65: { main: 'Rain', description: 'heavy rain', icon: '10' },
+  66: { main: 'Rain', description: 'light freezing rain', icon: '13' },
+  67: { main: 'Rain', description: 'freezing rain', icon: '13' },
+  71: { main: 'Snow', description: 'light snow', icon: '13' },
+  73: { main: 'Snow', description: 'snow', icon: '13' },
+  75: { main: 'Snow', description: 'heavy snow', icon: '13' },
+  77: { main: 'Snow', description: 'snow grains', icon: '13' },
+  80: { main: 'Rain', description: 'light shower rain', icon: '09' },
+  81: { main: 'Rain', description: 'shower rain', icon: '09' },
+  82: { main: 'Rain', description: 'heavy shower rain', icon: '09' },
+  85: { main: 'Snow', description: 'light shower snow', icon: '13' },
+  86: { main: 'Snow', description: 'shower snow', icon: '13' },
+  95: { main: 'Thunderstorm', description: 'thunderstorm', icon: '11' },
+  96: { main: 'Thunderstorm', description: 'thunderstorm with hail', icon: '11' },
+  99: { main: 'Thunderstorm', description: 'thunderstorm with heavy hail', icon: '11' }
+};
+
+/**
+ * Describe a WMO weather code in the normalized weather shape
+ * @param {number} code - WMO weather code
+ * @param {number} isDay - 1 during daytime, 0 at night
+ * @returns {Object} - main, description and icon
+ */
+function describeWeatherCode(code, isDay) {
+  const condition = wmoCodes[code] || { main: 'Unknown', description: 'unknown', icon: '03' };
+  return {
+    main: condition.main,
+    description: condition.description,
+    icon: condition.icon + (isDay === 0 ? 'n' : 'd')
+  };
+}
+
+/**
+ * Create an adapter for Open-Meteo (no API key required)
+ * @param {Object} config - Provider config ({baseURL, airQualityURL, archiveURL})
+ * @returns {Object} - Weather provider adapter
+ */
+export function createOpenMeteoProvider(config) {
+  const baseURL = config.baseURL || 'https://api.open-meteo.com/v1';
+  const airQualityURL = config.airQualityURL || 'https://air-quality-api.open-meteo.com/v1';
+  const archiveURL = config.archiveURL || 'https://archive-api.open-meteo.com/v1';
+
+  return {
+    name: 'openmeteo',
+    label: 'Open-Meteo',
+    capabilities: { tiles: false, history: true },
+
+    async getCurrentWeather(lat, lon) {
+      const response = await httpClient.get(`${baseURL}/forecast`, {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          current: 'temperature_2m,apparent_temperature,relative_humidity_2m,pressure_msl,weather_code,is_day,' +
+            'wind_speed_10m,wind_direction_10m,cloud_cover,precipitation',
+          hourly: 'visibility',
+          daily: 'sunrise,sunset',
+          forecast_days: 1,
+          wind_speed_unit: 'ms',
+          timeformat: 'unixtime',
+          timezone: 'auto'
+        }
+      });
+      return this.normalizeCurrent(response.data);
+    },
+
+    async getForecast(lat, lon) {
+      const response = await httpClient.get(`${baseURL}/forecast`, {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          hourly: 'temperature_2m,apparent_temperature,relative_humidity_2m,pressure_msl,weather_code,is_day,' +
+            'wind_speed_10m,wind_direction_10m,cloud_cover,precipitation,precipitation_probability',
+          forecast_days: 6,
+          wind_speed_unit: 'ms',
+          timeformat: 'unixtime',
+          timezone: 'GMT'
+        }
+      });
+      return this.normalizeForecast(response.data);
+    },
+
+    async getAirQuality(lat, lon) {
+      const response = await httpClient.get(`${airQualityURL}/air-quality`, {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          current: 'pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide,carbon_monoxide',
+          timeformat: 'unixtime'
+        }
+      });
+      const current = response.data.current;
+      return normalizeAirQuality({
+        lat: response.data.latitude,
+        lon: response.data.longitude,
+        timestamp: current.time * 1000,
+        components: {
+          pm2_5: current.pm2_5,
+          pm10: current.pm10,
+          o3: current.ozone,
+          no2: current.nitrogen_dioxide,
+          so2: current.sulphur_dioxide,
+          co: current.carbon_monoxide
+        }
+      });
+    },
+
+    async getHistoricalWeather(lat, lon, from, to) {
+      return this.fetchDaily(lat, lon, from, to);
+    },
+
+    async getClimateNormals(lat, lon) {
+      const history = await this.fetchDaily(lat, lon, normalsPeriod.from, normalsPeriod.to);
+      return climateNormals({ lat: history.location.lat, lon: history.location.lon, days: history.days });
+    },
+
+    /**
+     * Fetch daily values from the ERA5 reanalysis archive
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} from - First day, YYYY-MM-DD
+     * @param {string} to - Last day, YYYY-MM-DD
+     * @returns {Promise<Object>} - Normalized history
+     */
+    async fetchDaily(lat, lon, from, to) {
+      const response = await httpClient.get(`${archiveURL}/archive`, {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          start_date: from,
+          end_date: to,
+          daily: 'temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,wind_speed_10m_max',
+          wind_speed_unit: 'ms',
+          timezone: 'GMT'
+        }
+      });
+      const daily = response.data.daily;
+      return normalizeHistory({
+        lat: response.data.latitude,
+        lon: response.data.longitude,
+        daily: {
+          time: daily.time,
+          temperature_max: daily.temperature_2m_max,
+          temperature_min: daily.temperature_2m_min,
+          temperature_mean: daily.temperature_2m_mean,
+          precipitation: daily.precipitation_sum,
+          wind_speed_max: daily.wind_speed_10m_max
+        }
+      });
+    },
+
+    tileLayer() {
+      return null;
+    },
+
+    normalizeCurrent(data) {
+      const current = data.current;
+
+      // Visibility is only published hourly; use the hour we are in
+      const hourIndex = data.hourly?.time ? data.hourly.time.findIndex(time => time > current.time) - 1 : -1;
+
+      return {
+        type: 'current_weather',
+        location: {
+          name: '',
+          country: '',
+          lat: data.latitude,
+          lon: data.longitude
+        },
+        weather: {
+          ...describeWeatherCode(current.weather_code, current.is_day),
+          temperature: current.temperature_2m,
+          feels_like: current.apparent_temperature,
+          humidity: current.relative_humidity_2m,
+          pressure: current.pressure_msl,
+          wind_speed: current.wind_speed_10m,
+          wind_direction: current.wind_direction_10m,
+          clouds: current.cloud_cover,
+          visibility: hourIndex >= 0 ? data.hourly.visibility[hourIndex] : null
+        },
+        timestamp: current.time * 1000,
+        sunrise: data.daily.sunrise[0] * 1000,
+        sunset: data.daily.sunset[0] * 1000
+      };
+    },
+
+    /**
+     * Open-Meteo forecasts are hourly; group them into the 3-hourly steps OpenWeatherMap returns
+     */
+    normalizeForecast(data) {
+      const hourly = data.hourly;
+      const now = Date.now() / 1000;
+      const forecast = [];
+
+      hourly.time.forEach((time, i) => {
+        // Steps start on UTC hours divisible by 3, like OpenWeatherMap's
+        if (time <= now || (time / 3600) % 3 !== 0 || forecast.length >= 40) return;
+
+        const window = [i, i + 1, i + 2].filter(index => index < hourly.time.length);
+        forecast.push({
+          timestamp: time * 1000,
+          temperature: hourly.temperature_2m[i],
+          feels_like: hourly.apparent_temperature[i],
+          humidity: hourly.relative_humidity_2m[i],
+          pressure: hourly.pressure_msl[i],
+          weather: describeWeatherCode(hourly.weather_code[i], hourly.is_day[i]),
+          wind_speed: hourly.wind_speed_10m[i],
+          wind_direction: hourly.wind_direction_10m[i],
+          clouds: hourly.cloud_cover[i],
+          precipitation: window.reduce((total, index) => total + (hourly.precipitation[index] || 0), 0), // mm over the 3h step
+          pop: Math.max(...window.map(index => hourly.precipitation_probability[index] || 0)) / 100
+        });
+      });
+
+      return {
+        type: 'forecast',
+        location: {
+          name: '',
+          country: '',
+          lat: data.latitude,
+          lon: data.longitude
+        },
+        forecast
+      };
+    }
+  };
+}
+
+/**
+ * Adapter factories by provider name
+ */
+export const weatherProviderFactories = {
+  openweathermap: createOpenWeatherMapProvider,
+  openmeteo: createOpenMeteoProvider
+};
@@ -1,12 +1,21 @@
-import axios from 'axios';
 import NodeCache from 'node-cache';
 import dotenv from 'dotenv';
+import cities from './cityData.js';
+import { weatherProviderFactories } from './weatherProviders.js';
+import { parseDateRange } from './climate.js';
+import { parseWildfireQuery, firmsSources, firmsAreas, mergeDetections } from './wildfires.js';
+import { normalizeForecastTrack, normalizeBestTrack } from './stormTracks.js';
+import { mockMode, httpClient } from './mockService.js';
 
 dotenv.config();
 
 // Initialize cache with TTL of 30 minutes
 const weatherCache = new NodeCache({ stdTTL: 1800 });
 
+// The past doesn't change: history is kept for a day, normals for a month
+const historyTTL = 24 * 60 * 60;
+const normalsTTL = 30 * 24 * 60 * 60;
+
 /**
  * Weather Service
  * Handles fetching and normalizing data from various weather APIs
@@ -16,6 +25,56 @@ class WeatherService {
     this.openWeatherMapKey = process.env.OPENWEATHERMAP_API_KEY;
     this.noaaApiKey = process.env.NOAA_API_KEY;
     this.nasaFirmsApiKey = process.env.NASA_FIRMS_API_KEY;
+    
+    // Use OpenWeatherMap when a key is configured (or its fixtures in mock mode), the keyless Open-Meteo otherwise
+    this.providerName = process.env.WEATHER_PROVIDER ||
+      (this.openWeatherMapKey || mockMode ? 'openweathermap' : 'openmeteo');
+    this.provider = this.createProvider(this.providerName);
+    console.log(`WeatherService: Using ${this.provider.label} weather provider`);
+  }
+
+  /**
+   * Create a weather provider adapter by name
+   * @param {string} name - Provider name (openweathermap, openmeteo)
+   * @returns {Object} - Weather provider adapter
+   */
+  createProvider(name) {
+    const factory = weatherProviderFactories[name];
+    if (!factory) {
+      console.error(`WeatherService: Unknown weather provider ${name}, using Open-Meteo`);
+      return weatherProviderFactories.openmeteo({});
+    }
+    return factory({
+      apiKey: this.openWeatherMapKey,
+      baseURL: process.env.OPEN_METEO_URL,
+      airQualityURL: process.env.OPEN_METEO_AIR_QUALITY_URL,
+      archiveURL: process.env.OPEN_METEO_ARCHIVE_URL
+    });
+  }
+
+  /**
+   * Get the provider that serves history and climate normals. OpenWeatherMap sells its
+   * archive separately, so history comes from the keyless Open-Meteo archive otherwise.
+   * @returns {Object} - Weather provider adapter
+   */
+  getHistoryProvider() {
+    if (this.provider.capabilities.history) return this.provider;
+    if (!this.historyProvider) this.historyProvider = this.createProvider('openmeteo');
+    return this.historyProvider;
+  }
+
+  /**
+   * Get the provider that serves map tiles. Open-Meteo has no tile service,
+   * so tiles come from OpenWeatherMap whenever a key is configured.
+   * @returns {Object|null} - Weather provider adapter
+   */
+  getTileProvider() {
+    if (this.provider.capabilities.tiles) return this.provider;
+    if (this.openWeatherMapKey || mockMode) {
+      if (!this.tileProvider) this.tileProvider = this.createProvider('openweathermap');
+      return this.tileProvider;
+    }
+    return null;
   }
 
   /**
@@ -25,7 +84,7 @@ class WeatherService {
    * @returns {Promise<Object>} - Normalized weather data
    */
   async getCurrentWeather(lat, lon) {
-    const cacheKey = `current_weather_${lat}_${lon}`;
+    const cacheKey = `current_weather_${this.provider.name}_${lat}_${lon}`;
     
     // Check cache first
     const cachedData = weatherCache.get(cacheKey);
@@ -35,13 +94,9 @@ class WeatherService {
     }
     
     try {
-      console.log(`WeatherService: Fetching real weather data for lat=${lat}, lon=${lon}`);
-      const response = await axios.get(
-        `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${this.openWeatherMapKey}&units=metric`
-      );
-      
-      // Normalize the data
-      const normalizedData = this.normalizeOpenWeatherData(response.data);
+      console.log(`WeatherService: Fetching weather data for lat=${lat}, lon=${lon}`);
+      // Fetch normalized data from the active provider
+      const normalizedData = await this.provider.getCurrentWeather(lat, lon);
       
       // Cache the result
       weatherCache.set(cacheKey, normalizedData);
@@ -49,49 +104,126 @@ class WeatherService {
       return normalizedData;
     } catch (error) {
       console.error('Error fetching current weather:', error.message);
-      
-      // Fallback to fake data when API fails (rate limits, network issues, etc.)
-      console.warn('Using fallback weather data due to API error');
-      return this.getFakeWeatherData(lat, lon);
+      throw new Error('Failed to fetch weather data');
     }
   }
 
   /**
-   * Get fake weather data for testing purposes
+   * Get current air quality for a location
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
-   * @returns {Object} - Fake weather data in normalized format
+   * @returns {Promise<Object>} - US EPA AQI, its category and the pollutant breakdown
    */
-  getFakeWeatherData(lat, lon) {
-    console.log('WeatherService: Generating fake weather data');
-    return {
-      type: 'current_weather',
-      location: {
-        name: 'Test Location',
-        country: 'Test Country',
-        lat: lat,
-        lon: lon
-      },
-      weather: {
-        main: 'Clear',
-        description: 'clear sky',
-        icon: '01d',
-        temperature: 25,
-        feels_like: 26,
-        humidity: 60,
-        pressure: 1015,
-        wind_speed: 5,
-        wind_direction: 90,
-        clouds: 20,
-        visibility: 10000,
-        rain: {
-          '1h': 0
-        }
-      },
-      timestamp: Date.now(),
-      sunrise: Date.now() - 21600000, // 6 hours ago
-      sunset: Date.now() + 21600000   // 6 hours from now
-    };
+  async getAirQuality(lat, lon) {
+    const cacheKey = `air_quality_${this.provider.name}_${lat}_${lon}`;
+    
+    // Check cache first
+    const cachedData = weatherCache.get(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+    
+    try {
+      const normalizedData = await this.provider.getAirQuality(lat, lon);
+      
+      // Cache the result
+      weatherCache.set(cacheKey, normalizedData);
+      
+      return normalizedData;
+    } catch (error) {
+      console.error('Error fetching air quality:', error.message);
+      throw new Error('Failed to fetch air quality data');
+    }
+  }
+
+  /**
+   * Get current air quality for the largest cities in a viewport
+   * @param {Object} params - Request parameters
+   * @param {Object} params.bounds - Viewport bounds ({north, south, east, west})
+   * @param {number} params.zoom - Map zoom level, used to pick the population threshold
+   * @param {number} params.limit - Maximum number of cities to return
+   * @returns {Promise<Array>} - Cities with their AQI and category
+   */
+  async getCityAirQuality(params) {
+    const visibleCities = this.visibleCities(params);
+    
+    // Cities whose lookup fails are left out
+    const results = await Promise.allSettled(visibleCities.map(async city => {
+      const airQuality = await this.getAirQuality(city.lat, city.lon);
+      
+      return {
+        ...city,
+        aqi: airQuality.aqi,
+        category: airQuality.category,
+        dominant: airQuality.dominant,
+        timestamp: airQuality.timestamp
+      };
+    }));
+    
+    return results
+      .filter(result => result.status === 'fulfilled' && result.value.aqi !== null)
+      .map(result => result.value);
+  }
+
+  /**
+   * Get the largest cities in a viewport
+   * @param {Object} params - {bounds, zoom, limit}
+   * @returns {Array} - Cities, largest first
+   */
+  visibleCities(params) {
+    const { bounds, zoom = 0, limit = 40 } = params;
+    
+    // Smaller cities appear as the map zooms in
+    const populationThresholds = [
+      { zoom: 2, population: 10000000 },
+      { zoom: 3, population: 5000000 },
+      { zoom: 4, population: 2000000 },
+      { zoom: 5, population: 1000000 },
+      { zoom: 6, population: 500000 }
+    ];
+    const threshold = populationThresholds.find(level => zoom < level.zoom);
+    const minPopulation = threshold ? threshold.population : 0;
+    
+    // A viewport crossing the antimeridian has west > east
+    const inLongitude = bounds.west <= bounds.east
+      ? lon => lon >= bounds.west && lon <= bounds.east
+      : lon => lon >= bounds.west || lon <= bounds.east;
+    
+    return cities
+      .filter(city => city.population >= minPopulation)
+      .filter(city => city.lat <= bounds.north && city.lat >= bounds.south && inLongitude(city.lon))
+      .sort((a, b) => b.population - a.population)
+      .slice(0, Math.min(limit, 60));
+  }
+
+  /**
+   * Get current conditions for the largest cities in a viewport
+   * @param {Object} params - Request parameters
+   * @param {Object} params.bounds - Viewport bounds ({north, south, east, west})
+   * @param {number} params.zoom - Map zoom level, used to pick the population threshold
+   * @param {number} params.limit - Maximum number of cities to return
+   * @returns {Promise<Array>} - Cities with their current temperature and conditions
+   */
+  async getCityWeather(params) {
+    const visibleCities = this.visibleCities(params);
+    
+    // Cities whose lookup fails are left out
+    const results = await Promise.allSettled(visibleCities.map(async city => {
+      const weatherData = await this.getCurrentWeather(city.lat, city.lon);
+      
+      return {
+        ...city,
+        temperature: weatherData.weather.temperature,
+        main: weatherData.weather.main,
+        description: weatherData.weather.description,
+        icon: weatherData.weather.icon,
+        timestamp: weatherData.timestamp
+      };
+    }));
+    
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value);
   }
 
   /**
@@ -101,7 +233,7 @@ class WeatherService {
    * @returns {Promise<Object>} - Normalized forecast data
    */
   async getWeatherForecast(lat, lon) {
-    const cacheKey = `forecast_${lat}_${lon}`;
+    const cacheKey = `forecast_${this.provider.name}_${lat}_${lon}`;
     
     // Check cache first
     const cachedData = weatherCache.get(cacheKey);
@@ -110,12 +242,8 @@ class WeatherService {
     }
     
     try {
-      const response = await axios.get(
-        `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${this.openWeatherMapKey}&units=metric`
-      );
-      
-      // Normalize the data
-      const normalizedData = this.normalizeForecastData(response.data);
+      // Fetch normalized data from the active provider
+      const normalizedData = await this.provider.getForecast(lat, lon);
       
       // Cache the result
       weatherCache.set(cacheKey, normalizedData);
@@ -127,6 +255,147 @@ class WeatherService {
     }
   }
 
+  /**
+   * Get daily weather history for a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} from - First day, YYYY-MM-DD
+   * @param {string} to - Last day, YYYY-MM-DD, at most 366 days after from
+   * @returns {Promise<Object>} - Daily temperature, precipitation and wind
+   * @throws {Error} - When the range is not valid, or the archive can't be reached
+   */
+  async getHistoricalWeather(lat, lon, from, to) {
+    parseDateRange(from, to);
+    const provider = this.getHistoryProvider();
+    const cacheKey = `history_${provider.name}_${lat}_${lon}_${from}_${to}`;
+    
+    // Check cache first
+    const cachedData = weatherCache.get(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+    
+    try {
+      const normalizedData = await provider.getHistoricalWeather(lat, lon, from, to);
+      
+      // Cache the result
+      weatherCache.set(cacheKey, normalizedData, historyTTL);
+      
+      return normalizedData;
+    } catch (error) {
+      console.error('Error fetching historical weather:', error.message);
+      throw new Error('Failed to fetch historical weather data');
+    }
+  }
+
+  /**
+   * Get monthly climate normals (1991-2020) for a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} - Mean daily temperatures and mean total precipitation per month
+   */
+  async getClimateNormals(lat, lon) {
+    const provider = this.getHistoryProvider();
+    // The archive grid is about 10 km, so nearby clicks share their normals
+    const [gridLat, gridLon] = [lat, lon].map(value => Math.round(value * 10) / 10);
+    const cacheKey = `normals_${provider.name}_${gridLat}_${gridLon}`;
+    
+    // Check cache first
+    const cachedData = weatherCache.get(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+    
+    try {
+      console.log(`WeatherService: Fetching climate normals for lat=${gridLat}, lon=${gridLon}`);
+      const normalizedData = await provider.getClimateNormals(gridLat, gridLon);
+      
+      // Cache the result
+      weatherCache.set(cacheKey, normalizedData, normalsTTL);
+      
+      return normalizedData;
+    } catch (error) {
+      console.error('Error fetching climate normals:', error.message);
+      throw new Error('Failed to fetch climate normals');
+    }
+  }
+
+  /**
+   * Get forecasts for a grid of points covering a map viewport
+   * @param {Object} params - Request parameters
+   * @param {Object} params.bounds - Viewport bounds ({north, south, east, west})
+   * @param {string} params.zoomCategory - Zoom category (GLOBAL, REGIONAL, LOCAL)
+   * @returns {Promise<Object>} - Shared 3-hourly steps and the forecast at each grid point
+   */
+  async getForecastGrid(params) {
+    const { bounds, zoomCategory } = params;
+    
+    // Grid density per zoom category, kept small since each point is one forecast call
+    const gridSizes = {
+      GLOBAL: { rows: 4, cols: 6 },
+      REGIONAL: { rows: 4, cols: 5 },
+      LOCAL: { rows: 3, cols: 3 }
+    };
+    const { rows, cols } = gridSizes[zoomCategory] || gridSizes.REGIONAL;
+    
+    const north = Math.min(bounds.north, 85);
+    const south = Math.max(bounds.south, -85);
+    const west = Math.max(bounds.west, -180);
+    const east = Math.min(bounds.east, 180);
+    const latStep = (north - south) / rows;
+    // west > east when the bounds cross the antimeridian
+    const lonStep = (east > west ? east - west : east - west + 360) / cols;
+    const wrap = lon => lon > 180 ? lon - 360 : lon;
+    
+    // Sample the center of each cell, rounded so nearby viewports share cached forecasts
+    const precision = zoomCategory === 'LOCAL' ? 100 : 10;
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        cells.push({
+          lat: Math.round((south + latStep * (row + 0.5)) * precision) / precision,
+          lon: Math.round(wrap(west + lonStep * (col + 0.5)) * precision) / precision
+        });
+      }
+    }
+    
+    const results = await Promise.allSettled(cells.map(cell => this.getWeatherForecast(cell.lat, cell.lon)));
+    const forecasts = results
+      .map((result, i) => result.status === 'fulfilled' ? { ...cells[i], data: result.value } : null)
+      .filter(Boolean);
+    
+    if (forecasts.length === 0) {
+      throw new Error('Failed to fetch forecast grid data');
+    }
+    
+    // Steps shared by every point (forecasts fetched at different times may be offset by one step)
+    const steps = forecasts[0].data.forecast
+      .map(step => step.timestamp)
+      .filter(timestamp => forecasts.every(point => point.data.forecast.some(step => step.timestamp === timestamp)));
+    
+    return {
+      type: 'forecast_grid',
+      bounds: { north, south, east, west },
+      cellSize: { lat: latStep, lon: lonStep },
+      steps,
+      points: forecasts.map(point => ({
+        lat: point.lat,
+        lon: point.lon,
+        name: point.data.location.name,
+        forecast: steps.map(timestamp => {
+          const step = point.data.forecast.find(item => item.timestamp === timestamp);
+          return {
+            temperature: step.temperature,
+            precipitation: step.precipitation,
+            pop: step.pop,
+            wind_speed: step.wind_speed,
+            wind_direction: step.wind_direction
+          };
+        })
+      }))
+    };
+  }
+
   /**
    * Get hurricane data from NOAA
    * @returns {Promise<Array>} - Array of active hurricanes
@@ -142,15 +411,19 @@ class WeatherService {
     
     try {
       // NOAA API endpoint for active hurricanes
-      const response = await axios.get(
+      const response = await httpClient.get(
         `https://www.nhc.noaa.gov/CurrentStorms.json`,
         {
           headers: this.noaaApiKey ? { 'token': this.noaaApiKey } : {}
         }
       );
       
+      // Tracks and cones are published per storm as GIS archives
+      const storms = Array.isArray(response.data.activeStorms) ? response.data.activeStorms : [];
+      const tracks = await Promise.all(storms.map(storm => this.getStormTracks(storm)));
+      
       // Normalize the data
-      const normalizedData = this.normalizeHurricaneData(response.data);
+      const normalizedData = this.normalizeHurricaneData(response.data, tracks);
       
       // Cache the result
       weatherCache.set(cacheKey, normalizedData);
@@ -163,12 +436,41 @@ class WeatherService {
   }
 
   /**
-   * Get wildfire data from NASA FIRMS
-   * @param {number} days - Number of days to look back (1-10)
-   * @returns {Promise<Array>} - Array of wildfire data
+   * Get the forecast track, cone and best track of a storm from its NHC GIS archives
+   * @param {Object} storm - Storm from CurrentStorms.json
+   * @returns {Promise<Object>} - {path, forecast, cone}; a product that can't be read is left empty
    */
-  async getWildfireData(days = 1) {
-    const cacheKey = `wildfire_data_${days}`;
+  async getStormTracks(storm) {
+    const forecastArchive = (storm.forecastTrack && storm.forecastTrack.zipFile) || (storm.trackCone && storm.trackCone.zipFile);
+    const issuance = storm.forecastTrack && storm.forecastTrack.issuance;
+    const bestTrackArchive = storm.bestTrackGIS && storm.bestTrackGIS.zipFile;
+    
+    const [forecastResult, bestTrackResult] = await Promise.allSettled([
+      forecastArchive
+        ? this.getStormArchive(forecastArchive).then(buffer => normalizeForecastTrack(buffer, issuance ? new Date(issuance).getTime() : NaN))
+        : { forecast: [], cone: null },
+      bestTrackArchive ? this.getStormArchive(bestTrackArchive).then(normalizeBestTrack) : []
+    ]);
+    
+    [forecastResult, bestTrackResult]
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`Error reading tracks of ${storm.name}:`, result.reason.message));
+    
+    const { forecast, cone } = forecastResult.status === 'fulfilled' ? forecastResult.value : { forecast: [], cone: null };
+    return {
+      path: bestTrackResult.status === 'fulfilled' ? bestTrackResult.value : [],
+      forecast,
+      cone
+    };
+  }
+
+  /**
+   * Download an NHC GIS archive
+   * @param {string} url - Zip file URL; advisory archives are versioned, so they are cached by URL
+   * @returns {Promise<Buffer>} - Archive contents
+   */
+  async getStormArchive(url) {
+    const cacheKey = `storm_archive_${url}`;
     
     // Check cache first
     const cachedData = weatherCache.get(cacheKey);
@@ -176,23 +478,57 @@ class WeatherService {
       return cachedData;
     }
     
-    try {
+    const response = await httpClient.get(url, { responseType: 'arraybuffer' });
+    const archive = Buffer.from(response.data);
+    
+    // Cache the result
+    weatherCache.set(cacheKey, archive);
+    
+    return archive;
+  }
+
+  /**
+   * Get wildfire hotspots from NASA FIRMS
+   * @param {Object} query - {bbox, countries, sensors, days}, see parseWildfireQuery
+   * @returns {Promise<Array>} - Hotspots merged across sensors
+   * @throws {Error} - When the query is not valid, or no sensor could be reached
+   */
+  async getWildfireData(query = {}) {
+    const { bbox, countries, sensors, days } = parseWildfireQuery(query);
+    // one FIRMS request per sensor and area (or country)
+    const requests = sensors.flatMap(sensor => countries
+      ? countries.map(country => ({ sensor, path: `country/csv/${this.nasaFirmsApiKey}/${firmsSources[sensor]}/${country}/${days}` }))
+      : firmsAreas(bbox).map(area => ({ sensor, path: `area/csv/${this.nasaFirmsApiKey}/${firmsSources[sensor]}/${area}/${days}` })));
+    
+    const results = await Promise.allSettled(requests.map(async ({ sensor, path }) => {
+      const cacheKey = `wildfire_${path}`;
+      
+      // Check cache first
+      const cachedData = weatherCache.get(cacheKey);
+      if (cachedData) {
+        return cachedData;
+      }
+      
       // NASA FIRMS API for wildfire data
-      const response = await axios.get(
-        `https://firms.modaps.eosdis.nasa.gov/api/country/csv/${this.nasaFirmsApiKey}/VIIRS_SNPP_NRT/USA/${days}`,
-      );
+      const response = await httpClient.get(`https://firms.modaps.eosdis.nasa.gov/api/${path}`);
       
       // Parse CSV response and normalize
-      const normalizedData = this.normalizeWildfireData(response.data);
+      const normalizedData = this.normalizeWildfireData(response.data, sensor);
       
       // Cache the result
       weatherCache.set(cacheKey, normalizedData);
       
       return normalizedData;
-    } catch (error) {
-      console.error('Error fetching wildfire data:', error.message);
+    }));
+    
+    // A sensor that can't be reached is left out, unless none can
+    const failed = results.filter(result => result.status === 'rejected');
+    failed.forEach(result => console.error('Error fetching wildfire data:', result.reason.message));
+    if (failed.length === results.length) {
       throw new Error('Failed to fetch wildfire data');
     }
+    
+    return mergeDetections(results.filter(result => result.status === 'fulfilled').map(result => result.value));
   }
 
   /**
@@ -210,7 +546,7 @@ class WeatherService {
     
     try {
       // Earth Observatory events feed
-      const response = await axios.get(
+      const response = await httpClient.get(
         'https://eonet.gsfc.nasa.gov/api/v3/events'
       );
       
@@ -277,68 +613,13 @@ class WeatherService {
         }
       };
       
-      // Layer-specific URLs and configurations
-      const layerConfigs = {
-        temperature: {
-          GLOBAL: {
-            url: `https://tile.openweathermap.org/map/temp_new/{z}/{x}/{y}.png?appid=${this.openWeatherMapKey}`,
-            attribution: '© OpenWeatherMap'
-          },
-          REGIONAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true`,
-            attribution: '© OpenWeatherMap'
-          },
-          LOCAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/TA2/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true&opacity=0.9`,
-            attribution: '© OpenWeatherMap'
-          }
-        },
-        precipitation: {
-          GLOBAL: {
-            url: `https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${this.openWeatherMapKey}`,
-            attribution: '© OpenWeatherMap'
-          },
-          REGIONAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true`,
-            attribution: '© OpenWeatherMap'
-          },
-          LOCAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/PAC0/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true&opacity=0.9`,
-            attribution: '© OpenWeatherMap'
-          }
-        },
-        wind: {
-          GLOBAL: {
-            url: `https://tile.openweathermap.org/map/wind_new/{z}/{x}/{y}.png?appid=${this.openWeatherMapKey}`,
-            attribution: '© OpenWeatherMap'
-          },
-          REGIONAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true`,
-            attribution: '© OpenWeatherMap'
-          },
-          LOCAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/WND/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true&opacity=0.9`,
-            attribution: '© OpenWeatherMap'
-          }
-        },
-        cloud: {
-          GLOBAL: {
-            url: `https://tile.openweathermap.org/map/clouds_new/{z}/{x}/{y}.png?appid=${this.openWeatherMapKey}`,
-            attribution: '© OpenWeatherMap'
-          },
-          REGIONAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true`,
-            attribution: '© OpenWeatherMap'
-          },
-          LOCAL: {
-            url: `https://maps.openweathermap.org/maps/2.0/weather/CL/{z}/{x}/{y}?appid=${this.openWeatherMapKey}&fill_bound=true&opacity=0.9`,
-            attribution: '© OpenWeatherMap'
-          }
-        }
-      };
+      const tileProvider = this.getTileProvider();
+      if (!tileProvider) {
+        throw new Error('Weather tiles require an OpenWeatherMap API key');
+      }
       
       // Get config for requested layer and zoom
-      const config = layerConfigs[layerType]?.[zoomCategory];
+      const config = tileProvider.tileLayer(layerType, zoomCategory);
       const resolution = resolutions[zoomCategory];
       
       if (!config || !resolution) {
@@ -353,9 +634,9 @@ class WeatherService {
         tileCoverage = this.calculateTileCoverage(bounds, midZoom);
       }
       
-      // Create metadata response
+      // Tiles are proxied so the provider key never reaches the browser
       const metadata = {
-        url: config.url,
+        url: `/api/weather/tile/${layerType}/{z}/{x}/{y}?zoom=${zoomCategory}`,
         tileSize: resolution.tileSize,
         minZoom: resolution.minZoom,
         maxZoom: resolution.maxZoom,
@@ -410,119 +691,55 @@ class WeatherService {
     };
   }
 
-  /**
-   * Normalize data from OpenWeatherMap
-   * @param {Object} data - Raw API data
-   * @returns {Object} - Normalized data
-   */
-  normalizeOpenWeatherData(data) {
-    return {
-      type: 'current_weather',
-      location: {
-        name: data.name,
-        country: data.sys.country,
-        lat: data.coord.lat,
-        lon: data.coord.lon
-      },
-      weather: {
-        main: data.weather[0].main,
-        description: data.weather[0].description,
-        icon: data.weather[0].icon,
-        temperature: data.main.temp,
-        feels_like: data.main.feels_like,
-        humidity: data.main.humidity,
-        pressure: data.main.pressure,
-        wind_speed: data.wind.speed,
-        wind_direction: data.wind.deg,
-        clouds: data.clouds.all,
-        visibility: data.visibility
-      },
-      timestamp: data.dt * 1000, // Convert to milliseconds
-      sunrise: data.sys.sunrise * 1000,
-      sunset: data.sys.sunset * 1000
-    };
-  }
-
-  /**
-   * Normalize forecast data
-   * @param {Object} data - Raw API data
-   * @returns {Object} - Normalized data
-   */
-  normalizeForecastData(data) {
-    return {
-      type: 'forecast',
-      location: {
-        name: data.city.name,
-        country: data.city.country,
-        lat: data.city.coord.lat,
-        lon: data.city.coord.lon
-      },
-      forecast: data.list.map(item => ({
-        timestamp: item.dt * 1000,
-        temperature: item.main.temp,
-        feels_like: item.main.feels_like,
-        humidity: item.main.humidity,
-        pressure: item.main.pressure,
-        weather: {
-          main: item.weather[0].main,
-          description: item.weather[0].description,
-          icon: item.weather[0].icon
-        },
-        wind_speed: item.wind.speed,
-        wind_direction: item.wind.deg,
-        clouds: item.clouds.all,
-        pop: item.pop // Probability of precipitation
-      }))
-    };
-  }
-
   /**
    * Normalize hurricane data
-   * @param {Object} data - Raw API data
+   * @param {Object} data - NHC CurrentStorms.json: the latest advisory per storm, with its
+   *   intensity in kt, pressure in mb and movement as a heading in degrees and a speed in mph
+   * @param {Array} tracks - {path, forecast, cone} per storm, in feed order, see getStormTracks
    * @returns {Array} - Normalized hurricane data
    */
-  normalizeHurricaneData(data) {
+  normalizeHurricaneData(data, tracks = []) {
     if (!data.activeStorms || !Array.isArray(data.activeStorms)) {
       return [];
     }
     
-    return data.activeStorms.map(storm => ({
-      type: 'hurricane',
-      id: storm.id || `hurricane-${Date.now()}`,
-      name: storm.name,
-      category: storm.classification || 'Unknown',
-      location: {
-        lat: storm.lat,
-        lon: storm.lon
-      },
-      movement: {
-        direction: storm.movement.direction,
-        speed: storm.movement.speed
-      },
-      pressure: storm.pressure,
-      wind_speed: storm.windSpeed,
-      path: storm.track.map(point => ({
-        lat: point.lat,
-        lon: point.lon,
-        timestamp: new Date(point.time).getTime(),
-        wind_speed: point.windSpeed
-      })),
-      forecast: storm.forecast.map(point => ({
-        lat: point.lat,
-        lon: point.lon,
-        timestamp: new Date(point.time).getTime(),
-        wind_speed: point.windSpeed,
-        category: point.category
-      }))
-    }));
+    const toNumber = value => value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+    const compass = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    
+    return data.activeStorms.map((storm, index) => {
+      const track = tracks[index] || {};
+      const heading = toNumber(storm.movementDir);
+      const speed = toNumber(storm.movementSpeed);
+      return {
+        type: 'hurricane',
+        id: storm.id || `hurricane-${Date.now()}`,
+        name: storm.name,
+        category: storm.classification || 'Unknown',
+        location: {
+          lat: toNumber(storm.latitudeNumeric),
+          lon: toNumber(storm.longitudeNumeric)
+        },
+        movement: {
+          direction: heading === null ? null : compass[Math.round(heading / 22.5) % 16],
+          speed: speed === null ? null : `${speed} mph`
+        },
+        pressure: toNumber(storm.pressure),
+        wind_speed: toNumber(storm.intensity),
+        updated: storm.lastUpdate ? new Date(storm.lastUpdate).getTime() : null,
+        path: track.path || [],
+        forecast: track.forecast || [],
+        cone: track.cone || null
+      };
+    });
   }
 
   /**
    * Normalize wildfire data from CSV
    * @param {string} csvData - Raw CSV data
+   * @param {string} sensor - Sensor that made the detections (MODIS, VIIRS_SNPP, VIIRS_NOAA20)
    * @returns {Array} - Normalized wildfire data
    */
-  normalizeWildfireData(csvData) {
+  normalizeWildfireData(csvData, sensor) {
     // This is a simplified implementation - actual CSV parsing would be more robust
     const lines = csvData.split('\n');
     const headers = lines[0].split(',');
@@ -531,28 +748,48 @@ class WeatherService {
     const lonIndex = headers.indexOf('longitude');
     const dateIndex = headers.indexOf('acq_date');
     const timeIndex = headers.indexOf('acq_time');
-    const brightnessIndex = headers.indexOf('bright_ti4');
+    // VIIRS reports the I-4 channel, MODIS channel 21/22
+    const brightnessIndex = headers.indexOf('bright_ti4') > -1 ? headers.indexOf('bright_ti4') : headers.indexOf('brightness');
     const confidenceIndex = headers.indexOf('confidence');
+    const frpIndex = headers.indexOf('frp');
     
     return lines.slice(1).filter(line => line.trim() !== '').map(line => {
       const values = line.split(',');
+      const time = values[timeIndex].padStart(4, '0');
       
       return {
         type: 'wildfire',
-        id: `fire-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+        id: `fire-${values[latIndex]}-${values[lonIndex]}-${values[dateIndex]}-${values[timeIndex]}`,
+        sensor,
         location: {
           lat: parseFloat(values[latIndex]),
           lon: parseFloat(values[lonIndex])
         },
         date: values[dateIndex],
-        time: values[timeIndex],
+        time,
         brightness: parseFloat(values[brightnessIndex]),
-        confidence: values[confidenceIndex],
-        timestamp: new Date(`${values[dateIndex]} ${values[timeIndex].substring(0, 2)}:${values[timeIndex].substring(2, 4)}`).getTime()
+        confidence: this.wildfireConfidence(values[confidenceIndex]),
+        frp: frpIndex > -1 ? parseFloat(values[frpIndex]) : null,
+        // acquisition times are UTC
+        timestamp: Date.parse(`${values[dateIndex]}T${time.substring(0, 2)}:${time.substring(2, 4)}:00Z`)
       };
     });
   }
 
+  /**
+   * Bring detection confidence to one scale: VIIRS reports l, n or h, MODIS a percentage
+   * @param {string} value - Raw confidence
+   * @returns {string} - low, nominal or high
+   */
+  wildfireConfidence(value) {
+    const levels = { l: 'low', n: 'nominal', h: 'high' };
+    if (levels[value]) return levels[value];
+    const percent = parseFloat(value);
+    if (isNaN(percent)) return value;
+    // FIRMS' own MODIS classes
+    return percent < 30 ? 'low' : percent < 80 ? 'nominal' : 'high';
+  }
+
   /**
    * Normalize disaster data
    * @param {Object} data - Raw API data
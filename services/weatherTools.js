@@ -0,0 +1,233 @@
+import weatherService from './weatherService.js';
+import { distanceKm } from './geoUtils.js';
+import { boundsAround } from './wildfires.js';
+
+/**
+ * Weather Tools
+ * Tools the LLM can call during Search and Discover, backed by weatherService.
+ * Results are trimmed to what the model needs to answer, to keep prompts small.
+ */
+
+const coordinateParameters = {
+  latitude: { type: 'number', description: 'Latitude in decimal degrees' },
+  longitude: { type: 'number', description: 'Longitude in decimal degrees' }
+};
+
+const areaParameters = {
+  latitude: { type: 'number', description: 'Latitude of the area center, omit for worldwide' },
+  longitude: { type: 'number', description: 'Longitude of the area center, omit for worldwide' },
+  radius_km: { type: 'number', description: 'Search radius in km around the center (default 100)' }
+};
+
+/**
+ * Tool definitions in a provider-neutral shape ({name, description, parameters as JSON Schema})
+ */
+export const weatherTools = [
+  {
+    name: 'get_current_weather',
+    description: 'Get the current weather conditions at a location.',
+    parameters: {
+      type: 'object',
+      properties: coordinateParameters,
+      required: ['latitude', 'longitude']
+    }
+  },
+  {
+    name: 'get_forecast',
+    description: 'Get the 3-hourly weather forecast for a location, up to 5 days ahead.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...coordinateParameters,
+        hours: { type: 'number', description: 'How many hours ahead to return (default 24, max 120)' }
+      },
+      required: ['latitude', 'longitude']
+    }
+  },
+  {
+    name: 'get_climate_normals',
+    description: 'Get the 1991-2020 climate normals at a location: for each month the mean daily high, low and average temperature and the mean total precipitation.',
+    parameters: {
+      type: 'object',
+      properties: coordinateParameters,
+      required: ['latitude', 'longitude']
+    }
+  },
+  {
+    name: 'get_active_hurricanes',
+    description: 'Get the active tropical storms and hurricanes with their position, strength, movement and forecast track.',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'get_wildfires',
+    description: 'Get active fire hotspots detected by satellite, optionally around a location.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...areaParameters,
+        days: { type: 'number', description: 'Days of detections to include (1-10, default 1); worldwide queries cover 1 day' },
+        sensors: {
+          type: 'array',
+          items: { type: 'string', enum: ['MODIS', 'VIIRS_SNPP', 'VIIRS_NOAA20'] },
+          description: 'Satellite sensors to include (default VIIRS_SNPP); worldwide queries use the default'
+        }
+      }
+    }
+  },
+  {
+    name: 'get_disasters',
+    description: 'Get ongoing natural events (storms, volcanoes, floods, wildfires, ...), optionally around a location.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...areaParameters,
+        category: { type: 'string', description: 'Only events of this category, e.g. Volcanoes or Floods' }
+      }
+    }
+  }
+];
+
+/**
+ * Keep items within the requested area, nearest first
+ * @param {Array} items - Items with a location ({lat, lon})
+ * @param {Object} input - Tool input (latitude, longitude, radius_km)
+ * @returns {Array} - Items with distance_km when an area was given
+ */
+function filterByArea(items, input) {
+  if (typeof input.latitude !== 'number' || typeof input.longitude !== 'number') return items;
+
+  const radius = input.radius_km || 100;
+  return items
+    .filter(item => item.location)
+    .map(item => ({
+      ...item,
+      distance_km: Math.round(distanceKm(input.latitude, input.longitude, item.location.lat, item.location.lon))
+    }))
+    .filter(item => item.distance_km <= radius)
+    .sort((a, b) => a.distance_km - b.distance_km);
+}
+
+const toolHandlers = {
+  async get_current_weather(input) {
+    const data = await weatherService.getCurrentWeather(input.latitude, input.longitude);
+    return {
+      location: data.location,
+      observed_at: new Date(data.timestamp).toISOString(),
+      units: { temperature: '°C', wind_speed: 'm/s', pressure: 'hPa' },
+      ...data.weather
+    };
+  },
+
+  async get_forecast(input) {
+    const hours = Math.min(input.hours || 24, 120);
+    const data = await weatherService.getWeatherForecast(input.latitude, input.longitude);
+    const until = Date.now() + hours * 3600000;
+
+    return {
+      location: data.location,
+      units: { temperature: '°C', wind_speed: 'm/s', precipitation: 'mm per 3h' },
+      steps: data.forecast
+        .filter(step => step.timestamp <= until)
+        .map(step => ({
+          time: new Date(step.timestamp).toISOString(),
+          temperature: step.temperature,
+          conditions: step.weather.description,
+          wind_speed: step.wind_speed,
+          precipitation: step.precipitation,
+          precipitation_probability: step.pop
+        }))
+    };
+  },
+
+  async get_climate_normals(input) {
+    const data = await weatherService.getClimateNormals(input.latitude, input.longitude);
+    return {
+      location: data.location,
+      period: data.period,
+      units: { temperature: '°C', precipitation: 'mm per month' },
+      months: data.months
+    };
+  },
+
+  async get_active_hurricanes() {
+    const storms = await weatherService.getHurricaneData();
+    return {
+      count: storms.length,
+      units: { wind_speed: 'kt', pressure: 'mb' },
+      storms: storms.map(storm => ({
+        name: storm.name,
+        classification: storm.category,
+        location: storm.location,
+        wind_speed: storm.wind_speed,
+        pressure: storm.pressure,
+        movement: storm.movement,
+        updated: storm.updated ? new Date(storm.updated).toISOString() : null,
+        forecast: storm.forecast.map(point => ({
+          time: point.timestamp ? new Date(point.timestamp).toISOString() : null,
+          lat: point.lat,
+          lon: point.lon,
+          wind_speed: point.wind_speed
+        }))
+      }))
+    };
+  },
+
+  async get_wildfires(input) {
+    const area = typeof input.latitude === 'number' && typeof input.longitude === 'number';
+    // worldwide files are large, so without an area only the last day from the default sensor is read
+    const days = area ? Math.min(Math.max(Math.round(input.days) || 1, 1), 10) : 1;
+    const sensors = area && input.sensors && input.sensors.length ? input.sensors : null;
+    const bbox = area ? boundsAround([[input.longitude, input.latitude]], input.radius_km || 100) : null;
+    const fires = filterByArea(await weatherService.getWildfireData({ bbox, days, sensors }), input);
+    return {
+      count: fires.length,
+      ...(area ? {} : { note: 'Worldwide results cover the last day from one sensor; give a location for more days or sensors' }),
+      hotspots: fires.slice(0, 25).map(fire => ({
+        location: fire.location,
+        distance_km: fire.distance_km,
+        detected: `${fire.date} ${fire.time} UTC`,
+        brightness_k: fire.brightness,
+        confidence: fire.confidence,
+        sensors: fire.sensors
+      }))
+    };
+  },
+
+  async get_disasters(input) {
+    let events = filterByArea(await weatherService.getNaturalDisasterData(), input);
+    if (input.category) {
+      events = events.filter(event => event.category.toLowerCase() === input.category.toLowerCase());
+    }
+    return {
+      count: events.length,
+      events: events.slice(0, 25).map(event => ({
+        title: event.title,
+        category: event.category,
+        location: event.location,
+        distance_km: event.distance_km,
+        date: event.timestamp ? new Date(event.timestamp).toISOString() : null
+      }))
+    };
+  }
+};
+
+/**
+ * Run a weather tool
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @returns {Promise<Object>} - Tool result; failures are returned as {error} so the model can react
+ */
+export async function executeWeatherTool(name, input = {}) {
+  const handler = toolHandlers[name];
+  if (!handler) return { error: `Unknown tool ${name}` };
+
+  try {
+    return await handler(input);
+  } catch (error) {
+    console.error(`Weather tool ${name} failed:`, error.message);
+    return { error: error.message };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Wildfires
+ * Describes which NASA FIRMS hotspots to fetch (an area or a list of countries, the sensors and
+ * the days) and merges what several sensors report, as one fire is often seen by more than one.
+ */
+
+// FIRMS near-real-time sources by sensor
+export const firmsSources = {
+  MODIS: 'MODIS_NRT',
+  VIIRS_SNPP: 'VIIRS_SNPP_NRT',
+  VIIRS_NOAA20: 'VIIRS_NOAA20_NRT'
+};
+
+const defaultSensors = ['VIIRS_SNPP'];
+const maxDays = 10;
+const maxCountries = 20;
+// Detections on the same day within one cell of this size (about 500 m) are one hotspot
+const mergeCell = 0.005;
+
+const isLatitude = value => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = value => Number.isFinite(value) && Math.abs(value) <= 180;
+
+/**
+ * Validate a wildfire query and bring it into its normal form
+ * @param {Object} query - {bbox: {north, south, east, west}, countries: ['USA', ...] (ISO 3166 alpha-3),
+ *   sensors: ['MODIS', 'VIIRS_SNPP', 'VIIRS_NOAA20'], days: 1-10}. Without a bbox or countries the whole world is covered.
+ * @returns {Object} - {bbox, countries, sensors, days}; the bbox is widened to whole degrees so
+ *   nearby viewports share their cache entries
+ * @throws {Error} - When the area, countries, sensors or days are not valid
+ */
+export function parseWildfireQuery(query = {}) {
+  const days = query.days === undefined || query.days === null ? 1 : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > maxDays) throw new Error(`Days must be 1 to ${maxDays}`);
+
+  const sensors = query.sensors === undefined || query.sensors === null ? defaultSensors : query.sensors;
+  if (!Array.isArray(sensors) || sensors.length === 0 || !sensors.every(sensor => firmsSources[sensor])) {
+    throw new Error(`Sensors must be a list of ${Object.keys(firmsSources).join(', ')}`);
+  }
+
+  let countries = null;
+  if (query.countries !== undefined && query.countries !== null) {
+    countries = Array.isArray(query.countries) ? query.countries.map(code => String(code).toUpperCase()) : [];
+    if (countries.length === 0 || countries.length > maxCountries || !countries.every(code => /^[A-Z]{3}$/.test(code))) {
+      throw new Error(`Countries must be a list of 1 to ${maxCountries} ISO 3166 alpha-3 codes`);
+    }
+  }
+
+  let bbox = null;
+  if (query.bbox !== undefined && query.bbox !== null) {
+    if (countries) throw new Error('Ask for a bbox or countries, not both');
+    const [north, south, east, west] = [query.bbox.north, query.bbox.south, query.bbox.east, query.bbox.west].map(Number);
+    if (!isLatitude(north) || !isLatitude(south) || !isLongitude(east) || !isLongitude(west) || south >= north) {
+      throw new Error('Bbox needs north, south, east and west bounds');
+    }
+    bbox = {
+      north: Math.min(Math.ceil(north), 90),
+      south: Math.max(Math.floor(south), -90),
+      east: Math.min(Math.ceil(east), 180),
+      west: Math.max(Math.floor(west), -180)
+    };
+  }
+
+  return { bbox, countries, sensors: [...new Set(sensors)], days };
+}
+
+/**
+ * FIRMS area paths for a bbox: west,south,east,north, split in two when it crosses the antimeridian
+ * @param {Object|null} bbox - Normalized bbox, null for the whole world
+ * @returns {Array} - Area paths
+ */
+export function firmsAreas(bbox) {
+  if (!bbox) return ['world'];
+  if (bbox.west <= bbox.east) return [`${bbox.west},${bbox.south},${bbox.east},${bbox.north}`];
+  return [`${bbox.west},${bbox.south},180,${bbox.north}`, `-180,${bbox.south},${bbox.east},${bbox.north}`];
+}
+
+/**
+ * Bounds around a set of positions, widened by a distance
+ * @param {Array} positions - [lon, lat] positions
+ * @param {number} km - Margin in km
+ * @returns {Object} - {north, south, east, west}; longitudes wrap, so west > east when the
+ *   bounds cross the antimeridian
+ */
+export function boundsAround(positions, km) {
+  const lats = positions.map(position => position[1]);
+  const lons = positions.map(position => position[0]);
+  const south = Math.max(Math.min(...lats) - km / 111, -90);
+  const north = Math.min(Math.max(...lats) + km / 111, 90);
+  const lonMargin = km / (111 * Math.max(Math.cos(Math.max(Math.abs(south), Math.abs(north)) * Math.PI / 180), 0.01));
+  const [west, east] = [Math.min(...lons) - lonMargin, Math.max(...lons) + lonMargin];
+  if (east - west >= 360) return { north, south, east: 180, west: -180 };
+
+  const wrap = lon => lon > 180 ? lon - 360 : lon < -180 ? lon + 360 : lon;
+  return { north, south, east: wrap(east), west: wrap(west) };
+}
+
+/**
+ * Whether bounds contain a position, including bounds that cross the antimeridian
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean}
+ */
+export function boundsContain(bounds, lat, lon) {
+  if (lat < bounds.south || lat > bounds.north) return false;
+  return bounds.west <= bounds.east ? lon >= bounds.west && lon <= bounds.east : lon >= bounds.west || lon <= bounds.east;
+}
+
+/**
+ * Merge the detections of several sensors into one hotspot per place and day
+ * @param {Array} lists - Normalized detections per sensor
+ * @returns {Array} - Hotspots, each the latest detection with every sensor that saw it
+ */
+export function mergeDetections(lists) {
+  const hotspots = new Map();
+  lists.flat().forEach(fire => {
+    const key = `${fire.date}_${Math.round(fire.location.lat / mergeCell)}_${Math.round(fire.location.lon / mergeCell)}`;
+    const existing = hotspots.get(key);
+    if (!existing) {
+      hotspots.set(key, { ...fire, sensors: [fire.sensor] });
+      return;
+    }
+    const sensors = existing.sensors.indexOf(fire.sensor) > -1 ? existing.sensors : [...existing.sensors, fire.sensor];
+    hotspots.set(key, fire.timestamp > existing.timestamp ? { ...fire, sensors } : { ...existing, sensors });
+  });
+  return [...hotspots.values()];
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAirQuality } from '../services/airQuality.js';
+
+/**
+ * Air quality tests
+ * Concentrations are placed in the US EPA bands, and the worst pollutant sets the index.
+ */
+
+const aqi = components => normalizeAirQuality({ lat: 51.5, lon: -0.12, timestamp: 0, components });
+
+test('PM2.5 band edges', () => {
+  assert.deepEqual([aqi({ pm2_5: 0 }).aqi, aqi({ pm2_5: 0 }).category], [0, 'Good']);
+  assert.deepEqual([aqi({ pm2_5: 9.0 }).aqi, aqi({ pm2_5: 9.0 }).category], [50, 'Good']);
+  assert.deepEqual([aqi({ pm2_5: 9.1 }).aqi, aqi({ pm2_5: 9.1 }).category], [51, 'Moderate']);
+  // values between two bands take the bottom of the upper one
+  assert.equal(aqi({ pm2_5: 9.05 }).aqi, 51);
+  assert.deepEqual([aqi({ pm2_5: 35.4 }).aqi, aqi({ pm2_5: 35.4 }).category], [100, 'Moderate']);
+  assert.equal(aqi({ pm2_5: 35.5 }).category, 'Unhealthy for Sensitive Groups');
+  assert.deepEqual([aqi({ pm2_5: 55.5 }).aqi, aqi({ pm2_5: 55.5 }).category], [151, 'Unhealthy']);
+  assert.equal(aqi({ pm2_5: 150 }).category, 'Very Unhealthy');
+  assert.deepEqual([aqi({ pm2_5: 300 }).aqi, aqi({ pm2_5: 300 }).category], [449, 'Hazardous']);
+  // past the last breakpoint is the top of the scale
+  assert.equal(aqi({ pm2_5: 900 }).aqi, 500);
+});
+
+test('gases are converted from µg/m³ to ppb or ppm', () => {
+  // 70 ppb of ozone, the top of Moderate
+  assert.equal(aqi({ o3: 70 * 48.00 / 24.45 }).aqi, 100);
+  // 100 ppb of nitrogen dioxide
+  assert.equal(aqi({ no2: 100 * 46.01 / 24.45 }).aqi, 100);
+  // 4.3 ppm of carbon monoxide, near the top of Good
+  assert.equal(aqi({ co: 4.3 * 28.01 / 24.45 * 1000 }).aqi, 49);
+});
+
+test('the worst pollutant is dominant', () => {
+  const result = aqi({ pm2_5: 5, pm10: 200, o3: 20, no: 3, nh3: 1 });
+  assert.equal(result.dominant, 'pm10');
+  assert.equal(result.aqi, 123);
+  assert.equal(result.category, 'Unhealthy for Sensitive Groups');
+  assert.deepEqual(result.pollutants.map(pollutant => pollutant.key), ['pm2_5', 'pm10', 'o3']);
+  assert.equal(result.pollutants[1].name, 'PM10');
+});
+
+test('missing or invalid concentrations', () => {
+  const empty = aqi({});
+  assert.equal(empty.aqi, null);
+  assert.equal(empty.category, 'Unknown');
+  assert.equal(empty.dominant, null);
+
+  const negative = aqi({ pm2_5: -1, pm10: 20 });
+  assert.equal(negative.pollutants[0].aqi, null);
+  assert.equal(negative.dominant, 'pm10');
+});
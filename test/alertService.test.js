@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Alert tests
+ * Watch areas and their rules are validated, each rule is checked against weather, hurricane
+ * and wildfire data, and an alert is raised only when a rule starts or stops matching.
+ * Weather and hurricanes come from the mock fixtures, watches go to a temporary history file.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'godview-alerts-'));
+Object.assign(process.env, {
+  GODVIEW_MOCK: '1',
+  HISTORY_STORE: 'json',
+  HISTORY_PATH: path.join(dataDir, 'history.json'),
+  ALERT_INTERVAL_MINUTES: '0'
+});
+const { default: alertService, parseWatch, ruleText } = await import('../services/alertService.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const point = (lat, lon) => ({ type: 'Point', coordinates: [lon, lat] });
+const watchAt = (geometry, rules) => ({ id: 'watch', name: 'Home', geometry, rules });
+
+test('watch areas and rules are validated', () => {
+  const watch = parseWatch({ name: '  Coast  ', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] }, rules: [{ type: 'wind', above: '15' }, { type: 'temperature', below: -5 }] });
+  assert.equal(watch.name, 'Coast');
+  assert.deepEqual(watch.geometry.coordinates[0][3], [0, 0]);
+  assert.deepEqual(watch.rules, [{ type: 'wind', above: 15 }, { type: 'temperature', below: -5 }]);
+
+  assert.throws(() => parseWatch({ geometry: point(95, 0), rules: [{ type: 'wind', above: 1 }] }), /Point needs/);
+  assert.throws(() => parseWatch({ geometry: point(10, 0), rules: [] }), /1 to 10 rules/);
+  assert.throws(() => parseWatch({ geometry: point(10, 0), rules: [{ type: 'temperature', above: 30, below: 0 }] }), /above or below/);
+  assert.throws(() => parseWatch({ geometry: point(10, 0), rules: [{ type: 'hurricane', within_km: 0 }] }), /distance in km/);
+  assert.throws(() => parseWatch({ geometry: point(10, 0), rules: [{ type: 'snow' }] }), /Rule type/);
+
+  assert.equal(ruleText({ type: 'temperature', below: -5 }), 'temperature below -5°C');
+  assert.equal(ruleText({ type: 'wildfire', within_km: 25 }), 'wildfire within 25 km');
+});
+
+test('wind and temperature rules check the current weather and forecast', async () => {
+  const [windy, calm, freezing] = await alertService.checkRules(watchAt(point(51.5, -0.12), [
+    { type: 'wind', above: 0 },
+    { type: 'wind', above: 1000 },
+    { type: 'temperature', below: -100 }
+  ]), {});
+  assert.equal(windy.triggered, true);
+  assert.match(windy.message, /^Home: Wind [\d.]+ m\/s now \(wind above 0 m\/s\)$/);
+  assert.deepEqual(calm, { triggered: false });
+  assert.deepEqual(freezing, { triggered: false });
+});
+
+test('hurricane rules match the current and forecast positions', async () => {
+  const storm = { name: 'Melissa', category: 'HU', location: { lat: 17.3, lon: -77.4 }, forecast: [{ lat: 30, lon: -67, timestamp: Date.UTC(2025, 9, 31, 18) }] };
+  const rule = [{ type: 'hurricane', within_km: 200 }];
+
+  const [now] = await alertService.checkRules(watchAt(point(17.5, -77.2), rule), { hurricanes: [storm] });
+  assert.match(now.message, /Melissa \d+ km away now$/);
+
+  const [later] = await alertService.checkRules(watchAt(point(30.2, -67.1), rule), { hurricanes: [storm] });
+  assert.match(later.message, /Melissa forecast \d+ km away \(forecast for 2025-10-31 18:00 UTC\)$/);
+
+  const [far] = await alertService.checkRules(watchAt(point(51.5, -0.12), rule), { hurricanes: [storm] });
+  assert.deepEqual(far, { triggered: false });
+
+  // no data leaves the rule as it was
+  const [unknown] = await alertService.checkRules(watchAt(point(17.5, -77.2), rule), { hurricanes: null });
+  assert.equal(unknown, null);
+});
+
+test('wildfire rules count the hotspots within the distance', async () => {
+  const fires = [{ location: { lat: 34.1, lon: -118.3 } }, { location: { lat: 34.3, lon: -118.3 } }, { location: { lat: 40, lon: -118.3 } }];
+  const [near] = await alertService.checkRules(watchAt(point(34.05, -118.25), [{ type: 'wildfire', within_km: 50 }]), { fires });
+  assert.match(near.message, /Home: 2 wildfire hotspots within 50 km \(nearest \d+ km\)/);
+
+  const [none] = await alertService.checkRules(watchAt(point(34.05, -118.25), [{ type: 'wildfire', within_km: 50 }]), { fires: [] });
+  assert.deepEqual(none, { triggered: false });
+});
+
+test('an alert is raised when a rule starts to match, not on every check', async () => {
+  // a watch on Melissa's forecast track, from the mock NHC archives
+  const watch = await alertService.addWatch('alerts-test', parseWatch({ name: 'Bermuda', geometry: point(32.3, -64.8), rules: [{ type: 'hurricane', within_km: 500 }] }));
+  assert.deepEqual(watch.triggered, [true]);
+  assert.equal(watch.alerts.length, 1);
+  assert.equal(watch.alerts[0].level, 'warning');
+  assert.match(watch.alerts[0].message, /Melissa forecast/);
+
+  const [checked] = await alertService.evaluate([watch]);
+  assert.equal(checked.alerts.length, 1);
+
+  const listed = await alertService.list('alerts-test', 0);
+  assert.equal(listed.watches.length, 1);
+  assert.equal(listed.alerts.length, 1);
+  assert.equal((await alertService.list('alerts-test', watch.alerts[0].createdAt)).alerts.length, 0);
+});
@@ -0,0 +1,211 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * API tests
+ * Start the server in mock mode (GODVIEW_MOCK=1), so every LLM and weather call is answered
+ * from services/fixtures, and check the search, discover and weather routes end to end.
+ */
+
+const port = 8000 + Math.floor(Math.random() * 1000);
+const root = `http://localhost:${port}/api`;
+let server;
+let dataDir;
+
+const post = async (route, body) => {
+  const response = await fetch(root + route, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'godview-test-'));
+  server = spawn(process.execPath, ['index.js'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: {
+      ...process.env,
+      GODVIEW_MOCK: '1',
+      PORT: String(port),
+      HISTORY_STORE: 'json',
+      HISTORY_PATH: path.join(dataDir, 'history.json'),
+      TILE_CACHE_PATH: path.join(dataDir, 'tiles'),
+      ALERT_INTERVAL_MINUTES: '0'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // wait for the server to listen
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+    const read = chunk => {
+      output += chunk;
+      if (output.includes(`running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on('data', read);
+    server.stderr.on('data', read);
+    server.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+  // the listen message comes just before the socket is bound
+  await new Promise(resolve => setTimeout(resolve, 200));
+});
+
+after(() => {
+  if (server) server.kill();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('search answers with places', async () => {
+  const { status, body } = await post('/query', { prompt: 'Coffee in London', clientId: 'test' });
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body.data) && body.data.length > 0);
+  body.data.forEach(place => {
+    assert.equal(typeof place.name, 'string');
+    assert.equal(typeof place.latitude, 'number');
+    assert.equal(typeof place.longitude, 'number');
+    assert.ok(['verified', 'corrected', 'unverified'].indexOf(place.verification.status) > -1);
+  });
+});
+
+test('discover describes a point and stores it in the history', async () => {
+  const { status, body } = await post('/discover', { latitude: 51.5, longitude: -0.12, clientId: 'test' });
+  assert.equal(status, 200);
+  assert.equal(typeof body.data, 'string');
+
+  const history = await post('/history', { clientId: 'test', types: ['discover'] });
+  assert.equal(history.status, 200);
+  assert.ok(history.body.data.some(entry => entry.type === 'discover' && entry.latitude === 51.5));
+});
+
+test('discover rejects coordinates that are not numbers', async () => {
+  const { status } = await post('/discover', { latitude: '<b>51</b>', longitude: -0.12 });
+  assert.equal(status, 400);
+});
+
+test('malformed JSON is a bad request', async () => {
+  for (const route of ['/query', '/discover', '/history', '/compare', '/alerts']) {
+    const { status } = await post(route, '{bad');
+    assert.equal(status, 400, route);
+  }
+});
+
+test('current weather and forecast', async () => {
+  const current = await post('/weather/current', { latitude: 51.5, longitude: -0.12 });
+  assert.equal(current.status, 200);
+  assert.equal(typeof current.body.weather.temperature, 'number');
+
+  const forecast = await post('/weather/forecast', { latitude: 51.5, longitude: -0.12 });
+  assert.equal(forecast.status, 200);
+  assert.ok(Array.isArray(forecast.body.forecast) && forecast.body.forecast.length > 0);
+
+  const missing = await post('/weather/current', {});
+  assert.equal(missing.status, 400);
+});
+
+test('air quality', async () => {
+  const { status, body } = await post('/weather/airquality', { latitude: 51.5, longitude: -0.12 });
+  assert.equal(status, 200);
+  assert.equal(typeof body.aqi, 'number');
+});
+
+test('historical weather and climate normals', async () => {
+  const history = await post('/weather/history', { latitude: 51.5, longitude: -0.12, from: '2024-01-01', to: '2024-01-31' });
+  assert.equal(history.status, 200);
+  assert.equal(history.body.days.length, 31);
+
+  const normals = await post('/weather/normals', { latitude: 51.5, longitude: -0.12 });
+  assert.equal(normals.status, 200);
+  assert.equal(normals.body.months.length, 12);
+
+  const tooLong = await post('/weather/history', { latitude: 51.5, longitude: -0.12, from: '2020-01-01', to: '2024-01-01' });
+  assert.equal(tooLong.status, 400);
+});
+
+test('hurricanes follow the NHC current storms feed and GIS tracks', async () => {
+  const { status, body } = await post('/weather/hurricane', {});
+  assert.equal(status, 200);
+  assert.ok(body.length > 0);
+  body.forEach(storm => {
+    assert.equal(typeof storm.name, 'string');
+    assert.equal(typeof storm.location.lat, 'number');
+    assert.equal(typeof storm.location.lon, 'number');
+    assert.equal(typeof storm.wind_speed, 'number');
+    assert.equal(typeof storm.pressure, 'number');
+    assert.match(storm.movement.direction, /^[NESW]{1,3}$/);
+    // tracks and cone come from the storm's GIS archives
+    assert.ok(storm.path.length > 1);
+    assert.ok(storm.forecast.length > 0);
+    storm.forecast.forEach(point => assert.ok(point.timestamp > storm.updated));
+    assert.equal(storm.cone.type, 'Polygon');
+  });
+});
+
+test('wildfires merge sensors and validate the area', async () => {
+  const { status, body } = await post('/weather/wildfire', { bbox: { north: 60, south: -60, east: 180, west: -180 }, sensors: ['MODIS', 'VIIRS_SNPP'] });
+  assert.equal(status, 200);
+  assert.ok(body.length > 0);
+  body.forEach(fire => assert.ok(Array.isArray(fire.sensors) && fire.sensors.length > 0));
+
+  const invalid = await post('/weather/wildfire', { bbox: { north: 10, south: 20, east: 5, west: 0 } });
+  assert.equal(invalid.status, 400);
+});
+
+test('natural events', async () => {
+  const { status, body } = await post('/weather/disasters', {});
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body) && body.length > 0);
+});
+
+test('weather tiles are proxied and cached', async () => {
+  const first = await fetch(`${root}/weather/tile/temperature/2/1/1?zoom=GLOBAL`);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('content-type'), 'image/png');
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  await first.arrayBuffer();
+
+  const second = await fetch(`${root}/weather/tile/temperature/2/1/1?zoom=GLOBAL`);
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+  await second.arrayBuffer();
+
+  const outside = await fetch(`${root}/weather/tile/temperature/2/9/1`);
+  assert.equal(outside.status, 400);
+  await outside.arrayBuffer();
+});
+
+test('history and alert deletes only remove their own entry types', async () => {
+  const watch = await post('/alerts/watch', { clientId: 'delete-test', name: 'Home', geometry: { type: 'Point', coordinates: [-0.12, 51.5] }, rules: [{ type: 'wind', above: 15 }] });
+  assert.equal(watch.status, 200);
+  await post('/discover', { latitude: 48.85, longitude: 2.35, clientId: 'delete-test' });
+  const discover = (await post('/history', { clientId: 'delete-test', types: ['discover'] })).body.data[0];
+
+  assert.equal((await post('/history/delete', { clientId: 'delete-test', id: watch.body.data.id })).body.data, false);
+  assert.equal((await post('/alerts/delete', { clientId: 'delete-test', id: discover.id })).body.data, false);
+
+  assert.equal((await post('/alerts/delete', { clientId: 'delete-test', id: watch.body.data.id })).body.data, true);
+  assert.equal((await post('/history/delete', { clientId: 'delete-test', id: discover.id })).body.data, true);
+});
+
+test('history filters are validated', async () => {
+  assert.equal((await post('/history', { clientId: 'test', query: { $gt: '' } })).status, 400);
+  assert.equal((await post('/history', { clientId: 'test', types: ['watch'] })).status, 400);
+  assert.equal((await post('/history', { clientId: 'test', types: 'discover' })).status, 400);
+  assert.equal((await post('/history', { clientId: 'test', query: 51 })).status, 200);
+});
+
+test('search drops results outside the drawn area', async () => {
+  const all = await post('/query', { prompt: 'Coffee in London', clientId: 'area-test' });
+  const paris = await post('/query', { prompt: 'Coffee in London', clientId: 'area-test', area: { type: 'rectangle', north: 49, south: 48.7, east: 2.5, west: 2.2 } });
+  assert.equal(paris.status, 200);
+  assert.equal(paris.body.data.length, 0);
+  assert.equal(paris.body.filtered, all.body.data.length);
+
+  const invalid = await post('/query', { prompt: 'Coffee in London', area: { type: 'rectangle', north: 10, south: 20, east: 5, west: 0 } });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateRange, normalizeHistory, climateNormals } from '../services/climate.js';
+
+/**
+ * Climate tests
+ * Date ranges are checked against the archive, daily history is averaged into monthly normals,
+ * and the model's get_climate_normals tool answers from the mock archive.
+ */
+
+// the weather service reads the mock setting when it is loaded
+process.env.GODVIEW_MOCK = '1';
+const { executeWeatherTool } = await import('../services/weatherTools.js');
+
+test('date ranges must lie in the archive', () => {
+  assert.deepEqual(parseDateRange('2024-01-01', '2024-01-31'), { from: '2024-01-01', to: '2024-01-31', days: 31 });
+  assert.equal(parseDateRange('2024-01-01', '2024-12-31').days, 366);
+
+  assert.throws(() => parseDateRange('2024-1-1', '2024-01-31'), /YYYY-MM-DD/);
+  assert.throws(() => parseDateRange('2024-02-01', '2024-01-01'), /not be after/);
+  assert.throws(() => parseDateRange('1939-12-31', '1940-01-10'), /starts on 1940-01-01/);
+  assert.throws(() => parseDateRange('2020-01-01', '2021-01-02'), /At most 366 days/);
+  const today = new Date().toISOString().slice(0, 10);
+  assert.throws(() => parseDateRange(today, today), /days before today/);
+});
+
+test('monthly normals average the daily values and the yearly precipitation totals', () => {
+  const history = normalizeHistory({
+    lat: 51.5,
+    lon: -0.12,
+    daily: {
+      time: ['1991-01-01', '1991-01-02', '1992-01-01', '1991-07-01'],
+      temperature_max: [8, 10, 6, 24.04],
+      temperature_min: [2, 4, null, 14],
+      temperature_mean: [5, 7, 3, 19],
+      precipitation: [3, 2, 4, null],
+      wind_speed_max: [10, 12, 8, 5]
+    }
+  });
+  assert.equal(history.from, '1991-01-01');
+  assert.equal(history.to, '1991-07-01');
+  assert.equal(history.days[3].temperature_max, 24);
+  assert.equal(history.days[2].temperature_min, null);
+
+  const { months, period } = climateNormals({ lat: 51.5, lon: -0.12, days: history.days });
+  assert.equal(period, '1991-2020');
+  assert.equal(months.length, 12);
+  assert.deepEqual(months[0], { month: 1, temperature_max: 8, temperature_min: 3, temperature_mean: 5, precipitation: 4.5 });
+  assert.equal(months[6].temperature_max, 24);
+  assert.equal(months[6].precipitation, null);
+  assert.deepEqual(months[1], { month: 2, temperature_max: null, temperature_min: null, temperature_mean: null, precipitation: null });
+});
+
+test('the get_climate_normals tool reports twelve months with units', async () => {
+  const result = await executeWeatherTool('get_climate_normals', { latitude: 51.5, longitude: -0.12 });
+  assert.equal(result.period, '1991-2020');
+  assert.equal(result.units.precipitation, 'mm per month');
+  assert.equal(result.months.length, 12);
+  result.months.forEach(month => assert.equal(typeof month.temperature_mean, 'number'));
+});
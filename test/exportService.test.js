@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { entryFeatures, exportEntry } from '../services/exportService.js';
+
+/**
+ * Export tests
+ * A history entry is written out as GeoJSON, KML, GPX or CSV with the same fields.
+ */
+
+const search = {
+  type: 'search',
+  model: 'anthropic',
+  prompts: ['Coffee & cake in London', 'only the ones open late'],
+  results: [
+    {
+      name: 'Monmouth <Coffee>',
+      address: '27 Monmouth St, London',
+      url: 'https://www.monmouthcoffee.co.uk',
+      latitude: 51.5143,
+      longitude: -0.1268,
+      weather: { timestamp: Date.UTC(2025, 9, 27, 12), weather: { description: 'light rain', temperature: 12.5, feels_like: 11, humidity: 80, wind_speed: 4.1 } }
+    },
+    { name: '=HYPERLINK("http://evil")', address: 'Soho, "London"', latitude: 51.5136, longitude: -0.1365 }
+  ]
+};
+
+test('every entry type is flattened to points', () => {
+  const [monmouth] = entryFeatures(search);
+  assert.equal(monmouth.prompt, 'Coffee & cake in London / only the ones open late');
+  assert.equal(monmouth.model, 'anthropic');
+  assert.equal(monmouth.temperature_c, 12.5);
+  assert.equal(monmouth.weather_time, '2025-10-27T12:00:00.000Z');
+
+  const compare = entryFeatures({ type: 'compare', prompts: ['Museums'], results: [{ model: 'openai', data: [{ name: 'Louvre', latitude: 48.86, longitude: 2.34 }] }, { model: 'local', error: 'failed' }] });
+  assert.deepEqual(compare.map(feature => feature.model), ['openai']);
+
+  const [discover] = entryFeatures({ type: 'discover', latitude: 51.5, longitude: -0.12, text: 'The Thames', model: 'anthropic' });
+  assert.equal(discover.description, 'The Thames');
+
+  const [imported] = entryFeatures({ type: 'import', features: [{ geometry: { type: 'LineString', coordinates: [[0, 0], [2, 2]] }, properties: { name: 'Route' } }] });
+  assert.equal(imported.name, 'Route');
+  assert.equal(imported.latitude, 1);
+  assert.equal(imported.longitude, 1);
+});
+
+test('GeoJSON has a Point feature per result', () => {
+  const file = exportEntry(search, 'geojson');
+  assert.equal(file.filename, 'godview-coffee-cake-in-london.geojson');
+  assert.equal(file.contentType, 'application/geo+json; charset=utf-8');
+  const collection = JSON.parse(file.body);
+  assert.equal(collection.features.length, 2);
+  assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [-0.1268, 51.5143] });
+  assert.equal(collection.features[0].properties.name, 'Monmouth <Coffee>');
+});
+
+test('KML and GPX escape text', () => {
+  const kml = exportEntry(search, 'kml').body;
+  assert.match(kml, /<name>Monmouth &lt;Coffee&gt;<\/name>/);
+  assert.match(kml, /<name>Coffee &amp; cake in London<\/name>/);
+  assert.match(kml, /<coordinates>-0.1268,51.5143,0<\/coordinates>/);
+
+  const gpx = exportEntry(search, 'gpx').body;
+  assert.match(gpx, /<wpt lat="51.5143" lon="-0.1268">/);
+  assert.match(gpx, /<cmt>light rain, 12.5°C<\/cmt>/);
+  assert.match(gpx, /<link href="https:\/\/www.monmouthcoffee.co.uk"\/>/);
+  assert.equal((gpx.match(/<wpt /g) || []).length, 2);
+});
+
+test('CSV quotes cells and defuses formulas', () => {
+  const lines = exportEntry(search, 'csv').body.trim().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^name,address,url,latitude,longitude,/);
+  assert.match(lines[2], /^"'=HYPERLINK\(""http:\/\/evil""\)","Soho, ""London""",/);
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => exportEntry(search, 'shp'), /Unknown export format/);
+});
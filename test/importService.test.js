@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImport } from '../services/importService.js';
+
+/**
+ * Import tests
+ * GeoJSON, KML and CSV files are read into named GeoJSON features; errors say what is wrong.
+ */
+
+test('GeoJSON collections, features and geometry collections', () => {
+  const collection = parseImport('sites.geojson', JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [-0.12, 51.5] }, properties: { Name: 'Office' } },
+      { type: 'Feature', geometry: { type: 'GeometryCollection', geometries: [
+        { type: 'Point', coordinates: [2.35, 48.85] },
+        { type: 'LineString', coordinates: [[2.35, 48.85], [2.4, 48.9]] }
+      ] }, properties: { title: 'Paris' } },
+      { type: 'Feature', geometry: null, properties: { name: 'Nowhere' } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [200, 10] }, properties: { name: 'Off the map' } }
+    ]
+  }));
+  assert.deepEqual(collection.map(feature => [feature.geometry.type, feature.properties.name]), [['Point', 'Office'], ['Point', 'Paris'], ['LineString', 'Paris']]);
+
+  const bare = parseImport('area.json', JSON.stringify({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }));
+  assert.equal(bare[0].type, 'Feature');
+  assert.equal(bare[0].properties.name, 'Feature 1');
+});
+
+test('KML placemarks with points, lines and polygons', () => {
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark><name><![CDATA[Depot & Yard]]></name><Point><coordinates>-0.12,51.5,0</coordinates></Point></Placemark>
+  <Placemark><name>Route</name><LineString><coordinates>-0.12,51.5 -0.1,51.52</coordinates></LineString></Placemark>
+  <Placemark><name>Park</name><Polygon>
+    <outerBoundaryIs><LinearRing><coordinates>0,0 4,0 4,4 0,0</coordinates></LinearRing></outerBoundaryIs>
+    <innerBoundaryIs><LinearRing><coordinates>1,1 2,1 2,2 1,1</coordinates></LinearRing></innerBoundaryIs>
+  </Polygon></Placemark>
+</Document></kml>`;
+  const features = parseImport('map.kml', kml);
+  assert.equal(features[0].properties.name, 'Depot & Yard');
+  assert.deepEqual(features[0].geometry, { type: 'Point', coordinates: [-0.12, 51.5] });
+  assert.deepEqual(features[1].geometry.coordinates, [[-0.12, 51.5], [-0.1, 51.52]]);
+  assert.equal(features[2].geometry.coordinates.length, 2);
+});
+
+test('CSV rows with quoted cells and coordinate columns', () => {
+  const csv = '\uFEFFName,Notes,Lat,Lng\r\n"Warehouse, North","Says ""hi""\nthen leaves",51.5,-0.12\r\nDock,,48.85,2.35\r\n\r\n';
+  const features = parseImport('sites.csv', csv);
+  assert.equal(features.length, 2);
+  assert.equal(features[0].properties.name, 'Warehouse, North');
+  assert.equal(features[0].properties.Notes, 'Says "hi"\nthen leaves');
+  assert.deepEqual(features[1].geometry.coordinates, [2.35, 48.85]);
+});
+
+test('files that cannot be imported are explained', () => {
+  assert.throws(() => parseImport('empty.csv', '  '), /empty/);
+  assert.throws(() => parseImport('shapes.shp', 'data'), /Only GeoJSON, KML and CSV/);
+  assert.throws(() => parseImport('broken.geojson', '{"type":'), /Could not read broken.geojson/);
+  assert.throws(() => parseImport('sites.csv', 'name,city\nOffice,London'), /latitude and longitude columns/);
+  assert.throws(() => parseImport('doc.kml', '<html></html>'), /not a KML document/);
+  assert.throws(() => parseImport('none.geojson', JSON.stringify({ type: 'FeatureCollection', features: [] })), /No points or shapes/);
+});
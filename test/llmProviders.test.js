@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnthropicProvider, createOpenAICompatibleProvider, createOllamaProvider } from '../services/llmProviders.js';
+import { searchResponseSchema } from '../services/searchSchema.js';
+
+/**
+ * Provider adapter tests
+ * Search requests ask each API for its native structured output, and the answer is read
+ * back as the same JSON text whichever way it came.
+ */
+
+const prompts = [{ role: 'user', content: 'Coffee in London' }];
+const weatherTool = { name: 'get_current_weather', description: 'Current weather', parameters: { type: 'object', properties: {} } };
+const locations = { locations: [{ name: 'Monmouth Coffee', address: null, latitude: 51.5055, longitude: -0.0911, url: null, weather_relevant: false }] };
+
+test('Anthropic search answers are forced through the report tool', () => {
+  const provider = createAnthropicProvider({ name: 'anthropic', model: 'claude-test' });
+  const request = provider.buildRequest('search', 'system', prompts);
+  assert.deepEqual(request.tool_choice, { type: 'tool', name: 'report_locations' });
+  assert.equal(request.tools[0].input_schema, searchResponseSchema);
+
+  // with weather tools the model may call them first, but must call some tool
+  const withTools = provider.buildRequest('search', 'system', prompts, [weatherTool]);
+  assert.deepEqual(withTools.tool_choice, { type: 'any' });
+  assert.deepEqual(withTools.tools.map(tool => tool.name), ['get_current_weather', 'report_locations']);
+
+  const response = { content: [{ type: 'tool_use', id: 'call-1', name: 'report_locations', input: locations }] };
+  assert.deepEqual(JSON.parse(provider.extractText(response)), locations);
+  assert.deepEqual(provider.toolCalls(response), []);
+});
+
+test('Anthropic discover requests stay free text', () => {
+  const provider = createAnthropicProvider({ name: 'anthropic', model: 'claude-test' });
+  const request = provider.buildRequest('discover', 'system', prompts);
+  assert.equal(request.tools, undefined);
+  assert.equal(provider.extractText({ content: [{ type: 'text', text: 'A ' }, { type: 'text', text: 'place.' }] }), 'A place.');
+});
+
+test('OpenAI-compatible search requests use a strict JSON schema or JSON mode', () => {
+  const strict = createOpenAICompatibleProvider({ name: 'openai', model: 'gpt-test', requestOptions: { store: false } }).buildRequest('search', 'system', prompts);
+  assert.equal(strict.response_format.type, 'json_schema');
+  assert.equal(strict.response_format.json_schema.strict, true);
+  assert.equal(strict.response_format.json_schema.schema, searchResponseSchema);
+  assert.equal(strict.store, false);
+  assert.deepEqual(strict.messages[0], { role: 'system', content: 'system' });
+
+  const jsonMode = createOpenAICompatibleProvider({ name: 'deepseek', model: 'deepseek-chat', responseFormat: 'json_object' }).buildRequest('search', 'system', prompts);
+  assert.deepEqual(jsonMode.response_format, { type: 'json_object' });
+
+  const plain = createOpenAICompatibleProvider({ name: 'plain', model: 'plain', capabilities: { structuredOutput: false } }).buildRequest('search', 'system', prompts);
+  assert.equal(plain.response_format, undefined);
+});
+
+test('OpenAI-compatible tool calls are read with their arguments', () => {
+  const provider = createOpenAICompatibleProvider({ name: 'openai', model: 'gpt-test' });
+  const response = { choices: [{ message: { role: 'assistant', content: null, tool_calls: [
+    { id: 'call-1', type: 'function', function: { name: 'get_current_weather', arguments: '{"latitude":51.5,"longitude":-0.12}' } },
+    { id: 'call-2', type: 'function', function: { name: 'get_forecast', arguments: '{broken' } }
+  ] } }] };
+  assert.deepEqual(provider.toolCalls(response), [
+    { id: 'call-1', name: 'get_current_weather', input: { latitude: 51.5, longitude: -0.12 } },
+    { id: 'call-2', name: 'get_forecast', input: {} }
+  ]);
+});
+
+test('Ollama search requests constrain the format to the schema', () => {
+  const provider = createOllamaProvider({ name: 'local', model: 'llama-test', promptSuffix: { search: ' Answer in JSON.' } });
+  const request = provider.buildRequest('search', 'system', prompts, [weatherTool], 'none');
+  assert.equal(request.format, searchResponseSchema);
+  assert.equal(request.tools, undefined);
+  assert.equal(request.messages[0].content, 'system Answer in JSON.');
+  assert.equal(provider.extractText({ message: { content: JSON.stringify(locations) } }), JSON.stringify(locations));
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import llmService from '../services/llmService.js';
+import { builtInProviders } from '../services/llmProviders.js';
+
+/**
+ * LLM provider registry tests
+ * Providers are looked up by the name clients send, with the default provider standing in
+ * for unknown names; extra providers come from LLM_PROVIDERS configs.
+ */
+
+const adapter = name => ({
+  name,
+  label: name,
+  capabilities: { search: true, discover: false },
+  supports(requestType) {
+    return this.capabilities[requestType] === true;
+  },
+  async complete() {
+    return { text: '[]' };
+  },
+  extractText(response) {
+    return response.text;
+  }
+});
+
+test('built-in providers are registered by name', () => {
+  builtInProviders.forEach(config => {
+    const provider = llmService.get(config.name);
+    assert.equal(provider.name, config.name);
+    assert.equal(typeof provider.complete, 'function');
+  });
+  assert.deepEqual(llmService.list().map(provider => provider.value).slice(0, builtInProviders.length), builtInProviders.map(config => config.name));
+});
+
+test('unknown provider names fall back to the default provider', () => {
+  assert.equal(llmService.get('no-such-model'), llmService.get(llmService.defaultProvider));
+  assert.equal(llmService.get(undefined), llmService.get(llmService.defaultProvider));
+});
+
+test('adapters must implement complete and extractText', () => {
+  assert.throws(() => llmService.register('broken', { complete() {} }), /must implement/);
+  llmService.register('test-adapter', adapter('test-adapter'));
+  assert.equal(llmService.get('test-adapter').supports('discover'), false);
+});
+
+test('configured providers are registered and invalid configs skipped', () => {
+  assert.throws(() => llmService.registerFromConfig({ name: 'mystery', type: 'mystery' }), /unknown type/);
+
+  llmService.loadConfiguredProviders(JSON.stringify([
+    { name: 'mistral-test', type: 'openai', label: 'Mistral', baseURL: 'https://api.mistral.ai/v1', model: 'mistral-large-latest', capabilities: { discover: false } },
+    { name: 'unknown-test', type: 'mystery' }
+  ]));
+  const provider = llmService.get('mistral-test');
+  assert.equal(provider.name, 'mistral-test');
+  assert.equal(provider.model, 'mistral-large-latest');
+  assert.equal(provider.supports('search'), true);
+  assert.equal(provider.supports('discover'), false);
+  assert.equal(llmService.get('unknown-test'), llmService.get(llmService.defaultProvider));
+
+  const listed = llmService.list().find(entry => entry.value === 'mistral-test');
+  assert.equal(listed.capabilities.discover, false);
+});
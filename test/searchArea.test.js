@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchArea, areaContains, searchAreaPrompt } from '../services/searchArea.js';
+
+/**
+ * Search area tests
+ * Drawn areas are validated, and results outside them are filtered out.
+ */
+
+test('rectangles contain the points between their bounds', () => {
+  const london = parseSearchArea({ type: 'rectangle', north: '51.7', south: 51.3, east: 0.2, west: -0.5 });
+  assert.deepEqual(london, { type: 'rectangle', north: 51.7, south: 51.3, east: 0.2, west: -0.5 });
+  assert.equal(areaContains(london, 51.5, -0.12), true);
+  assert.equal(areaContains(london, 48.85, 2.35), false);
+  assert.equal(areaContains(london, 51.8, -0.12), false);
+});
+
+test('rectangles drawn across the antimeridian keep both sides', () => {
+  const fiji = parseSearchArea({ type: 'rectangle', north: -10, south: -25, east: -170, west: 170 });
+  assert.equal(areaContains(fiji, -17.7, 178.1), true);
+  assert.equal(areaContains(fiji, -17.7, -179.5), true);
+  assert.equal(areaContains(fiji, -17.7, 0), false);
+});
+
+test('circles contain the points within their radius', () => {
+  const circle = parseSearchArea({ type: 'circle', latitude: 51.5, longitude: -0.12, radius_km: 20 });
+  assert.equal(areaContains(circle, 51.6, -0.1), true);
+  assert.equal(areaContains(circle, 52.2, -0.12), false);
+});
+
+test('polygons are closed and contain the points inside', () => {
+  const triangle = parseSearchArea({ type: 'polygon', coordinates: [[0, 0], [10, 0], [0, 10]] });
+  assert.deepEqual(triangle.coordinates[3], [0, 0]);
+  assert.equal(areaContains(triangle, 2, 2), true);
+  assert.equal(areaContains(triangle, 8, 8), false);
+  assert.match(searchAreaPrompt(triangle), /\(0, 0\), \(0, 10\), \(10, 0\)/);
+});
+
+test('invalid areas are rejected', () => {
+  assert.throws(() => parseSearchArea(null), /must be an object/);
+  assert.throws(() => parseSearchArea({ type: 'rectangle', north: 10, south: 20, east: 5, west: 0 }), /Rectangle/);
+  assert.throws(() => parseSearchArea({ type: 'circle', latitude: 95, longitude: 0, radius_km: 5 }), /Circle/);
+  assert.throws(() => parseSearchArea({ type: 'circle', latitude: 10, longitude: 0, radius_km: 0 }), /Circle/);
+  assert.throws(() => parseSearchArea({ type: 'polygon', coordinates: [[0, 0], [1, 1]] }), /Polygon/);
+  assert.throws(() => parseSearchArea({ type: 'hexagon' }), /type must be/);
+});
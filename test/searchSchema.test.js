@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchOutput, validateLocation, validateLocations } from '../services/searchSchema.js';
+
+/**
+ * Search schema tests
+ * Model output is parsed leniently, then every entry is checked against the location schema;
+ * output that can't be parsed throws, which is what starts a repair attempt.
+ */
+
+const bigBen = { name: 'Big Ben', address: 'Westminster, London', latitude: 51.5007, longitude: -0.1246, url: 'https://www.parliament.uk', weather_relevant: true };
+
+test('parses bare, fenced, wrapped and surrounded JSON', () => {
+  assert.deepEqual(parseSearchOutput(JSON.stringify([bigBen])), [bigBen]);
+  assert.deepEqual(parseSearchOutput('```json\n' + JSON.stringify([bigBen]) + '\n```'), [bigBen]);
+  assert.deepEqual(parseSearchOutput(JSON.stringify({ locations: [bigBen] })), [bigBen]);
+  assert.deepEqual(parseSearchOutput('Here you go: ' + JSON.stringify([bigBen]) + ' Enjoy!'), [bigBen]);
+  assert.deepEqual(parseSearchOutput(JSON.stringify(bigBen)), [bigBen]);
+});
+
+test('output without parseable JSON throws, so the model is asked to repair it', () => {
+  assert.throws(() => parseSearchOutput('I could not find anything.'), SyntaxError);
+  assert.throws(() => parseSearchOutput('[{"name": "Big Ben", "latitude": 51.5,]'), SyntaxError);
+  assert.throws(() => parseSearchOutput(null), SyntaxError);
+});
+
+test('quoted numbers and booleans are coerced, empty optional fields dropped', () => {
+  const location = validateLocation({ name: 'Big Ben', address: '', latitude: '51.5007', longitude: '-0.1246', url: null, weather_relevant: 'TRUE' });
+  assert.equal(location.latitude, 51.5007);
+  assert.equal(location.longitude, -0.1246);
+  assert.equal(location.weather_relevant, true);
+  assert.equal('address' in location, false);
+  assert.equal('url' in location, false);
+
+  assert.equal(validateLocation({ name: 'Big Ben', latitude: 51.5, longitude: -0.12 }).weather_relevant, false);
+});
+
+test('entries that do not match the schema are discarded', () => {
+  const entries = [
+    bigBen,
+    { name: 'No coordinates' },
+    { name: 'Out of range', latitude: 95, longitude: 0 },
+    { name: 'Null Island', latitude: 0, longitude: 0 },
+    { name: 42, latitude: 10, longitude: 10 },
+    { name: 'Not a number', latitude: 'north', longitude: 10 },
+    'Big Ben',
+    null,
+    [51.5, -0.12]
+  ];
+  const { locations, discarded } = validateLocations(entries);
+  assert.deepEqual(locations, [bigBen]);
+  assert.equal(discarded, entries.length - 1);
+});
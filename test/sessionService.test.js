@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sessionService from '../services/sessionService.js';
+
+/**
+ * Session tests
+ * Follow-up prompts are sent with the earlier turns of their session, per client.
+ */
+
+const place = (name, latitude, longitude) => ({ name, address: `${name} Street`, latitude, longitude, weather: { temperature: 12 } });
+
+test('a follow-up is threaded after the earlier turns', () => {
+  const session = sessionService.getSession('threading', undefined);
+  const first = [{ role: 'user', content: 'Coffee in London' }];
+  sessionService.addTurn(session, first, [place('Monmouth', 51.5055, -0.0911)]);
+
+  const resumed = sessionService.getSession('threading', session.id);
+  assert.equal(resumed, session);
+
+  const messages = sessionService.getMessages(resumed);
+  assert.equal(messages.length, 2);
+  assert.deepEqual(messages[0], first[0]);
+  assert.equal(messages[1].role, 'assistant');
+  // the answer is compact: no weather data goes back to the model
+  assert.deepEqual(JSON.parse(messages[1].content), { locations: [{ name: 'Monmouth', address: 'Monmouth Street', latitude: 51.5055, longitude: -0.0911 }] });
+
+  sessionService.addTurn(resumed, [{ role: 'user', content: 'Only the ones open late' }], [place('Late Cafe', 51.51, -0.1)]);
+  assert.deepEqual(sessionService.getMessages(resumed).map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.equal(resumed.results[0].name, 'Late Cafe');
+});
+
+test('sessions belong to the client that started them', () => {
+  const session = sessionService.getSession('owner', undefined);
+  const other = sessionService.getSession('someone-else', session.id);
+  assert.notEqual(other.id, session.id);
+  assert.equal(sessionService.getMessages(other).length, 0);
+});
+
+test('unknown and ended sessions start over', () => {
+  const fresh = sessionService.getSession('ending', 'no-such-session');
+  assert.equal(fresh.turns.length, 0);
+
+  sessionService.addTurn(fresh, [{ role: 'user', content: 'Museums in Paris' }], []);
+  assert.equal(sessionService.endSession('ending', fresh.id), true);
+  assert.equal(sessionService.endSession('ending', fresh.id), false);
+  assert.notEqual(sessionService.getSession('ending', fresh.id).id, fresh.id);
+});
+
+test('only the latest turns are kept in context', () => {
+  const session = sessionService.getSession('long', undefined);
+  for (let i = 0; i < 15; i++) {
+    sessionService.addTurn(session, [{ role: 'user', content: `Prompt ${i}` }], []);
+  }
+  const messages = sessionService.getMessages(session);
+  assert.equal(messages.length, 20);
+  assert.equal(messages[0].content, 'Prompt 5');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWildfireQuery, firmsAreas, boundsAround, boundsContain, mergeDetections } from '../services/wildfires.js';
+
+/**
+ * Wildfire tests
+ * Queries are validated and split into FIRMS areas, and detections from several sensors
+ * are merged into one hotspot per place and day.
+ */
+
+const detection = (sensor, lat, lon, time, date = '2025-10-27') => ({
+  type: 'wildfire',
+  sensor,
+  date,
+  timestamp: Date.parse(`${date}T${time}:00Z`),
+  location: { lat, lon }
+});
+
+test('detections of one fire by several sensors are merged', () => {
+  const hotspots = mergeDetections([
+    [detection('MODIS', 34.1001, -118.3002, '10:30')],
+    [detection('VIIRS_SNPP', 34.1003, -118.3001, '09:10'), detection('VIIRS_SNPP', 34.1004, -118.3001, '09:11')],
+    [detection('VIIRS_NOAA20', 34.1002, -118.3003, '11:40')]
+  ]);
+  assert.equal(hotspots.length, 1);
+  assert.deepEqual(hotspots[0].sensors, ['MODIS', 'VIIRS_SNPP', 'VIIRS_NOAA20']);
+  // the latest detection describes the hotspot
+  assert.equal(hotspots[0].sensor, 'VIIRS_NOAA20');
+  assert.equal(hotspots[0].timestamp, Date.parse('2025-10-27T11:40:00Z'));
+});
+
+test('fires far apart or on other days stay separate', () => {
+  const hotspots = mergeDetections([
+    [detection('MODIS', 34.1, -118.3, '10:30'), detection('MODIS', 34.2, -118.3, '10:30')],
+    [detection('VIIRS_SNPP', 34.1, -118.3, '09:10', '2025-10-28')]
+  ]);
+  assert.equal(hotspots.length, 3);
+  hotspots.forEach(hotspot => assert.equal(hotspot.sensors.length, 1));
+});
+
+test('queries are validated and widened to whole degrees', () => {
+  assert.deepEqual(parseWildfireQuery({}), { bbox: null, countries: null, sensors: ['VIIRS_SNPP'], days: 1 });
+  assert.deepEqual(parseWildfireQuery({ bbox: { north: 34.6, south: 33.2, east: -117.1, west: -119.9 }, sensors: ['MODIS', 'MODIS'], days: 3 }), {
+    bbox: { north: 35, south: 33, east: -117, west: -120 }, countries: null, sensors: ['MODIS'], days: 3
+  });
+  assert.deepEqual(parseWildfireQuery({ countries: ['usa', 'CAN'] }).countries, ['USA', 'CAN']);
+
+  assert.throws(() => parseWildfireQuery({ days: 11 }), /Days/);
+  assert.throws(() => parseWildfireQuery({ sensors: ['GOES'] }), /Sensors/);
+  assert.throws(() => parseWildfireQuery({ countries: ['US'] }), /alpha-3/);
+  assert.throws(() => parseWildfireQuery({ countries: ['USA'], bbox: { north: 1, south: 0, east: 1, west: 0 } }), /not both/);
+  assert.throws(() => parseWildfireQuery({ bbox: { north: 0, south: 1, east: 1, west: 0 } }), /Bbox/);
+});
+
+test('areas across the antimeridian are split in two', () => {
+  assert.deepEqual(firmsAreas(null), ['world']);
+  assert.deepEqual(firmsAreas({ north: 10, south: -10, east: 20, west: 0 }), ['0,-10,20,10']);
+  assert.deepEqual(firmsAreas({ north: -10, south: -25, east: -170, west: 170 }), ['170,-25,180,-10', '-180,-25,-170,-10']);
+});
+
+test('bounds around positions wrap at the antimeridian', () => {
+  const bounds = boundsAround([[179.9, -17]], 50);
+  assert.ok(bounds.west > bounds.east);
+  assert.equal(boundsContain(bounds, -17, -179.9), true);
+  assert.equal(boundsContain(bounds, -17, 0), false);
+
+  assert.deepEqual(boundsAround([[0, 0]], 30000), { north: 90, south: -90, east: 180, west: -180 });
+});
@@ -40,6 +40,8 @@ const jsFiles = [
     'env.js',
     'init.interface.js',
     'map.interface.js',
+    'area.interface.js',
+    'alert.interface.js',
     'weather.interface.js'
 ];
 